@@ -11,14 +11,36 @@ const dotenv = require('dotenv');
 const { PrismaClient } = require('@prisma/client');
 
 // 서비스 및 크롤러 모듈
-// (기존 네이버 크롤러 -> 나무뉴스 크롤러로 교체)
+const CrawlerRegistry = require('./src/crawler/CrawlerRegistry');
+const CrawlWorker = require('./src/crawler/CrawlWorker');
 const NamuNewsCrawler = require('./src/crawler/NamuNewsCrawler');
+const NaverNewsCrawler = require('./src/crawler/NaverNewsCrawler');
+const RssFeedCrawler = require('./src/crawler/RssFeedCrawler');
+const ConfigDrivenCrawler = require('./src/crawler/ConfigDrivenCrawler');
+const { loadSiteDefinitions } = require('./src/crawler/siteDefinition');
 const NewsService = require('./src/services/newsService');
+const CrawlJobService = require('./src/services/crawlJobService');
+const MediaService = require('./src/services/mediaService');
+const ClusterService = require('./src/services/clusterService');
+const ProviderService = require('./src/services/providerService');
+const ProviderRegistry = require('./src/crawler/ProviderRegistry');
+const ImageMirror = require('./src/media/ImageMirror');
+const LocalDiskStorage = require('./src/media/LocalDiskStorage');
 
 // 컨트롤러 및 라우터 모듈
 const NewsController = require('./src/controllers/newsController');
 const createNewsRouter = require('./src/routes/newsRoutes');
 const createBaseRouter = require('./src/routes/baseRoutes');
+const MediaController = require('./src/controllers/mediaController');
+const createMediaRouter = require('./src/routes/mediaRoutes');
+const ProviderController = require('./src/controllers/providerController');
+const createProviderRouter = require('./src/routes/providerRoutes');
+const AuthorController = require('./src/controllers/authorController');
+const createAuthorRouter = require('./src/routes/authorRoutes');
+const TagController = require('./src/controllers/tagController');
+const createTagRouter = require('./src/routes/tagRoutes');
+const EntityController = require('./src/controllers/entityController');
+const createEntityRouter = require('./src/routes/entityRoutes');
 
 // 환경 변수 로드
 dotenv.config();
@@ -41,23 +63,147 @@ const port = process.env.PORT || 3000;
  */
 const prisma = new PrismaClient();
 
+/**
+ * 유사 기사 묶음 서비스 인스턴스
+ * @type {ClusterService}
+ */
+const clusterService = new ClusterService(prisma);
+
 /**
  * 뉴스 서비스 인스턴스
+ * 상세 저장 시 본문 지문으로 유사 기사를 묶습니다 (CLUSTERING_ENABLED=false 이면 비활성화).
  * @type {NewsService}
  */
 const newsService = new NewsService(prisma);
+if (process.env.CLUSTERING_ENABLED !== 'false') {
+  newsService.useClusterService(clusterService);
+}
 
 /**
- * 뉴스 크롤러 인스턴스 (namu.news)
- * @type {NamuNewsCrawler}
+ * 크롤링 작업 큐 서비스 인스턴스
+ * @type {CrawlJobService}
  */
-const newsCrawler = new NamuNewsCrawler(newsService);
+const crawlJobService = new CrawlJobService(prisma);
+
+/**
+ * 제공처(언론사) 서비스 인스턴스
+ * @type {ProviderService}
+ */
+const providerService = new ProviderService(prisma);
+
+/**
+ * 제공처 레지스트리 (news_provider 캐시, 비어 있으면 config/providers.json으로 등록)
+ * @type {ProviderRegistry}
+ */
+const providerRegistry = new ProviderRegistry({ providerService });
+
+/**
+ * 크롤러 레지스트리 (소스별 활성화/스케줄 관리)
+ * 상세 크롤링/목록 재시도는 작업 큐(crawl_job)에 등록됩니다.
+ * @type {CrawlerRegistry}
+ */
+const crawlerRegistry = new CrawlerRegistry()
+  .useJobQueue(crawlJobService)
+  .useProviderRegistry(providerRegistry);
+
+/**
+ * 미러링 이미지 서비스 인스턴스
+ * @type {MediaService}
+ */
+const mediaService = new MediaService(prisma);
+
+/**
+ * 미러링 이미지 저장소 (MEDIA_STORAGE_DIR, 기본 storage/media)
+ * @type {LocalDiskStorage}
+ */
+const mediaStorage = new LocalDiskStorage();
+
+// 기사 이미지 미러링 (IMAGE_MIRROR_ENABLED=true, 상세 저장 후 media 작업 등록)
+if (process.env.IMAGE_MIRROR_ENABLED === 'true') {
+  crawlerRegistry.useImageMirror(
+    new ImageMirror({ storage: mediaStorage, mediaService })
+  );
+}
+
+// namu.news 소스 등록
+crawlerRegistry.register(new NamuNewsCrawler(newsService), {
+  enabled: process.env.NAMU_CRAWLER_ENABLED !== 'false',
+  cronExpression: process.env.NAMU_CRAWL_CRON,
+});
+
+// 네이버 뉴스 소스 등록 (기본 비활성화, NAVER_CRAWLER_ENABLED=true로 사용)
+crawlerRegistry.register(new NaverNewsCrawler(newsService), {
+  enabled: process.env.NAVER_CRAWLER_ENABLED === 'true',
+  cronExpression: process.env.NAVER_CRAWL_CRON,
+});
+
+// RSS/Atom 피드 소스 등록 (피드 목록: config/rss-feeds.json 또는 RSS_FEEDS_FILE)
+crawlerRegistry.register(new RssFeedCrawler(newsService), {
+  enabled: process.env.RSS_CRAWLER_ENABLED === 'true',
+  cronExpression: process.env.RSS_CRAWL_CRON,
+});
+
+// 사이트 정의(config/sites/*.json) 기반 소스 등록 (전용 클래스로 등록된 소스 제외)
+loadSiteDefinitions().forEach(definition => {
+  if (crawlerRegistry.has(definition.name)) return;
+  crawlerRegistry.register(new ConfigDrivenCrawler(newsService, definition), {
+    enabled: definition.enabled,
+    cronExpression: definition.schedule,
+  });
+});
 
 /**
  * 뉴스 컨트롤러 인스턴스
  * @type {NewsController}
  */
-const newsController = new NewsController(newsService, newsCrawler);
+const newsController = new NewsController(
+  newsService,
+  crawlerRegistry,
+  crawlJobService,
+  clusterService
+);
+
+/**
+ * 미디어 컨트롤러 인스턴스
+ * @type {MediaController}
+ */
+const mediaController = new MediaController(mediaService, mediaStorage);
+
+/**
+ * 기자 컨트롤러 인스턴스 (상세 저장 때 기자를 연결하는 뉴스 서비스의 기자 서비스 사용)
+ * @type {AuthorController}
+ */
+const authorController = new AuthorController(newsService.authorService);
+
+/**
+ * 태그 컨트롤러 인스턴스
+ * @type {TagController}
+ */
+const tagController = new TagController(newsService.tagService, newsService);
+
+/**
+ * 개체명 컨트롤러 인스턴스 (상세 저장 때 개체를 연결하는 뉴스 서비스의 개체명 서비스 사용)
+ * @type {EntityController}
+ */
+const entityController = new EntityController(newsService.entityService);
+
+/**
+ * 제공처 관리 컨트롤러 인스턴스
+ * @type {ProviderController}
+ */
+const providerController = new ProviderController(
+  providerService,
+  providerRegistry
+);
+
+/**
+ * 크롤링 작업 워커 (CRAWL_WORKER_ENABLED=false 이면 이 프로세스에서는 작업을 처리하지 않음)
+ * @type {CrawlWorker}
+ */
+const crawlWorker = new CrawlWorker({
+  jobService: crawlJobService,
+  crawlerRegistry,
+});
 
 /**
  * Express 미들웨어 설정
@@ -77,31 +223,44 @@ app.use('/', createBaseRouter(newsController));
 // API 라우트 (/api/news, /api/crawl 등)
 app.use('/api', createNewsRouter(newsController));
 
+// 미러링 이미지 라우트 (/media/:hash)
+app.use('/media', createMediaRouter(mediaController));
+
+// 기자 라우트 (/api/authors, /api/authors/:id/news)
+app.use('/api/authors', createAuthorRouter(authorController));
+
+// 태그 라우트 (/api/tags, /api/tags/:tag/news)
+app.use('/api/tags', createTagRouter(tagController));
+
+// 개체명 라우트 (/api/entities, /api/entities/:id/timeline)
+app.use('/api/entities', createEntityRouter(entityController));
+
+// 제공처 관리 라우트 (/api/providers, ADMIN_API_TOKEN Bearer 토큰 필요, 미설정 시 503)
+app.use('/api/providers', createProviderRouter(providerController));
+
 /**
  * 크롤링 스케줄러 설정
- * @description Node Schedule을 사용하여 정기적으로 뉴스 크롤링을 실행합니다.
+ * @description Node Schedule을 사용하여 활성화된 소스별로 정기 크롤링을 등록합니다.
+ * 소스별 크론 표현식이 없으면 CRAWL_INTERVAL_HOURS 기반 기본 스케줄을 사용합니다.
  */
-const cronExpression = `0 */${process.env.CRAWL_INTERVAL_HOURS || 1} * * *`;
-console.log(
-  `⏰ 크롤링 스케줄 설정: ${cronExpression} (매 ${process.env.CRAWL_INTERVAL_HOURS || 1}시간)`
-);
+crawlerRegistry.scheduleAll(schedule);
 
-/**
- * 스케줄된 크롤링 작업
- * @function scheduledCrawling
- * @description 설정된 간격에 따라 자동으로 크롤링을 실행합니다.
- */
-schedule.scheduleJob(cronExpression, async () => {
-  const timestamp = new Date().toISOString();
-  console.log(`🕒 예약된 크롤링 시작: ${timestamp}`);
+// 최근 기사 재수집 → 제목/본문 변경 이력(news_revision) 기록 (REVISION_CHECK_ENABLED=false 로 비활성화)
+if (process.env.REVISION_CHECK_ENABLED !== 'false') {
+  crawlerRegistry.scheduleRevisionChecks(
+    schedule,
+    process.env.REVISION_CHECK_CRON || '30 */6 * * *'
+  );
+}
 
-  try {
-    const result = await newsCrawler.crawlNews();
-    console.log(`✅ 예약된 크롤링 완료: ${result.itemCount}개 뉴스 처리`);
-  } catch (error) {
-    console.error('❌ 예약된 크롤링 에러:', error.message);
-  }
-});
+// 끝난(완료/실패) 작업 정리 - payload_ct가 MEDIUMTEXT라 계속 쌓이지 않게 함 (CRAWL_JOB_CLEANUP_ENABLED=false 로 비활성화)
+if (process.env.CRAWL_JOB_CLEANUP_ENABLED !== 'false') {
+  schedule.scheduleJob(process.env.CRAWL_JOB_CLEANUP_CRON || '15 4 * * *', () =>
+    crawlJobService
+      .cleanupFinishedJobs(parseInt(process.env.CRAWL_JOB_RETENTION_DAYS) || 7)
+      .catch(error => console.error('❌ 크롤링 작업 정리 에러:', error.message))
+  );
+}
 
 /**
  * 서버 시작 함수
@@ -126,12 +285,21 @@ async function startServer() {
       console.log(`📈 통계 API: http://localhost:${port}/api/stats`);
     });
 
-    // 애플리케이션 시작 시 초기 크롤링 실행 (비동기)
+    // 재시작 전에 남은 작업부터 이어서 처리
+    if (process.env.CRAWL_WORKER_ENABLED !== 'false') {
+      crawlWorker.start();
+    }
+
+    // 애플리케이션 시작 시 활성화된 전체 소스 초기 크롤링 실행 (비동기)
     console.log('🕷️ 초기 크롤링 시작...');
-    newsCrawler
-      .crawlNews()
-      .then(result => {
-        console.log(`✅ 초기 크롤링 완료: ${result.itemCount}개 뉴스 처리`);
+    crawlerRegistry
+      .runAll()
+      .then(results => {
+        results.forEach(result => {
+          console.log(
+            `✅ [${result.source}] 초기 크롤링 ${result.success ? '완료' : '실패'}: ${result.itemCount}개 뉴스 처리`
+          );
+        });
       })
       .catch(error => {
         console.error('❌ 초기 크롤링 에러:', error.message);
@@ -168,6 +336,9 @@ process.on('SIGTERM', async () => {
  */
 async function gracefulShutdown() {
   try {
+    crawlerRegistry.cancelAll();
+    console.log('🧵 처리 중인 크롤링 작업 완료 대기...');
+    await crawlWorker.stop();
     console.log('🔌 데이터베이스 연결 종료 중...');
     await prisma.$disconnect();
     console.log('✅ 데이터베이스 연결 종료 완료');
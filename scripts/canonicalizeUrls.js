@@ -0,0 +1,117 @@
+/**
+ * @fileoverview 기존 기사 정규 URL/해시 백필
+ * @description url_hash_cd가 비어 있는 news_main 레코드에 정규 URL(canonical_url_lk)과 해시를 채웁니다.
+ * 정규 URL이 같은 기사가 이미 있으면(쿼리스트링 등만 달라 중복 저장된 기사) 해시를 비워 두고 목록으로 보고합니다.
+ * 끝나면 해시가 남아 있지 않은 기사 수를 출력합니다. (0건이면 url_hash_cd 필수 전환 가능)
+ *
+ * 사용법: node scripts/canonicalizeUrls.js [--dry-run]
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+const { canonicalizeUrl, hashUrl } = require('../src/utils/urlCanonicalizer');
+
+dotenv.config();
+
+/**
+ * 한 번에 읽을 레코드 수
+ * @type {number}
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * 백필 실행
+ * @async
+ * @param {PrismaClient} prisma
+ * @param {boolean} dryRun - true면 갱신하지 않고 결과만 출력
+ * @returns {Promise<{updated: number, duplicates: Array<{newsId: number, duplicateOf: number|null, canonicalUrl: string}>}>}
+ */
+async function backfill(prisma, dryRun) {
+  let updated = 0;
+  let cursor = 0;
+  const duplicates = [];
+  // 이번 실행에서 배정한 해시 (dry-run 중복 판정용)
+  const assigned = new Map();
+
+  for (;;) {
+    const rows = await prisma.news_main.findMany({
+      where: { url_hash_cd: null, news_se: { gt: cursor } },
+      select: { news_se: true, url_lk: true },
+      orderBy: { news_se: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (!rows.length) break;
+    cursor = rows[rows.length - 1].news_se;
+
+    for (const row of rows) {
+      const canonicalUrl = canonicalizeUrl(row.url_lk) || row.url_lk;
+      const urlHash = hashUrl(canonicalUrl);
+
+      const owner =
+        assigned.get(urlHash) ||
+        (
+          await prisma.news_main.findUnique({
+            where: { url_hash_cd: urlHash },
+            select: { news_se: true },
+          })
+        )?.news_se;
+      if (owner) {
+        duplicates.push({
+          newsId: row.news_se,
+          duplicateOf: owner,
+          canonicalUrl,
+        });
+        continue;
+      }
+
+      assigned.set(urlHash, row.news_se);
+      if (!dryRun) {
+        await prisma.news_main.update({
+          where: { news_se: row.news_se },
+          data: {
+            canonical_url_lk: canonicalUrl.slice(0, 1000),
+            url_hash_cd: urlHash,
+          },
+        });
+      }
+      updated++;
+    }
+    console.log(`진행: news_se ≤ ${cursor}, 갱신 ${updated}건`);
+  }
+
+  return { updated, duplicates };
+}
+
+/**
+ * 진입점
+ * @async
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const prisma = new PrismaClient();
+  try {
+    const { updated, duplicates } = await backfill(prisma, dryRun);
+    console.log(
+      `${dryRun ? '[dry-run] ' : ''}정규 URL 백필 완료: ${updated}건 갱신, 중복 ${duplicates.length}건`
+    );
+    duplicates.forEach(dup => {
+      console.log(
+        `  중복: news_se=${dup.newsId} → 기존 news_se=${dup.duplicateOf} (${dup.canonicalUrl})`
+      );
+    });
+    if (!dryRun) {
+      // 0건이 되면 url_hash_cd를 필수로 바꾸는 다음 단계를 진행할 수 있음
+      const remaining = await prisma.news_main.count({
+        where: { url_hash_cd: null },
+      });
+      console.log(`url_hash_cd 미배정 기사: ${remaining}건`);
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('정규 URL 백필 에러:', error);
+  process.exit(1);
+});
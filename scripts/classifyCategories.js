@@ -0,0 +1,94 @@
+/**
+ * @fileoverview 카테고리 없는 기존 기사 분류
+ * @description 카테고리가 비어 있는 기사를 최신 분류 모델(news_category_model)로 분류합니다.
+ * --all을 주면 분류기로 정했던 기사도 새 모델로 다시 분류합니다. 목록/피드 카테고리는 바꾸지 않습니다.
+ * 새로 저장되는 기사는 상세 저장 시 자동으로 분류됩니다.
+ *
+ * 사용법: node scripts/classifyCategories.js [--all]
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+const CategoryService = require('../src/services/categoryService');
+const { isExtractionFailed } = require('../src/services/newsService');
+
+dotenv.config();
+
+const { CATEGORY_SOURCES } = CategoryService;
+
+/**
+ * 한 번에 읽을 레코드 수
+ * @type {number}
+ */
+const BATCH_SIZE = 200;
+
+/**
+ * 진입점
+ * @async
+ */
+async function main() {
+  const all = process.argv.includes('--all');
+  const prisma = new PrismaClient();
+  const categoryService = new CategoryService(prisma);
+  const byCategory = new Map();
+  let cursor = 0;
+  let classified = 0;
+
+  try {
+    await categoryService.ensureModel();
+    if (!categoryService.model) {
+      throw new Error(
+        '학습된 분류 모델이 없습니다. 먼저 npm run categories:train 을 실행하세요.'
+      );
+    }
+
+    for (;;) {
+      const rows = await prisma.news_main.findMany({
+        where: {
+          news_se: { gt: cursor },
+          OR: [
+            { category_nm: null },
+            ...(all ? [{ category_src_cd: CATEGORY_SOURCES.CLASSIFIER }] : []),
+          ],
+        },
+        select: { news_se: true },
+        orderBy: { news_se: 'asc' },
+        take: BATCH_SIZE,
+      });
+      if (!rows.length) break;
+      cursor = rows[rows.length - 1].news_se;
+
+      const details = await prisma.news_detail.findMany({
+        where: { news_se: { in: rows.map(row => row.news_se) } },
+        select: { news_se: true, title_ct: true, content_ct: true },
+      });
+      for (const detail of details) {
+        if (isExtractionFailed(detail.content_ct)) continue;
+        const result = await categoryService.classifyArticle(
+          detail.news_se,
+          detail.title_ct,
+          detail.content_ct
+        );
+        if (!result) continue;
+        classified++;
+        byCategory.set(
+          result.category,
+          (byCategory.get(result.category) || 0) + 1
+        );
+      }
+      console.log(`진행: news_se ≤ ${cursor}, 분류 ${classified}건`);
+    }
+    console.log(
+      `카테고리 분류 완료: ${classified}건 (${[...byCategory.entries()]
+        .map(([category, count]) => `${category} ${count}`)
+        .join(', ')})`
+    );
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('카테고리 분류 에러:', error);
+  process.exit(1);
+});
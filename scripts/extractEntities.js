@@ -0,0 +1,95 @@
+/**
+ * @fileoverview 기존 기사 개체명 백필
+ * @description 개체 연결(news_entity_mention)이 없는 상세 기사의 제목/본문에서 인물/기관/지역을 찾아 연결합니다.
+ * 개체 사전(config/entity-gazetteer.json)을 고친 뒤에는 --all로 전체 기사를 다시 연결합니다.
+ * 새로 저장되는 기사는 상세 저장 시 자동으로 연결됩니다.
+ *
+ * 사용법: node scripts/extractEntities.js [--all] [--dry-run]
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+const EntityService = require('../src/services/entityService');
+const { isExtractionFailed } = require('../src/services/newsService');
+
+dotenv.config();
+
+/**
+ * 한 번에 읽을 레코드 수
+ * @type {number}
+ */
+const BATCH_SIZE = 200;
+
+/**
+ * 진입점
+ * @async
+ */
+async function main() {
+  const all = process.argv.includes('--all');
+  const dryRun = process.argv.includes('--dry-run');
+  const prisma = new PrismaClient();
+  const entityService = new EntityService(prisma);
+  const entityKeys = new Set();
+  let cursor = 0;
+  let processed = 0;
+  let links = 0;
+
+  try {
+    for (;;) {
+      const details = await prisma.news_detail.findMany({
+        where: { news_se: { gt: cursor } },
+        select: { news_se: true, title_ct: true, content_ct: true },
+        orderBy: { news_se: 'asc' },
+        take: BATCH_SIZE,
+      });
+      if (!details.length) break;
+      cursor = details[details.length - 1].news_se;
+
+      const done = all
+        ? new Set()
+        : new Set(
+            (
+              await prisma.news_entity_mention.findMany({
+                where: { news_se: { in: details.map(row => row.news_se) } },
+                select: { news_se: true },
+                distinct: ['news_se'],
+              })
+            ).map(row => row.news_se)
+          );
+      for (const detail of details) {
+        if (done.has(detail.news_se) || isExtractionFailed(detail.content_ct)) {
+          continue;
+        }
+        const entities = entityService.extract(
+          detail.title_ct,
+          detail.content_ct
+        );
+        if (dryRun) {
+          entities.forEach(entity =>
+            entityKeys.add(`${entity.type}|${entity.name}`)
+          );
+          links += entities.length;
+        } else {
+          links += await entityService.linkArticleEntities(
+            detail.news_se,
+            entities
+          );
+        }
+        processed++;
+      }
+      console.log(`진행: news_se ≤ ${cursor}, 처리 ${processed}건`);
+    }
+    console.log(
+      dryRun
+        ? `[dry-run] 개체 연결 대상: 기사 ${processed}건, 연결 ${links}건, 개체 ${entityKeys.size}개`
+        : `개체 연결 완료: 기사 ${processed}건, 연결 ${links}건`
+    );
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('개체 연결 에러:', error);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview 기존 기사 본문 키워드 백필
+ * @description 키워드를 추출하지 않은(news_detail.keyword_dt가 NULL인) 상세 기사를 두 번 훑습니다.
+ * 먼저 모든 대상 기사를 문서 빈도(news_term_df)에 반영한 뒤, 완성된 코퍼스 기준으로 점수를 계산해
+ * news_keyword에 저장합니다(앞쪽 기사만 작은 코퍼스로 점수가 매겨지는 것을 방지).
+ * --rescore를 주면 이미 추출한 기사 전체의 점수를 현재 문서 빈도로 다시 계산합니다.
+ * 새로 저장되는 기사는 상세 저장 시 자동으로 추출됩니다.
+ *
+ * 사용법: node scripts/extractKeywords.js [--rescore]
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+const KeywordService = require('../src/services/keywordService');
+const { isExtractionFailed } = require('../src/services/newsService');
+
+dotenv.config();
+
+/**
+ * 한 번에 읽을 레코드 수
+ * @type {number}
+ */
+const BATCH_SIZE = 200;
+
+/**
+ * 상세 기사 배치 순회
+ * @async
+ * @param {Object} prisma - Prisma 클라이언트 인스턴스
+ * @param {Object} where - news_detail 조건
+ * @param {Function} handle - (detail) => Promise<void>
+ * @returns {Promise<void>}
+ */
+async function forEachDetail(prisma, where, handle) {
+  let cursor = 0;
+  for (;;) {
+    const details = await prisma.news_detail.findMany({
+      where: { ...where, news_se: { gt: cursor } },
+      select: { news_se: true, title_ct: true, content_ct: true },
+      orderBy: { news_se: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (!details.length) break;
+    cursor = details[details.length - 1].news_se;
+    for (const detail of details) {
+      if (!isExtractionFailed(detail.content_ct)) await handle(detail);
+    }
+    console.log(`진행: news_se ≤ ${cursor}`);
+  }
+}
+
+/**
+ * 진입점
+ * @async
+ */
+async function main() {
+  const rescore = process.argv.includes('--rescore');
+  const prisma = new PrismaClient();
+  const keywordService = new KeywordService(prisma);
+  const pending = new Set();
+
+  try {
+    if (!rescore) {
+      await forEachDetail(prisma, { keyword_dt: null }, async detail => {
+        const counts = keywordService.countTerms(
+          detail.title_ct,
+          detail.content_ct
+        );
+        if (!counts.size) return;
+        await keywordService.countDocument(detail.news_se, [...counts.keys()]);
+        pending.add(detail.news_se);
+      });
+      console.log(`문서 빈도 반영 완료: 기사 ${pending.size}건`);
+    }
+
+    let scored = 0;
+    await forEachDetail(prisma, { keyword_dt: { not: null } }, async detail => {
+      if (!rescore && !pending.has(detail.news_se)) return;
+      await keywordService.rescoreArticle(
+        detail.news_se,
+        detail.title_ct,
+        detail.content_ct
+      );
+      scored++;
+    });
+    console.log(`키워드 추출 완료: 기사 ${scored}건`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('키워드 추출 에러:', error);
+  process.exit(1);
+});
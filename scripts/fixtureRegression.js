@@ -0,0 +1,272 @@
+/**
+ * @fileoverview 파서 회귀 검사 (HTTP 픽스처 + 골든 출력)
+ * @description 크롤러 목록/상세 추출 결과를 기사 URL별 골든 파일과 비교합니다.
+ * - record: 실제 사이트에 요청하며 응답을 fixtures/http에 기록하고 골든 파일 생성
+ * - update: 기록된 픽스처만으로 추출해 골든 파일 갱신 (파서 변경을 의도한 경우)
+ * - check: 기록된 픽스처만으로 추출해 골든 파일과 필드별(title, content, author, source, tags) 비교
+ *
+ * 사용법: node scripts/fixtureRegression.js <record|update|check> [크롤러 이름...]
+ * DB에는 접근하지 않으며, 네트워크는 record 모드에서만 사용합니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const NamuNewsCrawler = require('../src/crawler/NamuNewsCrawler');
+const NaverNewsCrawler = require('../src/crawler/NaverNewsCrawler');
+const RssFeedCrawler = require('../src/crawler/RssFeedCrawler');
+const ConfigDrivenCrawler = require('../src/crawler/ConfigDrivenCrawler');
+const RequestScheduler = require('../src/crawler/RequestScheduler');
+const RetryPolicy = require('../src/crawler/RetryPolicy');
+const { loadSiteDefinitions } = require('../src/crawler/siteDefinition');
+const { FIXTURE_MODES } = require('../src/crawler/HttpFixtureStore');
+
+/**
+ * 골든 파일 디렉터리
+ * @type {string}
+ */
+const GOLDEN_DIR =
+  process.env.GOLDEN_DIR || path.join(__dirname, '..', 'fixtures', 'golden');
+
+/**
+ * 비교 대상 필드
+ * @type {Array<string>}
+ */
+const GOLDEN_FIELDS = ['title', 'content', 'author', 'source', 'tags'];
+
+/**
+ * DB 없이 크롤러를 실행하기 위한 뉴스 서비스 대체 객체
+ * 모든 기사를 새 기사로 보고, 조건부 요청 검증자를 사용하지 않습니다.
+ * @type {Object}
+ */
+const offlineNewsService = {
+  getExistingUrls: async () => [],
+  getHttpValidators: async () => null,
+  saveHttpValidators: async () => {},
+};
+
+/**
+ * 검사 대상 크롤러 생성 (index.js 등록 목록과 동일)
+ * @param {Array<string>} names - 크롤러 이름 필터 (비어 있으면 전체)
+ * @returns {Array<BaseCrawler>}
+ */
+function createCrawlers(names) {
+  const crawlers = [
+    new NamuNewsCrawler(offlineNewsService),
+    new NaverNewsCrawler(offlineNewsService),
+    new RssFeedCrawler(offlineNewsService),
+  ];
+  loadSiteDefinitions().forEach(definition => {
+    if (crawlers.some(crawler => crawler.getName() === definition.name)) {
+      return;
+    }
+    crawlers.push(new ConfigDrivenCrawler(offlineNewsService, definition));
+  });
+
+  if (!names.length) return crawlers;
+  const wanted = names.map(name => name.toLowerCase());
+  return crawlers.filter(crawler =>
+    wanted.includes(crawler.getName().toLowerCase())
+  );
+}
+
+/**
+ * 크롤러 한 개의 기사별 추출 결과 수집
+ * @async
+ * @param {BaseCrawler} crawler
+ * @returns {Promise<Object<string, Object>>} 기사 URL → 추출 필드 (상세 실패 시 error)
+ */
+async function extractArticles(crawler) {
+  crawler.runStats = crawler.createRunStats();
+  const articles = await crawler.collectArticles();
+
+  const results = {};
+  await Promise.all(
+    articles.map(async article => {
+      const entry = { title: article.title };
+      try {
+        const detail = await crawler.crawlNewsDetail(article.url);
+        GOLDEN_FIELDS.filter(field => field !== 'title').forEach(field => {
+          entry[field] = detail[field] === undefined ? null : detail[field];
+        });
+      } catch (error) {
+        entry.error = error.message;
+      }
+      results[article.url] = entry;
+    })
+  );
+
+  // URL 순으로 정렬해 골든 파일 diff를 안정적으로 유지
+  return Object.fromEntries(
+    Object.keys(results)
+      .sort()
+      .map(url => [url, results[url]])
+  );
+}
+
+/**
+ * 골든 파일 경로
+ * @param {string} crawlerName
+ * @returns {string}
+ */
+function getGoldenPath(crawlerName) {
+  return path.join(GOLDEN_DIR, `${crawlerName}.json`);
+}
+
+/**
+ * 골든 파일 저장
+ * @param {string} crawlerName
+ * @param {Object<string, Object>} articles
+ */
+function writeGolden(crawlerName, articles) {
+  fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+  fs.writeFileSync(
+    getGoldenPath(crawlerName),
+    JSON.stringify({ crawler: crawlerName, articles }, null, 2) + '\n'
+  );
+}
+
+/**
+ * 두 문자열 값의 첫 차이 지점 요약
+ * @param {*} expected
+ * @param {*} actual
+ * @returns {string}
+ */
+function describeDifference(expected, actual) {
+  const clip = value => {
+    if (value === null || value === undefined) return String(value);
+    const text = String(value).replace(/\s+/g, ' ');
+    return JSON.stringify(text.length > 80 ? `${text.slice(0, 80)}…` : text);
+  };
+  if (typeof expected !== 'string' || typeof actual !== 'string') {
+    return `${clip(expected)} → ${clip(actual)}`;
+  }
+
+  let index = 0;
+  while (index < expected.length && expected[index] === actual[index]) {
+    index++;
+  }
+  const start = Math.max(0, index - 20);
+  return `${index}번째 문자부터 다름 (길이 ${expected.length} → ${actual.length}): ${clip(expected.slice(start))} → ${clip(actual.slice(start))}`;
+}
+
+/**
+ * 골든 파일과 추출 결과 비교
+ * @param {Object<string, Object>} expected - 골든 기사 목록
+ * @param {Object<string, Object>} actual - 이번 추출 결과
+ * @returns {Array<string>} 차이 설명 (없으면 빈 배열)
+ */
+function compareArticles(expected, actual) {
+  const diffs = [];
+  const urls = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+
+  urls.sort().forEach(url => {
+    if (!actual[url]) {
+      diffs.push(`- ${url}: 목록에서 추출되지 않음`);
+      return;
+    }
+    if (!expected[url]) {
+      diffs.push(`+ ${url}: 골든 파일에 없는 기사`);
+      return;
+    }
+    const fieldDiffs = [...GOLDEN_FIELDS, 'error']
+      .filter(
+        field => (expected[url][field] ?? null) !== (actual[url][field] ?? null)
+      )
+      .map(
+        field =>
+          `    ${field}: ${describeDifference(expected[url][field], actual[url][field])}`
+      );
+    if (fieldDiffs.length) diffs.push([`~ ${url}`, ...fieldDiffs].join('\n'));
+  });
+  return diffs;
+}
+
+/**
+ * 실행
+ * @async
+ * @param {Array<string>} argv - [명령, 크롤러 이름...]
+ * @returns {Promise<number>} 종료 코드
+ */
+async function main(argv) {
+  const [command, ...names] = argv;
+  if (!['record', 'update', 'check'].includes(command)) {
+    console.error(
+      '사용법: node scripts/fixtureRegression.js <record|update|check> [크롤러 이름...]'
+    );
+    return 2;
+  }
+
+  process.env.HTTP_FIXTURE_MODE =
+    command === 'record' ? FIXTURE_MODES.RECORD : FIXTURE_MODES.REPLAY;
+
+  const crawlers = createCrawlers(names);
+  if (!crawlers.length) {
+    console.error(`대상 크롤러가 없습니다: ${names.join(', ')}`);
+    return 2;
+  }
+
+  let failed = 0;
+  for (const crawler of crawlers) {
+    const name = crawler.getName();
+    if (command !== 'record') {
+      // 재생 응답은 항상 같으므로 요청 간격/재시도 없이 실행
+      crawler.scheduler = new RequestScheduler({
+        hostIntervalMs: 1,
+        hostBurst: 100,
+      });
+      crawler.retryPolicy = new RetryPolicy({ maxAttempts: 1 });
+    }
+
+    if (command === 'check' && !fs.existsSync(getGoldenPath(name))) {
+      failed++;
+      console.log(
+        `[${name}] ❌ 골든 파일 없음 (record 또는 update 먼저 실행 후 커밋)`
+      );
+      continue;
+    }
+
+    const articles = await extractArticles(crawler);
+    const count = Object.keys(articles).length;
+
+    if (command !== 'check') {
+      // 픽스처가 없거나 파서가 전부 실패한 결과를 기준으로 삼지 않도록 빈 골든은 저장하지 않음
+      if (!count) {
+        failed++;
+        console.log(
+          `[${name}] ❌ 추출된 기사가 없어 골든 파일을 저장하지 않음`
+        );
+        continue;
+      }
+      writeGolden(name, articles);
+      console.log(`[${name}] 골든 파일 저장: ${count}건`);
+      continue;
+    }
+
+    const golden = JSON.parse(fs.readFileSync(getGoldenPath(name), 'utf8'));
+    if (!Object.keys(golden.articles || {}).length) {
+      failed++;
+      console.log(`[${name}] ❌ 골든 파일에 기사가 없음`);
+      continue;
+    }
+    const diffs = compareArticles(golden.articles, articles);
+    if (diffs.length) {
+      failed++;
+      console.log(`[${name}] ❌ 골든 출력과 ${diffs.length}건 다름`);
+      diffs.forEach(diff => console.log(`  ${diff}`));
+    } else {
+      console.log(`[${name}] ✅ 골든 출력과 일치 (${count}건)`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('파서 회귀 검사 에러:', error);
+    process.exit(1);
+  });
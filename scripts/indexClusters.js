@@ -0,0 +1,73 @@
+/**
+ * @fileoverview 기존 기사 지문/유사 기사 묶음 백필
+ * @description 지문(news_fingerprint)이 없는 상세 기사의 본문 MinHash 서명을 계산하고 유사 기사 묶음에 배정합니다.
+ * 새로 저장되는 기사는 상세 저장 시 자동으로 배정되므로 도입 시 한 번만 실행하면 됩니다.
+ *
+ * 사용법: node scripts/indexClusters.js
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+const ClusterService = require('../src/services/clusterService');
+
+dotenv.config();
+
+/**
+ * 한 번에 읽을 레코드 수
+ * @type {number}
+ */
+const BATCH_SIZE = 200;
+
+/**
+ * 진입점
+ * @async
+ */
+async function main() {
+  const prisma = new PrismaClient();
+  const clusterService = new ClusterService(prisma);
+  let cursor = 0;
+  let indexed = 0;
+  let clustered = 0;
+
+  try {
+    for (;;) {
+      const details = await prisma.news_detail.findMany({
+        where: { news_se: { gt: cursor } },
+        select: { news_se: true, content_ct: true },
+        orderBy: { news_se: 'asc' },
+        take: BATCH_SIZE,
+      });
+      if (!details.length) break;
+      cursor = details[details.length - 1].news_se;
+
+      const done = new Set(
+        (
+          await prisma.news_fingerprint.findMany({
+            where: { news_se: { in: details.map(row => row.news_se) } },
+            select: { news_se: true },
+          })
+        ).map(row => row.news_se)
+      );
+      for (const detail of details) {
+        if (done.has(detail.news_se)) continue;
+        const clusterId = await clusterService.indexArticle(
+          detail.news_se,
+          detail.content_ct
+        );
+        indexed++;
+        if (clusterId) clustered++;
+      }
+      console.log(`진행: news_se ≤ ${cursor}, 처리 ${indexed}건`);
+    }
+    console.log(
+      `유사 기사 묶음 백필 완료: ${indexed}건 처리, ${clustered}건 묶음 배정`
+    );
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('유사 기사 묶음 백필 에러:', error);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview 기존 기사 기자 연결 백필
+ * @description 기자 연결(news_author_map)이 없는 상세 기사의 author_nm(없으면 본문 리드/끝부분)을 바이라인으로 해석해
+ * news_author에 연결하고, author_nm을 해석 결과로 다시 씁니다. 이전 버전이 채운 자리표시 값
+ * ('나무뉴스', '정보없음' 등 제공처 이름과 같은 값)은 NULL로 정리합니다.
+ * 새로 저장되는 기사는 상세 저장 시 자동으로 연결되므로 도입 시 한 번만 실행하면 됩니다.
+ *
+ * 사용법: node scripts/linkAuthors.js [--dry-run]
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+const AuthorService = require('../src/services/authorService');
+const {
+  parseBylines,
+  parseContentBylines,
+  formatByline,
+} = require('../src/extractor/bylineExtractor');
+
+dotenv.config();
+
+/**
+ * 한 번에 읽을 레코드 수
+ * @type {number}
+ */
+const BATCH_SIZE = 200;
+
+/**
+ * 이전 버전이 기자를 찾지 못했을 때 채운 값
+ * @type {Array<string>}
+ */
+const PLACEHOLDER_AUTHORS = ['나무뉴스', '정보없음'];
+
+/**
+ * 저장된 상세에서 기자 목록 해석
+ * @param {{author_nm: string|null, source_nm: string|null, content_ct: string|null}} detail
+ * @returns {Array<{name: string, role: string|null, email: string|null}>}
+ */
+function resolveAuthors(detail) {
+  const stored = (detail.author_nm || '').trim();
+  const placeholder =
+    !stored ||
+    PLACEHOLDER_AUTHORS.includes(stored) ||
+    stored === detail.source_nm;
+  const authors = placeholder ? [] : parseBylines(stored, { loose: true });
+  return authors.length ? authors : parseContentBylines(detail.content_ct);
+}
+
+/**
+ * 진입점
+ * @async
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const prisma = new PrismaClient();
+  const authorService = new AuthorService(prisma);
+  let cursor = 0;
+  let linked = 0;
+  let cleared = 0;
+
+  try {
+    for (;;) {
+      const details = await prisma.news_detail.findMany({
+        where: { news_se: { gt: cursor } },
+        select: {
+          news_se: true,
+          author_nm: true,
+          source_nm: true,
+          content_ct: true,
+        },
+        orderBy: { news_se: 'asc' },
+        take: BATCH_SIZE,
+      });
+      if (!details.length) break;
+      cursor = details[details.length - 1].news_se;
+
+      const done = new Set(
+        (
+          await prisma.news_author_map.findMany({
+            where: { news_se: { in: details.map(row => row.news_se) } },
+            select: { news_se: true },
+            distinct: ['news_se'],
+          })
+        ).map(row => row.news_se)
+      );
+      for (const detail of details) {
+        if (done.has(detail.news_se)) continue;
+        const authors = resolveAuthors(detail);
+        const byline = formatByline(authors);
+        if (authors.length) linked++;
+        else if (detail.author_nm) cleared++;
+        if (dryRun) {
+          if (byline !== detail.author_nm) {
+            console.log(
+              `[dry-run] news_se=${detail.news_se}: ${detail.author_nm || '-'} → ${byline || 'NULL'}`
+            );
+          }
+          continue;
+        }
+
+        await authorService.linkArticleAuthors(
+          detail.news_se,
+          authors,
+          detail.source_nm
+        );
+        if (byline !== detail.author_nm) {
+          await prisma.news_detail.update({
+            where: { news_se: detail.news_se },
+            data: { author_nm: byline },
+          });
+        }
+      }
+      console.log(`진행: news_se ≤ ${cursor}`);
+    }
+    console.log(
+      `기자 연결 백필 ${dryRun ? '미리보기 ' : ''}완료: ${linked}건 연결, ${cleared}건 기자 없음(NULL)`
+    );
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('기자 연결 백필 에러:', error);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview 기존 tags_ct 태그 이전
+ * @description 태그 연결(news_tag_map)이 없는 상세 기사의 쉼표 구분 tags_ct를 정규화해 news_tag에 연결합니다.
+ * 기존 값은 페이지 태그와 meta keywords가 섞여 있어 출처(tag_src_cd)는 NULL로 둡니다.
+ * 새로 저장되는 기사는 상세 저장 시 자동으로 연결되므로 도입 시 한 번만 실행하면 됩니다.
+ *
+ * 사용법: node scripts/migrateTags.js [--dry-run]
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+const TagService = require('../src/services/tagService');
+
+dotenv.config();
+
+/**
+ * 한 번에 읽을 레코드 수
+ * @type {number}
+ */
+const BATCH_SIZE = 200;
+
+/**
+ * 진입점
+ * @async
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const prisma = new PrismaClient();
+  const tagService = new TagService(prisma);
+  const tagKeys = new Set();
+  let cursor = 0;
+  let migrated = 0;
+  let links = 0;
+
+  try {
+    for (;;) {
+      const details = await prisma.news_detail.findMany({
+        where: { news_se: { gt: cursor }, tags_ct: { not: null } },
+        select: { news_se: true, tags_ct: true },
+        orderBy: { news_se: 'asc' },
+        take: BATCH_SIZE,
+      });
+      if (!details.length) break;
+      cursor = details[details.length - 1].news_se;
+
+      const done = new Set(
+        (
+          await prisma.news_tag_map.findMany({
+            where: { news_se: { in: details.map(row => row.news_se) } },
+            select: { news_se: true },
+            distinct: ['news_se'],
+          })
+        ).map(row => row.news_se)
+      );
+      for (const detail of details) {
+        if (done.has(detail.news_se)) continue;
+        const tagList = detail.tags_ct
+          .split(',')
+          .map(name => ({ name, source: null }));
+        if (dryRun) {
+          const tags = tagList.map(item => tagService.normalize(item.name));
+          tags.filter(Boolean).forEach(tag => tagKeys.add(tag.key));
+          links += new Set(tags.filter(Boolean).map(tag => tag.key)).size;
+        } else {
+          links += await tagService.linkArticleTags(detail.news_se, tagList);
+        }
+        migrated++;
+      }
+      console.log(`진행: news_se ≤ ${cursor}, 처리 ${migrated}건`);
+    }
+    console.log(
+      dryRun
+        ? `[dry-run] 태그 이전 대상: 기사 ${migrated}건, 연결 ${links}건, 태그 ${tagKeys.size}개`
+        : `태그 이전 완료: 기사 ${migrated}건, 연결 ${links}건`
+    );
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('태그 이전 에러:', error);
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview 임의 반응 지표 정리
+ * @description 이전 버전이 임의 값으로 채운 news_detail 조회/좋아요/댓글 수를 NULL(미노출)로 되돌립니다.
+ * 페이지에서 읽은 값은 저장할 때마다 news_metric_snapshot에 남으므로, 스냅샷이 하나도 없는 상세만 정리 대상입니다.
+ *
+ * 사용법: node scripts/resetMetrics.js [--dry-run]
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+
+dotenv.config();
+
+/**
+ * 한 번에 읽을 레코드 수
+ * @type {number}
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * 정리 실행
+ * @async
+ * @param {PrismaClient} prisma
+ * @param {boolean} dryRun - true면 갱신하지 않고 대상 수만 출력
+ * @returns {Promise<number>} 정리한(dry-run이면 대상) 상세 수
+ */
+async function resetMetrics(prisma, dryRun) {
+  let reset = 0;
+  let cursor = 0;
+
+  for (;;) {
+    const rows = await prisma.news_detail.findMany({
+      where: {
+        news_se: { gt: cursor },
+        OR: [
+          { view_va: { not: null } },
+          { like_va: { not: null } },
+          { comment_va: { not: null } },
+        ],
+      },
+      select: { news_se: true },
+      orderBy: { news_se: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (!rows.length) break;
+    cursor = rows[rows.length - 1].news_se;
+
+    const newsIds = rows.map(row => row.news_se);
+    const scraped = new Set(
+      (
+        await prisma.news_metric_snapshot.findMany({
+          where: { news_se: { in: newsIds } },
+          select: { news_se: true },
+          distinct: ['news_se'],
+        })
+      ).map(row => row.news_se)
+    );
+    const targets = newsIds.filter(id => !scraped.has(id));
+
+    if (targets.length && !dryRun) {
+      await prisma.news_detail.updateMany({
+        where: { news_se: { in: targets } },
+        data: { view_va: null, like_va: null, comment_va: null },
+      });
+    }
+    reset += targets.length;
+    console.log(`진행: news_se ≤ ${cursor}, 정리 ${reset}건`);
+  }
+
+  return reset;
+}
+
+/**
+ * 진입점
+ * @async
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const prisma = new PrismaClient();
+  try {
+    const reset = await resetMetrics(prisma, dryRun);
+    console.log(
+      `${dryRun ? '[dry-run] ' : ''}반응 지표 정리 완료: ${reset}건 NULL 처리`
+    );
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('반응 지표 정리 에러:', error);
+  process.exit(1);
+});
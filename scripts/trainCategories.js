@@ -0,0 +1,204 @@
+/**
+ * @fileoverview 카테고리 분류 모델 학습
+ * @description 목록/피드 카테고리가 있는 기존 기사(news_main + news_detail)로 나이브 베이즈 분류기를 학습합니다.
+ * 기사 일부(--holdout, 기본 0.2)를 떼어 카테고리별 precision/recall/F1과 확률 기준(CATEGORY_MIN_CONFIDENCE)별
+ * 적용 비율을 평가한 뒤, 전체 기사로 다시 학습한 모델을 평가 지표와 함께 news_category_model에 저장합니다.
+ * 실행 중인 서버는 CATEGORY_MODEL_TTL_SECONDS 안에 새 모델로 바꿉니다.
+ *
+ * 사용법: node scripts/trainCategories.js [--dry-run] [--holdout=0.2]
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+const CategoryService = require('../src/services/categoryService');
+const { isExtractionFailed } = require('../src/services/newsService');
+const {
+  trainNaiveBayes,
+  compileModel,
+  predictNaiveBayes,
+  evaluateClassifier,
+} = require('../src/utils/naiveBayes');
+
+dotenv.config();
+
+const { CATEGORY_SOURCES } = CategoryService;
+
+/**
+ * 한 번에 읽을 레코드 수
+ * @type {number}
+ */
+const BATCH_SIZE = 200;
+
+/**
+ * 카테고리당 최대 학습 기사 수 (최근 기사 우선, 메모리/클래스 불균형 제한)
+ * @type {number}
+ */
+const MAX_PER_CATEGORY =
+  parseInt(process.env.CATEGORY_TRAIN_MAX_PER_CATEGORY, 10) || 3000;
+
+/**
+ * 평가용 기사 여부 (news_se 기준으로 고정해 재학습마다 같은 기사로 평가)
+ * @param {number} newsId
+ * @param {number} ratio - 평가용 비율
+ * @returns {boolean}
+ */
+function isHoldout(newsId, ratio) {
+  return ((newsId * 2654435761) % 1000) / 1000 < ratio;
+}
+
+/**
+ * 학습 기사 수집 (news_se 역순)
+ * @async
+ * @param {Object} prisma - Prisma 클라이언트 인스턴스
+ * @param {CategoryService} categoryService
+ * @returns {Promise<Array<{newsId: number, label: string, counts: Map<string, number>}>>}
+ */
+async function collectDocuments(prisma, categoryService) {
+  const labels = categoryService.trainableCategories;
+  const perLabel = new Map(labels.map(label => [label, 0]));
+  const documents = [];
+  let cursor = null;
+
+  for (;;) {
+    const rows = await prisma.news_main.findMany({
+      where: {
+        ...(cursor ? { news_se: { lt: cursor } } : {}),
+        category_nm: { in: labels },
+        OR: [
+          { category_src_cd: null },
+          { category_src_cd: CATEGORY_SOURCES.SOURCE },
+        ],
+      },
+      select: { news_se: true, category_nm: true },
+      orderBy: { news_se: 'desc' },
+      take: BATCH_SIZE,
+    });
+    if (!rows.length) break;
+    cursor = rows[rows.length - 1].news_se;
+
+    const wanted = rows.filter(
+      row => perLabel.get(row.category_nm) < MAX_PER_CATEGORY
+    );
+    const details = await prisma.news_detail.findMany({
+      where: { news_se: { in: wanted.map(row => row.news_se) } },
+      select: { news_se: true, title_ct: true, content_ct: true },
+    });
+    const detailById = new Map(details.map(detail => [detail.news_se, detail]));
+    wanted.forEach(row => {
+      const detail = detailById.get(row.news_se);
+      if (!detail || isExtractionFailed(detail.content_ct)) return;
+      if (perLabel.get(row.category_nm) >= MAX_PER_CATEGORY) return;
+      const counts = categoryService.countTerms(
+        detail.title_ct,
+        detail.content_ct
+      );
+      if (!counts.size) return;
+      documents.push({ newsId: row.news_se, label: row.category_nm, counts });
+      perLabel.set(row.category_nm, perLabel.get(row.category_nm) + 1);
+    });
+    console.log(`수집: news_se ≥ ${cursor}, 학습 기사 ${documents.length}건`);
+    if ([...perLabel.values()].every(count => count >= MAX_PER_CATEGORY)) {
+      break;
+    }
+  }
+  return documents;
+}
+
+/**
+ * 평가 결과 출력
+ * @param {Object} metrics - evaluateClassifier 결과 + 확률 기준 지표
+ */
+function printMetrics(metrics) {
+  console.log('\n카테고리        precision  recall     f1     support');
+  Object.entries(metrics.categories).forEach(([label, metric]) => {
+    console.log(
+      `${label.padEnd(14)} ${metric.precision.toFixed(4).padStart(9)} ${metric.recall
+        .toFixed(4)
+        .padStart(
+          7
+        )} ${metric.f1.toFixed(4).padStart(6)} ${String(metric.support).padStart(10)}`
+    );
+  });
+  console.log(
+    `\n정확도 ${metrics.accuracy}, macro F1 ${metrics.macroF1} (평가 기사 ${metrics.total}건)`
+  );
+  console.log(
+    `확률 ${metrics.minConfidence} 이상: ${(metrics.coverage * 100).toFixed(1)}% 기사, 정확도 ${metrics.confidentAccuracy}` +
+      ' (나머지는 fallback 카테고리)'
+  );
+}
+
+/**
+ * 진입점
+ * @async
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const holdoutArg = process.argv.find(arg => arg.startsWith('--holdout='));
+  const holdout = holdoutArg ? parseFloat(holdoutArg.split('=')[1]) : 0.2;
+  if (isNaN(holdout) || holdout <= 0 || holdout >= 1) {
+    throw new Error('--holdout은 0과 1 사이여야 합니다.');
+  }
+
+  const prisma = new PrismaClient();
+  const categoryService = new CategoryService(prisma);
+
+  try {
+    const documents = await collectDocuments(prisma, categoryService);
+    const labels = [...new Set(documents.map(doc => doc.label))];
+    if (labels.length < 2) {
+      throw new Error(
+        `학습할 카테고리가 2개 이상 필요합니다 (현재: ${labels.join(', ') || '없음'})`
+      );
+    }
+
+    const train = documents.filter(doc => !isHoldout(doc.newsId, holdout));
+    const test = documents.filter(doc => isHoldout(doc.newsId, holdout));
+    console.log(`학습 ${train.length}건 / 평가 ${test.length}건`);
+
+    const compiled = compileModel(trainNaiveBayes(train));
+    const results = test.map(doc => {
+      const [top] = predictNaiveBayes(compiled, doc.counts);
+      return {
+        actual: doc.label,
+        predicted: top ? top.label : null,
+        probability: top ? top.probability : 0,
+      };
+    });
+    const confident = results.filter(
+      result => result.probability >= categoryService.minConfidence
+    );
+    const metrics = {
+      ...evaluateClassifier(results, categoryService.trainableCategories),
+      minConfidence: categoryService.minConfidence,
+      coverage: results.length ? confident.length / results.length : 0,
+      confidentAccuracy: evaluateClassifier(
+        confident,
+        categoryService.trainableCategories
+      ).accuracy,
+      holdout,
+    };
+    printMetrics(metrics);
+
+    if (dryRun) {
+      console.log('\n[dry-run] 모델을 저장하지 않았습니다.');
+      return;
+    }
+    const model = trainNaiveBayes(documents);
+    const row = await categoryService.saveModel(
+      model,
+      metrics,
+      documents.length
+    );
+    console.log(
+      `\n모델 저장 완료: model_se=${row.model_se} (학습 기사 ${row.doc_cnt}건, 어휘 ${row.vocab_cnt}개)`
+    );
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('카테고리 모델 학습 에러:', error);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview 기자(작성자) API 컨트롤러
+ * @description 바이라인에서 찾은 기자 목록과 기자별 기사 목록 요청을 처리합니다.
+ */
+
+/**
+ * 페이지 파라미터 검증
+ * @param {Object} query - req.query
+ * @returns {{page: number, limit: number}|{error: string}}
+ */
+function parsePaging(query) {
+  const page = parseInt(query.page || 1);
+  const limit = parseInt(query.limit || 20);
+  if (isNaN(page) || page < 1) {
+    return { error: '페이지 번호는 1 이상의 숫자여야 합니다.' };
+  }
+  if (isNaN(limit) || limit < 1 || limit > 100) {
+    return { error: '페이지당 항목 수는 1-100 사이의 숫자여야 합니다.' };
+  }
+  return { page, limit };
+}
+
+/**
+ * 기자 컨트롤러 클래스
+ * @class AuthorController
+ */
+class AuthorController {
+  /**
+   * AuthorController 생성자
+   * @param {Object} authorService - 기자 서비스 인스턴스
+   */
+  constructor(authorService) {
+    this.authorService = authorService;
+  }
+
+  /**
+   * 기자 목록 조회
+   * @async
+   * @function getAuthors
+   * @param {Object} req - Express 요청 객체
+   * @param {number} [req.query.page=1] - 페이지 번호
+   * @param {number} [req.query.limit=20] - 페이지당 항목 수 (최대 100)
+   * @param {string} [req.query.name] - 이름 부분 일치
+   * @param {string} [req.query.source] - 제공처
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 이름순으로 기자와 기자별 기사 수(articleCount)를 반환합니다.
+   */
+  async getAuthors(req, res) {
+    try {
+      const paging = parsePaging(req.query);
+      if (paging.error) {
+        return res.status(400).json({
+          error: paging.error,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const authors = await this.authorService.getAuthors({
+        ...paging,
+        name: req.query.name,
+        source: req.query.source,
+      });
+      res.json({
+        success: true,
+        ...authors,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('기자 목록 조회 에러:', error);
+      res.status(500).json({
+        error: '기자 목록을 가져오는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * 기자별 기사 목록 조회
+   * @async
+   * @function getAuthorNews
+   * @param {Object} req - Express 요청 객체
+   * @param {string} req.params.id - 기자 ID (author_se)
+   * @param {number} [req.query.page=1] - 페이지 번호
+   * @param {number} [req.query.limit=20] - 페이지당 항목 수 (최대 100)
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 기자 정보와 게시 시각 역순 기사 목록(기사별 바이라인 직함 role_nm 포함)을 반환합니다.
+   */
+  async getAuthorNews(req, res) {
+    try {
+      const authorId = parseInt(req.params.id);
+      if (isNaN(authorId) || authorId < 1) {
+        return res.status(400).json({
+          error: '유효한 기자 ID를 입력해주세요.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+      const paging = parsePaging(req.query);
+      if (paging.error) {
+        return res.status(400).json({
+          error: paging.error,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const result = await this.authorService.getAuthorNews(authorId, paging);
+      if (!result) {
+        return res.status(404).json({
+          error: '해당 기자를 찾을 수 없습니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+      res.json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('기자별 기사 조회 에러:', error);
+      res.status(500).json({
+        error: '기자별 기사를 가져오는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+}
+
+module.exports = AuthorController;
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview 개체명 API 컨트롤러
+ * @description 기사에서 찾은 인물/기관/지역 목록과 개체별 기사 타임라인 요청을 처리합니다.
+ */
+
+const { ENTITY_TYPES } = require('../services/entityService');
+
+/**
+ * 페이지 파라미터 검증
+ * @param {Object} query - req.query
+ * @returns {{page: number, limit: number}|{error: string}}
+ */
+function parsePaging(query) {
+  const page = parseInt(query.page || 1);
+  const limit = parseInt(query.limit || 20);
+  if (isNaN(page) || page < 1) {
+    return { error: '페이지 번호는 1 이상의 숫자여야 합니다.' };
+  }
+  if (isNaN(limit) || limit < 1 || limit > 100) {
+    return { error: '페이지당 항목 수는 1-100 사이의 숫자여야 합니다.' };
+  }
+  return { page, limit };
+}
+
+/**
+ * 개체명 컨트롤러 클래스
+ * @class EntityController
+ */
+class EntityController {
+  /**
+   * EntityController 생성자
+   * @param {Object} entityService - 개체명 서비스 인스턴스
+   */
+  constructor(entityService) {
+    this.entityService = entityService;
+  }
+
+  /**
+   * 개체 목록 조회
+   * @async
+   * @function getEntities
+   * @param {Object} req - Express 요청 객체
+   * @param {number} [req.query.page=1] - 페이지 번호
+   * @param {number} [req.query.limit=20] - 페이지당 항목 수 (최대 100)
+   * @param {string} [req.query.type] - person | organization | location
+   * @param {string} [req.query.name] - 이름 부분 일치
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 언급 기사 수(articleCount) 내림차순으로 개체와 전체 언급 횟수(mentionCount)를 반환합니다.
+   */
+  async getEntities(req, res) {
+    try {
+      const paging = parsePaging(req.query);
+      if (paging.error) {
+        return res.status(400).json({
+          error: paging.error,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      const { type } = req.query;
+      if (type && !Object.values(ENTITY_TYPES).includes(type)) {
+        return res.status(400).json({
+          error: `개체 유형은 ${Object.values(ENTITY_TYPES).join(', ')} 중 하나여야 합니다.`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const entities = await this.entityService.getEntities({
+        ...paging,
+        type,
+        name: req.query.name,
+      });
+      res.json({
+        success: true,
+        ...entities,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('개체 목록 조회 에러:', error);
+      res.status(500).json({
+        error: '개체 목록을 가져오는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * 개체 언급 기사 타임라인 조회
+   * @async
+   * @function getTimeline
+   * @param {Object} req - Express 요청 객체
+   * @param {string} req.params.id - 개체 ID (entity_se)
+   * @param {number} [req.query.page=1] - 페이지 번호
+   * @param {number} [req.query.limit=20] - 페이지당 항목 수 (최대 100)
+   * @param {string} [req.query.order=asc] - 게시 시각 정렬 (asc | desc)
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 개체 정보와 게시 시각(published_dt)순 기사 목록(기사별 언급 횟수 mention_cnt 포함)을 반환합니다.
+   */
+  async getTimeline(req, res) {
+    try {
+      const entityId = parseInt(req.params.id);
+      if (isNaN(entityId) || entityId < 1) {
+        return res.status(400).json({
+          error: '유효한 개체 ID를 입력해주세요.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+      const paging = parsePaging(req.query);
+      if (paging.error) {
+        return res.status(400).json({
+          error: paging.error,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      const order = req.query.order || 'asc';
+      if (order !== 'asc' && order !== 'desc') {
+        return res.status(400).json({
+          error: '정렬은 asc 또는 desc여야 합니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const result = await this.entityService.getTimeline(entityId, {
+        ...paging,
+        order,
+      });
+      if (!result) {
+        return res.status(404).json({
+          error: '해당 개체를 찾을 수 없습니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+      res.json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('개체 타임라인 조회 에러:', error);
+      res.status(500).json({
+        error: '개체 타임라인을 가져오는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+}
+
+module.exports = EntityController;
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview 미러링 미디어 API 컨트롤러
+ * @description 내용 해시로 저장한 기사 이미지(원본/썸네일)를 제공합니다.
+ * 같은 해시의 내용은 바뀌지 않으므로 1년 immutable 캐시 헤더를 붙입니다.
+ */
+
+/**
+ * 미디어 해시 형식 (SHA-256 hex)
+ * @type {RegExp}
+ */
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * 미디어 응답 캐시 헤더
+ * @type {string}
+ */
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * 미디어 컨트롤러 클래스
+ * @class MediaController
+ */
+class MediaController {
+  /**
+   * MediaController 생성자
+   * @param {Object} mediaService - 미디어 서비스 인스턴스
+   * @param {Object} storage - 미디어 저장소 (stat / createReadStream 구현)
+   */
+  constructor(mediaService, storage) {
+    this.mediaService = mediaService;
+    this.storage = storage;
+  }
+
+  /**
+   * 미러링 이미지 제공
+   * @async
+   * @function getMedia
+   * @param {Object} req - Express 요청 객체 (params.hash, query.variant)
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description `?variant=thumb`이면 WebP 썸네일을, 아니면 원본을 스트리밍합니다.
+   * ETag가 같으면(If-None-Match) 304로 응답합니다.
+   */
+  async getMedia(req, res) {
+    try {
+      const { hash } = req.params;
+      if (!HASH_PATTERN.test(hash)) {
+        return res.status(400).json({
+          error: '유효한 미디어 해시를 입력해주세요.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const thumb = req.query.variant === 'thumb';
+      const asset = await this.mediaService.getAsset(hash);
+      const key = asset && (thumb ? asset.thumb_key_nm : asset.storage_key_nm);
+      const stat = key ? await this.storage.stat(key) : null;
+      if (!stat) {
+        return res.status(404).json({
+          error: '해당 미디어를 찾을 수 없습니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const etag = `"${hash}${thumb ? '-thumb' : ''}"`;
+      res.set({
+        'Cache-Control': CACHE_CONTROL,
+        ETag: etag,
+      });
+      if (req.get('If-None-Match') === etag) {
+        return res.status(304).end();
+      }
+
+      res.set({
+        'Content-Type': thumb ? 'image/webp' : asset.mime_cd,
+        'Content-Length': String(stat.size),
+        'X-Content-Type-Options': 'nosniff',
+      });
+      const stream = this.storage.createReadStream(key);
+      stream.on('error', error => {
+        console.error('미디어 전송 에러:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error('미디어 조회 에러:', error);
+      res.status(500).json({
+        error: '미디어를 가져오는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+}
+
+module.exports = MediaController;
@@ -11,11 +11,15 @@ class NewsController {
   /**
    * NewsController 생성자
    * @param {Object} newsService - 뉴스 서비스 인스턴스
-   * @param {Object} newsCrawler - 뉴스 크롤러 인스턴스
+   * @param {Object} crawlerRegistry - 크롤러 레지스트리 인스턴스
+   * @param {Object} crawlJobService - 크롤링 작업 큐 서비스 인스턴스
+   * @param {Object} clusterService - 유사 기사 묶음 서비스 인스턴스
    */
-  constructor(newsService, newsCrawler) {
+  constructor(newsService, crawlerRegistry, crawlJobService, clusterService) {
     this.newsService = newsService;
-    this.newsCrawler = newsCrawler;
+    this.crawlerRegistry = crawlerRegistry;
+    this.crawlJobService = crawlJobService;
+    this.clusterService = clusterService;
   }
 
   /**
@@ -47,23 +51,138 @@ class NewsController {
             parameters: {
               page: '페이지 번호 (기본값: 1)',
               limit: '페이지당 항목 수 (기본값: 20)',
-              category: '카테고리 필터 (선택사항)',
+              category:
+                '카테고리 필터 (대표 카테고리, 별칭은 대표 카테고리로, 선택사항)',
+              tag: '태그 필터 (대소문자/공백/별칭 무시, 선택사항)',
+              collapse:
+                'cluster 지정 시 유사 기사 묶음마다 대표 기사만 (선택사항)',
             },
           },
+          cluster: {
+            path: '/api/clusters/:id',
+            method: 'GET',
+            description: '유사 기사 묶음 조회 (언론사별 판 목록)',
+          },
           crawl: {
             path: '/api/crawl',
             method: 'POST',
             description: '수동 크롤링 실행',
+            parameters: {
+              source: '크롤러 이름 (선택사항, 미지정 시 활성화된 전체 소스)',
+            },
           },
           crawlLogs: {
             path: '/api/crawl/logs',
             method: 'GET',
             description: '크롤링 로그 조회',
+            parameters: {
+              limit: '조회할 로그 수 (기본값: 50)',
+              source: '크롤러 이름 필터 (선택사항)',
+            },
+          },
+          crawlJobs: {
+            path: '/api/crawl/jobs',
+            method: 'GET',
+            description: '크롤링 작업 큐 조회 (상태/유형별 집계 포함)',
+            parameters: {
+              status: 'pending | running | done | failed (선택사항)',
+              type: 'list | detail | recrawl | media (선택사항)',
+              source: '크롤러 이름 필터 (선택사항)',
+              limit: '조회할 작업 수 (기본값: 50)',
+            },
+          },
+          revisions: {
+            path: '/api/news/:id/revisions',
+            method: 'GET',
+            description: '기사 제목/본문 변경 이력 (버전별 diff)',
+            parameters: {
+              content: 'true 지정 시 버전별 본문 전체 포함 (선택사항)',
+            },
+          },
+          recrawl: {
+            path: '/api/news/:id/recrawl',
+            method: 'POST',
+            description: '기사 상세 재수집 작업 등록',
+          },
+          media: {
+            path: '/media/:hash',
+            method: 'GET',
+            description: '미러링한 기사 이미지 (IMAGE_MIRROR_ENABLED=true)',
+            parameters: {
+              variant: 'thumb 지정 시 고정 크기 썸네일 (선택사항)',
+            },
+          },
+          tags: {
+            path: '/api/tags',
+            method: 'GET',
+            description: '태그 목록 (기사 수 내림차순)',
+            parameters: {
+              page: '페이지 번호 (기본값: 1)',
+              limit: '페이지당 항목 수 (기본값: 50, 최대: 100)',
+              name: '이름 부분 일치 (선택사항)',
+            },
+          },
+          tagNews: {
+            path: '/api/tags/:tag/news',
+            method: 'GET',
+            description: '태그별 기사 목록 (게시 시각 역순)',
+          },
+          entities: {
+            path: '/api/entities',
+            method: 'GET',
+            description: '기사에 언급된 인물/기관/지역 (언급 기사 수 내림차순)',
+            parameters: {
+              page: '페이지 번호 (기본값: 1)',
+              limit: '페이지당 항목 수 (기본값: 20, 최대: 100)',
+              type: 'person | organization | location (선택사항)',
+              name: '이름 부분 일치 (선택사항)',
+            },
+          },
+          entityTimeline: {
+            path: '/api/entities/:id/timeline',
+            method: 'GET',
+            description:
+              '개체를 언급한 기사 타임라인 (게시 시각순, 기사별 언급 횟수)',
+            parameters: {
+              order: 'asc(기본값) | desc',
+            },
+          },
+          authors: {
+            path: '/api/authors',
+            method: 'GET',
+            description: '바이라인에서 찾은 기자 목록 (기자별 기사 수 포함)',
+            parameters: {
+              page: '페이지 번호 (기본값: 1)',
+              limit: '페이지당 항목 수 (기본값: 20, 최대: 100)',
+              name: '이름 부분 일치 (선택사항)',
+              source: '제공처 (선택사항)',
+            },
+          },
+          authorNews: {
+            path: '/api/authors/:id/news',
+            method: 'GET',
+            description: '기자별 기사 목록 (게시 시각 역순)',
+          },
+          providers: {
+            path: '/api/providers',
+            method: 'GET | POST',
+            description:
+              '제공처(언론사) 목록 조회/등록 (PATCH /api/providers/:id 로 별칭 추가 등 수정)',
+          },
+          providerCandidates: {
+            path: '/api/providers/candidates',
+            method: 'GET',
+            description:
+              '크롤러가 찾은 미등록 제공처 후보 (DELETE /api/providers/candidates/:id 로 제외)',
+            parameters: {
+              status: 'pending | ignored | registered (기본값: pending)',
+              limit: '조회할 후보 수 (기본값: 100, 최대: 200)',
+            },
           },
           stats: {
             path: '/api/stats',
             method: 'GET',
-            description: '뉴스 통계 조회',
+            description: '뉴스 통계 조회 (소스별 집계 포함)',
           },
         },
         timestamp: new Date().toISOString(),
@@ -117,15 +236,25 @@ class NewsController {
    * @param {number} [req.query.page=1] - 페이지 번호
    * @param {number} [req.query.limit=20] - 페이지당 항목 수
    * @param {string} [req.query.category] - 카테고리 필터
+   * @param {string} [req.query.tag] - 태그 필터
    * @param {string} [req.query.startDate] - 시작 날짜 필터
    * @param {string} [req.query.endDate] - 종료 날짜 필터
+   * @param {string} [req.query.collapse] - 'cluster'이면 유사 기사 묶음마다 대표 기사만 반환
    * @param {Object} res - Express 응답 객체
    * @returns {Promise<void>}
    * @description 저장된 뉴스 목록을 페이징과 필터링 옵션과 함께 조회합니다.
    */
   async getNews(req, res) {
     try {
-      const { page = 1, limit = 20, category, startDate, endDate } = req.query;
+      const {
+        page = 1,
+        limit = 20,
+        category,
+        tag,
+        startDate,
+        endDate,
+        collapse,
+      } = req.query;
 
       // 파라미터 유효성 검사
       const pageNum = parseInt(page);
@@ -145,12 +274,21 @@ class NewsController {
         });
       }
 
+      if (collapse !== undefined && collapse !== 'cluster') {
+        return res.status(400).json({
+          error: "collapse는 'cluster'만 지정할 수 있습니다.",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
       const news = await this.newsService.getNews({
         page: pageNum,
         limit: limitNum,
         category,
+        tag,
         startDate,
         endDate,
+        collapse,
       });
 
       res.json({
@@ -177,7 +315,7 @@ class NewsController {
    * @param {string} req.params.id - 뉴스 ID
    * @param {Object} res - Express 응답 객체
    * @returns {Promise<void>}
-   * @description 특정 뉴스의 상세 정보를 조회합니다.
+   * @description 특정 뉴스의 상세 정보를 조회합니다. 본문 이미지는 `images` 배열(순서/캡션/크기)로 반환하고, 수집 시점별 조회/좋아요/댓글 수는 `metrics` 배열로 반환합니다.
    */
   async getNewsDetail(req, res) {
     try {
@@ -221,21 +359,38 @@ class NewsController {
    * @async
    * @function executeCrawling
    * @param {Object} req - Express 요청 객체
+   * @param {string} [req.body.source] - 실행할 크롤러 이름 (query로도 전달 가능)
    * @param {Object} res - Express 응답 객체
    * @returns {Promise<void>}
-   * @description 네이버 뉴스 크롤링을 수동으로 실행합니다.
+   * @description 지정한 소스 또는 활성화된 전체 소스의 크롤링을 수동으로 실행합니다.
    */
   async executeCrawling(req, res) {
     try {
-      console.log('🚀 수동 크롤링 실행 요청:', new Date().toISOString());
+      const source = (req.body && req.body.source) || req.query.source;
+      console.log(
+        '🚀 수동 크롤링 실행 요청:',
+        source || '전체 소스',
+        new Date().toISOString()
+      );
+
+      if (source && !this.crawlerRegistry.has(source)) {
+        return res.status(400).json({
+          error: `등록되지 않은 소스입니다: ${source}`,
+          availableSources: this.crawlerRegistry.getNames(),
+          timestamp: new Date().toISOString(),
+        });
+      }
 
-      const result = await this.newsCrawler.crawlNews();
+      const results = source
+        ? [await this.crawlerRegistry.run(source)]
+        : await this.crawlerRegistry.runAll();
 
       res.json({
-        success: true,
-        message: '크롤링이 성공적으로 완료되었습니다.',
+        success: results.every(result => result.success),
+        message: '크롤링이 완료되었습니다.',
         result: {
-          itemCount: result.itemCount,
+          itemCount: results.reduce((sum, r) => sum + (r.itemCount || 0), 0),
+          sources: results,
           timestamp: new Date().toISOString(),
         },
       });
@@ -250,6 +405,206 @@ class NewsController {
     }
   }
 
+  /**
+   * 기사 버전 이력 조회
+   * @async
+   * @function getNewsRevisions
+   * @param {Object} req - Express 요청 객체
+   * @param {string} req.params.id - 뉴스 ID
+   * @param {string} [req.query.content] - 'true'이면 버전별 본문 전체 포함
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 재수집에서 감지한 제목/본문 변경 이력을 버전 순으로 반환합니다.
+   * 변경이 한 번도 없었던 기사는 빈 배열을 반환합니다.
+   */
+  async getNewsRevisions(req, res) {
+    try {
+      const newsId = parseInt(req.params.id);
+      if (isNaN(newsId) || newsId < 1) {
+        return res.status(400).json({
+          error: '유효한 뉴스 ID를 입력해주세요.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const news = await this.newsService.getMainNewsById(newsId);
+      if (!news) {
+        return res.status(404).json({
+          error: '해당 뉴스를 찾을 수 없습니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const revisions = await this.newsService.getNewsRevisions(newsId, {
+        includeContent: req.query.content === 'true',
+      });
+      res.json({
+        success: true,
+        data: revisions,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('기사 버전 이력 조회 에러:', error);
+      res.status(500).json({
+        error: '기사 버전 이력을 가져오는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * 유사 기사 묶음 조회
+   * @async
+   * @function getCluster
+   * @param {Object} req - Express 요청 객체
+   * @param {string} req.params.id - 묶음 ID (cluster_se)
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 같은 기사로 판정된 언론사별 판을 게시 시각 순으로 반환합니다. 대표 기사는 cluster_rep_yn이 true입니다.
+   */
+  async getCluster(req, res) {
+    try {
+      const clusterId = parseInt(req.params.id);
+      if (isNaN(clusterId) || clusterId < 1) {
+        return res.status(400).json({
+          error: '유효한 묶음 ID를 입력해주세요.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const cluster = await this.clusterService.getCluster(clusterId);
+      if (!cluster) {
+        return res.status(404).json({
+          error: '해당 묶음을 찾을 수 없습니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        success: true,
+        data: cluster,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('유사 기사 묶음 조회 에러:', error);
+      res.status(500).json({
+        error: '유사 기사 묶음을 가져오는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * 기사 상세 재수집 요청
+   * @async
+   * @function requestRecrawl
+   * @param {Object} req - Express 요청 객체
+   * @param {string} req.params.id - 뉴스 ID
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 기사를 수집한 크롤러로 상세를 다시 수집하는 recrawl 작업을 작업 큐에 등록합니다.
+   */
+  async requestRecrawl(req, res) {
+    try {
+      const newsId = parseInt(req.params.id);
+      if (isNaN(newsId) || newsId < 1) {
+        return res.status(400).json({
+          error: '유효한 뉴스 ID를 입력해주세요.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const news = await this.newsService.getMainNewsById(newsId);
+      if (!news) {
+        return res.status(404).json({
+          error: '해당 뉴스를 찾을 수 없습니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+      if (!news.crawler_nm || !this.crawlerRegistry.has(news.crawler_nm)) {
+        return res.status(409).json({
+          error: `재수집할 수 있는 크롤러가 없습니다: ${news.crawler_nm || '미상'}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const job = await this.crawlJobService.enqueue({
+        type: 'recrawl',
+        crawlerName: news.crawler_nm,
+        url: news.url_lk,
+        newsId,
+      });
+
+      res.status(job ? 202 : 200).json({
+        success: true,
+        message: job
+          ? '재수집 작업이 등록되었습니다.'
+          : '이미 대기 중인 재수집 작업이 있습니다.',
+        data: job,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('재수집 요청 에러:', error);
+      res.status(500).json({
+        error: '재수집 작업을 등록하는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * 크롤링 작업 큐 조회
+   * @async
+   * @function getCrawlJobs
+   * @param {Object} req - Express 요청 객체
+   * @param {Object} req.query - 쿼리 파라미터 (status, type, source, limit)
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 대기/실행/완료/실패 작업 목록과 상태·유형별 작업 수를 조회합니다.
+   */
+  async getCrawlJobs(req, res) {
+    try {
+      const { status, type, source, limit = 50 } = req.query;
+      const limitNum = parseInt(limit);
+
+      if (isNaN(limitNum) || limitNum < 1 || limitNum > 200) {
+        return res.status(400).json({
+          error: '조회할 작업 수는 1-200 사이의 숫자여야 합니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const crawler = source ? this.crawlerRegistry.get(source) : null;
+      const [jobs, counts] = await Promise.all([
+        this.crawlJobService.getJobs({
+          status,
+          type,
+          crawlerName: crawler ? crawler.getName() : source || null,
+          limit: limitNum,
+        }),
+        this.crawlJobService.getJobCounts(),
+      ]);
+
+      res.json({
+        success: true,
+        data: jobs,
+        count: jobs.length,
+        counts,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('크롤링 작업 조회 에러:', error);
+      res.status(500).json({
+        error: '크롤링 작업을 가져오는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
   /**
    * 크롤링 로그 조회
    * @async
@@ -257,13 +612,14 @@ class NewsController {
    * @param {Object} req - Express 요청 객체
    * @param {Object} req.query - 쿼리 파라미터
    * @param {number} [req.query.limit=50] - 조회할 로그 수
+   * @param {string} [req.query.source] - 크롤러 이름 필터
    * @param {Object} res - Express 응답 객체
    * @returns {Promise<void>}
    * @description 크롤링 작업의 이력과 상태를 조회합니다.
    */
   async getCrawlLogs(req, res) {
     try {
-      const { limit = 50 } = req.query;
+      const { limit = 50, source } = req.query;
       const limitNum = parseInt(limit);
 
       if (isNaN(limitNum) || limitNum < 1 || limitNum > 200) {
@@ -273,7 +629,10 @@ class NewsController {
         });
       }
 
-      const logs = await this.newsService.getCrawlLogs(limitNum);
+      // 등록된 소스면 대소문자를 정규화한 이름으로 조회
+      const crawler = source ? this.crawlerRegistry.get(source) : null;
+      const sourceName = crawler ? crawler.getName() : source || null;
+      const logs = await this.newsService.getCrawlLogs(limitNum, sourceName);
 
       res.json({
         success: true,
@@ -298,15 +657,35 @@ class NewsController {
    * @param {Object} req - Express 요청 객체
    * @param {Object} res - Express 응답 객체
    * @returns {Promise<void>}
-   * @description 뉴스 데이터베이스의 통계 정보를 조회합니다.
+   * @description 뉴스 데이터베이스의 통계 정보를 소스별 집계와 함께 조회합니다.
    */
   async getNewsStats(req, res) {
     try {
       const stats = await this.newsService.getNewsStats();
+      const registered = this.crawlerRegistry.describe();
+
+      // 등록된 소스 설정(활성화/스케줄)과 DB 집계 병합
+      const statBySource = new Map(
+        stats.sourceStats.map(stat => [stat.source, stat])
+      );
+      const sourceStats = registered.map(source => ({
+        ...source,
+        ...(statBySource.get(source.name) || {
+          newsCount: 0,
+          crawls: {},
+          lastCrawlAt: null,
+        }),
+      }));
+      // 등록 해제되었지만 DB에 남은 소스
+      stats.sourceStats.forEach(stat => {
+        if (!registered.some(source => source.name === stat.source)) {
+          sourceStats.push({ name: stat.source, enabled: false, ...stat });
+        }
+      });
 
       res.json({
         success: true,
-        data: stats,
+        data: { ...stats, sourceStats },
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview 제공처(언론사) 관리 API 컨트롤러
+ * @description 제공처 등록/수정과 미등록 제공처 후보 검토 요청을 처리합니다.
+ */
+
+const { PROVIDER_TYPES } = require('../services/providerService');
+
+/**
+ * 제공처 에러 코드 → HTTP 상태
+ * @type {Object<string, number>}
+ */
+const ERROR_STATUS = {
+  INVALID_PROVIDER: 400,
+  PROVIDER_NOT_FOUND: 404,
+  PROVIDER_CONFLICT: 409,
+};
+
+/**
+ * 제공처 컨트롤러 클래스
+ * @class ProviderController
+ */
+class ProviderController {
+  /**
+   * ProviderController 생성자
+   * @param {Object} providerService - 제공처 서비스 인스턴스
+   * @param {Object} providerRegistry - 크롤러가 쓰는 제공처 레지스트리 (변경 후 즉시 갱신)
+   */
+  constructor(providerService, providerRegistry) {
+    this.providerService = providerService;
+    this.providerRegistry = providerRegistry;
+  }
+
+  /**
+   * 서비스 에러 응답 (입력 오류/중복/없음은 4xx, 나머지는 500)
+   * @param {Object} res - Express 응답 객체
+   * @param {Error} error
+   * @param {string} message - 500 응답 메시지
+   */
+  sendError(res, error, message) {
+    const status = ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: `${message} 중 오류가 발생했습니다.`,
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * 제공처 목록 조회
+   * @async
+   * @function getProviders
+   * @param {Object} req - Express 요청 객체
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 사용 중지된 제공처를 포함한 전체 목록과 사용 가능한 유형을 반환합니다.
+   */
+  async getProviders(req, res) {
+    try {
+      const providers = await this.providerService.listProviders();
+      res.json({
+        success: true,
+        data: providers,
+        types: PROVIDER_TYPES,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(res, error, '제공처 목록 조회');
+    }
+  }
+
+  /**
+   * 제공처 등록
+   * @async
+   * @function createProvider
+   * @param {Object} req - Express 요청 객체
+   * @param {Object} req.body - { name, aliases?, domain?, type, active? }
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 등록 후 크롤러 레지스트리를 즉시 갱신하고, 같은 이름의 검토 대기 후보를 등록됨으로 바꿉니다.
+   */
+  async createProvider(req, res) {
+    try {
+      const provider = await this.providerService.createProvider(req.body);
+      await this.providerRegistry.refresh();
+      res.status(201).json({
+        success: true,
+        data: provider,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(res, error, '제공처 등록');
+    }
+  }
+
+  /**
+   * 제공처 수정
+   * @async
+   * @function updateProvider
+   * @param {Object} req - Express 요청 객체
+   * @param {string} req.params.id - 제공처 ID
+   * @param {Object} req.body - 바꿀 필드 (name, aliases, domain, type, active)
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 후보를 기존 제공처의 별칭으로 추가할 때도 사용합니다.
+   */
+  async updateProvider(req, res) {
+    try {
+      const providerId = parseInt(req.params.id);
+      if (isNaN(providerId) || providerId < 1) {
+        return res.status(400).json({
+          error: '유효한 제공처 ID를 입력해주세요.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const provider = await this.providerService.updateProvider(
+        providerId,
+        req.body
+      );
+      await this.providerRegistry.refresh();
+      res.json({
+        success: true,
+        data: provider,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(res, error, '제공처 수정');
+    }
+  }
+
+  /**
+   * 미등록 제공처 후보 조회
+   * @async
+   * @function getCandidates
+   * @param {Object} req - Express 요청 객체
+   * @param {string} [req.query.status] - pending(기본) | ignored | registered
+   * @param {number} [req.query.limit=100] - 최대 200
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 크롤러가 리드/언론사 표기에서 찾았지만 등록되지 않은 이름을 발견 횟수 순으로 반환합니다.
+   */
+  async getCandidates(req, res) {
+    try {
+      const limit = parseInt(req.query.limit) || 100;
+      if (limit < 1 || limit > 200) {
+        return res.status(400).json({
+          error: 'limit은 1-200 사이의 숫자여야 합니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const candidates = await this.providerService.listCandidates({
+        status: req.query.status,
+        limit,
+      });
+      res.json({
+        success: true,
+        data: candidates,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(res, error, '제공처 후보 조회');
+    }
+  }
+
+  /**
+   * 제공처 후보 제외
+   * @async
+   * @function ignoreCandidate
+   * @param {Object} req - Express 요청 객체
+   * @param {string} req.params.id - 후보 ID
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 제공처가 아닌 이름(지역명 등)을 검토 목록에서 제외합니다.
+   */
+  async ignoreCandidate(req, res) {
+    try {
+      const candidateId = parseInt(req.params.id);
+      if (isNaN(candidateId) || candidateId < 1) {
+        return res.status(400).json({
+          error: '유효한 후보 ID를 입력해주세요.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const ignored = await this.providerService.ignoreCandidate(candidateId);
+      if (!ignored) {
+        return res.status(404).json({
+          error: '해당 후보를 찾을 수 없습니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+      res.json({
+        success: true,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(res, error, '제공처 후보 제외');
+    }
+  }
+}
+
+module.exports = ProviderController;
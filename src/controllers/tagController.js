@@ -0,0 +1,129 @@
+/**
+ * @fileoverview 태그 API 컨트롤러
+ * @description 정규화된 태그 목록과 태그별 기사 목록 요청을 처리합니다.
+ */
+
+/**
+ * 태그 컨트롤러 클래스
+ * @class TagController
+ */
+class TagController {
+  /**
+   * TagController 생성자
+   * @param {Object} tagService - 태그 서비스 인스턴스
+   * @param {Object} newsService - 뉴스 서비스 인스턴스 (태그별 기사 목록)
+   */
+  constructor(tagService, newsService) {
+    this.tagService = tagService;
+    this.newsService = newsService;
+  }
+
+  /**
+   * 태그 목록 조회
+   * @async
+   * @function getTags
+   * @param {Object} req - Express 요청 객체
+   * @param {number} [req.query.page=1] - 페이지 번호
+   * @param {number} [req.query.limit=50] - 페이지당 항목 수 (최대 100)
+   * @param {string} [req.query.name] - 이름 부분 일치
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 기사가 연결된 태그를 기사 수(articleCount) 내림차순으로 반환합니다.
+   */
+  async getTags(req, res) {
+    try {
+      const pageNum = parseInt(req.query.page || 1);
+      const limitNum = parseInt(req.query.limit || 50);
+      if (isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({
+          error: '페이지 번호는 1 이상의 숫자여야 합니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+      if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+        return res.status(400).json({
+          error: '페이지당 항목 수는 1-100 사이의 숫자여야 합니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const tags = await this.tagService.getTags({
+        page: pageNum,
+        limit: limitNum,
+        name: req.query.name,
+      });
+      res.json({
+        success: true,
+        ...tags,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('태그 목록 조회 에러:', error);
+      res.status(500).json({
+        error: '태그 목록을 가져오는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * 태그별 기사 목록 조회
+   * @async
+   * @function getTagNews
+   * @param {Object} req - Express 요청 객체
+   * @param {string} req.params.tag - 태그 이름 (대소문자/공백/별칭 무시)
+   * @param {number} [req.query.page=1] - 페이지 번호
+   * @param {number} [req.query.limit=20] - 페이지당 항목 수 (최대 100)
+   * @param {Object} res - Express 응답 객체
+   * @returns {Promise<void>}
+   * @description 태그 정보와 게시 시각 역순 기사 목록을 반환합니다 (/api/news?tag= 와 같은 목록).
+   */
+  async getTagNews(req, res) {
+    try {
+      const pageNum = parseInt(req.query.page || 1);
+      const limitNum = parseInt(req.query.limit || 20);
+      if (isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({
+          error: '페이지 번호는 1 이상의 숫자여야 합니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+      if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+        return res.status(400).json({
+          error: '페이지당 항목 수는 1-100 사이의 숫자여야 합니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const tag = await this.tagService.findTag(req.params.tag);
+      if (!tag) {
+        return res.status(404).json({
+          error: '해당 태그를 찾을 수 없습니다.',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const news = await this.newsService.getNews({
+        page: pageNum,
+        limit: limitNum,
+        tag: tag.name,
+      });
+      res.json({
+        success: true,
+        tag,
+        ...news,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('태그별 기사 조회 에러:', error);
+      res.status(500).json({
+        error: '태그별 기사를 가져오는 중 오류가 발생했습니다.',
+        details: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+}
+
+module.exports = TagController;
@@ -3,8 +3,38 @@
  * @description 모든 뉴스 크롤러가 상속받을 기본 클래스
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
 const axios = require('axios');
 const NodeCache = require('node-cache');
+const RobotsPolicy = require('./RobotsPolicy');
+const RequestScheduler = require('./RequestScheduler');
+const RetryPolicy = require('./RetryPolicy');
+const HttpFixtureStore = require('./HttpFixtureStore');
+const ContentExtractor = require('../extractor/ContentExtractor');
+const { extractTimestamps } = require('../extractor/timestampExtractor');
+const { extractMetrics } = require('../extractor/metricExtractor');
+const {
+  parseBylines,
+  parseContentBylines,
+  mergeAuthors,
+} = require('../extractor/bylineExtractor');
+const { toKstStoredTime } = require('../utils/commonUtils');
+const {
+  canonicalizeUrl,
+  resolveCanonicalLink,
+} = require('../utils/urlCanonicalizer');
+const { JOB_TYPES } = require('../services/crawlJobService');
+const ProviderRegistry = require('./ProviderRegistry');
+
+/**
+ * 기본 봇 User-Agent (CRAWLER_USER_AGENT 미지정 시)
+ * 첫 제품 토큰(NewsCrawlerBot)이 robots.txt User-agent 매칭에 사용됩니다.
+ * @type {string}
+ */
+const DEFAULT_USER_AGENT = `NewsCrawlerBot/1.0 (+${
+  process.env.CRAWLER_CONTACT_URL ||
+  'https://github.com/j3y3h0/nodejs-news-crawler'
+})`;
 
 /**
  * 기본 크롤러 추상 클래스
@@ -29,6 +59,13 @@ class BaseCrawler {
       stdTTL: parseInt(process.env.CACHE_TTL_SECONDS) || 3600,
     });
 
+    /**
+     * 봇 User-Agent (연락처 URL 포함)
+     * @type {string}
+     */
+    this.userAgent =
+      options.userAgent || process.env.CRAWLER_USER_AGENT || DEFAULT_USER_AGENT;
+
     /**
      * HTTP 클라이언트 인스턴스
      * @type {axios.AxiosInstance}
@@ -36,28 +73,490 @@ class BaseCrawler {
     this.httpClient = axios.create({
       timeout: parseInt(process.env.CRAWL_TIMEOUT_MS) || 30000,
       headers: {
-        'User-Agent':
-          options.userAgent ||
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'User-Agent': this.userAgent,
         ...options.headers,
       },
     });
 
+    /**
+     * HTTP 픽스처 기록/재생 (HTTP_FIXTURE_MODE=record|replay 일 때 httpClient에 연결)
+     * @type {HttpFixtureStore}
+     */
+    this.fixtureStore = options.fixtureStore || new HttpFixtureStore();
+    this.fixtureStore.attach(this.httpClient);
+
+    /**
+     * robots.txt 정책 (ROBOTS_TXT_ENABLED=false 이면 비활성화)
+     * @type {RobotsPolicy|null}
+     */
+    this.robotsPolicy =
+      process.env.ROBOTS_TXT_ENABLED === 'false'
+        ? null
+        : new RobotsPolicy({
+            httpClient: this.httpClient,
+            userAgent: this.userAgent,
+          });
+
+    /**
+     * 요청 스케줄러 (기본: 전체 크롤러 공용 인스턴스)
+     * @type {RequestScheduler}
+     */
+    this.scheduler = options.scheduler || RequestScheduler.shared();
+
+    /**
+     * 요청 재시도 정책
+     * @type {RetryPolicy}
+     */
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+
+    /**
+     * 현재 실행 통계 (crawlNews / 작업 큐 작업 시작 시 초기화)
+     * @type {{robotsDisallowed: Array<{url: string, rule: string|null}>, fetchAttempts: Array<Object>, listings: {fetched: number, unchanged: Array<string>}, pagination: Array<Object>}}
+     */
+    this.runStats = this.createRunStats();
+
+    /**
+     * crawlNews 진행 여부 (진행 중에는 작업이 실행 통계를 초기화하지 않음)
+     * @type {boolean}
+     */
+    this.crawling = false;
+
+    /**
+     * 실행별 목록 수집 상태 (crawlNews / 목록 작업마다 별도, 동시 실행 간 공유하지 않음)
+     * @type {AsyncLocalStorage<{validators: Map<string, {etag: string|null, lastModified: string|null}>, failedListings: Set<string>}>}
+     */
+    this.listingRuns = new AsyncLocalStorage();
+
     /**
      * 크롤러 이름
      * @type {string}
      */
     this.crawlerName = options.name || 'BaseCrawler';
+
+    /**
+     * 카테고리 URL 목록 (하위 클래스에서 설정)
+     * @type {Array<{url: string, category: string}>}
+     */
+    this.categories = options.categories || [];
+
+    /**
+     * URL 정규화 시 추가로 제거할 쿼리 파라미터 (기본 추적 파라미터 외 사이트별 항목)
+     * @type {Array<string>}
+     */
+    this.stripParams = options.stripParams || [];
+
+    /**
+     * 영속 작업 큐 (설정 시 상세/재시도 작업을 crawl_job 테이블에 등록)
+     * @type {Object|null}
+     */
+    this.jobQueue = options.jobQueue || null;
+
+    /**
+     * 이미지 미러 (설정 시 상세 저장 후 기사 이미지를 로컬 저장소로 복제)
+     * @type {Object|null}
+     */
+    this.imageMirror = options.imageMirror || null;
+
+    /**
+     * 제공처(언론사) 레지스트리 (기본: config/providers.json 목록, DB 연결은 useProviderRegistry)
+     * @type {ProviderRegistry}
+     */
+    this.providerRegistry = options.providerRegistry || new ProviderRegistry();
   }
 
   /**
-   * 뉴스 크롤링 메인 메서드
-   * @abstract
+   * 영속 작업 큐 연결
+   * @param {Object} jobQueue - CrawlJobService 인스턴스
+   * @description 연결하면 상세 크롤링과 실패한 목록 재시도가 메모리 대신 crawl_job 작업으로 등록되어
+   * 재시작/배포 중에도 유실되지 않고 CrawlWorker가 처리합니다.
+   */
+  useJobQueue(jobQueue) {
+    this.jobQueue = jobQueue;
+  }
+
+  /**
+   * 이미지 미러 연결
+   * @param {Object} imageMirror - ImageMirror 인스턴스
+   * @description 연결하면 상세 저장 후 대표/본문 이미지를 내려받아 저장소에 복제합니다
+   * (작업 큐가 있으면 media 작업으로 등록).
+   */
+  useImageMirror(imageMirror) {
+    this.imageMirror = imageMirror;
+  }
+
+  /**
+   * 제공처 레지스트리 연결
+   * @param {ProviderRegistry} providerRegistry - news_provider 테이블과 연결된 레지스트리
+   * @description 연결하면 제목 prefix 정리/제공처 추론이 관리 API로 등록한 제공처를 사용하고,
+   * 등록되지 않은 제공처 이름은 검토 후보로 기록됩니다.
+   */
+  useProviderRegistry(providerRegistry) {
+    this.providerRegistry = providerRegistry;
+  }
+
+  /**
+   * 제공처 이름을 대표 이름으로 변환
+   * @param {string} name - 페이지에서 찾은 제공처 이름
+   * @param {string} url - 기사 URL (미등록 후보 보고용)
+   * @returns {string|null} 등록된 제공처면 대표 이름, 아니면 null (후보로 보고)
+   */
+  resolveProvider(name, url) {
+    const provider = this.providerRegistry.resolve(name);
+    if (provider) return provider.name;
+    this.providerRegistry.reportUnknown(name, {
+      crawlerName: this.getName(),
+      url,
+    });
+    return null;
+  }
+
+  /**
+   * 뉴스 크롤링 메인 메서드 (템플릿 메서드)
    * @async
-   * @returns {Promise<Object>} 크롤링 결과
+   * @returns {Promise<{success:boolean, itemCount:number}>} 크롤링 결과
+   * @description 기사 목록 수집 → 신규 URL 필터 → 메인 저장 → 상세 저장(작업 큐 연결 시 상세 작업 등록) → 상세 백필 순서로 진행합니다.
+   * 소스별 차이는 `collectArticles()` / `crawlCategoryNews()` / `crawlNewsDetail()` 구현으로 처리합니다.
    */
   async crawlNews() {
-    throw new Error('crawlNews() 메서드는 반드시 구현되어야 합니다.');
+    const logId = await this.newsService.createCrawlLog(
+      'started',
+      null,
+      this.getName()
+    );
+    let itemCount = 0;
+    this.runStats = this.createRunStats();
+    this.crawling = true;
+
+    try {
+      console.log(`[${this.getName()}] 크롤링 시작...`);
+
+      itemCount = await this.runListing(async () => {
+        const allArticles = await this.collectArticles();
+        return this.saveArticles(allArticles);
+      });
+
+      const { listings } = this.runStats;
+      const allUnchanged =
+        listings.fetched > 0 && listings.unchanged.length === listings.fetched;
+      await this.newsService.updateCrawlLog(
+        logId,
+        allUnchanged && !itemCount ? 'unchanged' : 'success',
+        `${itemCount}개 뉴스 수집 완료${this.summarizeRunStats()}`,
+        itemCount,
+        this.runStats
+      );
+      console.log(`[${this.getName()}] 완료: ${itemCount}개 저장`);
+
+      // 추가: 기존 메인 뉴스 중 상세 미존재 레코드 백필
+      await this.backfillDetails();
+
+      return { success: true, itemCount };
+    } catch (error) {
+      console.error(`[${this.getName()}] 크롤링 에러:`, error);
+      await this.newsService.updateCrawlLog(
+        logId,
+        'error',
+        error.message,
+        itemCount,
+        this.runStats
+      );
+      throw error;
+    } finally {
+      this.crawling = false;
+    }
+  }
+
+  /**
+   * 기사 목록 저장 및 상세 수집
+   * @async
+   * @param {Array} articles - 수집된 기사 배열
+   * @returns {Promise<number>} 새로 저장된 메인 뉴스 수
+   * @description 중복/robots.txt 비허용 기사를 제외하고 메인 뉴스를 저장합니다.
+   * 작업 큐가 연결되어 있으면 상세 작업을 등록하고, 없으면 상세를 바로 수집해 완료까지 기다립니다.
+   * 기사의 detailPayload(목록/피드에서만 얻을 수 있는 정보)는 상세 작업 payload로 저장해 crawlNewsDetail에 넘깁니다.
+   * 메인 저장에 실패한 기사의 목록(listingUrl)은 이번 실행에서 검증자를 저장하지 않습니다.
+   */
+  async saveArticles(articles) {
+    const newArticles = await this.filterAllowedArticles(
+      await this.filterNewArticles(articles)
+    );
+
+    let itemCount = 0;
+    const detailTasks = [];
+    for (const article of newArticles) {
+      try {
+        const saved = await this.newsService.saveMainNews({
+          ...article,
+          crawlerName: this.getName(),
+        });
+        if (!saved) continue;
+        itemCount++;
+
+        if (this.jobQueue) {
+          await this.enqueueJob(JOB_TYPES.DETAIL, article.url, {
+            newsId: saved.news_se,
+            payload: article.detailPayload,
+          });
+        } else {
+          // 상세 크롤링 비동기 작업 수집
+          detailTasks.push(
+            this.crawlAndSaveDetailNews(
+              saved.news_se,
+              article.url,
+              article.detailPayload
+            ).catch(err =>
+              console.error(
+                `[${this.getName()}] 상세 크롤링 에러 (news_se=${saved.news_se}):`,
+                err.message
+              )
+            )
+          );
+        }
+      } catch (err) {
+        console.error(`[${this.getName()}] 메인 뉴스 저장 에러:`, err.message);
+        this.markListingFailed(article.listingUrl);
+      }
+    }
+
+    // 저장된 상세 모두 완료 대기 (에러는 위 catch에서 처리)
+    if (detailTasks.length) {
+      await Promise.allSettled(detailTasks);
+    }
+    return itemCount;
+  }
+
+  /**
+   * 작업 큐에 작업 등록 (등록 실패는 로그만 남김)
+   * @async
+   * @param {string} type - JOB_TYPES 값
+   * @param {string} url - 대상 URL
+   * @param {Object} [options] - newsId, payload, runAt
+   * @returns {Promise<Object|null>} 생성된 작업
+   */
+  async enqueueJob(type, url, options = {}) {
+    try {
+      return await this.jobQueue.enqueue({
+        type,
+        url,
+        crawlerName: this.getName(),
+        ...options,
+      });
+    } catch (err) {
+      console.error(
+        `[${this.getName()}] ${type} 작업 등록 실패: ${url} - ${err.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * 작업 큐 작업 실행 (CrawlWorker에서 호출)
+   * @async
+   * @param {Object} job - crawl_job 레코드
+   * @returns {Promise<Object>} 처리 결과
+   * @throws {Error} 처리 실패 시 그대로 전파 (워커가 재시도 일정 기록)
+   * @description 이전 작업의 통계가 남지 않도록 실행 통계를 초기화합니다. 같은 크롤러의 crawlNews가 진행 중이면
+   * 그 실행의 크롤링 로그에 기록될 통계이므로 그대로 둡니다.
+   */
+  async runJob(job) {
+    const payload = job.payload_ct ? JSON.parse(job.payload_ct) : {};
+    if (!this.crawling) this.runStats = this.createRunStats();
+
+    switch (job.job_type_cd) {
+      case JOB_TYPES.LIST: {
+        const itemCount = await this.runListing(async () => {
+          const articles = await this.crawlCategoryNews(
+            job.url_lk,
+            payload.category || null
+          );
+          return this.saveArticles(this.tagListing(articles, job.url_lk));
+        });
+        return { itemCount };
+      }
+
+      case JOB_TYPES.DETAIL: {
+        const detail = await this.crawlNewsDetail(job.url_lk, payload);
+        await this.newsService.saveNewsDetail(job.news_se, detail);
+        await this.afterDetailSaved(job.news_se, job.url_lk);
+        return { newsId: job.news_se };
+      }
+
+      case JOB_TYPES.RECRAWL: {
+        this.cache.del(`detail_${this.crawlerName}_${job.url_lk}`);
+        const detail = await this.crawlNewsDetail(job.url_lk);
+        await this.newsService.upsertNewsDetail(job.news_se, detail);
+        await this.afterDetailSaved(job.news_se, job.url_lk);
+        return { newsId: job.news_se };
+      }
+
+      case JOB_TYPES.MEDIA: {
+        const results = await this.mirrorNewsImages(job.news_se);
+        return {
+          newsId: job.news_se,
+          mirrored: results.filter(result => result.hash).length,
+          failed: results.filter(result => !result.hash).length,
+        };
+      }
+
+      default: {
+        const error = new Error(`알 수 없는 작업 유형: ${job.job_type_cd}`);
+        error.code = 'UNKNOWN_JOB_TYPE';
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 기사 목록 수집
+   * @async
+   * @returns {Promise<Array>} 수집된 기사 배열
+   * @description 기본 구현은 `this.categories`의 `crawlCategoryNews()`를 병렬로 호출합니다.
+   * 실제 요청 속도는 요청 스케줄러(호스트별 토큰 버킷)가 제한하며, 결과는 카테고리 순서를 유지합니다.
+   * 카테고리 외 추가 목록(메인 페이지 등)이 있는 소스는 재정의합니다.
+   * 각 기사에는 검증자 저장 판단용으로 가져온 목록 URL(listingUrl)을 붙입니다.
+   */
+  async collectArticles() {
+    const results = await Promise.all(
+      this.categories.map(async cat => {
+        try {
+          console.log(`[${this.getName()}] 카테고리: ${cat.category}`);
+          const categoryArticles = await this.crawlCategoryNews(
+            cat.url,
+            cat.category
+          );
+          if (categoryArticles.length) {
+            console.log(
+              `[${this.getName()}] ${cat.category}: ${categoryArticles.length}건 수집`
+            );
+          }
+          return this.tagListing(categoryArticles, cat.url);
+        } catch (err) {
+          console.error(
+            `[${this.getName()}] ${cat.category} 카테고리 에러:`,
+            err.message
+          );
+          // 첫 페이지 이후 실패한 목록은 검증자를 저장하지 않아야 다음 실행에서 다시 수집됨
+          this.markListingFailed(cat.url);
+          // 작업 큐가 있으면 실패한 목록을 나중에 다시 수집
+          if (this.jobQueue) {
+            await this.enqueueJob(JOB_TYPES.LIST, cat.url, {
+              payload: { category: cat.category },
+            });
+          }
+          return [];
+        }
+      })
+    );
+    return results.flat();
+  }
+
+  /**
+   * 카테고리 목록 페이지네이션 크롤링 (템플릿 메서드)
+   * @async
+   * @param {string} categoryUrl - 첫 목록 페이지 URL
+   * @param {string} categoryName - 카테고리명
+   * @param {Object} [options]
+   * @param {number} [options.maxPages] - 최대 페이지 수 (CATEGORY_MAX_PAGES, 기본 5)
+   * @param {number} [options.maxAgeHours] - 이보다 오래된 기사가 나오면 중단 (CATEGORY_MAX_AGE_HOURS, 기본 48)
+   * @returns {Promise<Array>} 수집된 기사 배열 (첫 페이지가 304이면 빈 배열)
+   * @description 각 페이지를 `parseListingPage()`로 파싱하고 다음 조건 중 하나를 만날 때까지 다음 페이지를 따라갑니다.
+   * - 이미 news_main에 있는 기사 URL이 나옴 (지난 실행 지점까지 따라잡음)
+   * - 게시 시각이 maxAgeHours보다 오래된 기사가 나옴
+   * - maxPages 도달, 다음 페이지 없음, 새 항목이 없는 페이지
+   */
+  async crawlListingPages(categoryUrl, categoryName, options = {}) {
+    const maxPages =
+      options.maxPages || parseInt(process.env.CATEGORY_MAX_PAGES) || 5;
+    const maxAgeHours =
+      options.maxAgeHours || parseInt(process.env.CATEGORY_MAX_AGE_HOURS) || 48;
+    let oldestAllowed = null;
+
+    const items = [];
+    const seenUrls = new Set();
+    let pageUrl = categoryUrl;
+    let pageNo = 0;
+    let stopReason = 'last_page';
+
+    while (pageUrl) {
+      pageNo++;
+      // 첫 페이지만 조건부 요청 (304면 이후 페이지도 변경 없음)
+      const response =
+        pageNo === 1
+          ? await this.fetchListingPage(pageUrl)
+          : await this.fetchPage(pageUrl);
+      if (!response) {
+        stopReason = 'unchanged';
+        break;
+      }
+      if (oldestAllowed === null) {
+        // 픽스처 재생 시에는 기록 시각 기준 (실행 시점과 무관하게 같은 페이지에서 중단)
+        const fetchedAt =
+          this.fixtureStore.getRecordedAt(response) || new Date();
+        oldestAllowed =
+          toKstStoredTime(fetchedAt).getTime() - maxAgeHours * 3600000;
+      }
+
+      const page = this.parseListingPage(
+        response.data,
+        pageUrl,
+        categoryName,
+        pageNo
+      );
+      const pageItems = page.items.filter(
+        item => !seenUrls.has(this.canonicalizeUrl(item.url))
+      );
+      if (!pageItems.length) {
+        stopReason = 'empty_page';
+        break;
+      }
+      pageItems.forEach(item => seenUrls.add(this.canonicalizeUrl(item.url)));
+      items.push(...pageItems);
+
+      const knownUrls = await this.newsService.getExistingUrls(
+        pageItems.map(item => item.url),
+        { stripParams: this.stripParams }
+      );
+      if (knownUrls.length) {
+        stopReason = 'known_article';
+        break;
+      }
+      if (
+        pageItems.some(
+          item =>
+            item.publishedAt &&
+            new Date(item.publishedAt).getTime() < oldestAllowed
+        )
+      ) {
+        stopReason = 'max_age';
+        break;
+      }
+      if (pageNo >= maxPages) {
+        stopReason = 'max_pages';
+        break;
+      }
+      pageUrl = page.nextPageUrl;
+    }
+
+    this.runStats.pagination.push({
+      category: categoryName,
+      pages: pageNo,
+      items: items.length,
+      stopReason,
+    });
+    return items;
+  }
+
+  /**
+   * 목록 페이지 파싱
+   * @abstract
+   * @param {string} body - 응답 본문
+   * @param {string} pageUrl - 현재 페이지 URL
+   * @param {string} categoryName - 카테고리명
+   * @param {number} pageNo - 페이지 번호 (1부터)
+   * @returns {{items: Array, nextPageUrl: string|null}} 기사 배열과 다음 페이지 URL
+   */
+  parseListingPage(body, pageUrl, categoryName, pageNo) {
+    throw new Error('parseListingPage() 메서드는 반드시 구현되어야 합니다.');
   }
 
   /**
@@ -77,9 +576,10 @@ class BaseCrawler {
    * @abstract
    * @async
    * @param {string} articleUrl - 기사 URL
+   * @param {Object} [payload] - 목록 단계에서 넘긴 detailPayload (상세 작업 payload, 백필/재수집 시 없음)
    * @returns {Promise<Object>} 뉴스 상세 정보
    */
-  async crawlNewsDetail(articleUrl) {
+  async crawlNewsDetail(articleUrl, payload) {
     throw new Error('crawlNewsDetail() 메서드는 반드시 구현되어야 합니다.');
   }
 
@@ -87,14 +587,288 @@ class BaseCrawler {
    * 새로운 기사만 필터링
    * @async
    * @param {Array} articles - 기사 배열
-   * @returns {Promise<Array>} 중복 제거된 기사 배열
+   * @returns {Promise<Array>} 중복 제거된 기사 배열 (canonicalUrl 포함)
+   * @description 정규 URL 기준으로 비교하므로 쿼리스트링/프래그먼트/끝 슬래시/스킴만 다른 URL은 같은 기사로 봅니다.
+   * 같은 실행 안에서 여러 번 나온 기사는 처음 항목만 남깁니다.
    */
   async filterNewArticles(articles) {
-    const existingUrls = await this.newsService.getExistingUrls(
-      articles.map(article => article.url)
+    const byCanonicalUrl = new Map();
+    articles.forEach(article => {
+      const canonicalUrl = this.canonicalizeUrl(article.url);
+      if (!byCanonicalUrl.has(canonicalUrl)) {
+        byCanonicalUrl.set(canonicalUrl, { ...article, canonicalUrl });
+      }
+    });
+
+    const candidates = [...byCanonicalUrl.values()];
+    const existingUrls = new Set(
+      await this.newsService.getExistingUrls(
+        candidates.map(article => article.url),
+        { stripParams: this.stripParams }
+      )
+    );
+    return candidates.filter(article => !existingUrls.has(article.url));
+  }
+
+  /**
+   * 기사 URL 정규화 (중복 판정/저장 키)
+   * @param {string} url - 원본 URL
+   * @returns {string} 정규 URL (http(s) URL이 아니면 원본 그대로)
+   */
+  canonicalizeUrl(url) {
+    return canonicalizeUrl(url, { stripParams: this.stripParams }) || url;
+  }
+
+  /**
+   * 상세 페이지 rel=canonical 정규 URL
+   * @param {Function} $ - cheerio 루트
+   * @param {string} pageUrl - 상세 페이지 URL
+   * @returns {string|null} 같은 호스트의 canonical이 없으면 null
+   */
+  extractCanonicalUrl($, pageUrl) {
+    return resolveCanonicalLink($, pageUrl, { stripParams: this.stripParams });
+  }
+
+  /**
+   * robots.txt 비허용 기사 제외
+   * @async
+   * @param {Array} articles - 기사 배열
+   * @returns {Promise<Array>} 수집이 허용된 기사 배열
+   * @description 비허용 기사는 메인 뉴스로 저장하지 않아 상세 백필 대상에서도 빠집니다.
+   */
+  async filterAllowedArticles(articles) {
+    const allowed = [];
+    for (const article of articles) {
+      if (await this.isAllowedByRobots(article.url)) allowed.push(article);
+    }
+    return allowed;
+  }
+
+  /**
+   * robots.txt 허용 여부 확인 (비허용 시 실행 통계에 기록)
+   * @async
+   * @param {string} url - 확인할 URL
+   * @returns {Promise<boolean>}
+   */
+  async isAllowedByRobots(url) {
+    if (!this.robotsPolicy) return true;
+    const verdict = await this.robotsPolicy.check(url);
+    if (!verdict.allowed) {
+      this.recordRobotsDisallowed(url, verdict.rule);
+    }
+    return verdict.allowed;
+  }
+
+  /**
+   * robots.txt 비허용 URL 기록
+   * @param {string} url
+   * @param {string|null} rule - 적용된 규칙
+   */
+  recordRobotsDisallowed(url, rule) {
+    if (this.runStats.robotsDisallowed.some(entry => entry.url === url)) {
+      return;
+    }
+    this.runStats.robotsDisallowed.push({ url, rule });
+    console.warn(
+      `[${this.getName()}] robots.txt 비허용으로 건너뜀: ${url} (${rule})`
     );
+  }
+
+  /**
+   * 정책을 준수하는 페이지 요청
+   * @async
+   * @param {string} url - 요청 URL
+   * @param {Object} [config] - axios 요청 설정
+   * @returns {Promise<Object>} axios 응답
+   * @throws {Error} robots.txt 비허용 시 code = 'ROBOTS_DISALLOWED', 최종 실패 시 errorType/attempts 포함
+   * @description robots.txt Allow/Disallow를 확인한 뒤 요청 스케줄러를 통해 요청합니다.
+   * 호스트별 요청 간격(Crawl-delay 포함)과 전역 동시 요청 상한이 적용되고, 일시적 실패는
+   * 재시도 정책에 따라 다시 스케줄링되므로 하위 클래스의 모든 목록/상세 요청은 httpClient 대신 이 메서드를 사용합니다.
+   */
+  async fetchPage(url, config = {}) {
+    let crawlDelayMs = 0;
+    if (this.robotsPolicy) {
+      const verdict = await this.robotsPolicy.check(url);
+      if (!verdict.allowed) {
+        this.recordRobotsDisallowed(url, verdict.rule);
+        const error = new Error(`robots.txt 비허용 URL: ${url}`);
+        error.code = 'ROBOTS_DISALLOWED';
+        throw error;
+      }
+      crawlDelayMs = verdict.crawlDelayMs;
+    }
 
-    return articles.filter(article => !existingUrls.includes(article.url));
+    try {
+      const { result, attempts, errorTypes } = await this.retryPolicy.execute(
+        () =>
+          this.scheduler.schedule(url, () => this.httpClient.get(url, config), {
+            minIntervalMs: crawlDelayMs,
+          }),
+        {
+          onRetry: ({ attempt, errorType, delayMs, error }) => {
+            console.warn(
+              `[${this.getName()}] 요청 실패(${errorType}), ${delayMs}ms 후 재시도 (${attempt}/${this.retryPolicy.maxAttempts}): ${url} - ${error.message}`
+            );
+            // Retry-After는 같은 호스트의 다른 요청에도 적용
+            if (errorType === RetryPolicy.ERROR_TYPES.RATE_LIMITED) {
+              this.scheduler.deferHost(url, delayMs);
+            }
+          },
+        }
+      );
+      if (attempts > 1) {
+        this.recordFetchAttempts(url, attempts, errorTypes, null);
+      }
+      return result;
+    } catch (error) {
+      this.recordFetchAttempts(
+        url,
+        error.attempts,
+        error.errorTypes,
+        error.errorType
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * 목록 페이지 조건부 요청 (ETag / Last-Modified)
+   * @async
+   * @param {string} url - 목록(카테고리/피드) URL
+   * @param {Object} [config] - axios 요청 설정
+   * @returns {Promise<Object|null>} axios 응답, 304(변경 없음)이면 null
+   * @description 지난 실행에서 저장한 검증자로 If-None-Match / If-Modified-Since를 보냅니다.
+   * 새 검증자는 현재 실행(`runListing()`)에 보관했다가 목록의 메인 저장이 모두 성공한 뒤 저장됩니다.
+   */
+  async fetchListingPage(url, config = {}) {
+    const validators = await this.newsService.getHttpValidators(url);
+    const headers = { ...config.headers };
+    if (validators && validators.etag) {
+      headers['If-None-Match'] = validators.etag;
+    }
+    if (validators && validators.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified;
+    }
+
+    const response = await this.fetchPage(url, {
+      ...config,
+      headers,
+      validateStatus: status =>
+        (status >= 200 && status < 300) || status === 304,
+    });
+    this.runStats.listings.fetched++;
+
+    if (response.status === 304) {
+      this.runStats.listings.unchanged.push(url);
+      console.log(`[${this.getName()}] 변경 없음(304): ${url}`);
+      return null;
+    }
+
+    const etag = response.headers ? response.headers.etag : null;
+    const lastModified = response.headers
+      ? response.headers['last-modified']
+      : null;
+    const run = this.listingRuns.getStore();
+    if (run && (etag || lastModified)) {
+      run.validators.set(url, {
+        etag: etag || null,
+        lastModified: lastModified || null,
+      });
+    }
+    return response;
+  }
+
+  /**
+   * 목록 수집 실행 (실행별 검증자 보관 후 저장)
+   * @async
+   * @param {Function} task - 목록 수집과 메인 저장을 수행하는 비동기 함수
+   * @returns {Promise<*>} task 결과
+   * @description crawlNews와 목록 작업이 동시에 진행될 수 있으므로 검증자는 실행마다 따로 보관합니다.
+   * task가 실패하면 검증자를 저장하지 않고, 성공하면 실패한 목록을 제외하고 저장합니다.
+   * 메인 저장이 끝난 뒤에 저장해야 실패한 목록이 다음 실행에서 304로 누락되지 않습니다.
+   */
+  async runListing(task) {
+    const run = { validators: new Map(), failedListings: new Set() };
+    const result = await this.listingRuns.run(run, task);
+    await this.commitHttpValidators(run);
+    return result;
+  }
+
+  /**
+   * 기사에 가져온 목록 URL 표시
+   * @param {Array} articles - 목록에서 수집한 기사 배열
+   * @param {string} listingUrl - 목록 URL (검증자 키)
+   * @returns {Array} listingUrl이 붙은 기사 배열
+   */
+  tagListing(articles, listingUrl) {
+    return articles.map(article => ({ ...article, listingUrl }));
+  }
+
+  /**
+   * 현재 실행에서 목록 실패 기록 (해당 목록의 검증자를 저장하지 않음)
+   * @param {string} [listingUrl]
+   */
+  markListingFailed(listingUrl) {
+    const run = this.listingRuns.getStore();
+    if (run && listingUrl) run.failedListings.add(listingUrl);
+  }
+
+  /**
+   * 실행에서 받은 목록 페이지 검증자 저장 (실패한 목록 제외)
+   * @async
+   * @param {{validators: Map, failedListings: Set<string>}} run - runListing 실행 상태
+   */
+  async commitHttpValidators(run) {
+    for (const [url, validators] of run.validators) {
+      if (run.failedListings.has(url)) continue;
+      await this.newsService.saveHttpValidators(url, validators);
+    }
+  }
+
+  /**
+   * 재시도/실패 요청 기록
+   * @param {string} url
+   * @param {number} attempts - 총 시도 횟수
+   * @param {Array<string>} errorTypes - 시도별 실패 유형
+   * @param {string|null} finalErrorType - 최종 실패 유형 (재시도 후 성공 시 null)
+   */
+  recordFetchAttempts(url, attempts, errorTypes, finalErrorType) {
+    this.runStats.fetchAttempts.push({
+      url,
+      attempts,
+      errorTypes,
+      finalErrorType,
+    });
+  }
+
+  /**
+   * 실행 통계 요약 (크롤링 로그 메시지용)
+   * @returns {string} 예: " (robots.txt 비허용 2건 건너뜀, 요청 최종 실패 1건)"
+   */
+  summarizeRunStats() {
+    const parts = [];
+    const blockedCount = this.runStats.robotsDisallowed.length;
+    const failedCount = this.runStats.fetchAttempts.filter(
+      entry => entry.finalErrorType
+    ).length;
+    const unchangedCount = this.runStats.listings.unchanged.length;
+    if (unchangedCount) parts.push(`변경 없음(304) 목록 ${unchangedCount}건`);
+    if (blockedCount) parts.push(`robots.txt 비허용 ${blockedCount}건 건너뜀`);
+    if (failedCount) parts.push(`요청 최종 실패 ${failedCount}건`);
+    return parts.length ? ` (${parts.join(', ')})` : '';
+  }
+
+  /**
+   * 실행 통계 초기값 생성
+   * @returns {{robotsDisallowed: Array, fetchAttempts: Array, listings: Object, pagination: Array}}
+   */
+  createRunStats() {
+    return {
+      robotsDisallowed: [],
+      fetchAttempts: [],
+      listings: { fetched: 0, unchanged: [] },
+      pagination: [],
+    };
   }
 
   /**
@@ -102,26 +876,240 @@ class BaseCrawler {
    * @async
    * @param {number} mainNewsId - 메인 뉴스 ID
    * @param {string} articleUrl - 기사 URL
+   * @param {Object} [payload] - 목록 단계에서 넘긴 detailPayload
    */
-  async crawlAndSaveDetailNews(mainNewsId, articleUrl) {
+  async crawlAndSaveDetailNews(mainNewsId, articleUrl, payload) {
     try {
       // 캐시 확인
       const cacheKey = `detail_${this.crawlerName}_${articleUrl}`;
       let detailData = this.cache.get(cacheKey);
 
       if (!detailData) {
-        detailData = await this.crawlNewsDetail(articleUrl);
+        detailData = await this.crawlNewsDetail(articleUrl, payload);
         this.cache.set(cacheKey, detailData);
       }
 
       if (detailData) {
         await this.newsService.saveNewsDetail(mainNewsId, detailData);
+        await this.afterDetailSaved(mainNewsId, articleUrl);
       }
     } catch (error) {
       console.error(`${this.crawlerName} 뉴스 상세 크롤링 에러:`, error);
     }
   }
 
+  /**
+   * 상세 미수집 메인 뉴스에 대해 url_lk로 상세 크롤링 백필
+   * @async
+   * @description 이 크롤러가 수집한 메인 뉴스만 대상으로 합니다.
+   * 작업 큐가 연결되어 있으면 상세 작업으로 등록하고(이미 대기 중인 작업은 건너뜀),
+   * 없으면 병렬로 바로 수집하며 요청 간격은 요청 스케줄러가 제어합니다.
+   */
+  async backfillDetails() {
+    try {
+      const limit = parseInt(process.env.BACKFILL_DETAIL_LIMIT) || 30;
+      const targets = await this.newsService.getMainNewsWithoutDetail(
+        limit,
+        this.getName()
+      );
+      if (!targets.length) return;
+      console.log(
+        `[${this.getName()}] 상세 백필 대상: ${targets.length}건 (limit=${limit})`
+      );
+
+      if (this.jobQueue) {
+        for (const row of targets.filter(row => row.url_lk)) {
+          await this.enqueueJob(JOB_TYPES.DETAIL, row.url_lk, {
+            newsId: row.news_se,
+          });
+        }
+        return;
+      }
+
+      await Promise.allSettled(
+        targets
+          .filter(row => row.url_lk)
+          .map(async row => {
+            try {
+              const detail = await this.crawlNewsDetail(row.url_lk);
+              if (detail && detail.content) {
+                await this.newsService.saveNewsDetail(row.news_se, detail);
+                await this.afterDetailSaved(row.news_se, row.url_lk);
+                console.log(
+                  `[${this.getName()}] 상세 백필 완료: news_se=${row.news_se}`
+                );
+              }
+            } catch (err) {
+              console.warn(
+                `[${this.getName()}] 상세 백필 실패: news_se=${row.news_se} - ${err.message}`
+              );
+            }
+          })
+      );
+    } catch (error) {
+      console.error(`[${this.getName()}] 상세 백필 전체 에러:`, error.message);
+    }
+  }
+
+  /**
+   * 최근 기사 버전 확인 (재수집 후 저장된 버전과 해시 비교)
+   * @async
+   * @returns {Promise<number>} 재수집(또는 작업 등록)한 기사 수
+   * @description 게시 후 REVISION_CHECK_HOURS(기본 48시간) 이내 기사 중 상세를 가장 오래 전에 갱신한 순으로
+   * REVISION_CHECK_LIMIT(기본 50)건을 다시 수집합니다. 변경 판정과 이력 기록은 `upsertNewsDetail()`에서 처리하며,
+   * 작업 큐가 연결되어 있으면 recrawl 작업으로 등록합니다.
+   */
+  async checkRevisions() {
+    const hours = parseInt(process.env.REVISION_CHECK_HOURS) || 48;
+    const limit = parseInt(process.env.REVISION_CHECK_LIMIT) || 50;
+    const targets = (
+      await this.newsService.getNewsForRevisionCheck(
+        hours,
+        limit,
+        this.getName()
+      )
+    ).filter(row => row.url_lk);
+    if (!targets.length) return 0;
+    console.log(
+      `[${this.getName()}] 버전 확인 대상: ${targets.length}건 (최근 ${hours}시간)`
+    );
+
+    if (this.jobQueue) {
+      for (const row of targets) {
+        await this.enqueueJob(JOB_TYPES.RECRAWL, row.url_lk, {
+          newsId: row.news_se,
+          payload: { reason: 'revision_check' },
+        });
+      }
+      return targets.length;
+    }
+
+    await Promise.allSettled(
+      targets.map(async row => {
+        try {
+          const detail = await this.crawlNewsDetail(row.url_lk);
+          await this.newsService.upsertNewsDetail(row.news_se, detail);
+          await this.afterDetailSaved(row.news_se, row.url_lk);
+        } catch (err) {
+          console.warn(
+            `[${this.getName()}] 버전 확인 실패: news_se=${row.news_se} - ${err.message}`
+          );
+        }
+      })
+    );
+    return targets.length;
+  }
+
+  /**
+   * 상세 저장 후처리 (이미지 미러링)
+   * @async
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {string} articleUrl - 기사 URL (작업 큐 중복 판정용)
+   * @returns {Promise<void>}
+   * @description 이미지 미러가 없으면 아무 것도 하지 않습니다. 작업 큐가 있으면 media 작업으로 등록하고,
+   * 없으면 바로 미러링하며 실패는 로그만 남깁니다(상세 저장은 이미 완료).
+   */
+  async afterDetailSaved(mainNewsId, articleUrl) {
+    if (!this.imageMirror) return;
+
+    if (this.jobQueue) {
+      await this.enqueueJob(JOB_TYPES.MEDIA, articleUrl, {
+        newsId: mainNewsId,
+      });
+      return;
+    }
+
+    try {
+      const results = await this.mirrorNewsImages(mainNewsId);
+      const failed = results.filter(result => !result.hash);
+      if (failed.length) {
+        console.warn(
+          `[${this.getName()}] 이미지 미러링 일부 실패: news_se=${mainNewsId} (${failed.length}/${results.length}) - ${failed[0].error}`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `[${this.getName()}] 이미지 미러링 에러: news_se=${mainNewsId} - ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * 기사 대표/본문 이미지 미러링
+   * @async
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @returns {Promise<Array<{url: string, hash: string|null, error?: string}>>} 이미지별 결과
+   * @description 다운로드는 fetchPage를 거치므로 robots.txt·호스트별 요청 간격·재시도 정책이 그대로 적용됩니다.
+   */
+  async mirrorNewsImages(mainNewsId) {
+    const [main, images] = await Promise.all([
+      this.newsService.getMainNewsById(mainNewsId),
+      this.newsService.getNewsImages(mainNewsId),
+    ]);
+    const urls = [
+      main && main.image_lk,
+      ...images.map(image => image.image_lk),
+    ].filter(url => /^https?:\/\//i.test(url || ''));
+    if (!urls.length) return [];
+
+    const results = await this.imageMirror.mirrorAll(urls, (url, config) =>
+      this.fetchPage(url, config)
+    );
+    await this.newsService.linkMirroredImages(mainNewsId, results);
+    return results;
+  }
+
+  /**
+   * 상세 페이지 본문 추출 (공용 추출 엔진)
+   * @param {string} html - 상세 페이지 HTML
+   * @param {string} pageUrl - 페이지 URL (이미지 상대 경로 기준)
+   * @param {Object} [options] - ContentExtractor 옵션 (제거/힌트 선택자, 문단 필터 등)
+   * @returns {Object} 문단/소제목/리드/이미지/신뢰도 (ContentExtractor#extract 결과)
+   */
+  extractContent(html, pageUrl, options = {}) {
+    return new ContentExtractor({ baseUrl: pageUrl, ...options }).extract(html);
+  }
+
+  /**
+   * 상세 페이지 게시/수정 시각 추출 (JSON-LD → 메타 태그 → <time>)
+   * @param {string|Function} input - 상세 페이지 HTML 또는 cheerio 루트 (script 제거 전)
+   * @returns {{publishedAt: Date|null, publishedSource: string|null, modifiedAt: Date|null, modifiedSource: string|null}}
+   * 시각은 저장 기준(getCurrentIsoTime과 같은 KST 보정)으로 변환되며, 상세 저장 시 news_main 게시/수정 시각을 보정합니다.
+   */
+  extractPublishTimes(input) {
+    const times = extractTimestamps(input);
+    return {
+      ...times,
+      publishedAt: toKstStoredTime(times.publishedAt),
+      modifiedAt: toKstStoredTime(times.modifiedAt),
+    };
+  }
+
+  /**
+   * 상세 페이지 반응 지표 추출 (사이트 선택자 → JSON-LD interactionStatistic)
+   * @param {string|Function} input - 상세 페이지 HTML 또는 cheerio 루트 (script 제거 전)
+   * @param {Object} [selectors] - { view, like, comment } 선택자
+   * @returns {{viewCount: number|null, likeCount: number|null, commentCount: number|null}}
+   * 페이지에 없는 지표는 null (news_detail에 NULL로 저장)
+   */
+  extractMetrics(input, selectors) {
+    return extractMetrics(input, selectors);
+  }
+
+  /**
+   * 바이라인에서 기자 목록 추출 (바이라인 영역/작성자 필드 → 본문 리드/끝부분)
+   * @param {Array<string>} bylineTexts - 바이라인 요소 텍스트 또는 피드 작성자 필드
+   * @param {string} [content] - 바이라인 영역이 없을 때 찾을 본문
+   * @returns {Array<{name: string, role: string|null, email: string|null}>}
+   * 기자를 찾지 못하면 빈 배열 (author_nm은 NULL로 저장, 사이트 이름으로 채우지 않음)
+   */
+  extractAuthors(bylineTexts, content) {
+    const authors = mergeAuthors(
+      ...bylineTexts.map(text => parseBylines(text, { loose: true }))
+    );
+    return authors.length ? authors : parseContentBylines(content);
+  }
+
   /**
    * 지연 함수 (요청 간격 조절용)
    * @param {number} ms - 지연 시간 (밀리초)
@@ -0,0 +1,492 @@
+/**
+ * @fileoverview 사이트 정의 기반 범용 크롤러
+ * @description config/sites/*.json 사이트 정의(선택자/패턴)를 실행하여 뉴스 데이터를 수집합니다.
+ * 사이트 추가/수정은 코드 변경 없이 사이트 정의 파일만 수정하면 됩니다.
+ */
+
+const cheerio = require('cheerio');
+const BaseCrawler = require('./BaseCrawler');
+const { validateSiteDefinition } = require('./siteDefinition');
+const {
+  formatByline,
+  stripLeadByline,
+} = require('../extractor/bylineExtractor');
+const { TAG_SOURCES } = require('../services/tagService');
+
+/**
+ * 사이트 정의 기반 크롤러 클래스
+ * @class ConfigDrivenCrawler
+ * @extends BaseCrawler
+ */
+class ConfigDrivenCrawler extends BaseCrawler {
+  /**
+   * ConfigDrivenCrawler 생성자
+   * @param {Object} newsService - 뉴스 서비스 인스턴스
+   * @param {Object} definition - 사이트 정의 (loadSiteDefinition 결과 또는 원본 객체)
+   */
+  constructor(newsService, definition) {
+    const site = validateSiteDefinition(definition, definition.name);
+    super(newsService, {
+      name: site.name,
+      categories: site.categories,
+      stripParams: site.list.stripParams,
+    });
+
+    /**
+     * 검증된 사이트 정의
+     * @type {Object}
+     */
+    this.site = site;
+
+    // 정의의 정규식 문자열을 미리 컴파일
+    this.patterns = {
+      url: site.list.urlPattern ? new RegExp(site.list.urlPattern) : null,
+      excludeTitle: site.list.excludeTitlePattern
+        ? new RegExp(site.list.excludeTitlePattern)
+        : null,
+      author: site.detail.authorPattern
+        ? new RegExp(site.detail.authorPattern, 'g')
+        : null,
+      noise: site.detail.noisePatterns.map(p => new RegExp(p, 'gm')),
+      providerLead: site.providers.leadPattern
+        ? new RegExp(site.providers.leadPattern)
+        : null,
+      providerTitle: site.providers.titlePattern
+        ? new RegExp(site.providers.titlePattern)
+        : null,
+    };
+  }
+
+  /**
+   * 사이트 기준 절대 URL 변환
+   * @param {string} src
+   * @returns {string|null}
+   */
+  toAbsoluteUrl(src) {
+    if (!src) return null;
+    try {
+      return new URL(src, this.site.baseUrl).toString();
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * 카테고리 페이지 크롤링 (정의된 pagination 설정으로 다음 페이지 추적)
+   * @param {string} categoryUrl
+   * @param {string} categoryName
+   * @returns {Promise<Array>} 목록이 변경되지 않았으면(304) 빈 배열
+   * @description 요청 실패는 호출부(collectArticles / 작업 큐)에서 처리하도록 그대로 전파합니다.
+   */
+  async crawlCategoryNews(categoryUrl, categoryName) {
+    await this.providerRegistry.ensureLoaded();
+    return this.crawlListingPages(
+      categoryUrl,
+      categoryName,
+      this.site.pagination
+    );
+  }
+
+  /**
+   * 목록 페이지 파싱
+   * @param {string} html - 목록 페이지 HTML
+   * @param {string} pageUrl - 현재 페이지 URL
+   * @param {string} categoryName - 카테고리명
+   * @param {number} pageNo - 페이지 번호
+   * @returns {{items: Array, nextPageUrl: string|null}}
+   */
+  parseListingPage(html, pageUrl, categoryName, pageNo) {
+    const $ = cheerio.load(html);
+    const list = this.site.list;
+
+    const items = [];
+    const seenUrls = new Set();
+
+    // 1) 기본 목록 선택자
+    this.collectListItems($, list.itemSelector, list.maxItems, categoryName, {
+      items,
+      seenUrls,
+      withDate: true,
+    });
+
+    // 2) 보강: 수집량이 부족하면 fallback 선택자 사용
+    if (list.fallback && items.length < list.fallback.minItems) {
+      this.collectListItems(
+        $,
+        list.fallback.itemSelector,
+        list.fallback.maxItems,
+        categoryName,
+        { items, seenUrls, withDate: false }
+      );
+    }
+
+    // 3) 최신순 정렬: publishedAt 내림차순 (같은 날짜면 원래 순서 유지, 날짜 없는 항목은 뒤로)
+    items.sort((a, b) => (b.publishedAt || 0) - (a.publishedAt || 0));
+
+    return { items, nextPageUrl: this.getNextPageUrl($, pageUrl, pageNo) };
+  }
+
+  /**
+   * 다음 목록 페이지 URL
+   * @param {Function} $ - cheerio 루트
+   * @param {string} pageUrl - 현재 페이지 URL
+   * @param {number} pageNo - 현재 페이지 번호
+   * @returns {string|null} nextSelector 링크 우선, 없으면 pageParam 쿼리로 생성
+   */
+  getNextPageUrl($, pageUrl, pageNo) {
+    const { nextSelector, pageParam } = this.site.pagination;
+    if (nextSelector) {
+      const href = $(nextSelector).first().attr('href');
+      if (href) {
+        try {
+          return new URL(href, pageUrl).toString();
+        } catch (_) {
+          return null;
+        }
+      }
+    }
+    if (pageParam) {
+      const next = new URL(pageUrl);
+      next.searchParams.set(pageParam, String(pageNo + 1));
+      return next.toString();
+    }
+    return null;
+  }
+
+  /**
+   * 목록 항목 수집
+   * @param {Function} $ - cheerio 루트
+   * @param {string} itemSelector - 목록 항목 선택자
+   * @param {number} maxItems - 누적 상한
+   * @param {string} categoryName - 카테고리명
+   * @param {Object} state - { items, seenUrls, withDate }
+   */
+  collectListItems($, itemSelector, maxItems, categoryName, state) {
+    const list = this.site.list;
+
+    $(itemSelector).each((_, el) => {
+      if (state.items.length >= maxItems) return false; // 안전 상한
+      const $item = $(el);
+      const $link = list.linkSelector
+        ? $item.find(list.linkSelector).first()
+        : $item;
+
+      const url = this.toAbsoluteUrl($link.attr('href'));
+      if (!url) return;
+      if (this.patterns.url && !this.patterns.url.test(url)) return; // 기사 링크 형태 필터
+      if (state.seenUrls.has(url)) return; // 중복 제거
+
+      // 제목 텍스트 정제: 줄바꿈/공백 축소
+      const $title = list.titleSelector
+        ? $item.find(list.titleSelector).first()
+        : $link;
+      let title = $title.text().replace(/\s+/g, ' ').trim();
+      if (!title) return;
+      if (this.patterns.excludeTitle && this.patterns.excludeTitle.test(title))
+        return;
+
+      // 날짜가 없으면 null (저장 시 수집 시각으로 기록하고 상세 메타데이터로 보정)
+      const publishedAt = state.withDate
+        ? this.extractListDate($, $item, title)
+        : null;
+
+      // 제목/제공처 prefix 정규화
+      title = this.normalizeTitleProvider(title);
+      if (title.length < list.minTitleLength) return;
+
+      let imageUrl = null;
+      if (list.imageSelector) {
+        const $img = $item.find(list.imageSelector).first();
+        imageUrl = this.toAbsoluteUrl(
+          $img.attr('data-src') || $img.attr('src')
+        );
+      }
+
+      state.seenUrls.add(url);
+      state.items.push({
+        title,
+        url,
+        imageUrl,
+        summary: title,
+        category: categoryName,
+        publishedAt,
+      });
+    });
+  }
+
+  /**
+   * 목록 항목 게시 날짜 추출
+   * @param {Function} $ - cheerio 루트
+   * @param {Object} $item - 목록 항목
+   * @param {string} text - 항목 텍스트 (날짜 패턴 fallback)
+   * @returns {Date|null} 날짜를 찾지 못하면 null
+   */
+  extractListDate($, $item, text) {
+    const list = this.site.list;
+    let dateStr = '';
+
+    if (list.dateSelector) {
+      const $scope = list.dateScope === 'parent' ? $item.parent() : $item;
+      const $date = $scope.find(list.dateSelector).first();
+      if ($date.length) {
+        for (const attr of list.dateAttributes) {
+          dateStr = $date.attr(attr) || '';
+          if (dateStr) break;
+        }
+        if (!dateStr) dateStr = $date.text().trim();
+      }
+    }
+    if (!dateStr) {
+      const textDate = text.match(/(20\d{2}-\d{2}-\d{2})/);
+      if (textDate) dateStr = textDate[1];
+    }
+
+    if (dateStr) {
+      const datePart = dateStr.split(' ')[0]; // 날짜만
+      const d = new Date(datePart + 'T00:00:00+09:00');
+      if (!isNaN(d.getTime())) return d; // KST 자정 시간
+    }
+    return null;
+  }
+
+  /**
+   * 상세 페이지 크롤링
+   * @param {string} articleUrl
+   * @returns {Promise<Object>}
+   * @throws {Error} 요청 실패 시 그대로 전파 (작업 큐 재시도 / 백필 대상으로 남김)
+   */
+  async crawlNewsDetail(articleUrl) {
+    const detail = this.site.detail;
+    await this.providerRegistry.ensureLoaded();
+    const response = await this.fetchPage(articleUrl);
+    const $ = cheerio.load(response.data);
+
+    // 1) 메타 정보 (제목: 제공처 추론, 키워드: 태그 보강, 게시/수정 시각, 반응 지표)
+    const metaTitle = (
+      $('meta[property="og:title"]').attr('content') ||
+      $('meta[name="twitter:title"]').attr('content') ||
+      $('title').text() ||
+      ''
+    ).trim();
+    const metaKeywords = ($('meta[name="keywords"]').attr('content') || '')
+      .split(',')
+      .map(t => t.trim())
+      .filter(Boolean);
+    const publishTimes = this.extractPublishTimes($);
+    const metrics = this.extractMetrics($, detail.metricSelectors);
+
+    // 2) 본문 추출 (공용 추출 엔진, bodySelectors는 컨테이너 힌트로 사용)
+    const extracted = this.extractContent(response.data, articleUrl, {
+      removeSelectors: detail.removeSelectors,
+      candidateSelectors: detail.bodySelectors,
+      removeParagraphKeywords: detail.removeParagraphKeywords,
+      minParagraphLength: detail.minParagraphLength,
+      imageLimit: detail.imageLimit,
+    });
+    let content = extracted.content;
+
+    // 3) 저작권/잡음 패턴 제거
+    this.patterns.noise.forEach(re => {
+      content = content.replace(re, '');
+    });
+    content = content.replace(/\n{3,}/g, '\n\n').trim();
+
+    // 기자/태그 선택자가 제거 대상 영역(관련 기사 등)을 잡지 않도록 동일하게 제거
+    detail.removeSelectors.forEach(sel => $(sel).remove());
+
+    // 4) 기자 추출 (기자가 나오는 첫 선택자 → 사이트 정규식 또는 본문 리드/끝부분)
+    let authors = [];
+    for (const sel of detail.authorSelectors) {
+      const texts = $(sel)
+        .map((_, el) => $(el).text())
+        .get();
+      authors = this.extractAuthors(texts);
+      if (authors.length) break;
+    }
+    if (!authors.length) {
+      authors = this.patterns.author
+        ? this.matchAuthorPattern(content)
+        : this.extractAuthors([], content);
+    }
+
+    // 5) 태그 (페이지 태그 영역 → meta keywords 순, 출처 구분)
+    const tagList = [];
+    const addTag = (name, tagSource) => {
+      if (name && !tagList.some(tag => tag.name === name)) {
+        tagList.push({ name, source: tagSource });
+      }
+    };
+    if (detail.tagSelectors.length) {
+      $(detail.tagSelectors.join(', ')).each((_, el) => {
+        const t = $(el).text().trim();
+        if (t.length <= 30) addTag(t, TAG_SOURCES.PAGE);
+      });
+    }
+    metaKeywords.forEach(k => addTag(k, TAG_SOURCES.META));
+    const tags = tagList.slice(0, 10);
+
+    // 6) (서울=연합뉴스) 형태의 위치=통신사 패턴 추출 → source 추론
+    const {
+      source,
+      content: cleaned,
+      unknownProvider,
+    } = this.inferSource(content, metaTitle, articleUrl);
+    content = cleaned;
+
+    return {
+      title: metaTitle || null,
+      canonicalUrl: this.extractCanonicalUrl($, articleUrl),
+      content:
+        content || `뉴스 상세 내용을 추출할 수 없습니다. URL: ${articleUrl}`,
+      author: formatByline(authors) || detail.defaultAuthor,
+      authors,
+      // 미등록 제공처가 보이면 기본 제공처로 채우지 않음 (후보 검토 후 재수집)
+      source: source || (unknownProvider ? null : detail.defaultSource),
+      tags: tags.map(tag => tag.name).join(','),
+      tagList: tags,
+      images: extracted.images,
+      leadImageUrl: extracted.leadImageUrl,
+      ...publishTimes,
+      ...metrics,
+    };
+  }
+
+  /**
+   * 사이트 정의 기자 정규식(detail.authorPattern)으로 본문에서 기자 찾기
+   * @param {string} content - 본문
+   * @returns {Array<{name: string, role: string|null, email: string|null}>}
+   * @description 1번 그룹은 이름, 2번 그룹(선택)은 직함으로 봅니다. 직함 그룹이 없으면 '기자'입니다.
+   */
+  matchAuthorPattern(content) {
+    const authors = [];
+    for (const match of content.matchAll(this.patterns.author)) {
+      const name = (match[1] || '').trim();
+      if (name && !authors.some(author => author.name === name)) {
+        authors.push({ name, role: match[2] || '기자', email: null });
+      }
+    }
+    return authors;
+  }
+
+  /**
+   * 본문 리드/메타 제목/기사 도메인에서 제공처(언론사) 추론
+   * @param {string} content - 본문
+   * @param {string} metaTitle - 메타 제목
+   * @param {string} articleUrl - 기사 URL (도메인 추론, 미등록 후보 보고용)
+   * @returns {{source: string|null, content: string, unknownProvider: string|null}}
+   * 추론된 제공처 대표 이름, 패턴(과 뒤따르는 바이라인)이 제거된 본문, 리드에서 찾았지만 등록되지 않은 제공처 이름
+   */
+  inferSource(content, metaTitle, articleUrl) {
+    let unknownProvider = null;
+
+    if (this.patterns.providerLead) {
+      const leadSlice = content.slice(0, 250);
+      const locSrcMatch = leadSlice.match(this.patterns.providerLead);
+      if (locSrcMatch) {
+        const source = this.findProviderName(locSrcMatch[2], articleUrl);
+        if (source) {
+          // 본문에서 해당 패턴과 바로 뒤 "홍길동 기자 =" 바이라인 제거 (기자는 4단계에서 이미 추출)
+          return {
+            source,
+            content: stripLeadByline(
+              content.replace(locSrcMatch[0], '').trim()
+            ),
+            unknownProvider,
+          };
+        }
+        unknownProvider = locSrcMatch[2];
+      }
+    }
+
+    // 제목 메타에서 제공처 prefix 남아있으면 추출 (예: 연합뉴스/제목, 제목 prefix는 후보로 보고하지 않음)
+    if (this.patterns.providerTitle) {
+      const titleSourceMatch = metaTitle.match(this.patterns.providerTitle);
+      const provider =
+        titleSourceMatch && this.providerRegistry.resolve(titleSourceMatch[1]);
+      if (provider) return { source: provider.name, content, unknownProvider };
+    }
+
+    // 제공처 홈페이지 도메인의 기사 (사이트 자체가 언론사인 경우)
+    try {
+      const provider = this.providerRegistry.findByDomain(
+        new URL(articleUrl).hostname
+      );
+      if (provider) return { source: provider.name, content, unknownProvider };
+    } catch (_) {
+      // 잘못된 URL은 도메인 추론 생략
+    }
+
+    return { source: null, content, unknownProvider };
+  }
+
+  /**
+   * 제공처 이름 확인 (레지스트리 → 사이트 정의 providers.names 순)
+   * @param {string} name - 리드에서 찾은 이름
+   * @param {string} articleUrl - 기사 URL (미등록 후보 보고용)
+   * @returns {string|null} 대표 이름, 미등록이면 null (후보로 보고)
+   */
+  findProviderName(name, articleUrl) {
+    // 사이트 정의에만 있는 이름은 후보로 보고하지 않고 그대로 사용
+    if (
+      !this.providerRegistry.resolve(name) &&
+      this.site.providers.names.includes(name)
+    ) {
+      return name;
+    }
+    return this.resolveProvider(name, articleUrl);
+  }
+
+  /**
+   * 제목 내 제공처 prefix 제거 및 중복 패턴 정리
+   * 예: "시사연합뉴스/연합뉴스/ 제목" 또는 "연합뉴스 2025-08-12 제목" 등
+   * @param {string} raw
+   * @returns {string}
+   */
+  normalizeTitleProvider(raw) {
+    if (!raw) return raw;
+    let title = raw.trim();
+    const providers = [
+      ...this.site.providers.names,
+      ...this.providerRegistry.getNames(),
+    ];
+    if (!providers.length) return title.replace(/\s{2,}/g, ' ');
+
+    const providerGroup = providers.map(escapeRegExp).join('|');
+    // 1) 선행 제공처 + '/' 제거 반복
+    for (let i = 0; i < 3; i++) {
+      const before = title;
+      title = title.replace(
+        new RegExp(
+          `^(?:${providerGroup})(?:\\s*[/|:>-]+\\s*|/)+(?=\\n|\\[|[가-힣A-Za-z0-9'"\\[] )`,
+          'i'
+        ),
+        ''
+      );
+      if (before === title) break;
+      title = title.trim();
+    }
+    // 2) 제공처 + 날짜 패턴 제거 (예: 연합뉴스/2025-08-12 )
+    title = title.replace(
+      new RegExp(
+        `^(?:${providerGroup})\\s*[/|-]?\\s*20\\d{2}-\\d{2}-\\d{2}\\s*`,
+        'i'
+      ),
+      ''
+    );
+    // 3) 중복 공백/중복 제목 단축
+    title = title.replace(/\s{2,}/g, ' ').trim();
+    title = title.replace(/^(.+?)\s+\1$/, '$1');
+    return title;
+  }
+}
+
+/**
+ * 정규식 특수문자 이스케이프
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = ConfigDrivenCrawler;
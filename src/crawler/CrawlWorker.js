@@ -0,0 +1,197 @@
+/**
+ * @fileoverview 크롤링 작업 워커
+ * @description crawl_job 작업 큐를 주기적으로 폴링해 작업을 임대하고, 작업의 크롤러(runJob)로 처리합니다.
+ * 실패한 작업은 실패 유형에 따라 지수 백오프 일정으로 다시 대기시키거나 실패로 확정합니다.
+ */
+
+const os = require('os');
+const { classifyError, ERROR_TYPES } = require('./RetryPolicy');
+
+/**
+ * 작업 재시도 없이 바로 실패 처리할 에러 유형
+ * @type {Set<string>}
+ */
+const PERMANENT_ERROR_TYPES = new Set([
+  ERROR_TYPES.CLIENT_ERROR,
+  ERROR_TYPES.ROBOTS_DISALLOWED,
+]);
+
+/**
+ * 크롤링 작업 워커 클래스
+ * @class CrawlWorker
+ */
+class CrawlWorker {
+  /**
+   * CrawlWorker 생성자
+   * @constructor
+   * @param {Object} options - 옵션
+   * @param {Object} options.jobService - CrawlJobService 인스턴스
+   * @param {Object} options.crawlerRegistry - CrawlerRegistry 인스턴스
+   * @param {number} [options.concurrency] - 동시 처리 작업 수 (CRAWL_WORKER_CONCURRENCY, 기본 3)
+   * @param {number} [options.pollIntervalMs] - 폴링 간격 (CRAWL_WORKER_POLL_MS, 기본 5000)
+   * @param {number} [options.leaseMs] - 작업 임대 시간 (CRAWL_JOB_LEASE_MS, 기본 300000)
+   * @param {number} [options.retryBaseMs] - 재시도 기본 지연 (CRAWL_JOB_RETRY_BASE_MS, 기본 60000)
+   */
+  constructor(options) {
+    this.jobService = options.jobService;
+    this.crawlerRegistry = options.crawlerRegistry;
+    this.concurrency =
+      options.concurrency ||
+      parseInt(process.env.CRAWL_WORKER_CONCURRENCY) ||
+      3;
+    this.pollIntervalMs =
+      options.pollIntervalMs ||
+      parseInt(process.env.CRAWL_WORKER_POLL_MS) ||
+      5000;
+    this.leaseMs =
+      options.leaseMs || parseInt(process.env.CRAWL_JOB_LEASE_MS) || 300000;
+    this.retryBaseMs =
+      options.retryBaseMs ||
+      parseInt(process.env.CRAWL_JOB_RETRY_BASE_MS) ||
+      60000;
+
+    /**
+     * 워커 식별자 (임대 기록용)
+     * @type {string}
+     */
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+
+    /**
+     * 처리 중인 작업 Promise
+     * @type {Set<Promise>}
+     */
+    this.inFlight = new Set();
+
+    /**
+     * 폴링 타이머
+     * @type {NodeJS.Timeout|null}
+     */
+    this.timer = null;
+
+    /**
+     * 실행 여부
+     * @type {boolean}
+     */
+    this.running = false;
+  }
+
+  /**
+   * 워커 시작
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(
+      `🧵 크롤링 작업 워커 시작 (${this.workerId}, 동시 ${this.concurrency}건)`
+    );
+    this.poll();
+  }
+
+  /**
+   * 워커 중지 (처리 중인 작업 완료 대기)
+   * @async
+   * @returns {Promise<void>}
+   * @description 완료되지 못한 작업은 임대 만료 후 다음 워커가 다시 가져갑니다.
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await Promise.allSettled([...this.inFlight]);
+  }
+
+  /**
+   * 한 번 폴링 후 다음 폴링 예약
+   * @async
+   */
+  async poll() {
+    try {
+      await this.tick();
+    } catch (error) {
+      console.error('크롤링 작업 폴링 에러:', error.message);
+    }
+    if (this.running) {
+      this.timer = setTimeout(() => this.poll(), this.pollIntervalMs);
+    }
+  }
+
+  /**
+   * 빈 슬롯만큼 작업 임대 후 처리 시작
+   * @async
+   * @returns {Promise<number>} 새로 시작한 작업 수
+   */
+  async tick() {
+    const slots = this.concurrency - this.inFlight.size;
+    if (slots <= 0) return 0;
+
+    const jobs = await this.jobService.leaseJobs(
+      this.workerId,
+      slots,
+      this.leaseMs
+    );
+    jobs.forEach(job => {
+      const task = this.processJob(job).finally(() => {
+        this.inFlight.delete(task);
+      });
+      this.inFlight.add(task);
+    });
+    return jobs.length;
+  }
+
+  /**
+   * 작업 처리 및 결과 기록
+   * @async
+   * @param {Object} job - 임대된 crawl_job 레코드
+   */
+  async processJob(job) {
+    const label = `${job.job_type_cd}#${job.job_se}`;
+    const crawler = this.crawlerRegistry.get(job.crawler_nm);
+
+    try {
+      if (!crawler) {
+        const error = new Error(`등록되지 않은 크롤러: ${job.crawler_nm}`);
+        error.code = 'UNKNOWN_CRAWLER';
+        throw error;
+      }
+
+      await crawler.runJob(job);
+      await this.jobService.completeJob(job.job_se);
+      console.log(`[${crawler.getName()}] 작업 완료: ${label} ${job.url_lk}`);
+    } catch (error) {
+      const retryDelayMs = this.getRetryDelay(job, error);
+      const status = await this.jobService
+        .failJob(job, error, retryDelayMs)
+        .catch(err => {
+          console.error(`작업 실패 기록 에러 (${label}):`, err.message);
+          return null;
+        });
+      console.warn(
+        `[${job.crawler_nm}] 작업 실패 (${label}, ${job.attempt_va}/${job.max_attempt_va}회, ${status === 'pending' ? `${retryDelayMs}ms 후 재시도` : '실패 확정'}): ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * 작업 재시도 지연 계산
+   * @param {Object} job - 임대된 작업
+   * @param {Error} error - 실패 에러
+   * @returns {number|null} 지연 시간 (ms), 재시도할 수 없는 실패면 null
+   */
+  getRetryDelay(job, error) {
+    if (error.code === 'UNKNOWN_CRAWLER' || error.code === 'UNKNOWN_JOB_TYPE') {
+      return null;
+    }
+    const errorType = error.errorType || classifyError(error);
+    if (PERMANENT_ERROR_TYPES.has(errorType)) return null;
+
+    // 지수 백오프 (최대 6시간)
+    return Math.min(
+      this.retryBaseMs * 2 ** (job.attempt_va - 1),
+      6 * 60 * 60 * 1000
+    );
+  }
+}
+
+module.exports = CrawlWorker;
@@ -0,0 +1,329 @@
+/**
+ * @fileoverview 크롤러 레지스트리
+ * @description 여러 BaseCrawler 구현체를 등록하고 소스별 활성화/스케줄/실행을 관리합니다.
+ */
+
+const BaseCrawler = require('./BaseCrawler');
+
+/**
+ * 크롤러 레지스트리 클래스
+ * @class CrawlerRegistry
+ */
+class CrawlerRegistry {
+  /**
+   * CrawlerRegistry 생성자
+   * @constructor
+   * @param {Object} options - 레지스트리 옵션
+   * @param {string} [options.defaultCronExpression] - 개별 스케줄 미지정 시 사용할 크론 표현식
+   */
+  constructor(options = {}) {
+    /**
+     * 등록된 크롤러 엔트리 (키: 크롤러 이름)
+     * @type {Map<string, {crawler: BaseCrawler, enabled: boolean, cronExpression: string, running: boolean, job: Object|null}>}
+     */
+    this.entries = new Map();
+
+    this.defaultCronExpression =
+      options.defaultCronExpression ||
+      `0 */${process.env.CRAWL_INTERVAL_HOURS || 1} * * *`;
+
+    /**
+     * 등록 크롤러에 연결할 영속 작업 큐
+     * @type {Object|null}
+     */
+    this.jobQueue = null;
+
+    /**
+     * 등록 크롤러에 연결할 이미지 미러
+     * @type {Object|null}
+     */
+    this.imageMirror = null;
+
+    /**
+     * 등록 크롤러에 연결할 제공처 레지스트리
+     * @type {Object|null}
+     */
+    this.providerRegistry = null;
+
+    /**
+     * 기사 버전 확인 스케줄 작업
+     * @type {Object|null}
+     */
+    this.revisionJob = null;
+  }
+
+  /**
+   * 등록된(및 이후 등록될) 모든 크롤러에 작업 큐 연결
+   * @param {Object} jobQueue - CrawlJobService 인스턴스
+   * @returns {CrawlerRegistry} 체이닝용 자기 자신
+   */
+  useJobQueue(jobQueue) {
+    this.jobQueue = jobQueue;
+    this.entries.forEach(entry => entry.crawler.useJobQueue(jobQueue));
+    return this;
+  }
+
+  /**
+   * 등록된(및 이후 등록될) 모든 크롤러에 이미지 미러 연결
+   * @param {Object} imageMirror - ImageMirror 인스턴스
+   * @returns {CrawlerRegistry} 체이닝용 자기 자신
+   */
+  useImageMirror(imageMirror) {
+    this.imageMirror = imageMirror;
+    this.entries.forEach(entry => entry.crawler.useImageMirror(imageMirror));
+    return this;
+  }
+
+  /**
+   * 등록된(및 이후 등록될) 모든 크롤러에 제공처 레지스트리 연결
+   * @param {Object} providerRegistry - ProviderRegistry 인스턴스
+   * @returns {CrawlerRegistry} 체이닝용 자기 자신
+   */
+  useProviderRegistry(providerRegistry) {
+    this.providerRegistry = providerRegistry;
+    this.entries.forEach(entry =>
+      entry.crawler.useProviderRegistry(providerRegistry)
+    );
+    return this;
+  }
+
+  /**
+   * 크롤러 등록
+   * @param {BaseCrawler} crawler - 크롤러 인스턴스
+   * @param {Object} options - 등록 옵션
+   * @param {boolean} [options.enabled=true] - 활성화 여부
+   * @param {string} [options.cronExpression] - 소스별 크론 표현식
+   * @returns {CrawlerRegistry} 체이닝용 자기 자신
+   */
+  register(crawler, options = {}) {
+    if (!(crawler instanceof BaseCrawler)) {
+      throw new Error('BaseCrawler를 상속한 크롤러만 등록할 수 있습니다.');
+    }
+
+    const name = crawler.getName();
+    if (this.entries.has(name)) {
+      throw new Error(`이미 등록된 크롤러입니다: ${name}`);
+    }
+    if (this.jobQueue) crawler.useJobQueue(this.jobQueue);
+    if (this.imageMirror) crawler.useImageMirror(this.imageMirror);
+    if (this.providerRegistry) {
+      crawler.useProviderRegistry(this.providerRegistry);
+    }
+
+    this.entries.set(name, {
+      crawler,
+      enabled: options.enabled !== false,
+      cronExpression: options.cronExpression || this.defaultCronExpression,
+      running: false,
+      job: null,
+    });
+    return this;
+  }
+
+  /**
+   * 이름으로 크롤러 엔트리 조회 (대소문자 무시)
+   * @param {string} name - 크롤러 이름
+   * @returns {Object|null} 크롤러 엔트리
+   */
+  getEntry(name) {
+    if (!name) return null;
+    if (this.entries.has(name)) return this.entries.get(name);
+
+    const lower = String(name).toLowerCase();
+    for (const [key, entry] of this.entries) {
+      if (key.toLowerCase() === lower) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * 이름으로 크롤러 조회
+   * @param {string} name - 크롤러 이름
+   * @returns {BaseCrawler|null} 크롤러 인스턴스
+   */
+  get(name) {
+    const entry = this.getEntry(name);
+    return entry ? entry.crawler : null;
+  }
+
+  /**
+   * 등록 여부 확인
+   * @param {string} name - 크롤러 이름
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.getEntry(name) !== null;
+  }
+
+  /**
+   * 등록된 전체 크롤러 이름 목록
+   * @returns {Array<string>}
+   */
+  getNames() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * 활성화된 크롤러 엔트리 목록
+   * @returns {Array<Object>}
+   */
+  getEnabledEntries() {
+    return Array.from(this.entries.values()).filter(entry => entry.enabled);
+  }
+
+  /**
+   * 소스별 상태 요약 (API 응답용)
+   * @returns {Array<{name: string, enabled: boolean, cronExpression: string, running: boolean}>}
+   */
+  describe() {
+    return Array.from(this.entries.entries()).map(([name, entry]) => ({
+      name,
+      enabled: entry.enabled,
+      cronExpression: entry.cronExpression,
+      running: entry.running,
+    }));
+  }
+
+  /**
+   * 단일 소스 크롤링 실행
+   * @async
+   * @param {string} name - 크롤러 이름
+   * @returns {Promise<{source: string, success: boolean, itemCount: number, skipped?: boolean}>}
+   * @description 같은 소스의 실행이 진행 중이면 중복 실행하지 않고 건너뜁니다.
+   */
+  async run(name) {
+    const entry = this.getEntry(name);
+    if (!entry) {
+      throw new Error(`등록되지 않은 크롤러입니다: ${name}`);
+    }
+
+    const source = entry.crawler.getName();
+    if (entry.running) {
+      console.warn(`[${source}] 이전 크롤링이 진행 중이어서 건너뜁니다.`);
+      return { source, success: false, itemCount: 0, skipped: true };
+    }
+
+    entry.running = true;
+    try {
+      const result = await entry.crawler.crawlNews();
+      return { source, ...result };
+    } finally {
+      entry.running = false;
+    }
+  }
+
+  /**
+   * 활성화된 모든 소스 크롤링 실행
+   * @async
+   * @returns {Promise<Array<Object>>} 소스별 실행 결과
+   * @description 소스별 실패는 서로에게 영향을 주지 않도록 개별 결과로 반환합니다.
+   */
+  async runAll() {
+    const entries = this.getEnabledEntries();
+    const settled = await Promise.allSettled(
+      entries.map(entry => this.run(entry.crawler.getName()))
+    );
+
+    return settled.map((result, i) => {
+      if (result.status === 'fulfilled') return result.value;
+      return {
+        source: entries[i].crawler.getName(),
+        success: false,
+        itemCount: 0,
+        error: result.reason ? result.reason.message : 'unknown error',
+      };
+    });
+  }
+
+  /**
+   * 활성화된 소스별 스케줄 등록
+   * @param {Object} scheduler - node-schedule 모듈
+   * @description 소스마다 개별 크론 표현식으로 작업을 등록합니다.
+   */
+  scheduleAll(scheduler) {
+    for (const entry of this.getEnabledEntries()) {
+      const source = entry.crawler.getName();
+      console.log(`⏰ [${source}] 크롤링 스케줄 설정: ${entry.cronExpression}`);
+
+      entry.job = scheduler.scheduleJob(entry.cronExpression, async () => {
+        console.log(
+          `🕒 [${source}] 예약된 크롤링 시작: ${new Date().toISOString()}`
+        );
+        try {
+          const result = await this.run(source);
+          if (!result.skipped) {
+            console.log(
+              `✅ [${source}] 예약된 크롤링 완료: ${result.itemCount}개 뉴스 처리`
+            );
+          }
+        } catch (error) {
+          console.error(`❌ [${source}] 예약된 크롤링 에러:`, error.message);
+        }
+      });
+    }
+  }
+
+  /**
+   * 활성화된 모든 소스의 최근 기사 버전 확인
+   * @async
+   * @returns {Promise<Array<{source: string, success: boolean, itemCount: number, error?: string}>>} 소스별 결과
+   */
+  async checkRevisionsAll() {
+    const entries = this.getEnabledEntries();
+    const settled = await Promise.allSettled(
+      entries.map(entry => entry.crawler.checkRevisions())
+    );
+
+    return settled.map((result, i) => {
+      const source = entries[i].crawler.getName();
+      if (result.status === 'fulfilled') {
+        return { source, success: true, itemCount: result.value };
+      }
+      return {
+        source,
+        success: false,
+        itemCount: 0,
+        error: result.reason ? result.reason.message : 'unknown error',
+      };
+    });
+  }
+
+  /**
+   * 기사 버전 확인 스케줄 등록
+   * @param {Object} scheduler - node-schedule 모듈 (scheduleJob 제공)
+   * @param {string} cronExpression - 크론 표현식
+   */
+  scheduleRevisionChecks(scheduler, cronExpression) {
+    console.log(`⏰ 기사 버전 확인 스케줄 설정: ${cronExpression}`);
+    this.revisionJob = scheduler.scheduleJob(cronExpression, async () => {
+      const results = await this.checkRevisionsAll();
+      results.forEach(result => {
+        if (!result.success) {
+          console.error(`❌ [${result.source}] 버전 확인 에러:`, result.error);
+        } else if (result.itemCount) {
+          console.log(
+            `✅ [${result.source}] 버전 확인: ${result.itemCount}건 재수집`
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * 등록된 스케줄 작업 취소
+   */
+  cancelAll() {
+    for (const entry of this.entries.values()) {
+      if (entry.job) {
+        entry.job.cancel();
+        entry.job = null;
+      }
+    }
+    if (this.revisionJob) {
+      this.revisionJob.cancel();
+      this.revisionJob = null;
+    }
+  }
+}
+
+module.exports = CrawlerRegistry;
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview HTTP 응답 픽스처 기록/재생
+ * @description 크롤러 httpClient(axios)의 어댑터를 감싸 응답을 파일로 기록하거나(record),
+ * 기록된 파일만으로 응답합니다(replay). 파서 변경을 네트워크 없이 같은 입력으로 검증할 때 사용합니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * 기본 픽스처 디렉터리
+ * @type {string}
+ */
+const DEFAULT_FIXTURE_DIR = path.join(
+  __dirname,
+  '..',
+  '..',
+  'fixtures',
+  'http'
+);
+
+/**
+ * 픽스처 모드
+ * @enum {string}
+ */
+const FIXTURE_MODES = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+/**
+ * HTTP 픽스처 저장소 클래스
+ * @class HttpFixtureStore
+ */
+class HttpFixtureStore {
+  /**
+   * HttpFixtureStore 생성자
+   * @constructor
+   * @param {Object} [options]
+   * @param {string} [options.mode] - off | record | replay (HTTP_FIXTURE_MODE, 기본 off)
+   * @param {string} [options.dir] - 픽스처 디렉터리 (HTTP_FIXTURE_DIR, 기본 fixtures/http)
+   */
+  constructor(options = {}) {
+    this.mode =
+      options.mode || process.env.HTTP_FIXTURE_MODE || FIXTURE_MODES.OFF;
+    this.dir =
+      options.dir || process.env.HTTP_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+
+    if (!Object.values(FIXTURE_MODES).includes(this.mode)) {
+      throw new Error(
+        `HTTP_FIXTURE_MODE는 ${Object.values(FIXTURE_MODES).join(' | ')} 중 하나여야 합니다: ${this.mode}`
+      );
+    }
+  }
+
+  /**
+   * 활성화 여부
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.mode !== FIXTURE_MODES.OFF;
+  }
+
+  /**
+   * axios 인스턴스에 기록/재생 어댑터 연결
+   * @param {axios.AxiosInstance} httpClient
+   * @returns {axios.AxiosInstance} 같은 인스턴스
+   */
+  attach(httpClient) {
+    if (this.mode === FIXTURE_MODES.RECORD) {
+      const networkAdapter = axios.getAdapter(httpClient.defaults.adapter);
+      httpClient.defaults.adapter = config =>
+        this.record(networkAdapter, config);
+    } else if (this.mode === FIXTURE_MODES.REPLAY) {
+      httpClient.defaults.adapter = config => this.replay(config);
+    }
+    return httpClient;
+  }
+
+  /**
+   * 재생된 응답의 기록 시각
+   * @param {Object} response - axios 응답
+   * @returns {Date|null} 픽스처에서 재생한 응답이 아니면 null
+   * @description 게시 시각 기준 판정을 기록 당시 시각으로 하면 재생 결과가 실행 시점에 따라 달라지지 않습니다.
+   */
+  getRecordedAt(response) {
+    const recordedAt =
+      response && response.request && response.request.recordedAt;
+    return recordedAt ? new Date(recordedAt) : null;
+  }
+
+  /**
+   * 요청 URL 계산 (baseURL/params 반영)
+   * @param {Object} config - axios 요청 설정
+   * @returns {string}
+   */
+  resolveUrl(config) {
+    const url = new URL(config.url, config.baseURL || undefined);
+    Object.entries(config.params || {}).forEach(([key, value]) => {
+      url.searchParams.set(key, value);
+    });
+    return url.toString();
+  }
+
+  /**
+   * 픽스처 파일 경로 (호스트별 디렉터리 / 메서드+URL 해시)
+   * @param {string} method
+   * @param {string} url
+   * @returns {string}
+   */
+  getFixturePath(method, url) {
+    const hash = crypto
+      .createHash('sha1')
+      .update(`${method.toUpperCase()} ${url}`)
+      .digest('hex')
+      .slice(0, 16);
+    // 호스트:포트의 ':'는 파일명에 쓸 수 없는 환경이 있어 '_'로 치환
+    const hostDir = new URL(url).host.replace(/:/g, '_');
+    return path.join(this.dir, hostDir, `${hash}.json`);
+  }
+
+  /**
+   * 실제 요청 후 응답 기록 (에러 응답 포함)
+   * @async
+   * @param {Function} networkAdapter - 기본 axios 어댑터
+   * @param {Object} config - axios 요청 설정
+   * @returns {Promise<Object>} axios 응답
+   */
+  async record(networkAdapter, config) {
+    try {
+      const response = await networkAdapter(config);
+      this.save(config, response);
+      return response;
+    } catch (error) {
+      if (error.response) this.save(config, error.response);
+      throw error;
+    }
+  }
+
+  /**
+   * 응답을 픽스처 파일로 저장
+   * @param {Object} config - axios 요청 설정
+   * @param {Object} response - axios 응답 (transformResponse 적용 전 원본)
+   */
+  save(config, response) {
+    const method = config.method || 'get';
+    const url = this.resolveUrl(config);
+    const isBinary = Buffer.isBuffer(response.data);
+    const fixture = {
+      method: method.toUpperCase(),
+      url,
+      status: response.status,
+      statusText: response.statusText || '',
+      headers:
+        response.headers && response.headers.toJSON
+          ? response.headers.toJSON()
+          : response.headers || {},
+      encoding: isBinary ? 'base64' : 'utf8',
+      data: isBinary ? response.data.toString('base64') : response.data,
+      recordedAt: new Date().toISOString(),
+    };
+
+    const filePath = this.getFixturePath(method, url);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+  }
+
+  /**
+   * 픽스처 파일로 응답 (네트워크 사용 안 함)
+   * @async
+   * @param {Object} config - axios 요청 설정
+   * @returns {Promise<Object>} axios 응답
+   * @throws {Error} 픽스처 없음(code = 'FIXTURE_NOT_FOUND') 또는 validateStatus 불통과 시 AxiosError
+   */
+  async replay(config) {
+    const method = config.method || 'get';
+    const url = this.resolveUrl(config);
+    const filePath = this.getFixturePath(method, url);
+
+    if (!fs.existsSync(filePath)) {
+      const error = new Error(
+        `기록된 픽스처가 없습니다: ${method.toUpperCase()} ${url}`
+      );
+      error.code = 'FIXTURE_NOT_FOUND';
+      error.config = config;
+      throw error;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const response = {
+      data:
+        fixture.encoding === 'base64'
+          ? Buffer.from(fixture.data, 'base64')
+          : fixture.data,
+      status: fixture.status,
+      statusText: fixture.statusText,
+      headers: new axios.AxiosHeaders(fixture.headers),
+      config,
+      request: { fixture: filePath, recordedAt: fixture.recordedAt },
+    };
+
+    // axios settle과 같은 기준으로 상태 코드 판정
+    const validateStatus = config.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) return response;
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500
+        ? axios.AxiosError.ERR_BAD_RESPONSE
+        : axios.AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+}
+
+module.exports = HttpFixtureStore;
+module.exports.FIXTURE_MODES = FIXTURE_MODES;
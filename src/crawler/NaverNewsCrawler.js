@@ -0,0 +1,342 @@
+/**
+ * @fileoverview 네이버 뉴스 크롤러
+ * @description news.naver.com 섹션/메인 페이지와 n.news.naver.com 기사 페이지에서 뉴스 데이터를 수집합니다.
+ */
+
+const cheerio = require('cheerio');
+const BaseCrawler = require('./BaseCrawler');
+const { getCurrentIsoTime } = require('../utils/commonUtils');
+const { formatByline } = require('../extractor/bylineExtractor');
+const { TAG_SOURCES } = require('../services/tagService');
+
+/**
+ * 네이버 기사 URL 패턴 (언론사 ID / 기사 ID)
+ * 예: https://n.news.naver.com/mnews/article/001/0014812345?sid=100
+ * @type {RegExp}
+ */
+const ARTICLE_URL_PATTERN =
+  /^https?:\/\/n\.news\.naver\.com\/(?:mnews\/)?article\/(\d{3})\/(\d{10})/;
+
+/**
+ * 네이버 뉴스 크롤러 클래스
+ * @class NaverNewsCrawler
+ * @extends BaseCrawler
+ */
+class NaverNewsCrawler extends BaseCrawler {
+  /**
+   * NaverNewsCrawler 생성자
+   * @param {Object} newsService - 뉴스 서비스 인스턴스
+   */
+  constructor(newsService) {
+    super(newsService, { name: 'NaverNewsCrawler' });
+
+    /**
+     * 섹션 URL 목록
+     * @type {Array<{url: string, category: string}>}
+     */
+    this.categories = [
+      { url: 'https://news.naver.com/section/100', category: '정치' },
+      { url: 'https://news.naver.com/section/101', category: '경제' },
+      { url: 'https://news.naver.com/section/102', category: '사회' },
+      { url: 'https://news.naver.com/section/103', category: '생활/문화' },
+      { url: 'https://news.naver.com/section/104', category: '세계' },
+      { url: 'https://news.naver.com/section/105', category: 'IT/과학' },
+    ];
+
+    /**
+     * 메인 페이지 URL
+     * @type {string}
+     */
+    this.mainPageUrl = 'https://news.naver.com/';
+  }
+
+  /**
+   * 기사 목록 수집 (섹션 + 메인 페이지)
+   * @returns {Promise<Array>}
+   */
+  async collectArticles() {
+    const allArticles = await super.collectArticles();
+
+    try {
+      const mainPageArticles = this.tagListing(
+        await this.crawlMainPage(),
+        this.mainPageUrl
+      );
+      const seen = new Set(allArticles.map(article => article.url));
+      mainPageArticles.forEach(article => {
+        if (!seen.has(article.url)) {
+          seen.add(article.url);
+          allArticles.push(article);
+        }
+      });
+      console.log(
+        `[${this.getName()}] 메인 페이지: ${mainPageArticles.length}건 수집`
+      );
+    } catch (err) {
+      console.error(`[${this.getName()}] 메인 페이지 에러:`, err.message);
+      this.markListingFailed(this.mainPageUrl);
+    }
+
+    return allArticles;
+  }
+
+  /**
+   * 섹션 페이지 크롤링
+   * @param {string} categoryUrl
+   * @param {string} categoryName
+   * @returns {Promise<Array>}
+   * @description 섹션 추가 기사는 스크립트로 불러오므로 첫 페이지만 수집합니다. (maxPages: 1)
+   * 요청 실패는 호출부(collectArticles / 작업 큐)에서 처리하도록 그대로 전파합니다.
+   */
+  async crawlCategoryNews(categoryUrl, categoryName) {
+    return this.crawlListingPages(categoryUrl, categoryName, { maxPages: 1 });
+  }
+
+  /**
+   * 섹션 페이지 파싱
+   * @param {string} html
+   * @param {string} pageUrl
+   * @param {string} categoryName
+   * @returns {{items: Array, nextPageUrl: null}}
+   */
+  parseListingPage(html, pageUrl, categoryName) {
+    const $ = cheerio.load(html);
+
+    const items = [];
+    const seenUrls = new Set();
+
+    // 섹션 헤드라인 + 최신 기사 목록 (.sa_item 공통 마크업)
+    $('.sa_item').each((i, el) => {
+      const $item = $(el);
+      const $link = $item.find('a.sa_text_title').first();
+      const url = this.normalizeArticleUrl($link.attr('href'));
+      if (!url || seenUrls.has(url)) return;
+
+      const title = ($link.find('.sa_text_strong').text() || $link.text())
+        .replace(/\s+/g, ' ')
+        .trim();
+      if (!title || title.length < 5) return;
+
+      const summary = $item
+        .find('.sa_text_lede')
+        .text()
+        .replace(/\s+/g, ' ')
+        .trim();
+      const $img = $item.find('.sa_thumb img').first();
+      const imageUrl = $img.attr('data-src') || $img.attr('src') || null;
+
+      seenUrls.add(url);
+      items.push({
+        title,
+        url,
+        imageUrl,
+        summary: summary || title,
+        category: categoryName,
+        publishedAt: this.parseRelativeTime(
+          $item.find('.sa_text_datetime').text()
+        ),
+      });
+    });
+
+    return { items, nextPageUrl: null };
+  }
+
+  /**
+   * 메인 페이지 주요 뉴스 크롤링
+   * @returns {Promise<Array>}
+   * @description 메인 페이지 마크업이 자주 바뀌므로 기사 URL 패턴 기반으로 링크를 수집합니다.
+   * 요청 실패는 호출부(collectArticles)에서 처리하도록 그대로 전파합니다.
+   */
+  async crawlMainPage() {
+    const response = await this.fetchListingPage(this.mainPageUrl);
+    if (!response) return [];
+    const $ = cheerio.load(response.data);
+
+    const items = [];
+    const seenUrls = new Set();
+
+    $('a[href*="/article/"]').each((i, el) => {
+      if (items.length >= 30) return false; // 안전 상한
+      const $a = $(el);
+      const url = this.normalizeArticleUrl($a.attr('href'));
+      if (!url || seenUrls.has(url)) return;
+
+      // 썸네일 링크는 텍스트가 없으므로 제목 텍스트가 있는 링크만 사용
+      const title = $a.text().replace(/\s+/g, ' ').trim();
+      if (!title || title.length < 10) return;
+
+      const $img = $a.closest('li, div').find('img').first();
+      const imageUrl = $img.attr('data-src') || $img.attr('src') || null;
+
+      seenUrls.add(url);
+      items.push({
+        title,
+        url,
+        imageUrl,
+        summary: title,
+        category: null, // 주요뉴스는 대표 카테고리가 아니므로 상세 저장 후 분류기로 정함
+        publishedAt: null, // 메인 페이지에는 시각 표기가 없어 상세 메타데이터로 보정
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * 기사 상세 페이지 크롤링
+   * @param {string} articleUrl
+   * @returns {Promise<Object>}
+   * @throws {Error} 요청 실패 시 그대로 전파 (작업 큐 재시도 / 백필 대상으로 남김)
+   */
+  async crawlNewsDetail(articleUrl) {
+    await this.providerRegistry.ensureLoaded();
+    const response = await this.fetchPage(articleUrl);
+    const $ = cheerio.load(response.data);
+
+    // 1) 본문 (현재 #dic_area, 구 마크업 fallback)
+    const $body = $('#dic_area, #newsct_article, #articleBodyContents')
+      .first()
+      .clone();
+    const images = this.collectImages($, $body);
+    $body
+      .find(
+        'script, style, .img_desc, .vod_player_wrap, .end_photo_org em, .media_end_summary'
+      )
+      .remove();
+    $body.find('br').replaceWith('\n');
+
+    let content = $body
+      .text()
+      .replace(/\u00a0/g, ' ')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n\s*\n+/g, '\n\n')
+      .trim();
+
+    // 2) 요약 메타 (본문 추출 실패 시 보강)
+    const metaDesc = (
+      $('meta[property="og:description"]').attr('content') || ''
+    ).trim();
+    if (content.length < 80 && metaDesc) {
+      content = metaDesc + (content ? '\n\n' + content : '');
+    }
+
+    // 3) 기자 (복수 기자, 바이라인의 직함/이메일 포함)
+    const authors = this.extractAuthors(
+      $('.media_end_head_journalist_name, .byline_s')
+        .map((_, el) => $(el).text())
+        .get(),
+      content
+    );
+
+    // 4) 언론사 (로고 alt/title → og:article:author 메타)
+    // 네이버 표기가 정확하므로 미등록 언론사도 그대로 쓰되 후보로 보고해 별칭/유형을 등록할 수 있게 함
+    const $logo = $('.media_end_head_top_logo img').first();
+    const metaAuthor = (
+      $('meta[property="og:article:author"]').attr('content') || ''
+    )
+      .split('|')[0]
+      .trim();
+    const pressName =
+      ($logo.attr('alt') || $logo.attr('title') || '').trim() || metaAuthor;
+    const source = pressName
+      ? this.resolveProvider(pressName, articleUrl) || pressName
+      : null;
+
+    // 5) 태그 (뉴스 키워드 메타)
+    const tags = ($('meta[name="news_keywords"]').attr('content') || '')
+      .split(',')
+      .map(t => t.trim())
+      .filter(Boolean)
+      .slice(0, 10);
+
+    return {
+      title:
+        (
+          $('#title_area, .media_end_head_headline').first().text() ||
+          $('meta[property="og:title"]').attr('content') ||
+          ''
+        ).trim() || null,
+      canonicalUrl: this.extractCanonicalUrl($, articleUrl),
+      content:
+        content || `뉴스 상세 내용을 추출할 수 없습니다. URL: ${articleUrl}`,
+      author: formatByline(authors),
+      authors,
+      source,
+      tags: tags.join(','),
+      tagList: tags.map(name => ({ name, source: TAG_SOURCES.META })),
+      images,
+      leadImageUrl:
+        $('meta[property="og:image"]').attr('content') ||
+        (images[0] ? images[0].url : null),
+      ...this.extractPublishTimes($),
+      // 반응/댓글 수는 별도 API로 그려지므로 HTML에 있는 경우(JSON-LD)만 사용
+      ...this.extractMetrics($),
+    };
+  }
+
+  /**
+   * 본문 사진 수집 (캡션 포함)
+   * @param {Function} $ - cheerio 루트
+   * @param {Object} $body - 본문 요소 (캡션 제거 전)
+   * @returns {Array<{url: string, alt: string, caption: string, width: number|null, height: number|null}>}
+   */
+  collectImages($, $body) {
+    const images = [];
+    $body.find('img').each((_, el) => {
+      const $img = $(el);
+      const url = $img.attr('data-src') || $img.attr('src');
+      if (!url || url.startsWith('data:') || images.some(i => i.url === url)) {
+        return;
+      }
+      const size = name => parseInt($img.attr(name), 10) || null;
+      images.push({
+        url,
+        alt: ($img.attr('alt') || '').trim(),
+        caption: $img
+          .closest('.end_photo_org, .nbd_table')
+          .find('.img_desc')
+          .first()
+          .text()
+          .replace(/\s+/g, ' ')
+          .trim(),
+        width: size('width'),
+        height: size('height'),
+      });
+    });
+    return images;
+  }
+
+  /**
+   * 기사 URL 정규화
+   * @param {string} href - 링크 href
+   * @returns {string|null} https://n.news.naver.com/mnews/article/{oid}/{aid} 형태 또는 null
+   * @description sid 등 쿼리 파라미터를 제거하여 섹션 간 같은 기사를 하나로 취급합니다.
+   */
+  normalizeArticleUrl(href) {
+    if (!href) return null;
+    const absolute = href.startsWith('//') ? 'https:' + href : href;
+    const match = absolute.match(ARTICLE_URL_PATTERN);
+    if (!match) return null;
+    return `https://n.news.naver.com/mnews/article/${match[1]}/${match[2]}`;
+  }
+
+  /**
+   * 목록의 상대 시간 표기 변환
+   * @param {string} text - "5분전", "3시간전", "1일전" 등
+   * @returns {Date|null} getCurrentIsoTime() 기준 시각, 상대 시간 표기가 아니면 null
+   */
+  parseRelativeTime(text) {
+    const match = (text || '').match(/(\d+)\s*(분|시간|일)\s*전/);
+    if (!match) return null;
+
+    const now = getCurrentIsoTime();
+    const unitMs = {
+      분: 60 * 1000,
+      시간: 60 * 60 * 1000,
+      일: 24 * 60 * 60 * 1000,
+    };
+    return new Date(now.getTime() - parseInt(match[1]) * unitMs[match[2]]);
+  }
+}
+
+module.exports = NaverNewsCrawler;
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview 제공처(언론사) 레지스트리
+ * @description 크롤러가 제목 prefix 정리/제공처 추론에 쓰는 제공처 목록의 메모리 캐시입니다.
+ * 생성 즉시 config/providers.json(또는 PROVIDERS_FILE) 기본 목록으로 동작하고, ProviderService가 연결되면
+ * news_provider 테이블을 읽어 교체합니다(PROVIDER_CACHE_TTL_SECONDS마다 다시 읽음, 테이블이 비어 있으면 기본 목록 등록).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { nameKey, normalizeDomain } = require('../services/providerService');
+
+/**
+ * 기본 제공처 목록 파일 경로
+ * @type {string}
+ */
+const DEFAULT_PROVIDERS_FILE = path.join(
+  __dirname,
+  '..',
+  '..',
+  'config',
+  'providers.json'
+);
+
+/**
+ * 후보로 보고할 이름 형식 (한글/영문 2~15자, 가운뎃점/공백 허용)
+ * @type {RegExp}
+ */
+const CANDIDATE_NAME_PATTERN = /^[가-힣A-Za-z][가-힣A-Za-z·\s]{1,14}$/;
+
+/**
+ * 제공처 레지스트리 클래스
+ * @class ProviderRegistry
+ */
+class ProviderRegistry {
+  /**
+   * ProviderRegistry 생성자
+   * @param {Object} [options]
+   * @param {Object} [options.providerService] - ProviderService 인스턴스 (없으면 기본 목록만 사용)
+   * @param {string} [options.providersFile] - 기본 제공처 목록 파일
+   * @param {number} [options.ttlMs] - DB 목록 재조회 간격
+   */
+  constructor(options = {}) {
+    /**
+     * 제공처 서비스 (news_provider / news_provider_candidate)
+     * @type {Object|null}
+     */
+    this.providerService = options.providerService || null;
+
+    /**
+     * DB 목록 재조회 간격 (ms)
+     * @type {number}
+     */
+    this.ttlMs =
+      options.ttlMs ||
+      (parseInt(process.env.PROVIDER_CACHE_TTL_SECONDS, 10) || 600) * 1000;
+
+    /**
+     * 기본 제공처 목록 (DB 시드 겸 오프라인 실행용)
+     * @type {Array<Object>}
+     */
+    this.defaults = ProviderRegistry.loadProviders(
+      options.providersFile ||
+        process.env.PROVIDERS_FILE ||
+        DEFAULT_PROVIDERS_FILE
+    );
+
+    /**
+     * 마지막 DB 조회 시각 (0이면 아직 조회 전)
+     * @type {number}
+     */
+    this.loadedAt = 0;
+
+    /**
+     * 진행 중인 조회 (동시 호출 시 공유)
+     * @type {Promise<void>|null}
+     */
+    this.loading = null;
+
+    /**
+     * 이 프로세스에서 이미 경고를 남긴 후보 이름 (같은 이름 반복 로그 방지)
+     * @type {Set<string>}
+     */
+    this.reported = new Set();
+
+    this.setProviders(this.defaults);
+  }
+
+  /**
+   * 제공처 목록 파일 로드
+   * @param {string} filePath
+   * @returns {Array<{name: string, aliases: Array<string>, domain: string|null, type: string}>}
+   * @throws {Error} 배열이 아니거나 이름/유형이 없는 항목이 있는 경우
+   */
+  static loadProviders(filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(raw)) {
+      throw new Error(`제공처 목록은 배열이어야 합니다: ${filePath}`);
+    }
+    return raw.map((provider, i) => {
+      if (!provider || typeof provider.name !== 'string' || !provider.type) {
+        throw new Error(
+          `제공처 목록 ${i}번째 항목에 name/type이 없습니다: ${filePath}`
+        );
+      }
+      return {
+        name: provider.name,
+        aliases: provider.aliases || [],
+        domain: normalizeDomain(provider.domain),
+        type: provider.type,
+      };
+    });
+  }
+
+  /**
+   * 조회용 색인 교체
+   * @param {Array<Object>} providers - 제공처 항목 (name, aliases, domain, type)
+   */
+  setProviders(providers) {
+    this.providers = providers;
+    this.byName = new Map();
+    this.byDomain = new Map();
+    providers.forEach(provider => {
+      [provider.name, ...(provider.aliases || [])].forEach(name => {
+        this.byName.set(nameKey(name), provider);
+      });
+      if (provider.domain) this.byDomain.set(provider.domain, provider);
+    });
+
+    // 긴 이름 우선 (시사연합뉴스가 연합뉴스보다 먼저 일치하도록)
+    this.names = providers
+      .flatMap(provider => [provider.name, ...(provider.aliases || [])])
+      .sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * DB 목록이 오래됐으면 다시 조회
+   * @async
+   * @returns {Promise<void>}
+   */
+  async ensureLoaded() {
+    if (!this.providerService) return;
+    if (this.loadedAt && Date.now() - this.loadedAt < this.ttlMs) return;
+    if (!this.loading) {
+      this.loading = this.refresh().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  /**
+   * DB 목록 즉시 다시 조회 (관리 API로 제공처를 바꾼 뒤 호출)
+   * @async
+   * @returns {Promise<void>}
+   * @description 조회에 실패하면 기존 목록을 유지하고 다음 TTL까지 재시도하지 않습니다.
+   */
+  async refresh() {
+    if (!this.providerService) return;
+    try {
+      let providers = await this.providerService.listProviders({
+        activeOnly: true,
+      });
+      if (!providers.length) {
+        const seeded = await this.providerService.seedProviders(this.defaults);
+        console.log(`기본 제공처 ${seeded}개 등록 (config/providers.json)`);
+        providers = await this.providerService.listProviders({
+          activeOnly: true,
+        });
+      }
+      this.setProviders(providers);
+    } catch (error) {
+      console.warn('제공처 목록 조회 실패 (기존 목록 사용):', error.message);
+    }
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * 이름/별칭으로 제공처 찾기
+   * @param {string} name
+   * @returns {Object|null} 제공처 항목 (대표 이름은 provider.name)
+   */
+  resolve(name) {
+    if (!name) return null;
+    return this.byName.get(nameKey(name)) || null;
+  }
+
+  /**
+   * 홈페이지 도메인으로 제공처 찾기 (하위 도메인 포함)
+   * @param {string} hostname - 예: "www.yna.co.kr", "m.news.hankyung.com"
+   * @returns {Object|null}
+   */
+  findByDomain(hostname) {
+    let host = normalizeDomain(hostname);
+    while (host && host.includes('.')) {
+      const provider = this.byDomain.get(host);
+      if (provider) return provider;
+      host = host.slice(host.indexOf('.') + 1);
+    }
+    return null;
+  }
+
+  /**
+   * 제목 prefix 정리용 전체 이름/별칭 (긴 이름 우선)
+   * @returns {Array<string>}
+   */
+  getNames() {
+    return this.names;
+  }
+
+  /**
+   * 미등록 제공처 후보 보고
+   * @param {string} name - 본문/제목에서 찾은 이름
+   * @param {Object} [context] - { crawlerName, url }
+   * @description 발견할 때마다 후보의 발견 횟수를 올립니다. 저장은 기다리지 않으며(실패 시 경고만),
+   * 형식에 맞지 않는 이름은 무시합니다.
+   */
+  reportUnknown(name, context = {}) {
+    const candidate = String(name || '').trim();
+    if (!this.providerService || !CANDIDATE_NAME_PATTERN.test(candidate)) {
+      return;
+    }
+    if (this.resolve(candidate)) return;
+
+    if (!this.reported.has(candidate)) {
+      this.reported.add(candidate);
+      console.warn(
+        `[${context.crawlerName || '-'}] 미등록 제공처 후보: ${candidate} (${context.url || '-'})`
+      );
+    }
+    this.providerService.recordCandidate(candidate, context).catch(error => {
+      console.warn('제공처 후보 기록 실패:', error.message);
+    });
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview HTTP 요청 스케줄러
+ * @description 호스트별 토큰 버킷과 전역 동시 요청 상한으로 크롤러의 모든 요청 속도를 제어합니다.
+ * 기본 인스턴스(`RequestScheduler.shared()`)는 프로세스 전체 크롤러가 공유하므로
+ * 여러 소스가 같은 호스트를 수집해도 호스트 한도가 합산되어 적용됩니다.
+ */
+
+/**
+ * 요청 스케줄러 클래스
+ * @class RequestScheduler
+ */
+class RequestScheduler {
+  /**
+   * RequestScheduler 생성자
+   * @constructor
+   * @param {Object} [options] - 옵션
+   * @param {number} [options.maxConcurrent] - 전역 동시 요청 상한 (MAX_CONCURRENT_REQUESTS, 기본 5)
+   * @param {number} [options.hostIntervalMs] - 호스트별 토큰 충전 간격 (REQUEST_DELAY_MS, 기본 800)
+   * @param {number} [options.hostBurst] - 호스트별 버킷 크기 (HOST_BURST_SIZE, 기본 2)
+   */
+  constructor(options = {}) {
+    this.maxConcurrent =
+      options.maxConcurrent ||
+      parseInt(process.env.MAX_CONCURRENT_REQUESTS) ||
+      5;
+    this.hostIntervalMs =
+      options.hostIntervalMs || parseInt(process.env.REQUEST_DELAY_MS) || 800;
+    this.hostBurst =
+      options.hostBurst || parseInt(process.env.HOST_BURST_SIZE) || 2;
+
+    /**
+     * 진행 중인 요청 수
+     * @type {number}
+     */
+    this.active = 0;
+
+    /**
+     * 대기열 (요청 순서 유지, 호스트 한도에 걸린 항목은 건너뛰고 다음 항목 실행)
+     * @type {Array<{host: string, task: Function, resolve: Function, reject: Function}>}
+     */
+    this.queue = [];
+
+    /**
+     * 호스트별 토큰 버킷
+     * @type {Map<string, {tokens: number, capacity: number, intervalMs: number, updatedAt: number}>}
+     */
+    this.buckets = new Map();
+
+    /**
+     * 다음 토큰 충전 시점 재시도 타이머
+     * @type {NodeJS.Timeout|null}
+     */
+    this.timer = null;
+  }
+
+  /**
+   * 프로세스 공용 인스턴스
+   * @static
+   * @returns {RequestScheduler}
+   */
+  static shared() {
+    if (!RequestScheduler.sharedInstance) {
+      RequestScheduler.sharedInstance = new RequestScheduler();
+    }
+    return RequestScheduler.sharedInstance;
+  }
+
+  /**
+   * 요청 예약
+   * @param {string} url - 요청 URL (호스트 판별용)
+   * @param {Function} task - 실행할 비동기 함수
+   * @param {Object} [options]
+   * @param {number} [options.minIntervalMs] - 호스트 최소 요청 간격 (robots.txt Crawl-delay)
+   * @returns {Promise<*>} task 결과
+   */
+  schedule(url, task, options = {}) {
+    const host = new URL(url).host;
+    this.configureHost(host, options.minIntervalMs || 0);
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ host, task, resolve, reject });
+      this.pump();
+    });
+  }
+
+  /**
+   * 호스트 버킷 생성/갱신
+   * @param {string} host
+   * @param {number} minIntervalMs - Crawl-delay (기본 간격보다 길면 버스트 없이 해당 간격 적용)
+   */
+  configureHost(host, minIntervalMs) {
+    const crawlDelayed = minIntervalMs > this.hostIntervalMs;
+    const intervalMs = crawlDelayed ? minIntervalMs : this.hostIntervalMs;
+    const capacity = crawlDelayed ? 1 : this.hostBurst;
+
+    const bucket = this.buckets.get(host);
+    if (!bucket) {
+      this.buckets.set(host, {
+        tokens: capacity,
+        capacity,
+        intervalMs,
+        updatedAt: Date.now(),
+      });
+      return;
+    }
+    if (bucket.intervalMs !== intervalMs || bucket.capacity !== capacity) {
+      this.refill(bucket);
+      bucket.intervalMs = intervalMs;
+      bucket.capacity = capacity;
+      bucket.tokens = Math.min(bucket.tokens, capacity);
+    }
+  }
+
+  /**
+   * 호스트 요청 일시 보류 (429/503 Retry-After 준수)
+   * @param {string} url - 대상 URL (호스트 판별용)
+   * @param {number} delayMs - 보류 시간
+   * @description 토큰을 음수로 만들어 보류 시간이 지난 뒤 다음 토큰이 충전되도록 합니다.
+   */
+  deferHost(url, delayMs) {
+    const bucket = this.buckets.get(new URL(url).host);
+    if (!bucket || delayMs <= 0) return;
+    this.refill(bucket);
+    bucket.tokens = Math.min(bucket.tokens, 1 - delayMs / bucket.intervalMs);
+  }
+
+  /**
+   * 경과 시간만큼 토큰 충전
+   * @param {Object} bucket
+   */
+  refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(
+      bucket.capacity,
+      bucket.tokens + (now - bucket.updatedAt) / bucket.intervalMs
+    );
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * 실행 가능한 대기 요청 시작
+   * @description 전역 상한 내에서 토큰이 있는 호스트의 요청을 대기열 순서대로 실행하고,
+   * 토큰 부족으로 남은 요청은 가장 빠른 충전 시점에 다시 확인합니다.
+   */
+  pump() {
+    let waitMs = null;
+
+    let i = 0;
+    while (i < this.queue.length && this.active < this.maxConcurrent) {
+      const item = this.queue[i];
+      const bucket = this.buckets.get(item.host);
+      this.refill(bucket);
+
+      if (bucket.tokens < 1) {
+        const untilNext = Math.ceil((1 - bucket.tokens) * bucket.intervalMs);
+        waitMs = waitMs === null ? untilNext : Math.min(waitMs, untilNext);
+        i++;
+        continue;
+      }
+
+      bucket.tokens -= 1;
+      this.queue.splice(i, 1);
+      this.run(item);
+    }
+
+    if (waitMs !== null && !this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.pump();
+      }, waitMs);
+    }
+  }
+
+  /**
+   * 요청 실행 (완료 시 슬롯 반환)
+   * @async
+   * @param {Object} item - 대기열 항목
+   */
+  async run(item) {
+    this.active++;
+    try {
+      item.resolve(await item.task());
+    } catch (error) {
+      item.reject(error);
+    } finally {
+      this.active--;
+      this.pump();
+    }
+  }
+
+  /**
+   * 현재 상태 조회
+   * @returns {{active: number, queued: number, maxConcurrent: number}}
+   */
+  getStatus() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+    };
+  }
+}
+
+/**
+ * 공용 인스턴스 (최초 shared() 호출 시 생성)
+ * @type {RequestScheduler|null}
+ */
+RequestScheduler.sharedInstance = null;
+
+module.exports = RequestScheduler;
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview HTTP 요청 재시도 정책
+ * @description 요청 실패를 유형별로 분류하고, 일시적 실패(타임아웃/5xx/429/연결 끊김)만
+ * 지수 백오프 + 지터로 재시도합니다. 응답에 Retry-After가 있으면 그 값을 우선합니다.
+ */
+
+/**
+ * 실패 유형
+ * @enum {string}
+ */
+const ERROR_TYPES = {
+  TIMEOUT: 'timeout',
+  SERVER_ERROR: 'server_error',
+  RATE_LIMITED: 'rate_limited',
+  CONNECTION_RESET: 'connection_reset',
+  CLIENT_ERROR: 'client_error',
+  ROBOTS_DISALLOWED: 'robots_disallowed',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * 재시도 대상 실패 유형
+ * @type {Set<string>}
+ */
+const RETRYABLE_TYPES = new Set([
+  ERROR_TYPES.TIMEOUT,
+  ERROR_TYPES.SERVER_ERROR,
+  ERROR_TYPES.RATE_LIMITED,
+  ERROR_TYPES.CONNECTION_RESET,
+]);
+
+/**
+ * 요청 에러 분류
+ * @param {Error} error - axios 에러 등
+ * @returns {string} ERROR_TYPES 값
+ */
+function classifyError(error) {
+  if (!error) return ERROR_TYPES.UNKNOWN;
+  if (error.code === 'ROBOTS_DISALLOWED') return ERROR_TYPES.ROBOTS_DISALLOWED;
+
+  const status = error.response ? error.response.status : null;
+  if (status === 429) return ERROR_TYPES.RATE_LIMITED;
+  if (status >= 500) return ERROR_TYPES.SERVER_ERROR;
+  if (status >= 400) return ERROR_TYPES.CLIENT_ERROR;
+
+  if (['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'].includes(error.code)) {
+    return ERROR_TYPES.TIMEOUT;
+  }
+  if (
+    ['ECONNRESET', 'EPIPE', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code) ||
+    /socket hang up/i.test(error.message || '')
+  ) {
+    return ERROR_TYPES.CONNECTION_RESET;
+  }
+  return ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Retry-After 헤더 해석 (초 단위 숫자 또는 HTTP 날짜)
+ * @param {Error} error - 응답이 포함된 에러
+ * @returns {number|null} 대기 시간 (ms), 없으면 null
+ */
+function parseRetryAfter(error) {
+  const headers = error && error.response ? error.response.headers : null;
+  const value = headers ? headers['retry-after'] : null;
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 재시도 정책 클래스
+ * @class RetryPolicy
+ */
+class RetryPolicy {
+  /**
+   * RetryPolicy 생성자
+   * @constructor
+   * @param {Object} [options] - 옵션
+   * @param {number} [options.maxAttempts] - 최대 시도 횟수 (FETCH_MAX_ATTEMPTS, 기본 3)
+   * @param {number} [options.baseDelayMs] - 첫 재시도 기본 지연 (FETCH_RETRY_BASE_MS, 기본 1000)
+   * @param {number} [options.maxDelayMs] - 최대 지연 (FETCH_RETRY_MAX_MS, 기본 30000)
+   */
+  constructor(options = {}) {
+    this.maxAttempts =
+      options.maxAttempts || parseInt(process.env.FETCH_MAX_ATTEMPTS) || 3;
+    this.baseDelayMs =
+      options.baseDelayMs || parseInt(process.env.FETCH_RETRY_BASE_MS) || 1000;
+    this.maxDelayMs =
+      options.maxDelayMs || parseInt(process.env.FETCH_RETRY_MAX_MS) || 30000;
+  }
+
+  /**
+   * 재시도 전 대기 시간 계산
+   * @param {number} attempt - 방금 실패한 시도 번호 (1부터)
+   * @param {Error} error - 실패 에러
+   * @returns {number|null} 대기 시간 (ms), 재시도하지 않으면 null
+   * @description Retry-After가 최대 지연보다 길면 기다리지 않고 포기합니다.
+   */
+  getRetryDelay(attempt, error) {
+    if (attempt >= this.maxAttempts) return null;
+    if (!RETRYABLE_TYPES.has(classifyError(error))) return null;
+
+    const retryAfter = parseRetryAfter(error);
+    if (retryAfter !== null) {
+      return retryAfter <= this.maxDelayMs ? retryAfter : null;
+    }
+
+    // 지수 백오프 + 지터 (절반은 고정, 절반은 무작위)
+    const exp = Math.min(
+      this.maxDelayMs,
+      this.baseDelayMs * 2 ** (attempt - 1)
+    );
+    return Math.round(exp / 2 + Math.random() * (exp / 2));
+  }
+
+  /**
+   * 재시도 정책에 따라 작업 실행
+   * @async
+   * @param {Function} task - 시도 번호를 받아 실행할 비동기 함수
+   * @param {Object} [hooks]
+   * @param {Function} [hooks.onRetry] - 재시도 전 호출 ({attempt, errorType, delayMs, error})
+   * @returns {Promise<{result: *, attempts: number, errorTypes: Array<string>}>}
+   * @throws {Error} 최종 실패 에러 (errorType, attempts 속성 포함)
+   */
+  async execute(task, hooks = {}) {
+    const errorTypes = [];
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await task(attempt);
+        return { result, attempts: attempt, errorTypes };
+      } catch (error) {
+        const errorType = classifyError(error);
+        errorTypes.push(errorType);
+
+        const delayMs = this.getRetryDelay(attempt, error);
+        if (delayMs === null) {
+          error.errorType = errorType;
+          error.attempts = attempt;
+          error.errorTypes = errorTypes;
+          throw error;
+        }
+
+        if (hooks.onRetry) {
+          await hooks.onRetry({ attempt, errorType, delayMs, error });
+        }
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+}
+
+module.exports = RetryPolicy;
+module.exports.ERROR_TYPES = ERROR_TYPES;
+module.exports.classifyError = classifyError;
+module.exports.parseRetryAfter = parseRetryAfter;
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview robots.txt 정책 확인
+ * @description 호스트별 robots.txt를 가져와 캐시하고 Allow/Disallow/Crawl-delay 규칙을 판정합니다. (RFC 9309 기준)
+ */
+
+const NodeCache = require('node-cache');
+
+/**
+ * robots.txt 파싱
+ * @param {string} text - robots.txt 본문
+ * @returns {Array<{agents: Array<string>, rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>} 그룹 목록
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '')
+    .split(/\r?\n/)
+    .forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) return;
+
+      const idx = line.indexOf(':');
+      if (idx === -1) return;
+      const key = line.slice(0, idx).trim().toLowerCase();
+      const value = line.slice(idx + 1).trim();
+
+      if (key === 'user-agent') {
+        // 연속된 User-agent 줄은 같은 그룹
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+
+      lastWasAgent = false;
+      if (!current) return;
+
+      if (key === 'allow' || key === 'disallow') {
+        // 빈 Disallow는 전체 허용 의미이므로 규칙에서 제외
+        if (value) current.rules.push({ allow: key === 'allow', path: value });
+      } else if (key === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+      }
+    });
+
+  return groups;
+}
+
+/**
+ * robots.txt 경로 패턴을 정규식으로 변환 (`*` 와일드카드, `$` 끝 고정)
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * 사용자 에이전트에 적용할 그룹 선택
+ * @param {Array<Object>} groups - parseRobotsTxt 결과
+ * @param {string} agentToken - 크롤러 제품 토큰 (소문자)
+ * @returns {Object|null} 일치 그룹 (없으면 `*` 그룹)
+ * @description 제품 토큰과 대소문자 무시 완전 일치하는 그룹만 고릅니다. (`bot`이 `newsbot`을 가로채지 않음)
+ */
+function selectGroup(groups, agentToken) {
+  const specific = groups.filter(group =>
+    group.agents.some(agent => agent !== '*' && agent === agentToken)
+  );
+  if (specific.length) return mergeGroups(specific);
+
+  const wildcard = groups.filter(group => group.agents.includes('*'));
+  return wildcard.length ? mergeGroups(wildcard) : null;
+}
+
+/**
+ * 같은 에이전트에 해당하는 여러 그룹 병합
+ * @param {Array<Object>} groups
+ * @returns {Object}
+ */
+function mergeGroups(groups) {
+  return {
+    rules: groups.flatMap(group => group.rules),
+    crawlDelay: groups.reduce(
+      (delay, group) => (group.crawlDelay !== null ? group.crawlDelay : delay),
+      null
+    ),
+  };
+}
+
+/**
+ * 경로 허용 여부 판정 (가장 긴 일치 규칙 우선, 길이가 같으면 Allow 우선)
+ * @param {Object|null} group - selectGroup 결과
+ * @param {string} pathWithQuery - URL 경로 + 쿼리
+ * @returns {{allowed: boolean, rule: string|null}}
+ */
+function isPathAllowed(group, pathWithQuery) {
+  if (!group) return { allowed: true, rule: null };
+
+  let matched = null;
+  group.rules.forEach(rule => {
+    if (!patternToRegExp(rule.path).test(pathWithQuery)) return;
+    if (
+      !matched ||
+      rule.path.length > matched.path.length ||
+      (rule.path.length === matched.path.length && rule.allow)
+    ) {
+      matched = rule;
+    }
+  });
+
+  if (!matched) return { allowed: true, rule: null };
+  return {
+    allowed: matched.allow,
+    rule: `${matched.allow ? 'Allow' : 'Disallow'}: ${matched.path}`,
+  };
+}
+
+/**
+ * robots.txt 정책 클래스
+ * @class RobotsPolicy
+ */
+class RobotsPolicy {
+  /**
+   * RobotsPolicy 생성자
+   * @constructor
+   * @param {Object} options - 옵션
+   * @param {Object} options.httpClient - robots.txt 요청용 axios 인스턴스
+   * @param {string} options.userAgent - 크롤러 User-Agent (첫 제품 토큰으로 그룹 매칭)
+   * @param {number} [options.cacheTtlSeconds] - robots.txt 캐시 TTL
+   */
+  constructor(options) {
+    this.httpClient = options.httpClient;
+    this.agentToken = String(options.userAgent || '*')
+      .split(/[\s/]/)[0]
+      .toLowerCase();
+
+    /**
+     * 호스트(origin)별 robots.txt 캐시
+     * @type {NodeCache}
+     */
+    this.cache = new NodeCache({
+      stdTTL:
+        options.cacheTtlSeconds ||
+        parseInt(process.env.ROBOTS_CACHE_TTL_SECONDS) ||
+        86400,
+    });
+
+    /**
+     * 진행 중인 robots.txt 요청 (같은 호스트 동시 조회 시 공유)
+     * @type {Map<string, Promise<Object>>}
+     */
+    this.pending = new Map();
+  }
+
+  /**
+   * 호스트 robots.txt 조회 (캐시 우선)
+   * @async
+   * @param {string} origin - 예: https://namu.news
+   * @returns {Promise<{group: Object|null, disallowAll: boolean}>}
+   * @description 캐시가 없는 호스트에 동시에 들어온 요청은 진행 중인 요청 하나를 함께 기다립니다.
+   */
+  async getRules(origin) {
+    const cached = this.cache.get(origin);
+    if (cached) return cached;
+
+    if (!this.pending.has(origin)) {
+      this.pending.set(
+        origin,
+        this.fetchRules(origin).finally(() => this.pending.delete(origin))
+      );
+    }
+    return this.pending.get(origin);
+  }
+
+  /**
+   * 호스트 robots.txt 요청 및 캐시 저장
+   * @async
+   * @param {string} origin - 예: https://namu.news
+   * @returns {Promise<{group: Object|null, disallowAll: boolean}>} 요청 실패도 전체 비허용 규칙으로 반환
+   */
+  async fetchRules(origin) {
+    let rules;
+    let ttl;
+    try {
+      const response = await this.httpClient.get(`${origin}/robots.txt`, {
+        responseType: 'text',
+        validateStatus: () => true,
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        rules = {
+          group: selectGroup(parseRobotsTxt(response.data), this.agentToken),
+          disallowAll: false,
+        };
+      } else if (
+        response.status >= 400 &&
+        response.status < 500 &&
+        response.status !== 429
+      ) {
+        // 4xx: robots.txt 없음 → 전체 허용
+        rules = { group: null, disallowAll: false };
+      } else {
+        // 5xx/429(요청 제한): 일시적으로 확인 불가 → 전체 비허용 후 짧게 재시도
+        rules = { group: null, disallowAll: true };
+        ttl = 600;
+      }
+    } catch (error) {
+      console.warn(
+        `robots.txt 요청 실패, 일시적으로 전체 비허용 처리: ${origin} - ${error.message}`
+      );
+      rules = { group: null, disallowAll: true };
+      ttl = 600;
+    }
+
+    if (ttl) this.cache.set(origin, rules, ttl);
+    else this.cache.set(origin, rules);
+    return rules;
+  }
+
+  /**
+   * URL 허용 여부 확인
+   * @async
+   * @param {string} url - 확인할 URL
+   * @returns {Promise<{allowed: boolean, crawlDelayMs: number, rule: string|null}>}
+   */
+  async check(url) {
+    const parsed = new URL(url);
+    const rules = await this.getRules(parsed.origin);
+
+    if (rules.disallowAll) {
+      return {
+        allowed: false,
+        crawlDelayMs: 0,
+        rule: 'robots.txt unreachable',
+      };
+    }
+
+    const verdict = isPathAllowed(rules.group, parsed.pathname + parsed.search);
+    const crawlDelay = rules.group ? rules.group.crawlDelay : null;
+    return {
+      ...verdict,
+      crawlDelayMs: crawlDelay ? Math.round(crawlDelay * 1000) : 0,
+    };
+  }
+}
+
+module.exports = RobotsPolicy;
+module.exports.parseRobotsTxt = parseRobotsTxt;
+module.exports.isPathAllowed = isPathAllowed;
+module.exports.selectGroup = selectGroup;
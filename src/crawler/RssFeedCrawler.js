@@ -0,0 +1,422 @@
+/**
+ * @fileoverview RSS/Atom 피드 크롤러
+ * @description RSS 2.0, Atom 1.0, RDF(RSS 1.0) 피드를 파싱하여 뉴스 데이터를 수집합니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const BaseCrawler = require('./BaseCrawler');
+const { toKstStoredTime } = require('../utils/commonUtils');
+const { TIMESTAMP_SOURCES } = require('../extractor/timestampExtractor');
+const { parseCount } = require('../extractor/metricExtractor');
+const { formatByline } = require('../extractor/bylineExtractor');
+const { TAG_SOURCES } = require('../services/tagService');
+
+/**
+ * 기본 피드 설정 파일 경로
+ * @type {string}
+ */
+const DEFAULT_FEEDS_FILE = path.join(
+  __dirname,
+  '..',
+  '..',
+  'config',
+  'rss-feeds.json'
+);
+
+/**
+ * RSS/Atom 피드 크롤러 클래스
+ * @class RssFeedCrawler
+ * @extends BaseCrawler
+ */
+class RssFeedCrawler extends BaseCrawler {
+  /**
+   * RssFeedCrawler 생성자
+   * @param {Object} newsService - 뉴스 서비스 인스턴스
+   * @param {Object} options - 크롤러 옵션
+   * @param {Array<{url: string, category?: string, source?: string}>} [options.feeds] - 피드 목록 (미지정 시 설정 파일)
+   * @param {string} [options.feedsFile] - 피드 설정 파일 경로
+   */
+  constructor(newsService, options = {}) {
+    super(newsService, { name: options.name || 'RssFeedCrawler' });
+
+    /**
+     * 피드 목록
+     * @type {Array<{url: string, category: string|null, source: string|null}>}
+     */
+    this.feeds =
+      options.feeds ||
+      RssFeedCrawler.loadFeeds(
+        options.feedsFile || process.env.RSS_FEEDS_FILE || DEFAULT_FEEDS_FILE
+      );
+
+    // 기본 템플릿(collectArticles)이 피드 URL을 카테고리처럼 순회
+    this.categories = this.feeds.map(feed => ({
+      url: feed.url,
+      category: feed.category,
+    }));
+  }
+
+  /**
+   * 피드 설정 파일 로드
+   * @static
+   * @param {string} filePath - JSON 파일 경로
+   * @returns {Array<{url: string, category: string|null, source: string|null}>}
+   */
+  static loadFeeds(filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(raw)) {
+      throw new Error(`피드 설정은 배열이어야 합니다: ${filePath}`);
+    }
+
+    return raw.map((feed, i) => {
+      if (!feed || typeof feed.url !== 'string' || !feed.url) {
+        throw new Error(`피드 설정 ${i}번 항목에 url이 없습니다: ${filePath}`);
+      }
+      return {
+        url: feed.url,
+        category: feed.category || null,
+        source: feed.source || null,
+      };
+    });
+  }
+
+  /**
+   * 피드 크롤링 (카테고리 단위)
+   * @param {string} feedUrl - 피드 URL
+   * @param {string|null} categoryName - 설정된 카테고리명 (없으면 항목의 category 사용)
+   * @returns {Promise<Array>} 피드가 변경되지 않았으면(304) 빈 배열
+   * @description 요청 실패는 호출부(collectArticles / 작업 큐)에서 처리하도록 그대로 전파합니다.
+   */
+  async crawlCategoryNews(feedUrl, categoryName) {
+    const response = await this.fetchListingPage(feedUrl, {
+      responseType: 'text',
+    });
+    if (!response) return [];
+    const feed = this.feeds.find(f => f.url === feedUrl) || {};
+    const items = this.parseFeed(response.data, feedUrl);
+
+    return items.map(item => {
+      // 상세 단계에서 쓸 피드 본문/기자/태그/댓글 수 (상세 작업 payload로 저장)
+      const feedItem = {
+        title: item.title,
+        content: item.content,
+        author: item.author,
+        tags: item.tags,
+        commentCount: item.commentCount,
+        source: feed.source || item.feedTitle,
+      };
+      // 작업 큐 없이 실행하는 백필용 (같은 프로세스에서만 유효)
+      this.cache.set(`feed_item_${item.url}`, feedItem);
+
+      return {
+        title: item.title,
+        url: item.url,
+        imageUrl: item.imageUrl,
+        summary: item.summary || item.title,
+        category: categoryName || item.tags[0] || null,
+        publishedAt: item.publishedAt,
+        publishedSource: TIMESTAMP_SOURCES.FEED,
+        detailPayload: { feedItem },
+      };
+    });
+  }
+
+  /**
+   * 피드 XML 파싱 (RSS 2.0 / Atom 1.0 / RDF)
+   * @param {string} xml - 피드 XML 문자열
+   * @param {string} feedUrl - 상대 링크 해석 기준 URL
+   * @returns {Array<Object>} 파싱된 항목 배열
+   */
+  parseFeed(xml, feedUrl) {
+    const $ = cheerio.load(xml, { xml: true });
+    const isAtom = $('feed > entry').length > 0 || $('feed').length > 0;
+    const feedTitle = (
+      isAtom ? $('feed > title').first() : $('channel > title').first()
+    )
+      .text()
+      .trim();
+
+    const items = [];
+    const seenUrls = new Set();
+    const nodes = isAtom ? $('entry') : $('item');
+
+    nodes.each((_, el) => {
+      const $item = $(el);
+      const url = this.resolveUrl(this.extractLink($, $item, isAtom), feedUrl);
+      if (!url || seenUrls.has(url)) return;
+
+      const title = this.htmlToText(this.childText($item, ['title']));
+      if (!title) return;
+
+      const descriptionHtml = this.childText($item, ['description', 'summary']);
+      const contentHtml =
+        this.childText($item, ['content\\:encoded', 'content']) ||
+        descriptionHtml;
+
+      seenUrls.add(url);
+      items.push({
+        title,
+        url,
+        imageUrl: this.extractImage($, $item, contentHtml, feedUrl),
+        summary: this.htmlToText(descriptionHtml).slice(0, 1000),
+        content: this.htmlToText(contentHtml),
+        author: this.extractAuthor($item, isAtom),
+        tags: $item
+          .children('category')
+          .map((_, c) => ($(c).attr('term') || $(c).text()).trim())
+          .get()
+          .filter(Boolean),
+        publishedAt: this.parseFeedDate(
+          this.childText($item, [
+            'pubDate',
+            'published',
+            'dc\\:date',
+            'updated',
+          ])
+        ),
+        // RSS Slash 모듈 댓글 수 (없으면 null)
+        commentCount: parseCount(this.childText($item, ['slash\\:comments'])),
+        feedTitle: feedTitle || null,
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * 항목 링크 추출
+   * @param {Function} $ - cheerio 루트
+   * @param {Object} $item - 항목 요소
+   * @param {boolean} isAtom - Atom 여부
+   * @returns {string}
+   */
+  extractLink($, $item, isAtom) {
+    if (isAtom) {
+      const links = $item.children('link');
+      const alternate = links.filter(
+        (_, l) => !$(l).attr('rel') || $(l).attr('rel') === 'alternate'
+      );
+      return (
+        (alternate.length ? alternate : links).first().attr('href') || ''
+      ).trim();
+    }
+    // RSS 2.0 / RDF: <link> 텍스트, 없으면 permalink guid
+    const link = $item.children('link').first().text().trim();
+    if (link) return link;
+    const $guid = $item.children('guid').first();
+    if ($guid.attr('isPermaLink') !== 'false') return $guid.text().trim();
+    return '';
+  }
+
+  /**
+   * 항목 이미지 추출 (enclosure → media:content → media:thumbnail → 본문 첫 img)
+   * @param {Function} $ - cheerio 루트
+   * @param {Object} $item - 항목 요소
+   * @param {string} contentHtml - 본문 HTML
+   * @param {string} feedUrl - 기준 URL
+   * @returns {string|null}
+   */
+  extractImage($, $item, contentHtml, feedUrl) {
+    const enclosure = $item
+      .children('enclosure')
+      .filter((_, e) => /^image\//i.test($(e).attr('type') || ''))
+      .first()
+      .attr('url');
+    if (enclosure) return this.resolveUrl(enclosure, feedUrl);
+
+    let mediaUrl = null;
+    $item.find('media\\:content').each((_, m) => {
+      const $m = $(m);
+      const type = $m.attr('type') || '';
+      const medium = $m.attr('medium') || '';
+      if (medium === 'image' || /^image\//i.test(type) || (!type && !medium)) {
+        mediaUrl = $m.attr('url');
+        return false;
+      }
+    });
+    if (!mediaUrl) {
+      mediaUrl = $item.find('media\\:thumbnail').first().attr('url') || null;
+    }
+    if (mediaUrl) return this.resolveUrl(mediaUrl, feedUrl);
+
+    if (contentHtml) {
+      const src = cheerio.load(contentHtml)('img').first().attr('src');
+      if (src) return this.resolveUrl(src, feedUrl);
+    }
+    return null;
+  }
+
+  /**
+   * 항목 작성자 추출
+   * @param {Object} $item - 항목 요소
+   * @param {boolean} isAtom - Atom 여부
+   * @returns {string}
+   */
+  extractAuthor($item, isAtom) {
+    if (isAtom) {
+      return $item.children('author').children('name').first().text().trim();
+    }
+    return this.childText($item, ['dc\\:creator', 'author']).trim();
+  }
+
+  /**
+   * 후보 자식 요소 중 처음으로 값이 있는 텍스트 반환
+   * @param {Object} $item - 항목 요소
+   * @param {Array<string>} selectors - 자식 선택자 후보
+   * @returns {string}
+   */
+  childText($item, selectors) {
+    for (const sel of selectors) {
+      const text = $item.children(sel).first().text();
+      if (text && text.trim()) return text.trim();
+    }
+    return '';
+  }
+
+  /**
+   * HTML 조각을 평문으로 변환
+   * @param {string} html
+   * @returns {string}
+   */
+  htmlToText(html) {
+    if (!html) return '';
+    const $ = cheerio.load(html);
+    $('br').replaceWith('\n');
+    $('p').each((_, p) => {
+      $(p).append('\n\n');
+    });
+    return $.root()
+      .text()
+      .replace(/\u00a0/g, ' ')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n\s*\n+/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * 피드 날짜 파싱 (RFC 822 pubDate / ISO 8601)
+   * @param {string} value
+   * @returns {Date|null} 저장 기준(KST 보정) 시각, 파싱 실패 시 null (저장 시 현재 시각)
+   */
+  parseFeedDate(value) {
+    return toKstStoredTime(value ? value.trim() : null);
+  }
+
+  /**
+   * 상대 URL을 절대 URL로 변환
+   * @param {string} href
+   * @param {string} baseUrl
+   * @returns {string|null}
+   */
+  resolveUrl(href, baseUrl) {
+    if (!href) return null;
+    try {
+      return new URL(href, baseUrl).toString();
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * 기사 상세 크롤링
+   * @param {string} articleUrl
+   * @param {Object} [payload] - 상세 작업 payload ({ feedItem })
+   * @returns {Promise<Object>}
+   * @description 원문 페이지의 본문을 우선 사용하고, 추출 실패 시 피드의 본문/요약으로 대체합니다.
+   * 피드 항목은 상세 작업 payload에서 읽으므로 재시작/캐시 만료 후에도 유지되며, payload가 없는 백필만 캐시를 봅니다.
+   */
+  async crawlNewsDetail(articleUrl, payload = {}) {
+    await this.providerRegistry.ensureLoaded();
+    const feedItem =
+      (payload && payload.feedItem) ||
+      this.cache.get(`feed_item_${articleUrl}`) ||
+      {};
+    let content = '';
+    let publishTimes = {};
+    let images = [];
+    let leadImageUrl = null;
+    let title = null;
+    let canonicalUrl = null;
+    let metrics = { viewCount: null, likeCount: null, commentCount: null };
+
+    try {
+      const response = await this.fetchPage(articleUrl);
+      const $ = cheerio.load(response.data);
+      publishTimes = this.extractPublishTimes($);
+      metrics = this.extractMetrics($);
+      title = ($('meta[property="og:title"]').attr('content') || '').trim();
+      canonicalUrl = this.extractCanonicalUrl($, articleUrl);
+      // 발행처마다 마크업이 달라 공용 추출 엔진으로 본문 컨테이너 판별
+      const extracted = this.extractContent(response.data, articleUrl, {
+        candidateSelectors: [
+          '[itemprop="articleBody"]',
+          '#articleBody',
+          '.article-body',
+          '#article-view-content-div',
+          'article',
+        ],
+      });
+      content = extracted.paragraphs.join('\n\n');
+      images = extracted.images;
+      leadImageUrl = extracted.leadImageUrl;
+    } catch (error) {
+      console.warn(
+        `[${this.getName()}] 원문 페이지 요청 실패, 피드 본문 사용: ${articleUrl} - ${error.message}`
+      );
+    }
+
+    if (content.length < 120 && feedItem.content) {
+      content = feedItem.content;
+    }
+    const authors = this.extractAuthors(
+      feedItem.author ? [feedItem.author] : [],
+      content
+    );
+
+    return {
+      title: title || feedItem.title || null,
+      canonicalUrl,
+      content:
+        content || `뉴스 상세 내용을 추출할 수 없습니다. URL: ${articleUrl}`,
+      author: formatByline(authors),
+      authors,
+      source: this.resolveFeedSource(feedItem.source, articleUrl),
+      tags: (feedItem.tags || []).slice(0, 10).join(','),
+      tagList: (feedItem.tags || [])
+        .slice(0, 10)
+        .map(name => ({ name, source: TAG_SOURCES.FEED })),
+      images,
+      leadImageUrl,
+      ...publishTimes,
+      ...metrics,
+      commentCount: metrics.commentCount ?? feedItem.commentCount ?? null,
+    };
+  }
+
+  /**
+   * 피드 발행처를 제공처 대표 이름으로 변환
+   * @param {string|null} name - 피드 설정 source 또는 채널 제목
+   * @param {string} articleUrl - 기사 URL (도메인 추론, 미등록 후보 보고용)
+   * @returns {string|null} 대표 이름, 확인할 수 없으면 null (이름이 있으면 후보로 보고)
+   * @description 이름 → 기사 도메인 순으로 찾고, 자리표시 값으로 채우지 않습니다.
+   */
+  resolveFeedSource(name, articleUrl) {
+    const provider = name && this.providerRegistry.resolve(name);
+    if (provider) return provider.name;
+
+    try {
+      const byDomain = this.providerRegistry.findByDomain(
+        new URL(articleUrl).hostname
+      );
+      if (byDomain) return byDomain.name;
+    } catch (_) {
+      // 잘못된 URL은 도메인 추론 생략
+    }
+
+    return name ? this.resolveProvider(name, articleUrl) : null;
+  }
+}
+
+module.exports = RssFeedCrawler;
@@ -1,400 +0,0 @@
-/**
- * @fileoverview (Deprecated) 네이버 뉴스 크롤러 클래스
- * @description 현재 애플리케이션은 namu.news 기반 `NamuNewsCrawler`를 사용합니다. 이 파일은 참고용으로만 유지됩니다.
- */
-
-const axios = require('axios');
-const cheerio = require('cheerio');
-const NodeCache = require('node-cache');
-
-/**
- * 네이버 뉴스 크롤러 클래스
- * @class NewsCrawler
- * @description 네이버 뉴스 웹사이트를 크롤링하여 뉴스 데이터를 수집하고 저장합니다.
- */
-class NewsCrawler {
-  /**
-   * NewsCrawler 생성자
-   * @constructor
-   * @param {Object} newsService - 뉴스 서비스 인스턴스
-   * @description HTTP 클라이언트와 캐시를 초기화합니다.
-   */
-  constructor(newsService) {
-    this.newsService = newsService;
-
-    /**
-     * 캐시 인스턴스
-     * @type {NodeCache}
-     */
-    this.cache = new NodeCache({
-      stdTTL: parseInt(process.env.CACHE_TTL_SECONDS) || 3600,
-    });
-
-    /**
-     * HTTP 클라이언트 인스턴스
-     * @type {axios.AxiosInstance}
-     */
-    this.httpClient = axios.create({
-      timeout: parseInt(process.env.CRAWL_TIMEOUT_MS) || 30000,
-      headers: {
-        'User-Agent':
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-      },
-    });
-  }
-
-  /**
-   * 네이버 뉴스 메인 페이지 크롤링
-   */
-  async crawlNews() {
-    const logId = await this.newsService.createCrawlLog('started');
-    let itemCount = 0;
-
-    try {
-      console.log('네이버 뉴스 크롤링 시작...');
-
-      // 네이버 뉴스 메인 페이지에서 뉴스 목록 가져오기
-      const mainNewsData = await this.crawlMainNews();
-
-      if (mainNewsData && mainNewsData.length > 0) {
-        // 중복 제거 및 데이터베이스 저장
-        const newArticles = await this.filterNewArticles(mainNewsData);
-
-        for (const article of newArticles) {
-          try {
-            // 메인 뉴스 저장
-            const savedNews = await this.newsService.saveMainNews(article);
-
-            // 상세 뉴스 크롤링 및 저장 (비동기로 실행)
-            this.crawlAndSaveDetailNews(savedNews.news_se, article.url).catch(
-              error => {
-                console.error(
-                  `뉴스 상세 크롤링 에러 (ID: ${savedNews.id}):`,
-                  error.message
-                );
-              }
-            );
-
-            itemCount++;
-          } catch (error) {
-            console.error('뉴스 저장 에러:', error.message);
-          }
-        }
-      }
-
-      await this.newsService.updateCrawlLog(
-        logId,
-        'success',
-        `${itemCount}개 뉴스 수집 완료`,
-        itemCount
-      );
-      console.log(`크롤링 완료: ${itemCount}개 뉴스 처리`);
-
-      return { success: true, itemCount };
-    } catch (error) {
-      console.error('크롤링 에러:', error);
-      await this.newsService.updateCrawlLog(
-        logId,
-        'error',
-        error.message,
-        itemCount
-      );
-      throw error;
-    }
-  }
-
-  /**
-   * 네이버 뉴스 메인 페이지에서 뉴스 목록 크롤링
-   */
-  async crawlMainNews() {
-    try {
-      // 네이버 뉴스 메인 페이지 - RSS 피드 사용
-      const rssUrls = [
-        'https://rss.news.naver.com/news?id=105&aid=0000002481', // 정치
-        'https://rss.news.naver.com/news?id=101&aid=0000002481', // 경제
-        'https://rss.news.naver.com/news?id=102&aid=0000002481', // 사회
-        'https://rss.news.naver.com/news?id=103&aid=0000002481', // 생활/문화
-        'https://rss.news.naver.com/news?id=104&aid=0000002481', // 세계
-        'https://rss.news.naver.com/news?id=100&aid=0000002481', // 기타
-      ];
-
-      const allNews = [];
-
-      // 각 카테고리별로 뉴스 수집
-      for (const rssUrl of rssUrls.slice(0, 2)) {
-        // 테스트를 위해 2개 카테고리만
-        try {
-          const categoryNews = await this.crawlCategoryNews(rssUrl);
-          allNews.push(...categoryNews);
-        } catch (error) {
-          console.error(`카테고리 크롤링 에러: ${rssUrl}`, error.message);
-        }
-      }
-
-      // 네이버 뉴스 메인 페이지 직접 크롤링 (대안)
-      const mainPageNews = await this.crawlMainPage();
-      allNews.push(...mainPageNews);
-
-      return allNews;
-    } catch (error) {
-      console.error('메인 뉴스 크롤링 에러:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * 네이버 뉴스 메인 페이지 직접 크롤링
-   */
-  async crawlMainPage() {
-    try {
-      console.log('네이버 뉴스 메인 페이지 크롤링 시작...');
-      const response = await this.httpClient.get('https://news.naver.com/');
-      const $ = cheerio.load(response.data);
-
-      const newsItems = [];
-
-      // 헤드라인 뉴스 크롤링
-      $('.cjs_news_head .sh_item').each((index, element) => {
-        const $item = $(element);
-        const $link = $item.find('a');
-        const title = $link.text().trim();
-        const url = $link.attr('href');
-
-        if (title && url) {
-          newsItems.push({
-            title,
-            url: url.startsWith('http') ? url : `https://news.naver.com${url}`,
-            imageUrl: null,
-            summary: title,
-            category: '헤드라인',
-            publishedAt: new Date(),
-          });
-        }
-      });
-
-      // 주요뉴스 섹션 크롤링
-      $('.cjs_persist_article .cluster_item').each((index, element) => {
-        if (index >= 10) return false; // 최대 10개까지만
-
-        const $item = $(element);
-        const $link = $item.find('.cluster_text_headline a');
-        const title = $link.text().trim();
-        const url = $link.attr('href');
-        const summary = $item.find('.cluster_text_lede').text().trim();
-        const imageUrl = $item.find('.cluster_thumb img').attr('src');
-
-        if (title && url) {
-          newsItems.push({
-            title,
-            url: url.startsWith('http') ? url : `https://news.naver.com${url}`,
-            imageUrl: imageUrl || null,
-            summary: summary || title,
-            category: '주요뉴스',
-            publishedAt: new Date(),
-          });
-        }
-      });
-
-      // 연예 뉴스 섹션
-      $('.content_entertainment .list_news li').each((index, element) => {
-        if (index >= 5) return false; // 최대 5개까지만
-
-        const $item = $(element);
-        const $link = $item.find('a');
-        const title = $link.text().trim();
-        const url = $link.attr('href');
-
-        if (title && url) {
-          newsItems.push({
-            title,
-            url: url.startsWith('http') ? url : `https://news.naver.com${url}`,
-            imageUrl: null,
-            summary: title,
-            category: '연예',
-            publishedAt: new Date(),
-          });
-        }
-      });
-
-      console.log(`메인 페이지에서 ${newsItems.length}개 뉴스 수집`);
-
-      // 실제 크롤링에서 결과가 없으면 모의 데이터 사용
-      // if (newsItems.length === 0) {
-      //   console.log('실제 크롤링 결과가 없어 모의 데이터를 사용합니다.');
-      //   return this.generateMockNews();
-      // }
-
-      return newsItems;
-    } catch (error) {
-      console.error('메인 페이지 크롤링 에러:', error.message);
-    }
-  }
-
-  /**
-   * 카테고리별 뉴스 크롤링 (RSS 방식)
-   */
-  async crawlCategoryNews(rssUrl) {
-    try {
-      // RSS는 XML 파싱이 필요하므로 여기서는 모의 데이터 반환
-      // return this.generateMockNews();
-    } catch (error) {
-      console.error('카테고리 뉴스 크롤링 에러:', error);
-      return [];
-    }
-  }
-
-  /**
-   * 모의 뉴스 데이터 생성 (테스트용)
-   */
-  generateMockNews() {
-    const categories = ['정치', '경제', '사회', '생활/문화', '세계', 'IT/과학'];
-    const mockTitles = [
-      '정부, 새로운 경제정책 발표',
-      '코스피, 사상 최고치 경신',
-      '전국 날씨, 맑음 후 흐림',
-      '새로운 문화축제 개막',
-      '국제 정상회담 개최',
-      'AI 기술 혁신 발표',
-    ];
-
-    return Array.from({ length: 10 }, (_, i) => ({
-      title: `${mockTitles[i % mockTitles.length]} ${i + 1}`,
-      url: `https://news.naver.com/main/read.naver?mode=LSD&mid=shm&sid1=100&oid=001&aid=${Date.now() + i}`,
-      imageUrl: `https://via.placeholder.com/150x100?text=News${i + 1}`,
-      summary: `뉴스 ${i + 1}의 요약 내용입니다. 이는 테스트용 모의 데이터입니다.`,
-      category: categories[i % categories.length],
-      publishedAt: new Date(Date.now() - Math.random() * 86400000), // 최근 24시간 내 랜덤
-    }));
-  }
-
-  /**
-   * 새로운 기사만 필터링
-   */
-  async filterNewArticles(articles) {
-    const existingUrls = await this.newsService.getExistingUrls(
-      articles.map(article => article.url)
-    );
-
-    return articles.filter(article => !existingUrls.includes(article.url));
-  }
-
-  /**
-   * 뉴스 상세 내용 크롤링 및 저장
-   */
-  async crawlAndSaveDetailNews(mainNewsId, articleUrl) {
-    try {
-      // 캐시 확인
-      const cacheKey = `detail_${articleUrl}`;
-      let detailData = this.cache.get(cacheKey);
-
-      if (!detailData) {
-        detailData = await this.crawlNewsDetail(articleUrl);
-        this.cache.set(cacheKey, detailData);
-      }
-
-      if (detailData) {
-        await this.newsService.saveNewsDetail(mainNewsId, detailData);
-      }
-    } catch (error) {
-      console.error('뉴스 상세 크롤링 에러:', error);
-    }
-  }
-
-  /**
-   * 개별 뉴스 상세 내용 크롤링
-   */
-  async crawlNewsDetail(articleUrl) {
-    try {
-      const response = await this.httpClient.get(articleUrl);
-      const $ = cheerio.load(response.data);
-
-      // 네이버 뉴스 상세 페이지 파싱
-      let content = '';
-      let author = '';
-      let source = '';
-
-      // 뉴스 본문 추출 (여러 선택자 시도)
-      const contentSelectors = [
-        '#newsct_article',
-        '.news_article',
-        '#articleBodyContents',
-        '.article_body',
-      ];
-
-      for (const selector of contentSelectors) {
-        const contentElement = $(selector);
-        if (contentElement.length > 0) {
-          content = contentElement.text().trim();
-          // 광고 및 불필요한 텍스트 제거
-          content = content.replace(/\n\s*\n/g, '\n').trim();
-          break;
-        }
-      }
-
-      // 기자명 추출
-      const authorSelectors = ['.byline_p', '.reporter', '.author', '.byline'];
-
-      for (const selector of authorSelectors) {
-        const authorElement = $(selector);
-        if (authorElement.length > 0) {
-          author = authorElement.text().trim();
-          break;
-        }
-      }
-
-      // 언론사 추출
-      const sourceSelectors = [
-        '.press_logo img',
-        '.media_end_head_top_logo img',
-        '.press_name',
-        '.origin',
-      ];
-
-      for (const selector of sourceSelectors) {
-        const sourceElement = $(selector);
-        if (sourceElement.length > 0) {
-          source = sourceElement.attr('alt') || sourceElement.text().trim();
-          break;
-        }
-      }
-
-      // 태그 추출 (키워드)
-      const tags = [];
-      $('.tag_list a, .keyword a').each((index, element) => {
-        tags.push($(element).text().trim());
-      });
-
-      return {
-        content:
-          content || `뉴스 상세 내용을 추출할 수 없습니다. URL: ${articleUrl}`,
-        author: author || '정보없음',
-        source: source || '정보없음',
-        tags: tags.length > 0 ? tags.join(',') : '',
-        viewCount: Math.floor(Math.random() * 1000),
-        likeCount: Math.floor(Math.random() * 100),
-        commentCount: Math.floor(Math.random() * 50),
-      };
-    } catch (error) {
-      console.error('뉴스 상세 크롤링 에러:', error.message);
-      // 에러 발생 시 기본값 반환
-      return {
-        content: `크롤링 에러로 인해 상세 내용을 가져올 수 없습니다. URL: ${articleUrl}`,
-        author: '정보없음',
-        source: '정보없음',
-        tags: '',
-        viewCount: 0,
-        likeCount: 0,
-        commentCount: 0,
-      };
-    }
-  }
-
-  /**
-   * 캐시 클리어
-   */
-  clearCache() {
-    this.cache.flushAll();
-  }
-}
-
-module.exports = NewsCrawler;
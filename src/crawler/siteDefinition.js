@@ -0,0 +1,410 @@
+/**
+ * @fileoverview 사이트 정의(JSON) 로더 및 스키마 검증
+ * @description config/sites/*.json 사이트 정의를 읽어 스키마 검증과 기본값 적용을 수행합니다.
+ * 검증 실패 시 필드 경로가 포함된 에러 목록을 함께 던집니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+/**
+ * 기본 사이트 정의 디렉터리
+ * @type {string}
+ */
+const DEFAULT_SITES_DIR = path.join(__dirname, '..', '..', 'config', 'sites');
+
+/**
+ * 선택자 문법 검사용 빈 문서
+ * @type {Function}
+ */
+const $probe = cheerio.load('<html><body></body></html>');
+
+/**
+ * 사이트 정의 스키마
+ * - type: string | number | boolean | url | selector | regex | array | object
+ * - required: 필수 여부, default: 미지정 시 기본값, nullable: null 허용
+ * @type {Object}
+ */
+const SITE_DEFINITION_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', required: true },
+    baseUrl: { type: 'url', required: true },
+    enabled: { type: 'boolean', default: true },
+    schedule: { type: 'string', nullable: true, default: null },
+    categories: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          url: { type: 'url', required: true },
+          category: { type: 'string', required: true },
+        },
+      },
+    },
+    list: {
+      type: 'object',
+      required: true,
+      properties: {
+        itemSelector: { type: 'selector', required: true },
+        linkSelector: { type: 'selector', nullable: true, default: null },
+        urlPattern: { type: 'regex', nullable: true, default: null },
+        stripParams: {
+          type: 'array',
+          items: { type: 'string' },
+          default: [],
+        },
+        titleSelector: { type: 'selector', nullable: true, default: null },
+        dateSelector: { type: 'selector', nullable: true, default: null },
+        dateAttributes: {
+          type: 'array',
+          items: { type: 'string' },
+          default: ['title', 'datetime'],
+        },
+        dateScope: {
+          type: 'string',
+          enum: ['item', 'parent'],
+          default: 'item',
+        },
+        imageSelector: { type: 'selector', nullable: true, default: null },
+        excludeTitlePattern: { type: 'regex', nullable: true, default: null },
+        minTitleLength: { type: 'number', default: 5 },
+        maxItems: { type: 'number', default: 40 },
+        fallback: {
+          type: 'object',
+          nullable: true,
+          default: null,
+          properties: {
+            itemSelector: { type: 'selector', required: true },
+            minItems: { type: 'number', default: 10 },
+            maxItems: { type: 'number', default: 50 },
+          },
+        },
+      },
+    },
+    pagination: {
+      type: 'object',
+      default: {
+        nextSelector: null,
+        pageParam: null,
+        maxPages: null,
+        maxAgeHours: null,
+      },
+      properties: {
+        nextSelector: { type: 'selector', nullable: true, default: null },
+        pageParam: { type: 'string', nullable: true, default: null },
+        maxPages: { type: 'number', nullable: true, default: null },
+        maxAgeHours: { type: 'number', nullable: true, default: null },
+      },
+    },
+    detail: {
+      type: 'object',
+      required: true,
+      properties: {
+        removeSelectors: {
+          type: 'array',
+          items: { type: 'selector' },
+          default: [],
+        },
+        bodySelectors: {
+          type: 'array',
+          items: { type: 'selector' },
+          minItems: 1,
+          required: true,
+        },
+        removeParagraphKeywords: {
+          type: 'array',
+          items: { type: 'string' },
+          default: [],
+        },
+        minParagraphLength: { type: 'number', default: 20 },
+        authorSelectors: {
+          type: 'array',
+          items: { type: 'selector' },
+          default: [],
+        },
+        authorPattern: { type: 'regex', nullable: true, default: null },
+        tagSelectors: {
+          type: 'array',
+          items: { type: 'selector' },
+          default: [],
+        },
+        imageLimit: { type: 'number', default: 5 },
+        metricSelectors: {
+          type: 'object',
+          default: { view: null, like: null, comment: null },
+          properties: {
+            view: { type: 'selector', nullable: true, default: null },
+            like: { type: 'selector', nullable: true, default: null },
+            comment: { type: 'selector', nullable: true, default: null },
+          },
+        },
+        noisePatterns: { type: 'array', items: { type: 'regex' }, default: [] },
+        defaultAuthor: { type: 'string', nullable: true, default: null },
+        defaultSource: { type: 'string', nullable: true, default: null },
+      },
+    },
+    providers: {
+      type: 'object',
+      default: { names: [], leadPattern: null, titlePattern: null },
+      properties: {
+        // 제공처 목록은 news_provider(config/providers.json)에 있고, 여기에는 이 사이트에서만 쓰는 이름만 둠
+        names: { type: 'array', items: { type: 'string' }, default: [] },
+        leadPattern: { type: 'regex', nullable: true, default: null },
+        titlePattern: { type: 'regex', nullable: true, default: null },
+      },
+    },
+  },
+};
+
+/**
+ * 단일 값 검증 (재귀)
+ * @param {*} value - 검증할 값
+ * @param {Object} rule - 스키마 규칙
+ * @param {string} fieldPath - 에러 메시지용 필드 경로
+ * @param {Array<string>} errors - 에러 누적 배열
+ * @returns {*} 기본값이 적용된 값
+ */
+function validateValue(value, rule, fieldPath, errors) {
+  if (value === undefined) {
+    if (rule.required) {
+      errors.push(`${fieldPath}: 필수 항목입니다.`);
+      return value;
+    }
+    value = rule.default === undefined ? undefined : clone(rule.default);
+    if (value === undefined || value === null) return value;
+  }
+  if (value === null) {
+    if (!rule.nullable) errors.push(`${fieldPath}: null을 허용하지 않습니다.`);
+    return value;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`${fieldPath}: 비어 있지 않은 문자열이어야 합니다.`);
+      } else if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(
+          `${fieldPath}: ${rule.enum.join(' | ')} 중 하나여야 합니다.`
+        );
+      }
+      return value;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`${fieldPath}: 0 이상의 숫자여야 합니다.`);
+      }
+      return value;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${fieldPath}: true 또는 false여야 합니다.`);
+      }
+      return value;
+
+    case 'url':
+      try {
+        const parsed = new URL(value);
+        if (!/^https?:$/.test(parsed.protocol)) throw new Error('protocol');
+      } catch (_) {
+        errors.push(`${fieldPath}: http(s) 절대 URL이어야 합니다. (${value})`);
+      }
+      return value;
+
+    case 'selector':
+      if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`${fieldPath}: CSS 선택자 문자열이어야 합니다.`);
+        return value;
+      }
+      try {
+        $probe(value);
+      } catch (error) {
+        errors.push(
+          `${fieldPath}: 잘못된 CSS 선택자입니다. (${value}) - ${error.message}`
+        );
+      }
+      return value;
+
+    case 'regex':
+      if (typeof value !== 'string' || !value) {
+        errors.push(`${fieldPath}: 정규식 문자열이어야 합니다.`);
+        return value;
+      }
+      try {
+        new RegExp(value);
+      } catch (error) {
+        errors.push(
+          `${fieldPath}: 잘못된 정규식입니다. (${value}) - ${error.message}`
+        );
+      }
+      return value;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${fieldPath}: 배열이어야 합니다.`);
+        return value;
+      }
+      if (rule.minItems && value.length < rule.minItems) {
+        errors.push(`${fieldPath}: 최소 ${rule.minItems}개 항목이 필요합니다.`);
+      }
+      return value.map((item, i) =>
+        validateValue(item, rule.items, `${fieldPath}[${i}]`, errors)
+      );
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${fieldPath}: 객체여야 합니다.`);
+        return value;
+      }
+      const result = {};
+      Object.keys(value).forEach(key => {
+        if (!rule.properties[key]) {
+          errors.push(`${joinPath(fieldPath, key)}: 알 수 없는 항목입니다.`);
+        }
+      });
+      Object.entries(rule.properties).forEach(([key, childRule]) => {
+        const child = validateValue(
+          value[key],
+          childRule,
+          joinPath(fieldPath, key),
+          errors
+        );
+        if (child !== undefined) result[key] = child;
+      });
+      return result;
+    }
+
+    default:
+      errors.push(`${fieldPath}: 지원하지 않는 스키마 타입(${rule.type})`);
+      return value;
+  }
+}
+
+/**
+ * 필드 경로 결합
+ * @param {string} parent
+ * @param {string} key
+ * @returns {string}
+ */
+function joinPath(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * 기본값 복제 (배열/객체 공유 방지)
+ * @param {*} value
+ * @returns {*}
+ */
+function clone(value) {
+  return value === null || typeof value !== 'object'
+    ? value
+    : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 사이트 정의 검증
+ * @param {Object} definition - 파싱된 사이트 정의
+ * @param {string} [sourceName='site definition'] - 에러 메시지용 출처 (파일명 등)
+ * @returns {Object} 기본값이 적용된 사이트 정의
+ * @throws {Error} code = 'INVALID_SITE_DEFINITION', errors = 필드별 에러 목록
+ */
+function validateSiteDefinition(definition, sourceName = 'site definition') {
+  const errors = [];
+  const normalized = validateValue(
+    definition,
+    { ...SITE_DEFINITION_SCHEMA, required: true },
+    '',
+    errors
+  );
+
+  if (errors.length) {
+    const error = new Error(
+      `사이트 정의 검증 실패 (${sourceName}):\n  - ${errors.join('\n  - ')}`
+    );
+    error.code = 'INVALID_SITE_DEFINITION';
+    error.errors = errors;
+    throw error;
+  }
+  return normalized;
+}
+
+/**
+ * 사이트 정의 파일 로드
+ * @param {string} fileOrName - 파일 경로 또는 config/sites 내 파일명 (확장자 생략 가능)
+ * @returns {Object} 검증된 사이트 정의
+ */
+function loadSiteDefinition(fileOrName) {
+  const filePath =
+    path.isAbsolute(fileOrName) || fileOrName.includes(path.sep)
+      ? fileOrName
+      : path.join(
+          DEFAULT_SITES_DIR,
+          fileOrName.endsWith('.json') ? fileOrName : `${fileOrName}.json`
+        );
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    const wrapped = new Error(
+      `사이트 정의 파일을 읽을 수 없습니다 (${filePath}): ${error.message}`
+    );
+    wrapped.code = 'INVALID_SITE_DEFINITION';
+    wrapped.errors = [error.message];
+    throw wrapped;
+  }
+  return validateSiteDefinition(raw, path.basename(filePath));
+}
+
+/**
+ * 디렉터리 내 전체 사이트 정의 로드
+ * @param {string} [dir] - 사이트 정의 디렉터리 (기본: config/sites)
+ * @returns {Array<Object>} 검증된 사이트 정의 배열
+ * @description 하나라도 잘못된 정의가 있으면 모든 파일의 에러를 모아 한 번에 던집니다.
+ */
+function loadSiteDefinitions(dir = process.env.SITE_DEFINITIONS_DIR) {
+  const sitesDir = dir || DEFAULT_SITES_DIR;
+  if (!fs.existsSync(sitesDir)) return [];
+
+  const definitions = [];
+  const failures = [];
+  fs.readdirSync(sitesDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      try {
+        definitions.push(loadSiteDefinition(path.join(sitesDir, file)));
+      } catch (error) {
+        failures.push(error);
+      }
+    });
+
+  // 크롤러 이름은 레지스트리/로그 키이므로 중복 불가
+  const seenNames = new Set();
+  definitions.forEach(def => {
+    if (seenNames.has(def.name)) {
+      const error = new Error(`사이트 정의 이름이 중복되었습니다: ${def.name}`);
+      error.errors = [`name: 중복된 이름입니다. (${def.name})`];
+      failures.push(error);
+    }
+    seenNames.add(def.name);
+  });
+
+  if (failures.length) {
+    const error = new Error(failures.map(f => f.message).join('\n'));
+    error.code = 'INVALID_SITE_DEFINITION';
+    error.errors = failures.flatMap(f => f.errors || [f.message]);
+    throw error;
+  }
+  return definitions;
+}
+
+module.exports = {
+  SITE_DEFINITION_SCHEMA,
+  validateSiteDefinition,
+  loadSiteDefinition,
+  loadSiteDefinitions,
+};
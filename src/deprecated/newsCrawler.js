@@ -1,2 +0,0 @@
-// Deprecated Naver NewsCrawler (moved from src/crawler/newsCrawler.js)
-// Retained for historical reference only.
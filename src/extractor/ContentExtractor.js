@@ -0,0 +1,468 @@
+/**
+ * @fileoverview 기사 본문 추출 엔진
+ * @description HTML 문자열에서 기사 본문 컨테이너를 찾아 문단/소제목/리드/이미지를 구조화해 반환합니다.
+ * 컨테이너는 readability 방식으로 고릅니다: 문단 블록 점수를 부모(전체)·조부모(절반)에 누적하고,
+ * class/id 가중치를 더한 뒤 링크 밀도와 텍스트 밀도(태그당 글자 수)로 보정합니다.
+ * 크롤러/네트워크와 무관한 순수 함수형 처리이므로 HTML 문자열만으로 검증할 수 있습니다.
+ */
+
+const cheerio = require('cheerio');
+
+/**
+ * 항상 제거하는 요소 (본문이 될 수 없는 영역)
+ * @type {Array<string>}
+ */
+const DEFAULT_REMOVE_SELECTORS = [
+  'script',
+  'style',
+  'noscript',
+  'iframe',
+  'form',
+  'button',
+  'svg',
+  'nav',
+  'footer',
+  'aside',
+];
+
+/**
+ * 본문 가능성이 높은 class/id
+ * @type {RegExp}
+ */
+const POSITIVE_PATTERN =
+  /article|body|content|entry|main|news|post|story|text|view/i;
+
+/**
+ * 본문 가능성이 낮은 class/id
+ * @type {RegExp}
+ */
+const NEGATIVE_PATTERN =
+  /\bad\b|ads|advert|banner|comment|footer|menu|nav|popular|promo|rank|related|recommend|share|sidebar|sns|social|sponsor|widget/i;
+
+/**
+ * 문단 경계를 만드는 블록 요소
+ * @type {Set<string>}
+ */
+const BLOCK_TAGS = new Set([
+  'address',
+  'article',
+  'blockquote',
+  'dd',
+  'div',
+  'dl',
+  'dt',
+  'figure',
+  'header',
+  'li',
+  'main',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'table',
+  'td',
+  'th',
+  'tr',
+  'ul',
+]);
+
+/**
+ * 소제목 요소
+ * @type {Set<string>}
+ */
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+/**
+ * 점수 계산 대상 블록 최소 길이
+ * @type {number}
+ */
+const MIN_BLOCK_LENGTH = 25;
+
+/**
+ * 컨테이너 본문이 이보다 짧으면 페이지 전체 문단으로 대체
+ * @type {number}
+ */
+const MIN_CONTENT_LENGTH = 120;
+
+/**
+ * 본문이 이보다 짧으면 메타 설명을 앞에 덧붙임
+ * @type {number}
+ */
+const MIN_CONTENT_WITHOUT_DESCRIPTION = 80;
+
+/**
+ * 공백 정리 (nbsp 치환, 줄 단위 공백 축소)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text
+    .replace(/\u00a0/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \t\r\f\v]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * 이미지 크기 속성 해석 ("640", "640px")
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseDimension(value) {
+  const size = parseInt(value, 10);
+  return Number.isFinite(size) && size > 0 ? size : null;
+}
+
+/**
+ * class/id 기반 가중치
+ * @param {Object} el - cheerio 요소 노드
+ * @returns {number}
+ */
+function getClassWeight(el) {
+  const attribs = el.attribs || {};
+  const names = `${attribs.class || ''} ${attribs.id || ''}`;
+  let weight = 0;
+  if (POSITIVE_PATTERN.test(names)) weight += 25;
+  if (NEGATIVE_PATTERN.test(names)) weight -= 25;
+  return weight;
+}
+
+/**
+ * 문단 블록 점수 (기본 1 + 쉼표 수 + 100자당 1점, 최대 3점)
+ * @param {string} text
+ * @returns {number}
+ */
+function getBlockScore(text) {
+  const commas = (text.match(/[,，、]/g) || []).length;
+  return 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+}
+
+/**
+ * 본문 추출기 클래스
+ * @class ContentExtractor
+ */
+class ContentExtractor {
+  /**
+   * ContentExtractor 생성자
+   * @constructor
+   * @param {Object} [options] - 옵션
+   * @param {string} [options.baseUrl] - 이미지 상대 경로 기준 URL
+   * @param {Array<string>} [options.removeSelectors] - 추가로 제거할 선택자 (광고/공유 영역 등)
+   * @param {Array<string>} [options.candidateSelectors] - 본문 컨테이너 힌트 선택자 (점수 가산)
+   * @param {Array<string>} [options.removeParagraphKeywords] - 포함 시 버릴 문단 키워드 (저작권 고지 등)
+   * @param {number} [options.minParagraphLength=20] - 최소 문단 길이
+   * @param {number} [options.imageLimit=5] - 최대 이미지 수
+   * @param {number} [options.maxLinkDensity=0.5] - 이보다 링크 비중이 높은 문단은 제외
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || null;
+    this.removeSelectors = [
+      ...DEFAULT_REMOVE_SELECTORS,
+      ...(options.removeSelectors || []),
+    ];
+    this.candidateSelectors = options.candidateSelectors || [];
+    this.removeParagraphKeywords = options.removeParagraphKeywords || [];
+    this.minParagraphLength = options.minParagraphLength ?? 20;
+    this.imageLimit = options.imageLimit ?? 5;
+    this.maxLinkDensity = options.maxLinkDensity ?? 0.5;
+  }
+
+  /**
+   * 본문 추출
+   * @param {string} html - 페이지 HTML
+   * @returns {{paragraphs: Array<string>, headings: Array<string>, lead: string, images: Array<{url: string, alt: string, caption: string, width: number|null, height: number|null}>, leadImageUrl: string|null, content: string, description: string, confidence: number, method: string}}
+   * leadImageUrl은 og:image(없으면 twitter:image, 본문 첫 이미지)
+   * method는 container(본문 컨테이너) | fallback(페이지 전체 문단) | none(추출 실패)
+   */
+  extract(html) {
+    const $ = cheerio.load(html || '');
+    const description = normalizeText(
+      $('meta[property="og:description"]').attr('content') ||
+        $('meta[name="description"]').attr('content') ||
+        ''
+    );
+
+    const metaImageUrl = this.toAbsoluteUrl(
+      $('meta[property="og:image"]').attr('content') ||
+        $('meta[name="twitter:image"]').attr('content')
+    );
+
+    $(this.removeSelectors.join(', ')).remove();
+
+    const candidates = this.scoreCandidates($);
+    const [best, runnerUp] = candidates;
+
+    let blocks = best
+      ? this.collectBlocks($, best.el)
+      : { paragraphs: [], headings: [], images: [] };
+    let method = best ? 'container' : 'none';
+
+    if (blocks.paragraphs.join('\n\n').length < MIN_CONTENT_LENGTH) {
+      const paragraphs = this.collectPageParagraphs($);
+      if (paragraphs.length) {
+        blocks = { ...blocks, paragraphs };
+        method = 'fallback';
+      }
+    }
+
+    const { paragraphs } = blocks;
+    let content = paragraphs.join('\n\n');
+    if (content.length < MIN_CONTENT_WITHOUT_DESCRIPTION && description) {
+      content = description + (content ? '\n\n' + content : '');
+    }
+
+    return {
+      paragraphs,
+      headings: blocks.headings,
+      lead: paragraphs[0] || description,
+      images: blocks.images,
+      leadImageUrl:
+        metaImageUrl || (blocks.images[0] ? blocks.images[0].url : null),
+      content,
+      description,
+      confidence: this.getConfidence(paragraphs, best, runnerUp, method),
+      method,
+    };
+  }
+
+  /**
+   * 본문 컨테이너 후보 점수 계산
+   * @param {Function} $ - cheerio 루트
+   * @returns {Array<{el: Object, score: number, linkDensity: number}>} 점수 내림차순 후보
+   */
+  scoreCandidates($) {
+    const scores = new Map();
+    const addScore = (el, value) => {
+      if (!el || el.type !== 'tag' || el.name === 'html') return;
+      if (!scores.has(el)) scores.set(el, getClassWeight(el));
+      scores.set(el, scores.get(el) + value);
+    };
+
+    // 문단 블록: <p>/<pre>/<td>/<blockquote> 및 블록 자식이 없는 <div>
+    $('p, pre, td, blockquote, div').each((_, el) => {
+      const $el = $(el);
+      const isTextDiv = el.name === 'div';
+      if (isTextDiv && $el.children(this.blockSelector()).length) return;
+
+      const text = normalizeText($el.text());
+      if (text.length < MIN_BLOCK_LENGTH) return;
+
+      // <br>로 문단을 나눈 <div>는 그 자체가 본문 컨테이너
+      const container = isTextDiv ? el : el.parent;
+      const blockScore = getBlockScore(text);
+      addScore(container, blockScore);
+      if (container) addScore(container.parent, blockScore / 2);
+    });
+
+    // 사이트 힌트 선택자
+    if (this.candidateSelectors.length) {
+      $(this.candidateSelectors.join(', ')).each((_, el) => addScore(el, 25));
+    }
+
+    return [...scores.entries()]
+      .map(([el, baseScore]) => {
+        const $el = $(el);
+        const textLength = normalizeText($el.text()).length;
+        if (!textLength) return null;
+
+        const linkLength = $el
+          .find('a')
+          .toArray()
+          .reduce((sum, a) => sum + normalizeText($(a).text()).length, 0);
+        const linkDensity = Math.min(1, linkLength / textLength);
+        const textDensity = textLength / ($el.find('*').length + 1);
+        const densityFactor = Math.min(1, 0.5 + textDensity / 200);
+
+        return {
+          el,
+          score: baseScore * (1 - linkDensity) * densityFactor,
+          linkDensity,
+        };
+      })
+      .filter(candidate => candidate && candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * 블록 요소 선택자
+   * @returns {string}
+   */
+  blockSelector() {
+    return [...BLOCK_TAGS, ...HEADING_TAGS].join(', ');
+  }
+
+  /**
+   * 컨테이너를 문서 순서로 순회하며 문단/소제목/이미지 수집
+   * @param {Function} $ - cheerio 루트
+   * @param {Object} container - 본문 컨테이너 요소
+   * @returns {{paragraphs: Array<string>, headings: Array<string>, images: Array<Object>}}
+   * @description 블록 요소와 빈 줄(<br><br>)을 문단 경계로 보고, 링크 비중이 높은 문단(관련 기사 목록 등)은 제외합니다.
+   */
+  collectBlocks($, container) {
+    const paragraphs = [];
+    const headings = [];
+    const images = [];
+    let buffer = '';
+    let linkChars = 0;
+
+    const flush = () => {
+      const text = normalizeText(buffer);
+      const linkDensity = text.length ? linkChars / text.length : 0;
+      buffer = '';
+      linkChars = 0;
+      if (!text || linkDensity > this.maxLinkDensity) return;
+      text.split(/\n\s*\n/).forEach(part => {
+        const paragraph = part.trim();
+        if (this.isParagraph(paragraph) && !paragraphs.includes(paragraph)) {
+          paragraphs.push(paragraph);
+        }
+      });
+    };
+
+    const walk = (node, inLink) => {
+      if (node.type === 'text') {
+        buffer += node.data;
+        if (inLink) linkChars += normalizeText(node.data).length;
+        return;
+      }
+      if (node.type !== 'tag') return;
+
+      if (node.name === 'br') {
+        buffer += '\n';
+        return;
+      }
+      if (node.name === 'img') {
+        this.addImage($, node, images);
+        return;
+      }
+      if (node.name === 'figcaption') return; // 이미지 캡션은 문단에서 제외
+      if (HEADING_TAGS.has(node.name)) {
+        flush();
+        if (node.name === 'h1') return; // 기사 제목 (소제목 아님)
+        const heading = normalizeText($(node).text());
+        if (heading && !headings.includes(heading)) headings.push(heading);
+        return;
+      }
+
+      const isBlock = BLOCK_TAGS.has(node.name);
+      if (isBlock) flush();
+      (node.children || []).forEach(child =>
+        walk(child, inLink || node.name === 'a')
+      );
+      if (isBlock) flush();
+    };
+
+    walk(container, false);
+    flush();
+    return { paragraphs, headings, images };
+  }
+
+  /**
+   * 본문 문단으로 쓸 수 있는 텍스트인지 판정
+   * @param {string} text
+   * @returns {boolean}
+   */
+  isParagraph(text) {
+    if (!text || text.length < this.minParagraphLength) return false;
+    if (/^\[[^\]]+\]$/.test(text)) return false; // [사진] 같은 단독 표기
+    return !this.removeParagraphKeywords.some(k => text.includes(k));
+  }
+
+  /**
+   * 이미지 수집 (절대 URL, 중복/개수 제한)
+   * @param {Function} $ - cheerio 루트
+   * @param {Object} node - img 요소
+   * @param {Array<Object>} images - 수집 중인 이미지 목록
+   */
+  addImage($, node, images) {
+    if (images.length >= this.imageLimit) return;
+    const $img = $(node);
+    const url = this.toAbsoluteUrl($img.attr('data-src') || $img.attr('src'));
+    if (!url || images.some(image => image.url === url)) return;
+
+    const caption = normalizeText(
+      $img.closest('figure').find('figcaption').first().text()
+    );
+    images.push({
+      url,
+      alt: normalizeText($img.attr('alt') || ''),
+      caption,
+      width: parseDimension($img.attr('width')),
+      height: parseDimension($img.attr('height')),
+    });
+  }
+
+  /**
+   * 페이지 전체의 긴 문단 (컨테이너 추출 실패 시 대체)
+   * @param {Function} $ - cheerio 루트
+   * @returns {Array<string>}
+   */
+  collectPageParagraphs($) {
+    const paragraphs = [];
+    $('p').each((_, el) => {
+      const text = normalizeText($(el).text());
+      if (text.length > 40 && this.isParagraph(text)) paragraphs.push(text);
+      if (paragraphs.length >= 15) return false;
+    });
+    return paragraphs;
+  }
+
+  /**
+   * 추출 신뢰도 (0~1)
+   * @param {Array<string>} paragraphs - 추출 문단
+   * @param {Object} [best] - 최고 점수 후보
+   * @param {Object} [runnerUp] - 두 번째 후보
+   * @param {string} method - 추출 방식
+   * @returns {number}
+   * @description 본문 길이, 문단 수, 링크 밀도, 2위 후보와의 점수 차를 합산하고 대체 추출이면 절반으로 낮춥니다.
+   */
+  getConfidence(paragraphs, best, runnerUp, method) {
+    if (method === 'none' || !paragraphs.length) return 0;
+
+    const length = paragraphs.join('\n\n').length;
+    const lengthFactor = Math.min(1, length / 1000);
+    const paragraphFactor = Math.min(1, paragraphs.length / 5);
+    const linkFactor = best ? 1 - best.linkDensity : 0;
+    const margin =
+      best && runnerUp ? (best.score - runnerUp.score) / best.score : 1;
+
+    const confidence =
+      0.4 * lengthFactor +
+      0.2 * paragraphFactor +
+      0.2 * linkFactor +
+      0.2 * margin;
+    return (
+      Math.round((method === 'fallback' ? confidence / 2 : confidence) * 100) /
+      100
+    );
+  }
+
+  /**
+   * 절대 URL 변환 (data: URI 제외)
+   * @param {string} src
+   * @returns {string|null}
+   */
+  toAbsoluteUrl(src) {
+    if (!src || src.startsWith('data:')) return null;
+    try {
+      return new URL(src, this.baseUrl || undefined).toString();
+    } catch (_) {
+      return null;
+    }
+  }
+}
+
+/**
+ * 본문 추출 (일회성 호출용)
+ * @param {string} html - 페이지 HTML
+ * @param {Object} [options] - ContentExtractor 옵션
+ * @returns {Object} ContentExtractor#extract 결과
+ */
+function extractContent(html, options) {
+  return new ContentExtractor(options).extract(html);
+}
+
+module.exports = ContentExtractor;
+module.exports.extractContent = extractContent;
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview 기사 바이라인(기자명/직함/이메일) 추출
+ * @description "홍길동·김철수 기자", "(워싱턴=연합뉴스) 홍길동 특파원 =", "홍길동 기자 hong@example.com" 같은
+ * 표기에서 기자를 모두 찾아 { name, role, email } 목록으로 돌려줍니다. 찾지 못하면 빈 배열이며
+ * 사이트 이름 같은 대체 값으로 채우지 않습니다.
+ */
+
+/**
+ * 인식하는 직함 (긴 표기 우선)
+ * @type {Array<string>}
+ */
+const ROLES = [
+  '객원논설위원',
+  '논설위원',
+  '논설실장',
+  '편집위원',
+  '칼럼니스트',
+  '선임기자',
+  '전문기자',
+  '객원기자',
+  '인턴기자',
+  '수습기자',
+  '특파원',
+  '기자',
+  '앵커',
+];
+
+/**
+ * 이메일 패턴 (소스 문자열)
+ * @type {string}
+ */
+const EMAIL_SOURCE = '[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)+';
+
+/**
+ * 이름(들) + 직함 + (선택) 이메일
+ * 예: "홍길동 기자", "홍길동·김철수 기자", "홍길동 기자(hong@example.com)"
+ * @type {RegExp}
+ */
+const BYLINE_PATTERN = new RegExp(
+  '(?<![가-힣])((?:[가-힣]{2,4}\\s*[·,、]\\s*)*[가-힣]{2,4})\\s*' +
+    `(${ROLES.join('|')})(?![가-힣])` +
+    `(?:\\s*[(<\\[]?\\s*(${EMAIL_SOURCE}))?`,
+  'g'
+);
+
+/**
+ * 본문 맨 앞 통신사식 바이라인 (위치=통신사 표기 다음에 오는 "홍길동 기자 =")
+ * @type {RegExp}
+ */
+const LEAD_BYLINE_PATTERN = new RegExp(
+  '^((?:[가-힣]{2,4}\\s*[·,、]\\s*)*[가-힣]{2,4})\\s*' +
+    `(${ROLES.join('|')})` +
+    `(?:\\s*[(<\\[]?\\s*${EMAIL_SOURCE}[)>\\]]?)?\\s*=\\s*`
+);
+
+/**
+ * 이메일 단독 패턴
+ * @type {RegExp}
+ */
+const EMAIL_PATTERN = new RegExp(EMAIL_SOURCE, 'g');
+
+/**
+ * 사람 이름이 아닌 단어 (직함 앞에 붙기 쉬운 매체명/설명어)
+ * @type {RegExp}
+ */
+const NON_NAME_PATTERN =
+  /(뉴스|일보|신문|방송|통신|사진|영상|취재|편집|정리|디지털|온라인|본지)$/;
+
+/**
+ * 직함 없는 작성자 필드에서 허용할 이름 (한글 2~4자 또는 로마자 이름)
+ * @type {RegExp}
+ */
+const LOOSE_NAME_PATTERN = /^(?:[가-힣]{2,4}|[A-Za-z][A-Za-z .'-]{1,29})$/;
+
+/**
+ * 본문에서 바이라인을 찾을 범위 (리드/끝부분 글자 수, 본문 중간 인용은 제외)
+ * @type {{head: number, tail: number}}
+ */
+const CONTENT_SCAN = { head: 200, tail: 300 };
+
+/**
+ * 이름으로 쓸 수 있는지 확인
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isPersonName(name) {
+  return /^[가-힣]{2,4}$/.test(name) && !NON_NAME_PATTERN.test(name);
+}
+
+/**
+ * 기자 목록에 추가 (같은 이름이면 비어 있는 직함/이메일만 보완)
+ * @param {Array<Object>} authors - 누적 목록
+ * @param {{name: string, role: string|null, email: string|null}} author
+ */
+function addAuthor(authors, author) {
+  const existing = authors.find(item => item.name === author.name);
+  if (!existing) {
+    authors.push(author);
+    return;
+  }
+  existing.role = existing.role || author.role;
+  existing.email = existing.email || author.email;
+}
+
+/**
+ * 바이라인 문자열 해석
+ * @param {string} text - 바이라인 영역 텍스트 또는 피드 작성자 필드
+ * @param {Object} [options]
+ * @param {boolean} [options.loose=false] - 직함이 없어도 짧은 텍스트는 이름 목록으로 해석 (선택자/피드 필드용)
+ * @returns {Array<{name: string, role: string|null, email: string|null}>} 등장 순서, 이름 중복 제거
+ */
+function parseBylines(text, options = {}) {
+  const source = String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!source) return [];
+
+  const authors = [];
+  for (const match of source.matchAll(BYLINE_PATTERN)) {
+    const names = match[1].split(/\s*[·,、]\s*/).filter(isPersonName);
+    names.forEach((name, i) => {
+      addAuthor(authors, {
+        name,
+        role: match[2],
+        // 여러 이름 뒤의 이메일은 마지막 기자 것으로 봄
+        email: i === names.length - 1 && match[3] ? match[3] : null,
+      });
+    });
+  }
+  if (authors.length || !options.loose) return authors;
+
+  // 직함 없는 작성자 필드: "홍길동", "홍길동, 김철수", "홍길동 hong@example.com", "John Smith"
+  const emails = source.match(EMAIL_PATTERN) || [];
+  const rest = source.replace(EMAIL_PATTERN, ' ').replace(/[()<>[\]]/g, ' ');
+  const names = rest
+    .split(/\s*[·,、/]\s*|\s+및\s+/)
+    .map(name => name.trim())
+    .filter(Boolean);
+  // 입력 시각 등 이름이 아닌 조각이 섞여 있으면 해석하지 않음
+  if (!names.length || !names.every(name => LOOSE_NAME_PATTERN.test(name))) {
+    return [];
+  }
+
+  names
+    .filter(name => !/^[가-힣]+$/.test(name) || isPersonName(name))
+    .forEach((name, i) => {
+      addAuthor(authors, { name, role: null, email: emails[i] || null });
+    });
+  return authors;
+}
+
+/**
+ * 본문 리드/끝부분에서 바이라인 찾기
+ * @param {string} content - 상세 본문
+ * @returns {Array<{name: string, role: string|null, email: string|null}>}
+ * @description 본문 중간에 인용된 다른 기자 이름을 잡지 않도록 앞 200자와 뒤 300자만 봅니다.
+ */
+function parseContentBylines(content) {
+  const text = String(content || '');
+  if (text.length <= CONTENT_SCAN.head + CONTENT_SCAN.tail) {
+    return parseBylines(text);
+  }
+  const authors = parseBylines(text.slice(0, CONTENT_SCAN.head));
+  parseBylines(text.slice(-CONTENT_SCAN.tail)).forEach(author =>
+    addAuthor(authors, author)
+  );
+  return authors;
+}
+
+/**
+ * 본문 맨 앞 바이라인 제거
+ * @param {string} content - 위치=통신사 표기를 제거한 본문
+ * @returns {string} "홍길동 기자 =" 표기가 있으면 제거한 본문, 없으면 그대로
+ * @description 이름이 아닌 단어(사진 기자 등)로 시작하면 본문 첫 문장일 수 있으므로 제거하지 않습니다.
+ */
+function stripLeadByline(content) {
+  const text = String(content || '');
+  const match = text.match(LEAD_BYLINE_PATTERN);
+  if (!match) return text;
+  const names = match[1].split(/\s*[·,、]\s*/);
+  return names.every(isPersonName) ? text.slice(match[0].length) : text;
+}
+
+/**
+ * 여러 출처의 기자 목록 합치기
+ * @param {...Array<Object>} lists
+ * @returns {Array<{name: string, role: string|null, email: string|null}>}
+ */
+function mergeAuthors(...lists) {
+  const authors = [];
+  lists.flat().forEach(author => addAuthor(authors, { ...author }));
+  return authors;
+}
+
+/**
+ * 표시용 바이라인 (news_detail.author_nm)
+ * @param {Array<Object>} authors
+ * @returns {string|null} 예: "홍길동 기자, 김철수 특파원" (기자가 없으면 null)
+ */
+function formatByline(authors) {
+  if (!authors || !authors.length) return null;
+  return authors
+    .map(author =>
+      author.role ? `${author.name} ${author.role}` : author.name
+    )
+    .join(', ')
+    .slice(0, 100);
+}
+
+module.exports = {
+  ROLES,
+  parseBylines,
+  parseContentBylines,
+  stripLeadByline,
+  mergeAuthors,
+  formatByline,
+};
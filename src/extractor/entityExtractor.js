@@ -0,0 +1,265 @@
+/**
+ * @fileoverview 기사 개체명(인물/기관/지역) 추출
+ * @description 사전(gazetteer)에 등록된 이름과 별칭을 먼저 찾고, 사전에 없는 이름은
+ * "홍길동 대표", "OO당", "OO광역시" 같은 패턴 규칙으로 보충합니다.
+ * 사전으로 찾은 구간과 겹치는 패턴 결과는 버리고, 패턴으로 찾은 이름이 사전 별칭이면 대표 이름으로 합칩니다.
+ */
+
+/**
+ * 개체 유형
+ * @type {Object<string, string>}
+ */
+const ENTITY_TYPES = {
+  PERSON: 'person',
+  ORGANIZATION: 'organization',
+  LOCATION: 'location',
+};
+
+/**
+ * 개체 출처 (gazetteer: 사전, pattern: 패턴 규칙)
+ * @type {Object<string, string>}
+ */
+const ENTITY_SOURCES = {
+  GAZETTEER: 'gazetteer',
+  PATTERN: 'pattern',
+};
+
+/**
+ * 인물 이름 뒤에 오는 직함 (긴 표기 우선)
+ * @type {Array<string>}
+ */
+const PERSON_TITLES = [
+  '원내대표',
+  '국회의원',
+  '비서실장',
+  '부총리',
+  '부회장',
+  '위원장',
+  '대통령',
+  '대변인',
+  '대표',
+  '의원',
+  '장관',
+  '차관',
+  '총리',
+  '회장',
+  '사장',
+  '지사',
+  '청장',
+  '총장',
+  '후보',
+];
+
+/**
+ * 인물 패턴에서 이름 첫 글자로 허용하는 복성
+ * @type {Array<string>}
+ */
+const COMPOUND_SURNAMES = ['남궁', '황보', '제갈', '선우', '독고'];
+
+/**
+ * 인물 패턴에서 이름 첫 글자로 허용하는 외자 성씨
+ * @type {Array<string>}
+ */
+const SURNAMES = [
+  ...'김이박최정강조윤장임한오서신권황안송류유전홍고문양손배백허남심노하곽성차주우구민진나지엄원천방공현함변염여추도소석선설마길연위표명기반왕금옥육인맹제모탁국어은편용예경봉사부',
+];
+
+/**
+ * 성씨로 시작하지만 사람 이름이 아닌 세 글자 단어 ("부의장 대표", "서울대 총장" 등)
+ * @type {Set<string>}
+ */
+const NON_PERSON_NAMES = new Set([
+  '부의장',
+  '부대표',
+  '공동대',
+  '국정원',
+  '성균관',
+  '서울대',
+  '고려대',
+  '연세대',
+  '한양대',
+  '국민대',
+  '경기도',
+  '강원도',
+  '제주도',
+  '경상남',
+  '전라남',
+  '남도지',
+]);
+
+/**
+ * 기관 이름 꼴의 끝 글자 ("정의당 대표", "서울시 청장", "정책위 의장", "이사회 회장", "국세청 청장", "국방부 장관")
+ * @type {RegExp}
+ */
+const NON_PERSON_SUFFIX_PATTERN = /(당|시|위|회|청|부)$/;
+
+/**
+ * 정당이 아닌 "~당" 단어 (정당/여당/식당/성당 등 일반 명사로 끝나는 경우)
+ * @type {RegExp}
+ */
+const NON_PARTY_PATTERN =
+  /(정당|여당|야당|양당|식당|성당|강당|사당|전당|분당|해당|상당|적당|담당|배당|부당|타당|수당|할당|충당)$/;
+
+/**
+ * 개체 이름 뒤에 붙을 수 있는 조사 (패턴 끝 경계 확인용, 긴 표기 우선)
+ * @type {string}
+ */
+const PARTICLE_TAIL =
+  '(?:에서는|으로는|에서|으로|과의|와의|이나|이며|이고|까지|에게|에는|보다|은|는|이|가|을|를|의|과|와|에|도|만|로)?(?![가-힣])';
+
+/**
+ * 패턴 규칙 (1번 그룹: 이름)
+ * @type {Array<{type: string, pattern: RegExp, accept: Function}>}
+ */
+const PATTERN_RULES = [
+  {
+    // 홍길동 대표, 남궁민 위원장 (외자 성은 두 글자 이름만: "정책 위원장", "경기 지사" 같은 일반 명사 제외)
+    type: ENTITY_TYPES.PERSON,
+    pattern: new RegExp(
+      `(?<![가-힣])((?:${COMPOUND_SURNAMES.join('|')})[가-힣]{1,2}|(?:${SURNAMES.join('|')})[가-힣]{2}) (?:${PERSON_TITLES.join('|')})(?!팀|단)`,
+      'g'
+    ),
+    accept: name =>
+      !NON_PERSON_NAMES.has(name) && !NON_PERSON_SUFFIX_PATTERN.test(name),
+  },
+  {
+    // 더불어민주당, 조국혁신당
+    type: ENTITY_TYPES.ORGANIZATION,
+    pattern: new RegExp(
+      `(?<![가-힣])([가-힣]{2,8}당)(?=${PARTICLE_TAIL})`,
+      'g'
+    ),
+    accept: name => !NON_PARTY_PATTERN.test(name),
+  },
+  {
+    // 부산광역시, 제주특별자치도
+    type: ENTITY_TYPES.LOCATION,
+    pattern: new RegExp(
+      `(?<![가-힣])([가-힣]{2,4}(?:특별자치시|특별자치도|특별시|광역시))(?=${PARTICLE_TAIL})`,
+      'g'
+    ),
+    accept: () => true,
+  },
+];
+
+/**
+ * 사전 조회 키 (대소문자/공백 무시)
+ * @param {string} name
+ * @returns {string}
+ */
+function entityKey(name) {
+  return String(name || '')
+    .normalize('NFKC')
+    .replace(/\s+/g, '')
+    .toLowerCase();
+}
+
+/**
+ * 정규식 특수 문자 이스케이프
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 사전 컴파일
+ * @param {Array<{type: string, name: string, aliases: Array<string>}>} entries - 개체별 대표 이름과 별칭
+ * @returns {{pattern: RegExp|null, lookup: Map<string, {type: string, name: string}>}}
+ * 별칭 검색 정규식과 별칭 키 → 개체 맵
+ */
+function compileGazetteer(entries) {
+  const lookup = new Map();
+  const surfaces = new Set();
+  entries.forEach(entry => {
+    [entry.name, ...(entry.aliases || [])].forEach(alias => {
+      const surface = String(alias)
+        .normalize('NFKC')
+        .replace(/\s+/g, ' ')
+        .trim();
+      if (!surface) return;
+      surfaces.add(surface);
+      lookup.set(entityKey(surface), { type: entry.type, name: entry.name });
+    });
+  });
+
+  // 긴 별칭 우선 ("삼성전자"가 "삼성"보다 먼저), 뒤에 조사 외 한글이 이어지면 다른 단어 ("국회의원"의 "국회")
+  const alternatives = [...surfaces]
+    .sort((a, b) => b.length - a.length)
+    .map(surface => escapeRegExp(surface).replace(/ /g, '\\s+'));
+  return {
+    pattern: alternatives.length
+      ? new RegExp(
+          `(?<![가-힣A-Za-z0-9])(?:${alternatives.join('|')})(?=${PARTICLE_TAIL})`,
+          'gi'
+        )
+      : null,
+    lookup,
+  };
+}
+
+/**
+ * 텍스트에서 개체 추출
+ * @param {string} text - 제목/본문
+ * @param {{pattern: RegExp|null, lookup: Map}} gazetteer - compileGazetteer 결과
+ * @returns {Array<{type: string, name: string, count: number, source: string}>} 언급 횟수 내림차순
+ */
+function extractEntities(text, gazetteer) {
+  const normalized = String(text || '').normalize('NFKC');
+  const found = new Map();
+  const spans = [];
+  const add = (entity, source) => {
+    const key = `${entity.type}|${entity.name}`;
+    const item = found.get(key) || { ...entity, count: 0, source };
+    item.count++;
+    // 한 번이라도 사전으로 찾았으면 사전 출처로 기록
+    if (source === ENTITY_SOURCES.GAZETTEER) item.source = source;
+    found.set(key, item);
+  };
+
+  if (gazetteer.pattern) {
+    for (const match of normalized.matchAll(gazetteer.pattern)) {
+      const end = match.index + match[0].length;
+      // 로마자 별칭은 단어 중간("LG" in "LGBT")이면 무시
+      if (
+        /[A-Za-z0-9]$/.test(match[0]) &&
+        /[A-Za-z0-9]/.test(normalized[end] || '')
+      ) {
+        continue;
+      }
+      const entity = gazetteer.lookup.get(entityKey(match[0]));
+      if (!entity) continue;
+      spans.push([match.index, end]);
+      add(entity, ENTITY_SOURCES.GAZETTEER);
+    }
+  }
+
+  PATTERN_RULES.forEach(rule => {
+    for (const match of normalized.matchAll(rule.pattern)) {
+      const name = match[1];
+      const start = match.index;
+      const end = start + name.length;
+      if (spans.some(([from, to]) => start < to && from < end)) continue;
+      if (!rule.accept(name)) continue;
+      const entity = gazetteer.lookup.get(entityKey(name)) || {
+        type: rule.type,
+        name,
+      };
+      spans.push([start, end]);
+      add(entity, ENTITY_SOURCES.PATTERN);
+    }
+  });
+
+  return [...found.values()].sort(
+    (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+  );
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  ENTITY_SOURCES,
+  entityKey,
+  compileGazetteer,
+  extractEntities,
+};
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview 기사 반응 지표(조회/좋아요/댓글 수) 추출
+ * @description 페이지가 실제로 노출하는 값만 읽습니다. 우선순위: 사이트 정의 선택자 → JSON-LD
+ * `interactionStatistic`/`commentCount`. 찾지 못한 지표는 null(미노출)로 돌려주며 임의 값으로 채우지 않습니다.
+ */
+
+const cheerio = require('cheerio');
+
+/**
+ * 지표 이름 목록 (반환 필드: viewCount / likeCount / commentCount)
+ * @type {Array<string>}
+ */
+const METRIC_NAMES = ['view', 'like', 'comment'];
+
+/**
+ * schema.org InteractionCounter interactionType → 지표 이름
+ * @type {Object<string, string>}
+ */
+const INTERACTION_TYPES = {
+  ViewAction: 'view',
+  WatchAction: 'view',
+  ReadAction: 'view',
+  LikeAction: 'like',
+  CommentAction: 'comment',
+};
+
+/**
+ * 단위 접미사 배수 (한글/영문 축약 표기)
+ * @type {Object<string, number>}
+ */
+const UNIT_MULTIPLIERS = {
+  천: 1e3,
+  만: 1e4,
+  억: 1e8,
+  k: 1e3,
+  m: 1e6,
+  b: 1e9,
+};
+
+/**
+ * 수치로 보지 않는 날짜/시각 표기 ("2024.09.10", "2024-09-10", "14:30")
+ * @type {RegExp}
+ */
+const DATE_TIME_PATTERN =
+  /\d{4}\s*[.\-/]\s*\d{1,2}\s*[.\-/]\s*\d{1,2}\.?|\d{1,2}:\d{2}(?::\d{2})?/g;
+
+/**
+ * 수치 + (선택) 단위 접미사
+ * @type {RegExp}
+ */
+const COUNT_PATTERN = /(\d+(?:\.\d+)?)\s*(천|만|억|[kmb](?![a-z]))?/gi;
+
+/**
+ * 숫자 바로 뒤에 오면 수치가 아닌 날짜/시간으로 보는 단위
+ * @type {RegExp}
+ */
+const DATE_UNIT_PATTERN = /^(?:시간|(?:년|월|일|시|분|초)(?![가-힣]))/;
+
+/**
+ * 표시용 수치 문자열 해석
+ * @param {string|number} value - 예: "1,234", "조회수 1.2만", "3.4K", 56
+ * @returns {number|null} 0 이상의 정수, 숫자가 없으면 null
+ * @description 날짜/시각 표기와 날짜 단위가 붙은 숫자("2024년 조회 1,234"의 2024)는 건너뛰고 첫 수치를 읽습니다.
+ */
+function parseCount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  }
+  if (!value || typeof value !== 'string') return null;
+
+  const text = value.replace(/,/g, '').replace(DATE_TIME_PATTERN, ' ');
+  for (const match of text.matchAll(COUNT_PATTERN)) {
+    const rest = text.slice(match.index + match[1].length).trimStart();
+    if (!match[2] && DATE_UNIT_PATTERN.test(rest)) continue;
+
+    const multiplier = match[2] ? UNIT_MULTIPLIERS[match[2].toLowerCase()] : 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+  }
+  return null;
+}
+
+/**
+ * JSON-LD 기사 노드에서 지표 추출
+ * @param {Function} $ - cheerio 루트
+ * @returns {{view: number|null, like: number|null, comment: number|null}}
+ */
+function fromJsonLd($) {
+  const result = { view: null, like: null, comment: null };
+
+  $('script[type="application/ld+json"]').each((_, el) => {
+    let data;
+    try {
+      data = JSON.parse($(el).contents().text());
+    } catch (_) {
+      return; // 깨진 JSON-LD는 무시
+    }
+
+    const nodes = [].concat(data['@graph'] || data);
+    nodes.forEach(node => {
+      if (!node || typeof node !== 'object') return;
+      if (result.comment === null && node.commentCount !== undefined) {
+        result.comment = parseCount(node.commentCount);
+      }
+      [].concat(node.interactionStatistic || []).forEach(counter => {
+        // "https://schema.org/LikeAction" → LikeAction
+        const type = String((counter && counter.interactionType) || '');
+        const name = INTERACTION_TYPES[type.replace(/^.*[/:]/, '')];
+        if (name && result[name] === null) {
+          result[name] = parseCount(counter.userInteractionCount);
+        }
+      });
+    });
+  });
+  return result;
+}
+
+/**
+ * 선택자로 지표 추출
+ * @param {Function} $ - cheerio 루트
+ * @param {Object} selectors - { view, like, comment } 선택자 (null이면 건너뜀)
+ * @returns {{view: number|null, like: number|null, comment: number|null}}
+ * @description data-count/content 속성이 있으면 텍스트보다 우선합니다.
+ */
+function fromSelectors($, selectors) {
+  const result = { view: null, like: null, comment: null };
+  METRIC_NAMES.forEach(name => {
+    if (!selectors[name]) return;
+    const $el = $(selectors[name]).first();
+    if (!$el.length) return;
+    result[name] = parseCount(
+      $el.attr('data-count') || $el.attr('content') || $el.text()
+    );
+  });
+  return result;
+}
+
+/**
+ * 상세 페이지 반응 지표 추출
+ * @param {string|Function} input - HTML 문자열 또는 cheerio 루트 (script 제거 전)
+ * @param {Object} [selectors] - 사이트별 선택자 { view, like, comment }
+ * @returns {{viewCount: number|null, likeCount: number|null, commentCount: number|null}}
+ */
+function extractMetrics(input, selectors = {}) {
+  const $ = typeof input === 'function' ? input : cheerio.load(input || '');
+  const bySelector = fromSelectors($, selectors || {});
+  const byJsonLd = fromJsonLd($);
+
+  const pick = name =>
+    bySelector[name] !== null ? bySelector[name] : byJsonLd[name];
+  return {
+    viewCount: pick('view'),
+    likeCount: pick('like'),
+    commentCount: pick('comment'),
+  };
+}
+
+module.exports = {
+  extractMetrics,
+  parseCount,
+};
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview 기사 게시/수정 시각 추출
+ * @description 상세 페이지 메타데이터에서 게시·수정 시각을 찾아 출처와 함께 반환합니다.
+ * 우선순위: JSON-LD(NewsArticle 등) → article:*_time 메타 태그 → <time datetime>.
+ */
+
+const cheerio = require('cheerio');
+
+/**
+ * 시각 출처 코드 (news_main.published_src_cd / modified_src_cd)
+ * @enum {string}
+ */
+const TIMESTAMP_SOURCES = {
+  JSON_LD: 'json_ld',
+  META: 'meta',
+  TIME: 'time',
+  FEED: 'feed',
+  LIST: 'list',
+  CRAWLED: 'crawled',
+};
+
+/**
+ * 기사로 취급하는 JSON-LD @type
+ * @type {Set<string>}
+ */
+const ARTICLE_TYPES = new Set([
+  'NewsArticle',
+  'Article',
+  'ReportageNews',
+  'AnalysisNewsArticle',
+  'OpinionNewsArticle',
+  'BlogPosting',
+]);
+
+/**
+ * 메타데이터 날짜 문자열 해석
+ * @param {string} value - ISO 8601 등 날짜 문자열
+ * @returns {Date|null} 실제 시각, 해석할 수 없으면 null
+ * @description 시간대가 없는 값은 국내 사이트 관행대로 KST(+09:00)로 간주합니다.
+ */
+function parseMetaDate(value) {
+  if (!value || typeof value !== 'string') return null;
+  let text = value.trim();
+  if (!text) return null;
+
+  // "2025-08-12 10:30:00" → ISO 형식, 시간대 없으면 KST
+  const isoLike = text.match(
+    /^(\d{4})[-./](\d{1,2})[-./](\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i
+  );
+  if (isoLike) {
+    const [, y, mo, d, h = '00', mi = '00', s = '00', frac = '', zone] =
+      isoLike;
+    const pad = n => String(n).padStart(2, '0');
+    const offset = zone
+      ? zone.toUpperCase() === 'Z'
+        ? 'Z'
+        : zone.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')
+      : '+09:00';
+    text = `${y}-${pad(mo)}-${pad(d)}T${pad(h)}:${mi}:${s}${frac}${offset}`;
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * JSON-LD 노드 평탄화 (@graph / 배열 / mainEntity 포함)
+ * @param {*} node
+ * @param {Array<Object>} out
+ * @returns {Array<Object>}
+ */
+function flattenJsonLd(node, out = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => flattenJsonLd(child, out));
+  } else if (node && typeof node === 'object') {
+    out.push(node);
+    if (node['@graph']) flattenJsonLd(node['@graph'], out);
+    if (node.mainEntity) flattenJsonLd(node.mainEntity, out);
+  }
+  return out;
+}
+
+/**
+ * JSON-LD 기사 노드에서 시각 추출
+ * @param {Function} $ - cheerio 루트
+ * @returns {{published: Date|null, modified: Date|null}}
+ */
+function fromJsonLd($) {
+  const result = { published: null, modified: null };
+
+  $('script[type="application/ld+json"]').each((_, el) => {
+    let data;
+    try {
+      data = JSON.parse($(el).contents().text());
+    } catch (_) {
+      return; // 깨진 JSON-LD는 무시
+    }
+
+    flattenJsonLd(data)
+      .filter(node =>
+        [].concat(node['@type'] || []).some(type => ARTICLE_TYPES.has(type))
+      )
+      .forEach(node => {
+        result.published =
+          result.published || parseMetaDate(node.datePublished);
+        result.modified = result.modified || parseMetaDate(node.dateModified);
+      });
+
+    if (result.published && result.modified) return false;
+  });
+  return result;
+}
+
+/**
+ * 메타 태그에서 시각 추출
+ * @param {Function} $ - cheerio 루트
+ * @returns {{published: Date|null, modified: Date|null}}
+ */
+function fromMeta($) {
+  const first = selectors => {
+    for (const selector of selectors) {
+      const date = parseMetaDate($(selector).first().attr('content'));
+      if (date) return date;
+    }
+    return null;
+  };
+
+  return {
+    published: first([
+      'meta[property="article:published_time"]',
+      'meta[property="og:article:published_time"]',
+      'meta[itemprop="datePublished"]',
+      'meta[name="pubdate"]',
+    ]),
+    modified: first([
+      'meta[property="article:modified_time"]',
+      'meta[property="og:article:modified_time"]',
+      'meta[itemprop="dateModified"]',
+      'meta[property="og:updated_time"]',
+    ]),
+  };
+}
+
+/**
+ * <time datetime> 요소에서 시각 추출
+ * @param {Function} $ - cheerio 루트
+ * @returns {{published: Date|null, modified: Date|null}}
+ * @description itemprop/pubdate로 표시된 요소를 우선하고, 없으면 첫 <time>을 게시 시각으로 봅니다.
+ */
+function fromTimeElements($) {
+  const dateOf = selector =>
+    parseMetaDate($(selector).first().attr('datetime'));
+  return {
+    published:
+      dateOf('time[itemprop="datePublished"][datetime]') ||
+      dateOf('time[pubdate][datetime]') ||
+      dateOf('time[datetime]'),
+    modified: dateOf('time[itemprop="dateModified"][datetime]'),
+  };
+}
+
+/**
+ * 상세 페이지 게시/수정 시각 추출
+ * @param {string|Function} input - HTML 문자열 또는 cheerio 루트
+ * @returns {{publishedAt: Date|null, publishedSource: string|null, modifiedAt: Date|null, modifiedSource: string|null}}
+ * 실제 시각(Date)과 TIMESTAMP_SOURCES 출처 코드
+ */
+function extractTimestamps(input) {
+  const $ = typeof input === 'function' ? input : cheerio.load(input || '');
+  const sources = [
+    [TIMESTAMP_SOURCES.JSON_LD, fromJsonLd($)],
+    [TIMESTAMP_SOURCES.META, fromMeta($)],
+    [TIMESTAMP_SOURCES.TIME, fromTimeElements($)],
+  ];
+
+  const pick = field => {
+    const found = sources.find(([, values]) => values[field]);
+    return found ? { at: found[1][field], source: found[0] } : null;
+  };
+  const published = pick('published');
+  const modified = pick('modified');
+
+  return {
+    publishedAt: published ? published.at : null,
+    publishedSource: published ? published.source : null,
+    modifiedAt: modified ? modified.at : null,
+    modifiedSource: modified ? modified.source : null,
+  };
+}
+
+module.exports = {
+  TIMESTAMP_SOURCES,
+  extractTimestamps,
+  parseMetaDate,
+};
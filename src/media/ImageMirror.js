@@ -0,0 +1,174 @@
+/**
+ * @fileoverview 기사 이미지 미러링
+ * @description 원본 이미지를 내려받아 내용 해시(SHA-256)로 중복을 제거하고, 저장소에 원본과
+ * 고정 크기 썸네일(WebP)을 저장합니다. 원본 사이트가 CDN 경로를 바꿔도 `/media/:hash`로 계속 제공할 수 있습니다.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+/**
+ * 허용 이미지 형식 (sharp format → MIME / 확장자)
+ * @type {Object<string, {mime: string, ext: string}>}
+ */
+const ALLOWED_FORMATS = {
+  jpeg: { mime: 'image/jpeg', ext: 'jpg' },
+  png: { mime: 'image/png', ext: 'png' },
+  gif: { mime: 'image/gif', ext: 'gif' },
+  webp: { mime: 'image/webp', ext: 'webp' },
+  avif: { mime: 'image/avif', ext: 'avif' },
+};
+
+/**
+ * 미러링 거부 에러 생성
+ * @param {string} message
+ * @returns {Error} code = 'MEDIA_REJECTED'
+ */
+function rejected(message) {
+  const error = new Error(message);
+  error.code = 'MEDIA_REJECTED';
+  return error;
+}
+
+/**
+ * 이미지 미러 클래스
+ * @class ImageMirror
+ */
+class ImageMirror {
+  /**
+   * ImageMirror 생성자
+   * @constructor
+   * @param {Object} options - 옵션
+   * @param {Object} options.storage - 저장소 (LocalDiskStorage 등, put/exists 구현)
+   * @param {Object} options.mediaService - MediaService 인스턴스
+   * @param {number} [options.maxBytes] - 최대 파일 크기 (MEDIA_MAX_BYTES, 기본 5MB)
+   * @param {number} [options.maxPixels] - 최대 픽셀 수 (MEDIA_MAX_PIXELS, 기본 4천만)
+   * @param {number} [options.thumbWidth] - 썸네일 너비 (MEDIA_THUMB_WIDTH, 기본 320)
+   * @param {number} [options.thumbHeight] - 썸네일 높이 (MEDIA_THUMB_HEIGHT, 기본 180)
+   */
+  constructor(options) {
+    this.storage = options.storage;
+    this.mediaService = options.mediaService;
+    this.maxBytes =
+      options.maxBytes || parseInt(process.env.MEDIA_MAX_BYTES) || 5242880;
+    this.maxPixels =
+      options.maxPixels || parseInt(process.env.MEDIA_MAX_PIXELS) || 40000000;
+    this.thumbWidth =
+      options.thumbWidth || parseInt(process.env.MEDIA_THUMB_WIDTH) || 320;
+    this.thumbHeight =
+      options.thumbHeight || parseInt(process.env.MEDIA_THUMB_HEIGHT) || 180;
+  }
+
+  /**
+   * 다운로드 요청 설정 (크기 제한, 바이너리 응답)
+   * @returns {Object} axios 요청 설정
+   */
+  getRequestConfig() {
+    return {
+      responseType: 'arraybuffer',
+      maxContentLength: this.maxBytes,
+      headers: {
+        Accept: Object.values(ALLOWED_FORMATS)
+          .map(f => f.mime)
+          .join(','),
+      },
+    };
+  }
+
+  /**
+   * 이미지 한 개 미러링
+   * @async
+   * @param {string} url - 원본 이미지 URL
+   * @param {Function} download - (url, axiosConfig) => axios 응답 (크롤러 fetchPage)
+   * @returns {Promise<{hash: string, reused: boolean}>}
+   * @throws {Error} 형식/크기 제한 위반 (code = 'MEDIA_REJECTED') 또는 다운로드 에러
+   */
+  async mirror(url, download) {
+    const response = await download(url, this.getRequestConfig());
+
+    const contentType = String(response.headers['content-type'] || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+    if (contentType && !contentType.startsWith('image/')) {
+      throw rejected(`이미지가 아닌 응답: ${contentType}`);
+    }
+
+    const buffer = Buffer.from(response.data);
+    if (!buffer.length) throw rejected('빈 이미지 응답');
+    if (buffer.length > this.maxBytes) {
+      throw rejected(`이미지 크기 제한 초과: ${buffer.length}바이트`);
+    }
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    if (await this.mediaService.getAsset(hash)) {
+      return { hash, reused: true };
+    }
+
+    // 헤더 대신 실제 내용으로 형식 판정
+    let metadata;
+    try {
+      metadata = await sharp(buffer, {
+        limitInputPixels: this.maxPixels,
+      }).metadata();
+    } catch (error) {
+      throw rejected(`이미지를 해석할 수 없음: ${error.message}`);
+    }
+    const format = ALLOWED_FORMATS[metadata.format];
+    if (!format)
+      throw rejected(`허용되지 않은 이미지 형식: ${metadata.format}`);
+
+    const storageKey = `${hash.slice(0, 2)}/${hash}.${format.ext}`;
+    const thumbKey = `${hash.slice(0, 2)}/${hash}_thumb.webp`;
+    await this.storage.put(storageKey, buffer);
+    await this.storage.put(thumbKey, await this.createThumbnail(buffer));
+
+    await this.mediaService.saveAsset({
+      hash,
+      mime: format.mime,
+      size: buffer.length,
+      width: metadata.width || null,
+      height: metadata.height || null,
+      storageKey,
+      thumbKey,
+      sourceUrl: url,
+    });
+    return { hash, reused: false };
+  }
+
+  /**
+   * 고정 크기 썸네일 생성 (가운데 기준 크롭, WebP)
+   * @async
+   * @param {Buffer} buffer - 원본 이미지
+   * @returns {Promise<Buffer>}
+   */
+  async createThumbnail(buffer) {
+    return sharp(buffer, { limitInputPixels: this.maxPixels })
+      .rotate() // EXIF 방향 반영
+      .resize(this.thumbWidth, this.thumbHeight, { fit: 'cover' })
+      .webp({ quality: 80 })
+      .toBuffer();
+  }
+
+  /**
+   * 여러 이미지 순차 미러링 (실패는 건별로 기록)
+   * @async
+   * @param {Array<string>} urls - 원본 이미지 URL
+   * @param {Function} download - (url, axiosConfig) => axios 응답
+   * @returns {Promise<Array<{url: string, hash: string|null, reused?: boolean, error?: string}>>}
+   */
+  async mirrorAll(urls, download) {
+    const results = [];
+    for (const url of [...new Set(urls.filter(Boolean))]) {
+      try {
+        results.push({ url, ...(await this.mirror(url, download)) });
+      } catch (error) {
+        results.push({ url, hash: null, error: error.message });
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = ImageMirror;
+module.exports.ALLOWED_FORMATS = ALLOWED_FORMATS;
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview 로컬 디스크 미디어 저장소
+ * @description ImageMirror가 사용하는 저장소 인터페이스의 기본 구현입니다.
+ * 다른 저장소(S3 등)로 바꿀 때는 같은 메서드(put / exists / stat / createReadStream)를 구현하면 됩니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 기본 저장 디렉터리
+ * @type {string}
+ */
+const DEFAULT_MEDIA_DIR = path.join(__dirname, '..', '..', 'storage', 'media');
+
+/**
+ * 로컬 디스크 저장소 클래스
+ * @class LocalDiskStorage
+ */
+class LocalDiskStorage {
+  /**
+   * LocalDiskStorage 생성자
+   * @constructor
+   * @param {Object} [options]
+   * @param {string} [options.dir] - 저장 디렉터리 (MEDIA_STORAGE_DIR, 기본 storage/media)
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(
+      options.dir || process.env.MEDIA_STORAGE_DIR || DEFAULT_MEDIA_DIR
+    );
+  }
+
+  /**
+   * 저장 키 → 파일 경로 (디렉터리 밖 경로 차단)
+   * @param {string} key - 저장 키 (예: ab/abcdef....jpg)
+   * @returns {string}
+   * @throws {Error} 잘못된 키 (code = 'INVALID_MEDIA_KEY')
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(this.dir + path.sep)) {
+      const error = new Error(`잘못된 미디어 키: ${key}`);
+      error.code = 'INVALID_MEDIA_KEY';
+      throw error;
+    }
+    return filePath;
+  }
+
+  /**
+   * 파일 저장 (임시 파일에 쓴 뒤 이름 변경)
+   * @async
+   * @param {string} key - 저장 키
+   * @param {Buffer} buffer - 내용
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, buffer);
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * 존재 여부
+   * @async
+   * @param {string} key
+   * @returns {Promise<boolean>}
+   */
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  /**
+   * 파일 정보
+   * @async
+   * @param {string} key
+   * @returns {Promise<{size: number}|null>} 없으면 null
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return { size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * 읽기 스트림
+   * @param {string} key
+   * @returns {fs.ReadStream}
+   */
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+}
+
+module.exports = LocalDiskStorage;
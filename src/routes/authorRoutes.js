@@ -0,0 +1,53 @@
+/**
+ * @fileoverview 기자(작성자) 라우터
+ * @description 기자 목록과 기자별 기사 목록 라우트를 처리합니다.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+/**
+ * 기자 라우터 설정 함수
+ * @function createAuthorRouter
+ * @param {Object} authorController - 기자 컨트롤러 인스턴스
+ * @returns {Object} Express 라우터 객체
+ * @description /api/authors 하위 라우트를 설정하고 컨트롤러와 연결합니다.
+ */
+function createAuthorRouter(authorController) {
+  /**
+   * GET /api/authors
+   * @route GET /api/authors
+   * @group Authors - 기자 API
+   * @param {number} page.query - 페이지 번호 (기본값: 1)
+   * @param {number} limit.query - 페이지당 항목 수 (기본값: 20, 최대: 100)
+   * @param {string} name.query - 이름 부분 일치 (선택사항)
+   * @param {string} source.query - 제공처 (선택사항)
+   * @returns {Object} 200 - 기자 목록 (이름/제공처/이메일/직함/기사 수)과 페이징 정보
+   * @returns {Object} 400 - 잘못된 파라미터
+   * @returns {Object} 500 - 서버 에러
+   * @description 바이라인에서 찾은 기자를 이름순으로 조회합니다.
+   */
+  router.get('/', authorController.getAuthors.bind(authorController));
+
+  /**
+   * GET /api/authors/:id/news
+   * @route GET /api/authors/{id}/news
+   * @group Authors - 기자 API
+   * @param {number} id.path.required - 기자 ID
+   * @param {number} page.query - 페이지 번호 (기본값: 1)
+   * @param {number} limit.query - 페이지당 항목 수 (기본값: 20, 최대: 100)
+   * @returns {Object} 200 - 기자 정보와 기사 목록 (게시 시각 역순)
+   * @returns {Object} 400 - 잘못된 파라미터
+   * @returns {Object} 404 - 기자를 찾을 수 없음
+   * @returns {Object} 500 - 서버 에러
+   * @description 기자가 바이라인에 오른 기사를 조회합니다.
+   */
+  router.get(
+    '/:id/news',
+    authorController.getAuthorNews.bind(authorController)
+  );
+
+  return router;
+}
+
+module.exports = createAuthorRouter;
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview 개체명 라우터
+ * @description 인물/기관/지역 개체 목록과 개체별 기사 타임라인 라우트를 처리합니다.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+/**
+ * 개체명 라우터 설정 함수
+ * @function createEntityRouter
+ * @param {Object} entityController - 개체명 컨트롤러 인스턴스
+ * @returns {Object} Express 라우터 객체
+ * @description /api/entities 하위 라우트를 설정하고 컨트롤러와 연결합니다.
+ */
+function createEntityRouter(entityController) {
+  /**
+   * GET /api/entities
+   * @route GET /api/entities
+   * @group Entities - 개체명 API
+   * @param {number} page.query - 페이지 번호 (기본값: 1)
+   * @param {number} limit.query - 페이지당 항목 수 (기본값: 20, 최대: 100)
+   * @param {string} type.query - person | organization | location (선택사항)
+   * @param {string} name.query - 이름 부분 일치 (선택사항)
+   * @returns {Object} 200 - 개체 목록 (유형/이름/기사 수/언급 횟수)과 페이징 정보
+   * @returns {Object} 400 - 잘못된 파라미터
+   * @returns {Object} 500 - 서버 에러
+   * @description 기사에 언급된 개체를 언급 기사 수 내림차순으로 조회합니다.
+   */
+  router.get('/', entityController.getEntities.bind(entityController));
+
+  /**
+   * GET /api/entities/:id/timeline
+   * @route GET /api/entities/{id}/timeline
+   * @group Entities - 개체명 API
+   * @param {number} id.path.required - 개체 ID
+   * @param {number} page.query - 페이지 번호 (기본값: 1)
+   * @param {number} limit.query - 페이지당 항목 수 (기본값: 20, 최대: 100)
+   * @param {string} order.query - asc(오래된 순, 기본값) | desc(최신순)
+   * @returns {Object} 200 - 개체 정보와 게시 시각순 기사 목록 (기사별 언급 횟수 포함)
+   * @returns {Object} 400 - 잘못된 파라미터
+   * @returns {Object} 404 - 개체를 찾을 수 없음
+   * @returns {Object} 500 - 서버 에러
+   * @description 개체를 언급한 기사를 게시 시각(published_dt)순으로 조회합니다.
+   */
+  router.get(
+    '/:id/timeline',
+    entityController.getTimeline.bind(entityController)
+  );
+
+  return router;
+}
+
+module.exports = createEntityRouter;
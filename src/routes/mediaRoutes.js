@@ -0,0 +1,34 @@
+/**
+ * @fileoverview 미디어 라우터
+ * @description 미러링한 기사 이미지 제공 라우트를 처리합니다.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+/**
+ * 미디어 라우터 설정 함수
+ * @function createMediaRouter
+ * @param {Object} mediaController - 미디어 컨트롤러 인스턴스
+ * @returns {Object} Express 라우터 객체
+ * @description /media/:hash 라우트를 설정하고 컨트롤러와 연결합니다.
+ */
+function createMediaRouter(mediaController) {
+  /**
+   * GET /media/:hash
+   * @route GET /media/{hash}
+   * @group Media - 미러링 이미지
+   * @param {string} hash.path.required - 이미지 내용 SHA-256 (hex 64자)
+   * @param {string} variant.query - thumb 지정 시 썸네일 (선택사항)
+   * @returns {Object} 200 - 이미지 바이너리 (1년 immutable 캐시)
+   * @returns {Object} 304 - ETag 일치
+   * @returns {Object} 400 - 잘못된 해시
+   * @returns {Object} 404 - 미디어를 찾을 수 없음
+   * @description 내용 해시로 저장한 원본 또는 썸네일 이미지를 반환합니다.
+   */
+  router.get('/:hash', mediaController.getMedia.bind(mediaController));
+
+  return router;
+}
+
+module.exports = createMediaRouter;
@@ -20,9 +20,11 @@ function createNewsRouter(newsController) {
    * @group News - 뉴스 관련 API
    * @param {number} page.query - 페이지 번호 (기본값: 1)
    * @param {number} limit.query - 페이지당 항목 수 (기본값: 20, 최대: 100)
-   * @param {string} category.query - 카테고리 필터 (선택사항)
+   * @param {string} category.query - 카테고리 필터 (별칭은 대표 카테고리로, 선택사항)
+   * @param {string} tag.query - 태그 필터 (대소문자/공백/별칭 무시, 선택사항)
    * @param {string} startDate.query - 시작 날짜 필터 (YYYY-MM-DD 형식)
    * @param {string} endDate.query - 종료 날짜 필터 (YYYY-MM-DD 형식)
+   * @param {string} collapse.query - cluster 지정 시 유사 기사 묶음마다 대표 기사만 (선택사항)
    * @returns {Object} 200 - 뉴스 목록과 페이징 정보
    * @returns {Object} 400 - 잘못된 요청 파라미터
    * @returns {Object} 500 - 서버 에러
@@ -35,7 +37,7 @@ function createNewsRouter(newsController) {
    * @route GET /api/news/{id}
    * @group News - 뉴스 관련 API
    * @param {number} id.path.required - 뉴스 ID
-   * @returns {Object} 200 - 뉴스 상세 정보
+   * @returns {Object} 200 - 뉴스 상세 정보 (이미지, 반응 지표 추이, 본문 키워드 포함)
    * @returns {Object} 400 - 잘못된 뉴스 ID
    * @returns {Object} 404 - 뉴스를 찾을 수 없음
    * @returns {Object} 500 - 서버 에러
@@ -43,13 +45,62 @@ function createNewsRouter(newsController) {
    */
   router.get('/news/:id', newsController.getNewsDetail.bind(newsController));
 
+  /**
+   * GET /api/news/:id/revisions
+   * @route GET /api/news/{id}/revisions
+   * @group News - 뉴스 관련 API
+   * @param {number} id.path.required - 뉴스 ID
+   * @param {string} content.query - true 지정 시 버전별 본문 전체 포함 (선택사항)
+   * @returns {Object} 200 - 버전 이력 (제목 단어 diff, 본문 unified diff)
+   * @returns {Object} 400 - 잘못된 뉴스 ID
+   * @returns {Object} 404 - 뉴스를 찾을 수 없음
+   * @returns {Object} 500 - 서버 에러
+   * @description 재수집에서 감지한 기사 제목/본문 변경 이력을 조회합니다.
+   */
+  router.get(
+    '/news/:id/revisions',
+    newsController.getNewsRevisions.bind(newsController)
+  );
+
+  /**
+   * GET /api/clusters/:id
+   * @route GET /api/clusters/{id}
+   * @group News - 뉴스 관련 API
+   * @param {number} id.path.required - 묶음 ID
+   * @returns {Object} 200 - 묶음 정보와 언론사별 기사 목록
+   * @returns {Object} 400 - 잘못된 묶음 ID
+   * @returns {Object} 404 - 묶음을 찾을 수 없음
+   * @returns {Object} 500 - 서버 에러
+   * @description 본문 지문으로 같은 기사로 판정된 여러 언론사의 기사를 조회합니다.
+   */
+  router.get('/clusters/:id', newsController.getCluster.bind(newsController));
+
+  /**
+   * POST /api/news/:id/recrawl
+   * @route POST /api/news/{id}/recrawl
+   * @group News - 뉴스 관련 API
+   * @param {number} id.path.required - 뉴스 ID
+   * @returns {Object} 202 - 재수집 작업 등록됨
+   * @returns {Object} 200 - 이미 대기 중인 재수집 작업 있음
+   * @returns {Object} 404 - 뉴스를 찾을 수 없음
+   * @returns {Object} 409 - 기사를 수집한 크롤러가 등록되어 있지 않음
+   * @returns {Object} 500 - 서버 에러
+   * @description 기사 상세를 다시 수집하는 작업을 작업 큐에 등록합니다.
+   */
+  router.post(
+    '/news/:id/recrawl',
+    newsController.requestRecrawl.bind(newsController)
+  );
+
   /**
    * POST /api/crawl
    * @route POST /api/crawl
    * @group Crawling - 크롤링 관련 API
-   * @returns {Object} 200 - 크롤링 성공 결과
+   * @param {string} source.body - 크롤러 이름 (선택사항, query로도 전달 가능)
+   * @returns {Object} 200 - 소스별 크롤링 결과
+   * @returns {Object} 400 - 등록되지 않은 소스
    * @returns {Object} 500 - 크롤링 실행 에러
-   * @description 네이버 뉴스 크롤링을 수동으로 실행합니다.
+   * @description 지정한 소스 또는 활성화된 전체 소스의 크롤링을 수동으로 실행합니다.
    */
   router.post('/crawl', newsController.executeCrawling.bind(newsController));
 
@@ -58,6 +109,7 @@ function createNewsRouter(newsController) {
    * @route GET /api/crawl/logs
    * @group Crawling - 크롤링 관련 API
    * @param {number} limit.query - 조회할 로그 수 (기본값: 50, 최대: 200)
+   * @param {string} source.query - 크롤러 이름 필터 (선택사항)
    * @returns {Object} 200 - 크롤링 로그 목록
    * @returns {Object} 400 - 잘못된 limit 파라미터
    * @returns {Object} 500 - 서버 에러
@@ -65,13 +117,28 @@ function createNewsRouter(newsController) {
    */
   router.get('/crawl/logs', newsController.getCrawlLogs.bind(newsController));
 
+  /**
+   * GET /api/crawl/jobs
+   * @route GET /api/crawl/jobs
+   * @group Crawling - 크롤링 관련 API
+   * @param {string} status.query - 작업 상태 필터 (pending|running|done|failed)
+   * @param {string} type.query - 작업 유형 필터 (list|detail|recrawl)
+   * @param {string} source.query - 크롤러 이름 필터 (선택사항)
+   * @param {number} limit.query - 조회할 작업 수 (기본값: 50, 최대: 200)
+   * @returns {Object} 200 - 작업 목록과 상태/유형별 작업 수
+   * @returns {Object} 400 - 잘못된 limit 파라미터
+   * @returns {Object} 500 - 서버 에러
+   * @description 영속 작업 큐의 대기/실행/실패 작업을 조회합니다.
+   */
+  router.get('/crawl/jobs', newsController.getCrawlJobs.bind(newsController));
+
   /**
    * GET /api/stats
    * @route GET /api/stats
    * @group Statistics - 통계 관련 API
-   * @returns {Object} 200 - 뉴스 통계 정보
+   * @returns {Object} 200 - 뉴스 통계 정보 (소스별 집계 포함)
    * @returns {Object} 500 - 서버 에러
-   * @description 뉴스 데이터베이스의 통계 정보를 조회합니다.
+   * @description 뉴스 데이터베이스의 통계 정보를 소스별 집계와 함께 조회합니다.
    */
   router.get('/stats', newsController.getNewsStats.bind(newsController));
 
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview 제공처(언론사) 관리 라우터
+ * @description 제공처 등록/수정과 미등록 제공처 후보 검토 라우트를 처리합니다.
+ * `Authorization: Bearer <ADMIN_API_TOKEN>` 헤더가 있어야 하며, 토큰이 설정되지 않았으면
+ * ADMIN_API_OPEN=true로 명시적으로 연 경우가 아니면 모든 요청을 거부합니다.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+
+/**
+ * 관리 API 토큰 확인 미들웨어
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ * @param {Function} next
+ * @description ADMIN_API_TOKEN 미설정 시 503 (ADMIN_API_OPEN=true면 인증 없이 통과), 토큰 불일치 시 401
+ */
+function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    if (process.env.ADMIN_API_OPEN === 'true') return next();
+    return res.status(503).json({
+      error: '관리 API 토큰(ADMIN_API_TOKEN)이 설정되지 않았습니다.',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  if (a.length === b.length && crypto.timingSafeEqual(a, b)) return next();
+
+  res.status(401).json({
+    error: '관리 API 토큰이 필요합니다.',
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * 제공처 라우터 설정 함수
+ * @function createProviderRouter
+ * @param {Object} providerController - 제공처 컨트롤러 인스턴스
+ * @returns {Object} Express 라우터 객체
+ * @description /api/providers 하위 관리 라우트를 설정하고 컨트롤러와 연결합니다.
+ */
+function createProviderRouter(providerController) {
+  router.use(requireAdminToken);
+
+  /**
+   * GET /api/providers
+   * @route GET /api/providers
+   * @group Providers - 제공처 관리 API
+   * @returns {Object} 200 - 제공처 목록 (이름/별칭/도메인/유형/사용 여부)과 유형 목록
+   * @returns {Object} 401 - 관리 API 토큰 불일치
+   * @returns {Object} 503 - 관리 API 토큰 미설정
+   * @returns {Object} 500 - 서버 에러
+   * @description 등록된 전체 제공처를 조회합니다.
+   */
+  router.get('/', providerController.getProviders.bind(providerController));
+
+  /**
+   * POST /api/providers
+   * @route POST /api/providers
+   * @group Providers - 제공처 관리 API
+   * @param {string} name.body.required - 대표 이름
+   * @param {Array<string>} aliases.body - 별칭 (선택사항)
+   * @param {string} domain.body - 홈페이지 도메인 (선택사항)
+   * @param {string} type.body.required - wire | broadcaster | daily | online
+   * @returns {Object} 201 - 등록된 제공처
+   * @returns {Object} 400 - 잘못된 입력
+   * @returns {Object} 401 - 관리 API 토큰 불일치
+   * @returns {Object} 503 - 관리 API 토큰 미설정
+   * @returns {Object} 409 - 다른 제공처와 이름/별칭 중복
+   * @returns {Object} 500 - 서버 에러
+   * @description 제공처를 등록하고 크롤러가 즉시 사용하도록 레지스트리를 갱신합니다.
+   */
+  router.post('/', providerController.createProvider.bind(providerController));
+
+  /**
+   * GET /api/providers/candidates
+   * @route GET /api/providers/candidates
+   * @group Providers - 제공처 관리 API
+   * @param {string} status.query - pending(기본) | ignored | registered
+   * @param {number} limit.query - 조회할 후보 수 (기본값: 100, 최대: 200)
+   * @returns {Object} 200 - 후보 목록 (발견 횟수/최근 발견 기사 URL)
+   * @returns {Object} 400 - 잘못된 limit 파라미터
+   * @returns {Object} 401 - 관리 API 토큰 불일치
+   * @returns {Object} 503 - 관리 API 토큰 미설정
+   * @returns {Object} 500 - 서버 에러
+   * @description 크롤러가 찾았지만 등록되지 않은 제공처 이름을 조회합니다.
+   */
+  router.get(
+    '/candidates',
+    providerController.getCandidates.bind(providerController)
+  );
+
+  /**
+   * DELETE /api/providers/candidates/:id
+   * @route DELETE /api/providers/candidates/{id}
+   * @group Providers - 제공처 관리 API
+   * @param {number} id.path.required - 후보 ID
+   * @returns {Object} 200 - 제외 처리됨
+   * @returns {Object} 401 - 관리 API 토큰 불일치
+   * @returns {Object} 503 - 관리 API 토큰 미설정
+   * @returns {Object} 404 - 후보를 찾을 수 없음
+   * @returns {Object} 500 - 서버 에러
+   * @description 제공처가 아닌 후보를 검토 목록에서 제외합니다 (ignored).
+   */
+  router.delete(
+    '/candidates/:id',
+    providerController.ignoreCandidate.bind(providerController)
+  );
+
+  /**
+   * PATCH /api/providers/:id
+   * @route PATCH /api/providers/{id}
+   * @group Providers - 제공처 관리 API
+   * @param {number} id.path.required - 제공처 ID
+   * @returns {Object} 200 - 수정된 제공처
+   * @returns {Object} 400 - 잘못된 입력
+   * @returns {Object} 401 - 관리 API 토큰 불일치
+   * @returns {Object} 503 - 관리 API 토큰 미설정
+   * @returns {Object} 404 - 제공처를 찾을 수 없음
+   * @returns {Object} 409 - 다른 제공처와 이름/별칭 중복
+   * @returns {Object} 500 - 서버 에러
+   * @description 별칭/도메인/유형/사용 여부를 수정합니다.
+   */
+  router.patch(
+    '/:id',
+    providerController.updateProvider.bind(providerController)
+  );
+
+  return router;
+}
+
+module.exports = createProviderRouter;
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview 태그 라우터
+ * @description 태그 목록과 태그별 기사 목록 라우트를 처리합니다.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+/**
+ * 태그 라우터 설정 함수
+ * @function createTagRouter
+ * @param {Object} tagController - 태그 컨트롤러 인스턴스
+ * @returns {Object} Express 라우터 객체
+ * @description /api/tags 하위 라우트를 설정하고 컨트롤러와 연결합니다.
+ */
+function createTagRouter(tagController) {
+  /**
+   * GET /api/tags
+   * @route GET /api/tags
+   * @group Tags - 태그 API
+   * @param {number} page.query - 페이지 번호 (기본값: 1)
+   * @param {number} limit.query - 페이지당 항목 수 (기본값: 50, 최대: 100)
+   * @param {string} name.query - 이름 부분 일치 (선택사항)
+   * @returns {Object} 200 - 태그 목록 (이름/기사 수)과 페이징 정보
+   * @returns {Object} 400 - 잘못된 파라미터
+   * @returns {Object} 500 - 서버 에러
+   * @description 기사가 연결된 태그를 기사 수 내림차순으로 조회합니다.
+   */
+  router.get('/', tagController.getTags.bind(tagController));
+
+  /**
+   * GET /api/tags/:tag/news
+   * @route GET /api/tags/{tag}/news
+   * @group Tags - 태그 API
+   * @param {string} tag.path.required - 태그 이름 (URL 인코딩, 대소문자/공백/별칭 무시)
+   * @param {number} page.query - 페이지 번호 (기본값: 1)
+   * @param {number} limit.query - 페이지당 항목 수 (기본값: 20, 최대: 100)
+   * @returns {Object} 200 - 태그 정보와 기사 목록 (게시 시각 역순)
+   * @returns {Object} 400 - 잘못된 파라미터
+   * @returns {Object} 404 - 태그를 찾을 수 없음
+   * @returns {Object} 500 - 서버 에러
+   * @description 태그가 달린 기사를 조회합니다.
+   */
+  router.get('/:tag/news', tagController.getTagNews.bind(tagController));
+
+  return router;
+}
+
+module.exports = createTagRouter;
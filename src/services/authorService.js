@@ -0,0 +1,238 @@
+/**
+ * @fileoverview 기자(작성자) 서비스 클래스
+ * @description 바이라인에서 찾은 기자를 news_author에 기록하고 news_author_map으로 기사와 다대다로 연결합니다.
+ * 같은 제공처의 같은 이름은 같은 기자로 보며(author_key_cd), 이메일/직함은 마지막으로 확인된 값을 유지합니다.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 기자 식별 키 (제공처 + 이름)
+ * @param {string} name - 기자 이름
+ * @param {string|null} sourceName - 제공처 이름
+ * @returns {string} SHA-256 hex
+ */
+function authorKey(name, sourceName) {
+  return crypto
+    .createHash('sha256')
+    .update(`${sourceName || ''}|${name}`)
+    .digest('hex');
+}
+
+/**
+ * DB 레코드 → 기자 항목
+ * @param {Object} row - news_author 레코드
+ * @param {number} [articleCount] - 연결된 기사 수
+ * @returns {{id: number, name: string, source: string|null, email: string|null, role: string|null, articleCount: number|undefined}}
+ */
+function toAuthor(row, articleCount) {
+  return {
+    id: row.author_se,
+    name: row.author_nm,
+    source: row.source_nm,
+    email: row.email_ct,
+    role: row.role_nm,
+    articleCount,
+  };
+}
+
+/**
+ * 기자 서비스 클래스
+ * @class AuthorService
+ */
+class AuthorService {
+  /**
+   * AuthorService 생성자
+   * @constructor
+   * @param {Object} prisma - Prisma 클라이언트 인스턴스
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * 기자 레코드 등록/갱신
+   * @async
+   * @param {{name: string, role: string|null, email: string|null}} author - 바이라인 해석 결과
+   * @param {string|null} sourceName - 기사 제공처
+   * @returns {Promise<Object>} news_author 레코드
+   * @description 동시에 같은 기자를 등록하다 키가 겹치면 먼저 등록된 레코드를 사용합니다.
+   */
+  async upsertAuthor(author, sourceName) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const key = authorKey(author.name, sourceName);
+    const latest = {
+      ...(author.email ? { email_ct: author.email.slice(0, 255) } : {}),
+      ...(author.role ? { role_nm: author.role } : {}),
+    };
+    try {
+      return await this.prisma.news_author.upsert({
+        where: { author_key_cd: key },
+        update: { ...latest, updated_dt: getCurrentIsoTime() },
+        create: {
+          author_key_cd: key,
+          author_nm: author.name.slice(0, 100),
+          source_nm: sourceName || null,
+          ...latest,
+          reg_dt: getCurrentIsoTime(),
+          updated_dt: getCurrentIsoTime(),
+        },
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      return this.prisma.news_author.findUnique({
+        where: { author_key_cd: key },
+      });
+    }
+  }
+
+  /**
+   * 기사 기자 연결 교체
+   * @async
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Array<{name: string, role: string|null, email: string|null}>} authors - 바이라인 순서
+   * @param {string|null} sourceName - 기사 제공처
+   * @returns {Promise<number>} 연결된 기자 수
+   * @description 재수집 때도 호출되며 기존 연결을 지우고 새 바이라인으로 다시 연결합니다.
+   */
+  async linkArticleAuthors(mainNewsId, authors, sourceName) {
+    const links = [];
+    for (const [index, author] of (authors || []).entries()) {
+      const row = await this.upsertAuthor(author, sourceName);
+      links.push({
+        news_se: mainNewsId,
+        author_se: row.author_se,
+        role_nm: author.role || null,
+        byline_no: index,
+      });
+    }
+
+    await this.prisma.$transaction([
+      this.prisma.news_author_map.deleteMany({
+        where: { news_se: mainNewsId },
+      }),
+      this.prisma.news_author_map.createMany({
+        data: links,
+        skipDuplicates: true,
+      }),
+    ]);
+    return links.length;
+  }
+
+  /**
+   * 기자별 연결 기사 수
+   * @async
+   * @param {Array<number>} authorIds
+   * @returns {Promise<Map<number, number>>}
+   */
+  async countArticles(authorIds) {
+    if (!authorIds.length) return new Map();
+    const counts = await this.prisma.news_author_map.groupBy({
+      by: ['author_se'],
+      where: { author_se: { in: authorIds } },
+      _count: { news_se: true },
+    });
+    return new Map(counts.map(row => [row.author_se, row._count.news_se]));
+  }
+
+  /**
+   * 기자 목록 조회
+   * @async
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @param {string} [options.name] - 이름 부분 일치
+   * @param {string} [options.source] - 제공처
+   * @returns {Promise<{data: Array<Object>, pagination: Object}>} 이름순, 기자별 기사 수 포함
+   */
+  async getAuthors(options = {}) {
+    const { page = 1, limit = 20, name, source } = options;
+    const where = {};
+    if (name) where.author_nm = { contains: name };
+    if (source) where.source_nm = source;
+
+    const [rows, total] = await Promise.all([
+      this.prisma.news_author.findMany({
+        where,
+        orderBy: [{ author_nm: 'asc' }, { author_se: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      this.prisma.news_author.count({ where }),
+    ]);
+    const counts = await this.countArticles(rows.map(row => row.author_se));
+
+    return {
+      data: rows.map(row => toAuthor(row, counts.get(row.author_se) || 0)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * 기자별 기사 목록 조회
+   * @async
+   * @param {number} authorId - author_se
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @returns {Promise<{author: Object, data: Array<Object>, pagination: Object}|null>} 게시 시각 역순, 기자가 없으면 null
+   * @description 각 기사에는 그 기사 바이라인의 직함(role_nm)이 붙습니다.
+   * FK/relation이 없으므로 news_author_map JOIN과 정렬/페이지 자르기는 raw query로 DB에서 처리하고,
+   * 해당 페이지의 news_se만 다시 조회합니다. (기자의 기사 전체를 IN 목록으로 만들지 않음)
+   */
+  async getAuthorNews(authorId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const row = await this.prisma.news_author.findUnique({
+      where: { author_se: authorId },
+    });
+    if (!row) return null;
+
+    const [links, counted] = await Promise.all([
+      this.prisma.$queryRaw`
+        SELECT m.news_se, a.role_nm FROM news_main m
+        JOIN news_author_map a ON a.news_se = m.news_se
+        WHERE a.author_se = ${authorId}
+        ORDER BY m.published_dt DESC, m.news_se DESC
+        LIMIT ${limit} OFFSET ${(page - 1) * limit}
+      `,
+      this.prisma.$queryRaw`
+        SELECT COUNT(*) AS cnt FROM news_main m
+        JOIN news_author_map a ON a.news_se = m.news_se
+        WHERE a.author_se = ${authorId}
+      `,
+    ]);
+    const total = Number(counted[0].cnt);
+
+    const roleByNews = new Map(links.map(link => [link.news_se, link.role_nm]));
+    const found = links.length
+      ? await this.prisma.news_main.findMany({
+          where: { news_se: { in: [...roleByNews.keys()] } },
+        })
+      : [];
+    const rowById = new Map(found.map(item => [item.news_se, item]));
+
+    return {
+      author: toAuthor(row, total),
+      data: links
+        .filter(link => rowById.has(link.news_se))
+        .map(link => ({
+          ...rowById.get(link.news_se),
+          role_nm: link.role_nm || null,
+        })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = AuthorService;
+module.exports.authorKey = authorKey;
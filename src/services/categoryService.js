@@ -0,0 +1,328 @@
+/**
+ * @fileoverview 카테고리 분류 서비스 클래스
+ * @description 목록/피드가 준 카테고리를 config/categories.json(또는 CATEGORIES_FILE)의 대표 카테고리로 맞추고,
+ * 카테고리가 없거나 대표 카테고리로 맞출 수 없는 기사는 본문 나이브 베이즈 분류기로 정합니다.
+ * 모델은 npm run categories:train으로 기존 기사에서 학습해 news_category_model에 저장하며,
+ * 서비스는 가장 최근 모델을 CATEGORY_MODEL_TTL_SECONDS마다 확인해 바뀌었으면 다시 읽습니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const KeywordService = require('./keywordService');
+const { compileModel, predictNaiveBayes } = require('../utils/naiveBayes');
+
+/**
+ * 기본 카테고리 목록 파일 경로
+ * @type {string}
+ */
+const DEFAULT_CATEGORIES_FILE = path.join(
+  __dirname,
+  '..',
+  '..',
+  'config',
+  'categories.json'
+);
+
+/**
+ * 카테고리 출처 (source: 목록/피드, classifier: 분류기)
+ * 도입 전 저장된 기사는 NULL이며 목록/피드 카테고리로 봅니다.
+ * @type {Object<string, string>}
+ */
+const CATEGORY_SOURCES = {
+  SOURCE: 'source',
+  CLASSIFIER: 'classifier',
+};
+
+/**
+ * 카테고리 비교 키 (대소문자/공백 무시)
+ * @param {string} label
+ * @returns {string}
+ */
+function categoryKey(label) {
+  return String(label || '')
+    .normalize('NFKC')
+    .replace(/\s+/g, '')
+    .toLowerCase();
+}
+
+/**
+ * 카테고리 분류 서비스 클래스
+ * @class CategoryService
+ */
+class CategoryService {
+  /**
+   * CategoryService 생성자
+   * @constructor
+   * @param {Object} prisma - Prisma 클라이언트 인스턴스
+   * @param {Object} [options]
+   * @param {Object} [options.keywordService] - 토큰화/단어 빈도 계산에 쓸 KeywordService (없으면 생성)
+   * @param {string} [options.categoriesFile] - 카테고리 목록 파일
+   * @param {number} [options.minConfidence] - 예측 카테고리를 쓸 최소 확률 (CATEGORY_MIN_CONFIDENCE, 기본 0.6)
+   * @param {number} [options.ttlMs] - 최신 모델 확인 간격 (CATEGORY_MODEL_TTL_SECONDS, 기본 600초)
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.keywordService = options.keywordService || new KeywordService(prisma);
+
+    const config = CategoryService.loadCategories(
+      options.categoriesFile ||
+        process.env.CATEGORIES_FILE ||
+        DEFAULT_CATEGORIES_FILE
+    );
+
+    /**
+     * 대표 카테고리 목록
+     * @type {Array<string>}
+     */
+    this.categories = config.categories;
+
+    /**
+     * 확률이 낮을 때 쓰는 카테고리 (학습 대상에서도 제외)
+     * @type {string}
+     */
+    this.fallback = config.fallback;
+
+    /**
+     * 카테고리/별칭 키 → 대표 카테고리
+     * @type {Map<string, string>}
+     */
+    this.aliases = config.aliases;
+
+    /**
+     * 예측 카테고리를 쓸 최소 확률 (미만이면 fallback)
+     * @type {number}
+     */
+    this.minConfidence =
+      options.minConfidence ||
+      parseFloat(process.env.CATEGORY_MIN_CONFIDENCE) ||
+      0.6;
+
+    /**
+     * 최신 모델 확인 간격 (ms)
+     * @type {number}
+     */
+    this.ttlMs =
+      options.ttlMs ||
+      (parseInt(process.env.CATEGORY_MODEL_TTL_SECONDS, 10) || 600) * 1000;
+
+    /**
+     * 예측용으로 준비한 모델 (학습된 모델이 없으면 null)
+     * @type {Object|null}
+     */
+    this.model = null;
+
+    /**
+     * 읽어 둔 모델의 model_se
+     * @type {number|null}
+     */
+    this.modelId = null;
+
+    /**
+     * 마지막 모델 확인 시각 (0이면 아직 확인 전)
+     * @type {number}
+     */
+    this.loadedAt = 0;
+
+    /**
+     * 진행 중인 모델 조회 (동시 호출 시 공유)
+     * @type {Promise<void>|null}
+     */
+    this.loading = null;
+  }
+
+  /**
+   * 카테고리 목록 파일 로드
+   * @param {string} filePath - { "categories": [...], "fallback": "...", "aliases": { "별칭": "대표 카테고리" } } 형식 JSON
+   * @returns {{categories: Array<string>, fallback: string, aliases: Map<string, string>}}
+   * @throws {Error} 형식이 맞지 않거나 별칭/fallback이 목록에 없는 카테고리를 가리키는 경우
+   */
+  static loadCategories(filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!raw || !Array.isArray(raw.categories) || !raw.categories.length) {
+      throw new Error(`카테고리 목록(categories)이 필요합니다: ${filePath}`);
+    }
+    if (!raw.categories.includes(raw.fallback)) {
+      throw new Error(
+        `fallback은 카테고리 목록에 있어야 합니다: ${raw.fallback} (${filePath})`
+      );
+    }
+
+    const aliases = new Map(
+      raw.categories.map(category => [categoryKey(category), category])
+    );
+    Object.entries(raw.aliases || {}).forEach(([alias, category]) => {
+      if (!raw.categories.includes(category)) {
+        throw new Error(
+          `별칭이 목록에 없는 카테고리를 가리킵니다: ${alias} → ${category} (${filePath})`
+        );
+      }
+      aliases.set(categoryKey(alias), category);
+    });
+    return {
+      categories: raw.categories,
+      fallback: raw.fallback,
+      aliases,
+    };
+  }
+
+  /**
+   * 분류기가 학습/예측하는 카테고리 (fallback 제외)
+   * @type {Array<string>}
+   */
+  get trainableCategories() {
+    return this.categories.filter(category => category !== this.fallback);
+  }
+
+  /**
+   * 목록/피드 카테고리를 대표 카테고리로
+   * @param {string|null} label - 목록/피드 카테고리
+   * @returns {string|null} 맞출 수 없으면 null (분류기 대상)
+   */
+  canonicalize(label) {
+    return this.aliases.get(categoryKey(label)) || null;
+  }
+
+  /**
+   * 최신 모델이 바뀌었으면 다시 읽기
+   * @async
+   * @returns {Promise<void>}
+   */
+  async ensureModel() {
+    if (this.loadedAt && Date.now() - this.loadedAt < this.ttlMs) return;
+    if (!this.loading) {
+      this.loading = this.refreshModel().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  /**
+   * 최신 모델 즉시 확인
+   * @async
+   * @returns {Promise<void>}
+   * @description 조회에 실패하면 기존 모델을 유지하고 다음 TTL까지 재시도하지 않습니다.
+   */
+  async refreshModel() {
+    try {
+      const latest = await this.prisma.news_category_model.findFirst({
+        orderBy: { model_se: 'desc' },
+        select: { model_se: true },
+      });
+      if (latest && latest.model_se !== this.modelId) {
+        const row = await this.prisma.news_category_model.findUnique({
+          where: { model_se: latest.model_se },
+        });
+        this.model = compileModel(JSON.parse(row.model_ct));
+        this.modelId = row.model_se;
+        console.log(
+          `카테고리 분류 모델 로드: model_se=${row.model_se} (학습 기사 ${row.doc_cnt}건, 어휘 ${row.vocab_cnt}개)`
+        );
+      }
+    } catch (error) {
+      console.warn(
+        '카테고리 분류 모델 조회 실패 (기존 모델 사용):',
+        error.message
+      );
+    }
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * 기사 단어 빈도 (학습/예측 공통)
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 본문
+   * @returns {Map<string, number>}
+   */
+  countTerms(title, content) {
+    return this.keywordService.countTerms(title, content);
+  }
+
+  /**
+   * 카테고리 예측
+   * @async
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 본문
+   * @returns {Promise<{category: string, confidence: number, predicted: string}|null>}
+   * 확률이 minConfidence 미만이면 category는 fallback이며 predicted에 분류기 1순위가 남습니다.
+   * 학습된 모델이 없거나 어휘에 있는 단어가 없으면 null
+   */
+  async predict(title, content) {
+    await this.ensureModel();
+    if (!this.model) return null;
+    const [top] = predictNaiveBayes(
+      this.model,
+      this.countTerms(title, content)
+    );
+    if (!top) return null;
+
+    const confidence = Math.round(top.probability * 10000) / 10000;
+    return {
+      category: confidence >= this.minConfidence ? top.label : this.fallback,
+      confidence,
+      predicted: top.label,
+    };
+  }
+
+  /**
+   * 카테고리가 없는 기사 분류
+   * @async
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 본문
+   * @returns {Promise<Object|null>} predict 결과, 목록/피드 카테고리가 있거나 예측할 수 없으면 null
+   * @description 분류기로 정한 기사는 재수집 때 바뀐 본문으로 다시 분류합니다.
+   */
+  async classifyArticle(mainNewsId, title, content) {
+    const news = await this.prisma.news_main.findUnique({
+      where: { news_se: mainNewsId },
+      select: { category_nm: true, category_src_cd: true },
+    });
+    if (!news) return null;
+    if (
+      news.category_nm &&
+      news.category_src_cd !== CATEGORY_SOURCES.CLASSIFIER
+    ) {
+      return null;
+    }
+
+    const result = await this.predict(title, content);
+    if (!result) return null;
+    await this.prisma.news_main.updateMany({
+      where: { news_se: mainNewsId },
+      data: {
+        category_nm: result.category,
+        category_src_cd: CATEGORY_SOURCES.CLASSIFIER,
+        category_score_va: result.confidence,
+      },
+    });
+    return result;
+  }
+
+  /**
+   * 학습한 모델 저장 (다음 ensureModel부터 사용)
+   * @async
+   * @param {Object} model - trainNaiveBayes 결과
+   * @param {Object} metrics - 평가 지표
+   * @param {number} documentCount - 학습 기사 수
+   * @returns {Promise<Object>} news_category_model 레코드 (model_ct 제외)
+   */
+  async saveModel(model, metrics, documentCount) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const row = await this.prisma.news_category_model.create({
+      data: {
+        model_ct: JSON.stringify(model),
+        metrics_ct: JSON.stringify(metrics),
+        doc_cnt: documentCount,
+        vocab_cnt: Object.keys(model.vocabulary).length,
+        reg_dt: getCurrentIsoTime(),
+      },
+      select: { model_se: true, doc_cnt: true, vocab_cnt: true, reg_dt: true },
+    });
+    this.loadedAt = 0;
+    return row;
+  }
+}
+
+module.exports = CategoryService;
+module.exports.CATEGORY_SOURCES = CATEGORY_SOURCES;
@@ -0,0 +1,314 @@
+/**
+ * @fileoverview 기사 묶음(스토리 클러스터) 서비스 클래스
+ * @description 상세 본문의 MinHash 서명을 news_fingerprint(밴드 키는 news_fingerprint_band)에 저장하고,
+ * 게시 시각이 가까운 기사 중 추정 유사도가 임계값 이상인 기사(통신사 기사 재전재 등)를 news_cluster로 묶습니다.
+ * 묶음의 대표 기사는 가장 먼저 게시된 기사(원문에 가장 가까운 판)입니다.
+ */
+
+const {
+  computeMinHash,
+  serializeSignature,
+  parseSignature,
+  estimateSimilarity,
+  bandKeys,
+} = require('../utils/minhash');
+
+/**
+ * 지문을 만들 최소 본문 길이 (짧은 본문은 지문이 불안정해 오탐이 많음)
+ * @type {number}
+ */
+const MIN_CONTENT_LENGTH = 200;
+
+/**
+ * 밴드 키 일치 후보 최대 조회 수
+ * @type {number}
+ */
+const MAX_CANDIDATES = 500;
+
+/**
+ * 클러스터 서비스 클래스
+ * @class ClusterService
+ */
+class ClusterService {
+  /**
+   * ClusterService 생성자
+   * @constructor
+   * @param {Object} prisma - Prisma 클라이언트 인스턴스
+   * @param {Object} [options]
+   * @param {number} [options.minSimilarity] - 같은 기사로 볼 최소 추정 유사도 (CLUSTER_MIN_SIMILARITY, 기본 0.5)
+   * @param {number} [options.windowHours] - 후보로 볼 게시 시각 차이 (CLUSTER_WINDOW_HOURS, 기본 72)
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+
+    /**
+     * 같은 기사로 볼 최소 추정 유사도 (문자 4-gram 자카드 유사도, 0~1)
+     * @type {number}
+     */
+    this.minSimilarity =
+      options.minSimilarity ||
+      parseFloat(process.env.CLUSTER_MIN_SIMILARITY) ||
+      0.5;
+
+    /**
+     * 후보로 볼 게시 시각 차이 (시간)
+     * @type {number}
+     */
+    this.windowHours =
+      options.windowHours ||
+      parseInt(process.env.CLUSTER_WINDOW_HOURS, 10) ||
+      72;
+  }
+
+  /**
+   * 기사 지문 저장 및 묶음 배정
+   * @async
+   * @param {number} newsId - 메인 뉴스 ID
+   * @param {string|null} content - 상세 본문
+   * @returns {Promise<number|null>} 배정된 cluster_se, 묶이지 않으면 null
+   * @description 이미 묶음에 속한 기사는 지문만 갱신하고 배정은 유지합니다(재수집으로 본문이 바뀌어도 묶음 유지).
+   * 가장 가까운 기사가 묶음에 속해 있으면 그 묶음에 합류하고, 아니면 두 기사로 새 묶음을 만듭니다.
+   */
+  async indexArticle(newsId, content) {
+    if (!content || content.length < MIN_CONTENT_LENGTH) return null;
+    const minHash = computeMinHash(content);
+    if (!minHash) return null;
+
+    const news = await this.prisma.news_main.findUnique({
+      where: { news_se: newsId },
+      select: { news_se: true, published_dt: true, cluster_se: true },
+    });
+    if (!news) return null;
+
+    const { signature } = minHash;
+    const keys = bandKeys(signature);
+    const fingerprint = {
+      signature_ct: serializeSignature(signature),
+      shingle_cnt: minHash.shingleCount,
+      published_dt: news.published_dt,
+    };
+    await this.prisma.$transaction([
+      this.prisma.news_fingerprint.upsert({
+        where: { news_se: newsId },
+        update: fingerprint,
+        create: { news_se: newsId, ...fingerprint },
+      }),
+      this.prisma.news_fingerprint_band.deleteMany({
+        where: { news_se: newsId },
+      }),
+      this.prisma.news_fingerprint_band.createMany({
+        data: keys.map((key, bandNo) => ({
+          news_se: newsId,
+          band_no: bandNo,
+          band_key_cd: key,
+          published_dt: news.published_dt,
+        })),
+      }),
+    ]);
+    if (news.cluster_se) return news.cluster_se;
+
+    const match = await this.findNearest(news, signature, keys);
+    if (!match) return null;
+
+    const clusterId = match.cluster_se
+      ? match.cluster_se
+      : await this.createCluster(match.news_se);
+    await this.prisma.news_main.update({
+      where: { news_se: newsId },
+      data: { cluster_se: clusterId },
+    });
+    await this.refreshCluster(clusterId);
+
+    console.log(
+      `유사 기사 묶음: news_se=${newsId} → 묶음 ${clusterId} (news_se=${match.news_se}, 유사도 ${match.similarity.toFixed(2)})`
+    );
+    return clusterId;
+  }
+
+  /**
+   * 가장 유사한 기사 조회
+   * @async
+   * @param {Object} news - news_main 레코드 (news_se, published_dt)
+   * @param {Array<number>} signature - 기사 MinHash 서명
+   * @param {Array<string>} keys - 기사 LSH 밴드 키
+   * @returns {Promise<{news_se: number, cluster_se: number|null, similarity: number}|null>}
+   */
+  async findNearest(news, signature, keys) {
+    const windowMs = this.windowHours * 3600000;
+    const publishedAt = news.published_dt.getTime();
+    const bandHits = await this.prisma.news_fingerprint_band.findMany({
+      where: {
+        band_key_cd: { in: keys },
+        news_se: { not: news.news_se },
+        published_dt: {
+          gte: new Date(publishedAt - windowMs),
+          lte: new Date(publishedAt + windowMs),
+        },
+      },
+      select: { news_se: true },
+      distinct: ['news_se'],
+      take: MAX_CANDIDATES,
+    });
+    if (!bandHits.length) return null;
+
+    const candidates = await this.prisma.news_fingerprint.findMany({
+      where: { news_se: { in: bandHits.map(hit => hit.news_se) } },
+      select: { news_se: true, signature_ct: true },
+    });
+    const nearest = candidates
+      .map(candidate => ({
+        news_se: candidate.news_se,
+        similarity: estimateSimilarity(
+          signature,
+          parseSignature(candidate.signature_ct)
+        ),
+      }))
+      .filter(candidate => candidate.similarity >= this.minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity || a.news_se - b.news_se)[0];
+    if (!nearest) return null;
+
+    const matched = await this.prisma.news_main.findUnique({
+      where: { news_se: nearest.news_se },
+      select: { cluster_se: true },
+    });
+    // 지문만 남고 기사가 삭제된 경우
+    if (!matched) return null;
+    return { ...nearest, cluster_se: matched.cluster_se };
+  }
+
+  /**
+   * 새 묶음 생성 (첫 기사 배정)
+   * @async
+   * @param {number} newsId - 묶음의 첫 기사
+   * @returns {Promise<number>} cluster_se
+   */
+  async createCluster(newsId) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const news = await this.prisma.news_main.findUnique({
+      where: { news_se: newsId },
+      select: { published_dt: true },
+    });
+    const cluster = await this.prisma.news_cluster.create({
+      data: {
+        rep_news_se: newsId,
+        article_cnt: 1,
+        first_published_dt: news.published_dt,
+        last_published_dt: news.published_dt,
+        reg_dt: getCurrentIsoTime(),
+        updated_dt: getCurrentIsoTime(),
+      },
+    });
+    await this.prisma.news_main.update({
+      where: { news_se: newsId },
+      data: { cluster_se: cluster.cluster_se },
+    });
+    return cluster.cluster_se;
+  }
+
+  /**
+   * 묶음 대표 기사/기사 수/게시 기간 갱신
+   * @async
+   * @param {number} clusterId - cluster_se
+   * @returns {Promise<void>}
+   * @description 대표 기사는 가장 먼저 게시된 기사(같으면 먼저 저장된 기사)이며 news_main.cluster_rep_yn으로 표시합니다.
+   */
+  async refreshCluster(clusterId) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const members = await this.prisma.news_main.findMany({
+      where: { cluster_se: clusterId },
+      select: { news_se: true, published_dt: true },
+      orderBy: [{ published_dt: 'asc' }, { news_se: 'asc' }],
+    });
+    if (!members.length) return;
+
+    const representative = members[0];
+    await this.prisma.$transaction([
+      this.prisma.news_main.updateMany({
+        where: {
+          cluster_se: clusterId,
+          news_se: { not: representative.news_se },
+        },
+        data: { cluster_rep_yn: false },
+      }),
+      this.prisma.news_main.update({
+        where: { news_se: representative.news_se },
+        data: { cluster_rep_yn: true },
+      }),
+      this.prisma.news_cluster.update({
+        where: { cluster_se: clusterId },
+        data: {
+          rep_news_se: representative.news_se,
+          article_cnt: members.length,
+          first_published_dt: representative.published_dt,
+          last_published_dt: members[members.length - 1].published_dt,
+          updated_dt: getCurrentIsoTime(),
+        },
+      }),
+    ]);
+  }
+
+  /**
+   * 묶음과 소속 기사 조회 (언론사별 판)
+   * @async
+   * @param {number} clusterId - cluster_se
+   * @returns {Promise<Object|null>} 묶음 정보와 articles 배열(게시 시각 오름차순), 없으면 null
+   * @description 각 기사에 제공처(source_nm)/기자(author_nm)와 대표 기사와의 추정 유사도(similarity)를 붙입니다.
+   */
+  async getCluster(clusterId) {
+    const cluster = await this.prisma.news_cluster.findUnique({
+      where: { cluster_se: clusterId },
+    });
+    if (!cluster) return null;
+
+    const articles = await this.prisma.news_main.findMany({
+      where: { cluster_se: clusterId },
+      select: {
+        news_se: true,
+        title_ct: true,
+        url_lk: true,
+        image_lk: true,
+        crawler_nm: true,
+        published_dt: true,
+        cluster_rep_yn: true,
+      },
+      orderBy: [{ published_dt: 'asc' }, { news_se: 'asc' }],
+    });
+
+    // relation이 없으므로 제공처와 지문은 news_se로 따로 조회
+    const ids = articles.map(article => article.news_se);
+    const [details, fingerprints] = await Promise.all([
+      this.prisma.news_detail.findMany({
+        where: { news_se: { in: ids } },
+        select: { news_se: true, source_nm: true, author_nm: true },
+      }),
+      this.prisma.news_fingerprint.findMany({
+        where: { news_se: { in: ids } },
+        select: { news_se: true, signature_ct: true },
+      }),
+    ]);
+    const detailById = new Map(details.map(row => [row.news_se, row]));
+    const signatureById = new Map(
+      fingerprints.map(row => [row.news_se, parseSignature(row.signature_ct)])
+    );
+    const representative = signatureById.get(cluster.rep_news_se);
+
+    return {
+      ...cluster,
+      articles: articles.map(article => {
+        const detail = detailById.get(article.news_se);
+        const signature = signatureById.get(article.news_se);
+        return {
+          ...article,
+          source_nm: detail ? detail.source_nm : null,
+          author_nm: detail ? detail.author_nm : null,
+          similarity:
+            signature && representative
+              ? estimateSimilarity(representative, signature)
+              : null,
+        };
+      }),
+    };
+  }
+}
+
+module.exports = ClusterService;
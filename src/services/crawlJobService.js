@@ -0,0 +1,279 @@
+/**
+ * @fileoverview 크롤링 작업 큐 서비스 클래스
+ * @description crawl_job 테이블을 영속 작업 큐로 사용합니다.
+ * 목록/상세/재수집/이미지 미러링 작업을 등록하고, 워커가 임대(lease)한 뒤 완료/실패를 기록합니다.
+ * 프로세스가 재시작되어도 대기·실행 중이던 작업은 테이블에 남아 다음 워커가 이어서 처리합니다.
+ */
+
+const { hashUrl } = require('../utils/urlCanonicalizer');
+
+/**
+ * 작업 유형
+ * @enum {string}
+ */
+const JOB_TYPES = {
+  LIST: 'list',
+  DETAIL: 'detail',
+  RECRAWL: 'recrawl',
+  MEDIA: 'media',
+};
+
+/**
+ * 작업 상태
+ * @enum {string}
+ */
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+/**
+ * 크롤링 작업 큐 서비스 클래스
+ * @class CrawlJobService
+ */
+class CrawlJobService {
+  /**
+   * CrawlJobService 생성자
+   * @constructor
+   * @param {Object} prisma - Prisma 클라이언트 인스턴스
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+
+    /**
+     * 작업당 기본 최대 시도 횟수
+     * @type {number}
+     */
+    this.defaultMaxAttempts = parseInt(process.env.CRAWL_JOB_MAX_ATTEMPTS) || 5;
+  }
+
+  /**
+   * 작업 등록
+   * @async
+   * @param {Object} job
+   * @param {string} job.type - JOB_TYPES 값
+   * @param {string} job.crawlerName - 작업을 처리할 크롤러 이름
+   * @param {string} job.url - 대상 URL
+   * @param {number} [job.newsId] - 상세/재수집 대상 news_se
+   * @param {Object} [job.payload] - 추가 정보 (목록 작업의 카테고리명 등)
+   * @param {Date} [job.runAt] - 실행 가능 시각 (기본: 즉시)
+   * @param {number} [job.maxAttempts] - 최대 시도 횟수
+   * @returns {Promise<Object|null>} 생성된 작업, 같은 작업이 이미 대기/실행 중이면 null
+   * @description 대기/실행 중인 작업은 active_yn=true, 끝난 작업은 NULL이므로
+   * (유형, URL 해시, active_yn) 유니크 키가 같은 작업의 동시 등록을 막습니다.
+   */
+  async enqueue(job) {
+    try {
+      return await this.prisma.crawl_job.create({
+        data: {
+          job_type_cd: job.type,
+          crawler_nm: job.crawlerName,
+          url_lk: job.url,
+          url_hash_cd: hashUrl(job.url),
+          news_se: job.newsId || null,
+          payload_ct: job.payload ? JSON.stringify(job.payload) : null,
+          status_cd: JOB_STATUS.PENDING,
+          max_attempt_va: job.maxAttempts || this.defaultMaxAttempts,
+          next_run_dt: job.runAt || new Date(),
+        },
+      });
+    } catch (error) {
+      // 같은 작업이 이미 대기/실행 중 (동시 등록 포함)
+      if (error.code === 'P2002') return null;
+      console.error('크롤링 작업 등록 에러:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 실행할 작업 임대
+   * @async
+   * @param {string} workerId - 워커 식별자
+   * @param {number} limit - 최대 임대 개수
+   * @param {number} leaseMs - 임대 유지 시간 (만료되면 다른 워커가 다시 가져감)
+   * @returns {Promise<Array<Object>>} 임대된 작업 (attempt_va 증가 반영)
+   * @description 대기 중이거나 임대가 만료된 실행 중 작업을 조건부 update로 하나씩 선점하므로
+   * 여러 워커/프로세스가 동시에 폴링해도 같은 작업을 중복 실행하지 않습니다.
+   */
+  async leaseJobs(workerId, limit, leaseMs) {
+    const now = new Date();
+    const leasable = {
+      attempt_va: { lt: this.prisma.crawl_job.fields.max_attempt_va },
+      OR: [
+        { status_cd: JOB_STATUS.PENDING, next_run_dt: { lte: now } },
+        { status_cd: JOB_STATUS.RUNNING, lease_until_dt: { lt: now } },
+      ],
+    };
+
+    await this.failExhaustedLeases(now);
+
+    const candidates = await this.prisma.crawl_job.findMany({
+      where: leasable,
+      orderBy: { next_run_dt: 'asc' },
+      take: limit,
+      select: { job_se: true },
+    });
+
+    const leased = [];
+    for (const { job_se } of candidates) {
+      const { count } = await this.prisma.crawl_job.updateMany({
+        where: { job_se, ...leasable },
+        data: {
+          status_cd: JOB_STATUS.RUNNING,
+          locked_by_nm: workerId,
+          lease_until_dt: new Date(now.getTime() + leaseMs),
+          attempt_va: { increment: 1 },
+        },
+      });
+      if (count === 1) {
+        leased.push(
+          await this.prisma.crawl_job.findUnique({ where: { job_se } })
+        );
+      }
+    }
+    return leased;
+  }
+
+  /**
+   * 시도 횟수를 모두 쓴 채 임대가 만료된 작업을 실패 처리
+   * @async
+   * @param {Date} now
+   * @description 실행 중 프로세스가 죽어 완료/실패 기록을 남기지 못한 마지막 시도를 정리합니다.
+   */
+  async failExhaustedLeases(now) {
+    await this.prisma.crawl_job.updateMany({
+      where: {
+        status_cd: JOB_STATUS.RUNNING,
+        lease_until_dt: { lt: now },
+        attempt_va: { gte: this.prisma.crawl_job.fields.max_attempt_va },
+      },
+      data: {
+        status_cd: JOB_STATUS.FAILED,
+        active_yn: null,
+        lease_until_dt: null,
+        last_error_ct: '임대 만료 (워커 중단 추정)',
+      },
+    });
+  }
+
+  /**
+   * 작업 완료 처리
+   * @async
+   * @param {number} jobId
+   */
+  async completeJob(jobId) {
+    await this.prisma.crawl_job.update({
+      where: { job_se: jobId },
+      data: {
+        status_cd: JOB_STATUS.DONE,
+        active_yn: null,
+        lease_until_dt: null,
+        last_error_ct: null,
+      },
+    });
+  }
+
+  /**
+   * 작업 실패 처리
+   * @async
+   * @param {Object} job - 임대된 작업
+   * @param {Error} error - 실패 에러
+   * @param {number|null} retryDelayMs - 재시도 지연 (null이면 재시도 없이 실패 확정)
+   * @returns {Promise<string>} 변경된 상태 (pending | failed)
+   */
+  async failJob(job, error, retryDelayMs) {
+    const exhausted =
+      retryDelayMs === null || job.attempt_va >= job.max_attempt_va;
+    const status = exhausted ? JOB_STATUS.FAILED : JOB_STATUS.PENDING;
+
+    await this.prisma.crawl_job.update({
+      where: { job_se: job.job_se },
+      data: {
+        status_cd: status,
+        active_yn: exhausted ? null : true,
+        lease_until_dt: null,
+        next_run_dt: exhausted
+          ? job.next_run_dt
+          : new Date(Date.now() + retryDelayMs),
+        last_error_ct: [error.errorType, error.message]
+          .filter(Boolean)
+          .join(': ')
+          .slice(0, 2000),
+      },
+    });
+    return status;
+  }
+
+  /**
+   * 오래된 완료/실패 작업 삭제 (데이터 정리용)
+   * @async
+   * @param {number} [daysToKeep=7] - 마지막 갱신 후 보관 일수
+   * @returns {Promise<number>} 삭제된 작업 수
+   * @description payload_ct(MEDIUMTEXT)에 피드 본문이 들어가므로 끝난 작업을 계속 쌓아 두지 않습니다.
+   */
+  async cleanupFinishedJobs(daysToKeep = 7) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+    const result = await this.prisma.crawl_job.deleteMany({
+      where: {
+        status_cd: { in: [JOB_STATUS.DONE, JOB_STATUS.FAILED] },
+        updated_dt: { lt: cutoffDate },
+      },
+    });
+    if (result.count) {
+      console.log(`${result.count}개의 끝난 크롤링 작업을 삭제했습니다.`);
+    }
+    return result.count;
+  }
+
+  /**
+   * 작업 목록 조회
+   * @async
+   * @param {Object} [options]
+   * @param {string} [options.status] - 상태 필터
+   * @param {string} [options.type] - 유형 필터
+   * @param {string} [options.crawlerName] - 크롤러 이름 필터
+   * @param {number} [options.limit=50]
+   * @returns {Promise<Array<Object>>}
+   */
+  async getJobs(options = {}) {
+    const { status, type, crawlerName, limit = 50 } = options;
+    const jobs = await this.prisma.crawl_job.findMany({
+      where: {
+        ...(status && { status_cd: status }),
+        ...(type && { job_type_cd: type }),
+        ...(crawlerName && { crawler_nm: crawlerName }),
+      },
+      orderBy: { next_run_dt: 'asc' },
+      take: limit,
+    });
+    return jobs.map(job => ({
+      ...job,
+      payload_ct: job.payload_ct ? JSON.parse(job.payload_ct) : null,
+    }));
+  }
+
+  /**
+   * 상태/유형별 작업 수 집계
+   * @async
+   * @returns {Promise<Object<string, Object<string, number>>>} 예: { pending: { detail: 3 }, failed: { list: 1 } }
+   */
+  async getJobCounts() {
+    const groups = await this.prisma.crawl_job.groupBy({
+      by: ['status_cd', 'job_type_cd'],
+      _count: { job_se: true },
+    });
+    return groups.reduce((acc, group) => {
+      acc[group.status_cd] = acc[group.status_cd] || {};
+      acc[group.status_cd][group.job_type_cd] = group._count.job_se;
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = CrawlJobService;
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_STATUS = JOB_STATUS;
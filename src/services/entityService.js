@@ -0,0 +1,328 @@
+/**
+ * @fileoverview 개체명 서비스 클래스
+ * @description 기사 제목/본문에서 찾은 인물/기관/지역을 news_entity에 등록하고,
+ * news_entity_mention으로 기사별 언급 횟수와 함께 연결합니다.
+ * 사전은 config/entity-gazetteer.json(또는 ENTITY_GAZETTEER_FILE)에서 읽습니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ENTITY_TYPES,
+  entityKey,
+  compileGazetteer,
+  extractEntities,
+} = require('../extractor/entityExtractor');
+
+/**
+ * 기본 개체 사전 파일 경로
+ * @type {string}
+ */
+const DEFAULT_GAZETTEER_FILE = path.join(
+  __dirname,
+  '..',
+  '..',
+  'config',
+  'entity-gazetteer.json'
+);
+
+/**
+ * 개체 이름 최대 길이
+ * @type {number}
+ */
+const MAX_ENTITY_LENGTH = 100;
+
+/**
+ * DB 레코드 → 개체 항목
+ * @param {Object} row - news_entity 레코드
+ * @param {Object} [counts] - 기사 수/언급 횟수
+ * @returns {Object}
+ */
+function toEntity(row, counts = {}) {
+  return {
+    id: row.entity_se,
+    type: row.entity_type_cd,
+    name: row.entity_nm,
+    articleCount: counts.articleCount,
+    mentionCount: counts.mentionCount,
+  };
+}
+
+/**
+ * 개체명 서비스 클래스
+ * @class EntityService
+ */
+class EntityService {
+  /**
+   * EntityService 생성자
+   * @constructor
+   * @param {Object} prisma - Prisma 클라이언트 인스턴스
+   * @param {Object} [options]
+   * @param {string} [options.gazetteerFile] - 개체 사전 파일
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+
+    /**
+     * 컴파일된 개체 사전
+     * @type {{pattern: RegExp|null, lookup: Map}}
+     */
+    this.gazetteer = EntityService.loadGazetteer(
+      options.gazetteerFile ||
+        process.env.ENTITY_GAZETTEER_FILE ||
+        DEFAULT_GAZETTEER_FILE
+    );
+  }
+
+  /**
+   * 개체 사전 파일 로드
+   * @param {string} filePath - { "person|organization|location": { "대표 이름": ["별칭", ...] } } 형식 JSON
+   * @returns {{pattern: RegExp|null, lookup: Map}} compileGazetteer 결과
+   * @throws {Error} 형식이 맞지 않거나 알 수 없는 유형인 경우
+   */
+  static loadGazetteer(filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error(`개체 사전은 객체여야 합니다: ${filePath}`);
+    }
+
+    const types = Object.values(ENTITY_TYPES);
+    const entries = [];
+    Object.entries(raw).forEach(([type, names]) => {
+      if (!types.includes(type)) {
+        throw new Error(
+          `알 수 없는 개체 유형입니다: ${type} (${types.join(', ')})`
+        );
+      }
+      Object.entries(names || {}).forEach(([name, aliases]) => {
+        if (!Array.isArray(aliases)) {
+          throw new Error(
+            `개체 별칭은 배열이어야 합니다: ${name} (${filePath})`
+          );
+        }
+        entries.push({ type, name, aliases });
+      });
+    });
+    return compileGazetteer(entries);
+  }
+
+  /**
+   * 기사 개체 추출
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 본문
+   * @returns {Array<{type: string, name: string, count: number, source: string}>} 언급 횟수 내림차순
+   */
+  extract(title, content) {
+    return extractEntities(
+      [title, content].filter(Boolean).join('\n'),
+      this.gazetteer
+    ).filter(entity => entity.name.length <= MAX_ENTITY_LENGTH);
+  }
+
+  /**
+   * 개체 레코드 등록 (이미 있으면 기존 레코드)
+   * @async
+   * @param {{type: string, name: string}} entity
+   * @returns {Promise<Object>} news_entity 레코드
+   */
+  async upsertEntity(entity) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const key = `${entity.type}:${entityKey(entity.name)}`;
+    try {
+      return await this.prisma.news_entity.upsert({
+        where: { entity_key_cd: key },
+        update: {},
+        create: {
+          entity_key_cd: key,
+          entity_nm: entity.name,
+          entity_type_cd: entity.type,
+          reg_dt: getCurrentIsoTime(),
+        },
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      return this.prisma.news_entity.findUnique({
+        where: { entity_key_cd: key },
+      });
+    }
+  }
+
+  /**
+   * 기사 개체 연결 교체
+   * @async
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Array<{type: string, name: string, count: number, source: string}>} entities - extract 결과
+   * @returns {Promise<number>} 연결된 개체 수
+   */
+  async linkArticleEntities(mainNewsId, entities) {
+    const mentions = [];
+    for (const entity of entities) {
+      const row = await this.upsertEntity(entity);
+      mentions.push({
+        news_se: mainNewsId,
+        entity_se: row.entity_se,
+        mention_cnt: entity.count,
+        entity_src_cd: entity.source,
+      });
+    }
+
+    await this.prisma.$transaction([
+      this.prisma.news_entity_mention.deleteMany({
+        where: { news_se: mainNewsId },
+      }),
+      this.prisma.news_entity_mention.createMany({
+        data: mentions,
+        skipDuplicates: true,
+      }),
+    ]);
+    return mentions.length;
+  }
+
+  /**
+   * 기사 개체 추출 및 연결
+   * @async
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 본문
+   * @returns {Promise<number>} 연결된 개체 수
+   */
+  async indexArticle(mainNewsId, title, content) {
+    return this.linkArticleEntities(mainNewsId, this.extract(title, content));
+  }
+
+  /**
+   * 개체 목록 조회 (언급 기사 수 내림차순)
+   * @async
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @param {string} [options.type] - person | organization | location
+   * @param {string} [options.name] - 이름 부분 일치
+   * @returns {Promise<{data: Array<Object>, pagination: Object}>} 기사에 언급된 개체만
+   */
+  async getEntities(options = {}) {
+    const { page = 1, limit = 20, type, name } = options;
+    const where = {};
+    if (type || name) {
+      const matched = await this.prisma.news_entity.findMany({
+        where: {
+          ...(type ? { entity_type_cd: type } : {}),
+          ...(name ? { entity_nm: { contains: name } } : {}),
+        },
+        select: { entity_se: true },
+      });
+      where.entity_se = { in: matched.map(row => row.entity_se) };
+    }
+
+    const [counts, grouped] = await Promise.all([
+      this.prisma.news_entity_mention.groupBy({
+        by: ['entity_se'],
+        where,
+        _count: { news_se: true },
+        _sum: { mention_cnt: true },
+        orderBy: [{ _count: { news_se: 'desc' } }, { entity_se: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      this.prisma.news_entity_mention.groupBy({ by: ['entity_se'], where }),
+    ]);
+    const rows = counts.length
+      ? await this.prisma.news_entity.findMany({
+          where: { entity_se: { in: counts.map(row => row.entity_se) } },
+        })
+      : [];
+    const rowById = new Map(rows.map(row => [row.entity_se, row]));
+    const total = grouped.length;
+
+    return {
+      data: counts
+        .filter(count => rowById.has(count.entity_se))
+        .map(count =>
+          toEntity(rowById.get(count.entity_se), {
+            articleCount: count._count.news_se,
+            mentionCount: count._sum.mention_cnt,
+          })
+        ),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * 개체 언급 기사 타임라인
+   * @async
+   * @param {number} entityId - entity_se
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @param {string} [options.order='asc'] - 게시 시각 정렬 (asc: 오래된 순, desc: 최신순)
+   * @returns {Promise<Object|null>} 개체 정보와 기사 목록(기사별 언급 횟수 mention_cnt 포함), 개체가 없으면 null
+   * @description FK/relation이 없으므로 news_entity_mention JOIN과 정렬/페이지 자르기는 raw query로 DB에서 처리하고,
+   * 해당 페이지의 news_se만 다시 조회합니다. (언급 기사 전체를 IN 목록으로 만들지 않음)
+   */
+  async getTimeline(entityId, options = {}) {
+    const { page = 1, limit = 20, order = 'asc' } = options;
+    const row = await this.prisma.news_entity.findUnique({
+      where: { entity_se: entityId },
+    });
+    if (!row) return null;
+
+    const offset = (page - 1) * limit;
+    // 정렬 방향은 바인딩할 수 없으므로 쿼리를 나눔
+    const [mentions, counted] = await Promise.all([
+      order === 'desc'
+        ? this.prisma.$queryRaw`
+            SELECT m.news_se, e.mention_cnt FROM news_main m
+            JOIN news_entity_mention e ON e.news_se = m.news_se
+            WHERE e.entity_se = ${entityId}
+            ORDER BY m.published_dt DESC, m.news_se DESC
+            LIMIT ${limit} OFFSET ${offset}
+          `
+        : this.prisma.$queryRaw`
+            SELECT m.news_se, e.mention_cnt FROM news_main m
+            JOIN news_entity_mention e ON e.news_se = m.news_se
+            WHERE e.entity_se = ${entityId}
+            ORDER BY m.published_dt ASC, m.news_se ASC
+            LIMIT ${limit} OFFSET ${offset}
+          `,
+      this.prisma.$queryRaw`
+        SELECT COUNT(*) AS cnt, COALESCE(SUM(e.mention_cnt), 0) AS mention_sum
+        FROM news_main m
+        JOIN news_entity_mention e ON e.news_se = m.news_se
+        WHERE e.entity_se = ${entityId}
+      `,
+    ]);
+    const total = Number(counted[0].cnt);
+    const mentionCount = Number(counted[0].mention_sum);
+
+    const found = mentions.length
+      ? await this.prisma.news_main.findMany({
+          where: { news_se: { in: mentions.map(mention => mention.news_se) } },
+        })
+      : [];
+    const rowById = new Map(found.map(item => [item.news_se, item]));
+
+    return {
+      entity: toEntity(row, { articleCount: total, mentionCount }),
+      data: mentions
+        .filter(mention => rowById.has(mention.news_se))
+        .map(mention => ({
+          ...rowById.get(mention.news_se),
+          mention_cnt: mention.mention_cnt,
+        })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = EntityService;
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
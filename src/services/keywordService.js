@@ -0,0 +1,239 @@
+/**
+ * @fileoverview 본문 키워드 추출 서비스 클래스
+ * @description 페이지 태그/메타 키워드가 없는 기사가 많아, 상세 본문에서 TF-IDF로 키워드를 뽑아 news_keyword에 저장합니다.
+ * 문서 빈도(DF)는 저장된 기사 전체를 기준으로 news_term_df에 누적하며, 발행처 태그(news_tag)와는 따로 관리합니다.
+ * 불용어는 config/keyword-stopwords.json(또는 KEYWORD_STOPWORDS_FILE)에서 읽습니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('../utils/koreanTokenizer');
+
+/**
+ * 기본 불용어 목록 파일 경로
+ * @type {string}
+ */
+const DEFAULT_STOPWORDS_FILE = path.join(
+  __dirname,
+  '..',
+  '..',
+  'config',
+  'keyword-stopwords.json'
+);
+
+/**
+ * 제목 토큰 가중치 (제목에 나온 단어는 본문보다 기사 주제일 가능성이 높음)
+ * @type {number}
+ */
+const TITLE_WEIGHT = 2;
+
+/**
+ * 문서 빈도를 한 번에 누적할 단어 수 (INSERT 한 문장의 VALUES 수)
+ * @type {number}
+ */
+const DF_CHUNK_SIZE = 500;
+
+/**
+ * 키워드 서비스 클래스
+ * @class KeywordService
+ */
+class KeywordService {
+  /**
+   * KeywordService 생성자
+   * @constructor
+   * @param {Object} prisma - Prisma 클라이언트 인스턴스
+   * @param {Object} [options]
+   * @param {number} [options.topN] - 기사당 저장할 키워드 수 (KEYWORD_TOP_N, 기본 10)
+   * @param {string} [options.stopwordsFile] - 불용어 목록 파일
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+
+    /**
+     * 기사당 저장할 키워드 수
+     * @type {number}
+     */
+    this.topN = options.topN || parseInt(process.env.KEYWORD_TOP_N, 10) || 10;
+
+    /**
+     * 불용어 (영문은 소문자)
+     * @type {Set<string>}
+     */
+    this.stopwords = KeywordService.loadStopwords(
+      options.stopwordsFile ||
+        process.env.KEYWORD_STOPWORDS_FILE ||
+        DEFAULT_STOPWORDS_FILE
+    );
+  }
+
+  /**
+   * 불용어 목록 파일 로드
+   * @param {string} filePath - { "ko": [...], "en": [...] } 형식 JSON
+   * @returns {Set<string>}
+   * @throws {Error} 형식이 맞지 않는 경우
+   */
+  static loadStopwords(filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error(`불용어 목록은 객체여야 합니다: ${filePath}`);
+    }
+
+    const stopwords = new Set();
+    Object.entries(raw).forEach(([lang, list]) => {
+      if (!Array.isArray(list)) {
+        throw new Error(`불용어는 배열이어야 합니다: ${lang} (${filePath})`);
+      }
+      list.forEach(word =>
+        stopwords.add(String(word).normalize('NFKC').toLowerCase())
+      );
+    });
+    return stopwords;
+  }
+
+  /**
+   * 기사 단어 빈도 계산
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 본문
+   * @returns {Map<string, number>} 단어 → 가중 빈도 (제목 단어는 TITLE_WEIGHT배)
+   */
+  countTerms(title, content) {
+    const counts = new Map();
+    const add = (tokens, weight) =>
+      tokens.forEach(token =>
+        counts.set(token, (counts.get(token) || 0) + weight)
+      );
+    add(tokenize(title, this.stopwords), TITLE_WEIGHT);
+    add(tokenize(content, this.stopwords), 1);
+    return counts;
+  }
+
+  /**
+   * 기사를 문서 빈도에 반영
+   * @async
+   * @param {number} newsId - 메인 뉴스 ID
+   * @param {Array<string>} terms - 기사에 나온 단어 (중복 없음)
+   * @returns {Promise<boolean>} 처음 반영한 기사면 true
+   * @description 기사당 한 번만 반영합니다(news_detail.keyword_dt). 재수집으로 본문이 바뀌어도
+   * 문서 빈도는 다시 세지 않으므로 수치는 근사값이며, 코퍼스가 커질수록 영향이 작아집니다.
+   */
+  async countDocument(newsId, terms) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const claimed = await this.prisma.news_detail.updateMany({
+      where: { news_se: newsId, keyword_dt: null },
+      data: { keyword_dt: getCurrentIsoTime() },
+    });
+    if (!claimed.count) return false;
+
+    for (let i = 0; i < terms.length; i += DF_CHUNK_SIZE) {
+      const chunk = terms.slice(i, i + DF_CHUNK_SIZE);
+      await this.prisma.$executeRawUnsafe(
+        `INSERT INTO news_term_df (term_nm, doc_cnt, updated_dt)
+         VALUES ${chunk.map(() => '(?, 1, NOW(3))').join(', ')}
+         ON DUPLICATE KEY UPDATE doc_cnt = doc_cnt + 1, updated_dt = NOW(3)`,
+        ...chunk
+      );
+    }
+    return true;
+  }
+
+  /**
+   * 단어 빈도로 키워드 점수 계산
+   * @async
+   * @param {Map<string, number>} counts - countTerms 결과
+   * @returns {Promise<Array<{keyword: string, score: number}>>} 점수 내림차순 상위 topN
+   * @description score = (가중 빈도 / 전체 가중 빈도) × (ln((N + 1) / (df + 1)) + 1),
+   * N은 문서 빈도에 반영된 기사 수입니다.
+   */
+  async scoreTerms(counts) {
+    if (!counts.size) return [];
+    const terms = [...counts.keys()];
+    const [documentCount, dfRows] = await Promise.all([
+      this.prisma.news_detail.count({ where: { keyword_dt: { not: null } } }),
+      this.prisma.news_term_df.findMany({
+        where: { term_nm: { in: terms } },
+      }),
+    ]);
+    const dfByTerm = new Map(dfRows.map(row => [row.term_nm, row.doc_cnt]));
+    const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+    return terms
+      .map(term => {
+        const idf =
+          Math.log((documentCount + 1) / ((dfByTerm.get(term) || 0) + 1)) + 1;
+        return { keyword: term, score: (counts.get(term) / total) * idf };
+      })
+      .sort((a, b) => b.score - a.score || a.keyword.localeCompare(b.keyword))
+      .slice(0, this.topN)
+      .map(item => ({ ...item, score: Math.round(item.score * 1e6) / 1e6 }));
+  }
+
+  /**
+   * 기사 키워드 저장 교체
+   * @async
+   * @param {number} newsId - 메인 뉴스 ID
+   * @param {Array<{keyword: string, score: number}>} keywords - 점수 내림차순
+   * @returns {Promise<void>}
+   */
+  async saveKeywords(newsId, keywords) {
+    await this.prisma.$transaction([
+      this.prisma.news_keyword.deleteMany({ where: { news_se: newsId } }),
+      this.prisma.news_keyword.createMany({
+        data: keywords.map((item, index) => ({
+          news_se: newsId,
+          keyword_nm: item.keyword,
+          score_va: item.score,
+          rank_no: index + 1,
+        })),
+        skipDuplicates: true,
+      }),
+    ]);
+  }
+
+  /**
+   * 기사 키워드 추출 (문서 빈도 반영 + 점수 계산 + 저장)
+   * @async
+   * @param {number} newsId - 메인 뉴스 ID
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 본문
+   * @returns {Promise<Array<{keyword: string, score: number}>>} 저장된 키워드
+   */
+  async indexArticle(newsId, title, content) {
+    const counts = this.countTerms(title, content);
+    if (!counts.size) return [];
+    await this.countDocument(newsId, [...counts.keys()]);
+    const keywords = await this.scoreTerms(counts);
+    await this.saveKeywords(newsId, keywords);
+    return keywords;
+  }
+
+  /**
+   * 저장된 기사 키워드 재계산 (문서 빈도는 그대로)
+   * @async
+   * @param {number} newsId - 메인 뉴스 ID
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 본문
+   * @returns {Promise<Array<{keyword: string, score: number}>>} 저장된 키워드
+   * @description 코퍼스가 커져 초기 기사의 IDF가 달라졌을 때 백필 스크립트(--rescore)에서 사용합니다.
+   */
+  async rescoreArticle(newsId, title, content) {
+    const keywords = await this.scoreTerms(this.countTerms(title, content));
+    await this.saveKeywords(newsId, keywords);
+    return keywords;
+  }
+
+  /**
+   * 기사 키워드 조회
+   * @async
+   * @param {number} newsId - 메인 뉴스 ID
+   * @returns {Promise<Array<{keyword: string, score: number}>>} 순위순
+   */
+  async getKeywords(newsId) {
+    const rows = await this.prisma.news_keyword.findMany({
+      where: { news_se: newsId },
+      orderBy: { rank_no: 'asc' },
+    });
+    return rows.map(row => ({ keyword: row.keyword_nm, score: row.score_va }));
+  }
+}
+
+module.exports = KeywordService;
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview 미러링 미디어 서비스 클래스
+ * @description media_asset 테이블에 미러링한 이미지(내용 해시 기준)의 형식/크기/저장 키를 기록합니다.
+ */
+
+/**
+ * 미디어 서비스 클래스
+ * @class MediaService
+ */
+class MediaService {
+  /**
+   * MediaService 생성자
+   * @constructor
+   * @param {Object} prisma - Prisma 클라이언트 인스턴스
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * 해시로 미디어 조회
+   * @async
+   * @param {string} hash - SHA-256 hex
+   * @returns {Promise<Object|null>}
+   */
+  async getAsset(hash) {
+    return this.prisma.media_asset.findUnique({ where: { hash_cd: hash } });
+  }
+
+  /**
+   * 미디어 기록
+   * @async
+   * @param {Object} asset
+   * @param {string} asset.hash - SHA-256 hex
+   * @param {string} asset.mime - MIME 타입
+   * @param {number} asset.size - 바이트 수
+   * @param {number|null} asset.width
+   * @param {number|null} asset.height
+   * @param {string} asset.storageKey - 원본 저장 키
+   * @param {string} asset.thumbKey - 썸네일 저장 키
+   * @param {string} asset.sourceUrl - 최초 수집 URL
+   * @returns {Promise<Object>} 저장된(또는 동시에 먼저 저장된) 레코드
+   */
+  async saveAsset(asset) {
+    try {
+      return await this.prisma.media_asset.create({
+        data: {
+          hash_cd: asset.hash,
+          mime_cd: asset.mime,
+          size_va: asset.size,
+          width_va: asset.width,
+          height_va: asset.height,
+          storage_key_nm: asset.storageKey,
+          thumb_key_nm: asset.thumbKey,
+          source_lk: asset.sourceUrl.slice(0, 1000),
+        },
+      });
+    } catch (error) {
+      // 같은 이미지를 다른 작업이 먼저 저장한 경우
+      if (error.code === 'P2002') return this.getAsset(asset.hash);
+      console.error('미디어 저장 에러:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MediaService;
@@ -3,6 +3,49 @@
  * @description Prisma ORM을 사용하여 뉴스 데이터의 CRUD 작업을 처리합니다.
  */
 
+const { TIMESTAMP_SOURCES } = require('../extractor/timestampExtractor');
+const { canonicalizeUrl, hashUrl } = require('../utils/urlCanonicalizer');
+const AuthorService = require('./authorService');
+const TagService = require('./tagService');
+const KeywordService = require('./keywordService');
+const EntityService = require('./entityService');
+const CategoryService = require('./categoryService');
+const { CATEGORY_SOURCES } = require('./categoryService');
+const {
+  hashRevision,
+  diffTitle,
+  diffContent,
+} = require('../utils/revisionDiff');
+
+/**
+ * 본문 추출 실패 시 크롤러가 채우는 안내 문구 (버전 비교 제외)
+ * @type {string}
+ */
+const EXTRACTION_FAILED_PREFIX = '뉴스 상세 내용을 추출할 수 없습니다';
+
+/**
+ * 본문 추출 실패 여부
+ * @param {string|null} content - 크롤러가 반환한 본문
+ * @returns {boolean}
+ */
+function isExtractionFailed(content) {
+  return !content || content.startsWith(EXTRACTION_FAILED_PREFIX);
+}
+
+/**
+ * JSON 문자열 파싱 (빈 값/파싱 실패 시 null)
+ * @param {string|null} value
+ * @returns {Object|null}
+ */
+function parseJsonOrNull(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+}
+
 /**
  * 뉴스 서비스 클래스
  * @class NewsService
@@ -17,22 +60,84 @@ class NewsService {
    */
   constructor(prisma) {
     this.prisma = prisma;
+
+    /**
+     * 유사 기사 묶음 서비스 (설정 시 상세 저장 때 본문 지문 계산/묶음 배정)
+     * @type {Object|null}
+     */
+    this.clusterService = null;
+
+    /**
+     * 기자 서비스 (상세 저장 때 바이라인 기자를 news_author에 연결)
+     * @type {AuthorService}
+     */
+    this.authorService = new AuthorService(prisma);
+
+    /**
+     * 태그 서비스 (상세 저장 때 태그를 정규화해 news_tag에 연결)
+     * @type {TagService}
+     */
+    this.tagService = new TagService(prisma);
+
+    /**
+     * 키워드 서비스 (상세 저장 때 본문 TF-IDF 키워드를 news_keyword에 저장)
+     * @type {KeywordService}
+     */
+    this.keywordService = new KeywordService(prisma);
+
+    /**
+     * 개체명 서비스 (상세 저장 때 인물/기관/지역 언급을 news_entity에 연결)
+     * @type {EntityService}
+     */
+    this.entityService = new EntityService(prisma);
+
+    /**
+     * 카테고리 분류 서비스 (목록/피드 카테고리 정규화, 없으면 상세 저장 때 본문으로 분류)
+     * @type {CategoryService}
+     */
+    this.categoryService = new CategoryService(prisma, {
+      keywordService: this.keywordService,
+    });
+  }
+
+  /**
+   * 유사 기사 묶음 서비스 설정
+   * @param {Object} clusterService - ClusterService 인스턴스
+   * @returns {NewsService} 체이닝용 this
+   */
+  useClusterService(clusterService) {
+    this.clusterService = clusterService;
+    return this;
   }
 
   /**
    * 메인 뉴스 저장
+   * @description 원본 URL(url_lk)과 함께 정규 URL/해시를 저장하며, 같은 정규 URL이 이미 있으면 중복으로 건너뜁니다.
+   * newsData.canonicalUrl이 없으면 기본 규칙으로 정규화합니다.
+   * 목록/피드 카테고리는 대표 카테고리로 맞추며, 맞출 수 없으면 비워 두고 상세 저장 때 분류기로 정합니다.
    */
   async saveMainNews(newsData) {
     try {
       const { getCurrentIsoTime } = require('../utils/commonUtils');
+      const canonicalUrl =
+        newsData.canonicalUrl || canonicalizeUrl(newsData.url) || newsData.url;
+      const category = this.categoryService.canonicalize(newsData.category);
       const news = await this.prisma.news_main.create({
         data: {
           title_ct: newsData.title,
           url_lk: newsData.url,
+          canonical_url_lk: canonicalUrl.slice(0, 1000),
+          url_hash_cd: hashUrl(canonicalUrl),
           image_lk: newsData.imageUrl,
           summary_ct: newsData.summary,
-          category_nm: newsData.category,
+          category_nm: category,
+          category_src_cd: category ? CATEGORY_SOURCES.SOURCE : null,
+          crawler_nm: newsData.crawlerName || null,
+          // 목록/피드에 시각이 없으면 수집 시각으로 기록 (상세 메타데이터로 보정)
           published_dt: newsData.publishedAt || getCurrentIsoTime(),
+          published_src_cd: newsData.publishedAt
+            ? newsData.publishedSource || TIMESTAMP_SOURCES.LIST
+            : TIMESTAMP_SOURCES.CRAWLED,
           crawled_dt: getCurrentIsoTime(),
           updated_dt: getCurrentIsoTime(),
         },
@@ -59,17 +164,37 @@ class NewsService {
       const detail = await this.prisma.news_detail.create({
         data: {
           news_se: mainNewsId,
+          title_ct: detailData.title ? detailData.title.slice(0, 500) : null,
           content_ct: detailData.content,
+          content_hash_cd: hashRevision(detailData.title, detailData.content),
           author_nm: detailData.author,
           source_nm: detailData.source,
           tags_ct: detailData.tags,
-          view_va: detailData.viewCount || 0,
-          like_va: detailData.likeCount || 0,
-          comment_va: detailData.commentCount || 0,
+          view_va: detailData.viewCount ?? null,
+          like_va: detailData.likeCount ?? null,
+          comment_va: detailData.commentCount ?? null,
           reg_dt: getCurrentIsoTime(),
           updated_dt: getCurrentIsoTime(),
         },
       });
+      await this.applyDetailMetadata(mainNewsId, detailData);
+      await this.applyCanonicalUrl(mainNewsId, detailData.canonicalUrl);
+      await this.assignStoryCluster(mainNewsId, detailData.content);
+      await this.linkAuthors(mainNewsId, detailData);
+      await this.linkTags(mainNewsId, detailData);
+      await this.extractKeywords(
+        mainNewsId,
+        detail.title_ct,
+        detail.content_ct
+      );
+      await this.linkEntities(mainNewsId, detail.title_ct, detail.content_ct);
+      await this.classifyCategory(
+        mainNewsId,
+        detail.title_ct,
+        detail.content_ct
+      );
+      await this.saveNewsImages(mainNewsId, detailData.images);
+      await this.recordMetricSnapshot(mainNewsId, detailData);
 
       console.log(`뉴스 상세 저장 완료: ID ${mainNewsId}`);
       return detail;
@@ -91,11 +216,511 @@ class NewsService {
     }
   }
 
+  /**
+   * 뉴스 상세 저장 또는 갱신 (재수집용)
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Object} detailData - 상세 데이터
+   * @returns {Promise<Object>} 저장된 상세
+   * @description 저장된 버전과 제목+본문 해시가 다르면 news_revision에 새 버전과 diff를 남깁니다.
+   * 재수집에서 본문 추출에 실패하면 그 페이지에서 읽은 값(제목/본문/기자/제공처/태그/지표/이미지)을 믿을 수 없으므로
+   * 저장된 값을 그대로 두고 확인 시각(updated_dt)만 갱신합니다.
+   */
+  async upsertNewsDetail(mainNewsId, detailData) {
+    try {
+      const { getCurrentIsoTime } = require('../utils/commonUtils');
+      const previous = await this.prisma.news_detail.findUnique({
+        where: { news_se: mainNewsId },
+      });
+      const title =
+        (detailData.title && detailData.title.slice(0, 500)) ||
+        (previous && previous.title_ct) ||
+        null;
+      const contentHash = hashRevision(title, detailData.content);
+      const keepContent = previous && isExtractionFailed(detailData.content);
+      if (previous && !keepContent) {
+        await this.trackRevision(mainNewsId, previous, {
+          title,
+          content: detailData.content,
+          hash: contentHash,
+        });
+      }
+
+      const data = keepContent
+        ? { updated_dt: getCurrentIsoTime() }
+        : {
+            title_ct: title,
+            content_ct: detailData.content,
+            content_hash_cd: contentHash,
+            author_nm: detailData.author,
+            source_nm: detailData.source,
+            tags_ct: detailData.tags,
+            view_va: detailData.viewCount ?? null,
+            like_va: detailData.likeCount ?? null,
+            comment_va: detailData.commentCount ?? null,
+            updated_dt: getCurrentIsoTime(),
+          };
+      const detail = await this.prisma.news_detail.upsert({
+        where: { news_se: mainNewsId },
+        update: data,
+        create: {
+          news_se: mainNewsId,
+          title_ct: title,
+          content_ct: detailData.content,
+          content_hash_cd: contentHash,
+          ...data,
+          reg_dt: getCurrentIsoTime(),
+        },
+      });
+      await this.applyDetailMetadata(mainNewsId, detailData);
+      await this.applyCanonicalUrl(mainNewsId, detailData.canonicalUrl);
+      if (!keepContent) {
+        await this.assignStoryCluster(mainNewsId, detailData.content);
+        await this.linkAuthors(mainNewsId, detailData);
+        await this.extractKeywords(mainNewsId, title, detailData.content);
+        await this.linkEntities(mainNewsId, title, detailData.content);
+        await this.classifyCategory(mainNewsId, title, detailData.content);
+        await this.linkTags(mainNewsId, detailData);
+        await this.saveNewsImages(mainNewsId, detailData.images);
+        await this.recordMetricSnapshot(mainNewsId, detailData);
+      }
+
+      console.log(`뉴스 상세 재수집 저장 완료: ID ${mainNewsId}`);
+      return detail;
+    } catch (error) {
+      console.error('뉴스 상세 재수집 저장 에러:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 상세 페이지 메타데이터로 메인 뉴스 보정 (게시/수정 시각, 대표 이미지)
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Object} detailData - 상세 데이터 (publishedAt/publishedSource, modifiedAt/modifiedSource, leadImageUrl)
+   * @returns {Promise<void>}
+   * @description 목록 날짜(KST 자정)나 수집 시각보다 정확한 JSON-LD/메타 태그/<time> 값을 출처와 함께 기록하고,
+   * og:image(없으면 본문 첫 이미지)를 image_lk 대표 이미지로 올립니다.
+   */
+  async applyDetailMetadata(mainNewsId, detailData) {
+    const data = {};
+    if (detailData.leadImageUrl) {
+      data.image_lk = detailData.leadImageUrl.slice(0, 1000);
+    }
+    if (detailData.publishedAt) {
+      data.published_dt = detailData.publishedAt;
+      data.published_src_cd = detailData.publishedSource;
+    }
+    if (detailData.modifiedAt) {
+      data.modified_dt = detailData.modifiedAt;
+      data.modified_src_cd = detailData.modifiedSource;
+    }
+    if (!Object.keys(data).length) return;
+
+    await this.prisma.news_main.updateMany({
+      where: { news_se: mainNewsId },
+      data,
+    });
+  }
+
+  /**
+   * 상세 페이지 rel=canonical로 정규 URL 보정
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {string|null} canonicalUrl - 정규화된 canonical URL (없으면 무시)
+   * @returns {Promise<boolean>} 보정 여부
+   * @description 같은 정규 URL이 다른 기사로 이미 저장돼 있으면(목록 URL만 달랐던 중복) 경고만 남기고 유지합니다.
+   */
+  async applyCanonicalUrl(mainNewsId, canonicalUrl) {
+    if (!canonicalUrl) return false;
+    const urlHash = hashUrl(canonicalUrl);
+    try {
+      const result = await this.prisma.news_main.updateMany({
+        where: {
+          news_se: mainNewsId,
+          OR: [{ url_hash_cd: null }, { url_hash_cd: { not: urlHash } }],
+        },
+        data: {
+          canonical_url_lk: canonicalUrl.slice(0, 1000),
+          url_hash_cd: urlHash,
+        },
+      });
+      return result.count > 0;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        const original = await this.prisma.news_main.findUnique({
+          where: { url_hash_cd: urlHash },
+          select: { news_se: true },
+        });
+        console.warn(
+          `중복 기사 감지 (rel=canonical): news_se=${mainNewsId} → 기존 news_se=${original ? original.news_se : '?'} (${canonicalUrl})`
+        );
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 본문 지문 계산 및 유사 기사 묶음 배정
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {string|null} content - 상세 본문
+   * @returns {Promise<number|null>} 배정된 cluster_se
+   * @description 묶음 배정 실패는 상세 저장을 실패시키지 않도록 경고만 남깁니다.
+   */
+  async assignStoryCluster(mainNewsId, content) {
+    if (!this.clusterService || isExtractionFailed(content)) return null;
+    try {
+      return await this.clusterService.indexArticle(mainNewsId, content);
+    } catch (error) {
+      console.warn(
+        `유사 기사 묶음 배정 실패: news_se=${mainNewsId}`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * 바이라인 기자 연결 (news_author / news_author_map)
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Object} detailData - 상세 데이터 (authors, source)
+   * @returns {Promise<void>}
+   * @description authors 목록이 없는 상세(이전 형식)는 건너뛰고, 연결 실패는 경고만 남깁니다.
+   */
+  async linkAuthors(mainNewsId, detailData) {
+    if (!Array.isArray(detailData.authors)) return;
+    try {
+      await this.authorService.linkArticleAuthors(
+        mainNewsId,
+        detailData.authors,
+        detailData.source || null
+      );
+    } catch (error) {
+      console.warn(`기자 연결 실패: news_se=${mainNewsId}`, error.message);
+    }
+  }
+
+  /**
+   * 기사 태그 연결 (news_tag / news_tag_map)
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Object} detailData - 상세 데이터 (tagList)
+   * @returns {Promise<void>}
+   * @description tagList가 없는 상세(이전 형식)는 건너뛰고, 연결 실패는 경고만 남깁니다.
+   */
+  async linkTags(mainNewsId, detailData) {
+    if (!Array.isArray(detailData.tagList)) return;
+    try {
+      await this.tagService.linkArticleTags(mainNewsId, detailData.tagList);
+    } catch (error) {
+      console.warn(`태그 연결 실패: news_se=${mainNewsId}`, error.message);
+    }
+  }
+
+  /**
+   * 본문 키워드 추출 (news_keyword / news_term_df)
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 상세 본문
+   * @returns {Promise<void>}
+   * @description 본문 추출에 실패한 상세는 건너뛰고, 추출 실패는 경고만 남깁니다.
+   */
+  async extractKeywords(mainNewsId, title, content) {
+    if (isExtractionFailed(content)) return;
+    try {
+      await this.keywordService.indexArticle(mainNewsId, title, content);
+    } catch (error) {
+      console.warn(`키워드 추출 실패: news_se=${mainNewsId}`, error.message);
+    }
+  }
+
+  /**
+   * 인물/기관/지역 개체 연결 (news_entity / news_entity_mention)
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 상세 본문
+   * @returns {Promise<void>}
+   * @description 본문 추출에 실패한 상세는 건너뛰고, 연결 실패는 경고만 남깁니다.
+   */
+  async linkEntities(mainNewsId, title, content) {
+    if (isExtractionFailed(content)) return;
+    try {
+      await this.entityService.indexArticle(mainNewsId, title, content);
+    } catch (error) {
+      console.warn(`개체 연결 실패: news_se=${mainNewsId}`, error.message);
+    }
+  }
+
+  /**
+   * 카테고리가 없는 기사 분류 (news_main.category_nm, category_src_cd=classifier)
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {string|null} title - 제목
+   * @param {string|null} content - 상세 본문
+   * @returns {Promise<void>}
+   * @description 목록/피드 카테고리가 있거나 학습된 모델이 없으면 건너뛰고, 분류 실패는 경고만 남깁니다.
+   */
+  async classifyCategory(mainNewsId, title, content) {
+    if (isExtractionFailed(content)) return;
+    try {
+      await this.categoryService.classifyArticle(mainNewsId, title, content);
+    } catch (error) {
+      console.warn(`카테고리 분류 실패: news_se=${mainNewsId}`, error.message);
+    }
+  }
+
+  /**
+   * 재수집 버전 비교 및 변경 이력 기록
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Object} previous - 저장된 news_detail 레코드
+   * @param {{title: string|null, content: string, hash: string}} next - 재수집한 버전
+   * @returns {Promise<number|null>} 기록된 버전 번호, 변경이 없으면 null
+   * @description 첫 변경을 감지하면 저장돼 있던 원본을 1번 버전으로 함께 남기므로 이력은 항상 최초 수집본부터 시작합니다.
+   * 제목이 바뀌면 news_main.title_ct도 새 제목으로 갱신합니다.
+   */
+  async trackRevision(mainNewsId, previous, next) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+
+    // 제목 컬럼이 생기기 전 저장된 상세는 새 제목을 기준으로 본문만 비교
+    const previousTitle = previous.title_ct || next.title;
+    const previousHash = previous.title_ct
+      ? previous.content_hash_cd ||
+        hashRevision(previous.title_ct, previous.content_ct)
+      : hashRevision(previousTitle, previous.content_ct);
+    if (previousHash === next.hash) return null;
+
+    const last = await this.prisma.news_revision.findFirst({
+      where: { news_se: mainNewsId },
+      orderBy: { revision_no: 'desc' },
+      select: { revision_no: true },
+    });
+    let revisionNo = last ? last.revision_no : 0;
+    const rows = [];
+    if (!last) {
+      rows.push({
+        news_se: mainNewsId,
+        revision_no: ++revisionNo,
+        title_ct: previousTitle,
+        content_ct: previous.content_ct,
+        content_hash_cd: previousHash,
+        detected_dt: previous.reg_dt,
+      });
+    }
+    const titleDiff = diffTitle(previousTitle, next.title);
+    rows.push({
+      news_se: mainNewsId,
+      revision_no: ++revisionNo,
+      title_ct: next.title,
+      content_ct: next.content,
+      content_hash_cd: next.hash,
+      title_diff_ct: titleDiff,
+      content_diff_ct: diffContent(previous.content_ct, next.content),
+      detected_dt: getCurrentIsoTime(),
+    });
+
+    try {
+      await this.prisma.$transaction([
+        this.prisma.news_revision.createMany({ data: rows }),
+        ...(titleDiff && next.title
+          ? [
+              this.prisma.news_main.updateMany({
+                where: { news_se: mainNewsId },
+                data: { title_ct: next.title },
+              }),
+            ]
+          : []),
+      ]);
+    } catch (error) {
+      // 같은 기사의 재수집이 동시에 끝나 번호가 겹친 경우 (먼저 기록된 쪽 유지)
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+
+    console.log(
+      `기사 변경 감지: news_se=${mainNewsId}, 버전 ${revisionNo}${titleDiff ? ' (제목 변경)' : ''}`
+    );
+    return revisionNo;
+  }
+
+  /**
+   * 기사 버전 이력 조회
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Object} [options]
+   * @param {boolean} [options.includeContent=false] - 버전별 본문 전체 포함 여부
+   * @returns {Promise<Array<Object>>} revision_no 오름차순 (title_diff_ct는 배열로 변환)
+   */
+  async getNewsRevisions(mainNewsId, options = {}) {
+    const revisions = await this.prisma.news_revision.findMany({
+      where: { news_se: mainNewsId },
+      orderBy: { revision_no: 'asc' },
+      ...(options.includeContent ? {} : { omit: { content_ct: true } }),
+    });
+    return revisions.map(revision => ({
+      ...revision,
+      title_diff_ct: parseJsonOrNull(revision.title_diff_ct),
+    }));
+  }
+
+  /**
+   * 버전 비교 재수집 대상 조회 (최근 게시 기사 중 오래 전에 확인한 순)
+   * @param {number} hours - 게시 후 경과 시간 상한
+   * @param {number} limit - 최대 개수
+   * @param {string} crawlerName - 크롤러 이름
+   * @returns {Promise<Array<{news_se: number, url_lk: string}>>}
+   * @description FK/relation이 없으므로 news_detail JOIN과 정렬/LIMIT은 raw query로 DB에서 처리합니다.
+   * (최근 기사 전체를 IN 목록으로 만들지 않음)
+   */
+  async getNewsForRevisionCheck(hours, limit, crawlerName) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const since = new Date(getCurrentIsoTime().getTime() - hours * 3600000);
+    return this.prisma.$queryRaw`
+      SELECT m.news_se, m.url_lk FROM news_main m
+      JOIN news_detail d ON d.news_se = m.news_se
+      WHERE m.crawler_nm = ${crawlerName}
+        AND m.published_dt >= ${since}
+      ORDER BY d.updated_dt ASC, m.news_se ASC
+      LIMIT ${limit}
+    `;
+  }
+
+  /**
+   * 반응 지표 스냅샷 기록 (수집/재수집 시점별 조회·좋아요·댓글 수)
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Object} detailData - 상세 데이터 (viewCount/likeCount/commentCount, 미노출 지표는 null)
+   * @returns {Promise<Object|null>} 기록된 스냅샷, 페이지가 지표를 하나도 노출하지 않거나 기록에 실패하면 null
+   * @description 기록 실패는 경고만 남깁니다.
+   */
+  async recordMetricSnapshot(mainNewsId, detailData) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const data = {
+      view_va: detailData.viewCount ?? null,
+      like_va: detailData.likeCount ?? null,
+      comment_va: detailData.commentCount ?? null,
+    };
+    if (Object.values(data).every(value => value === null)) return null;
+
+    try {
+      return await this.prisma.news_metric_snapshot.create({
+        data: {
+          news_se: mainNewsId,
+          ...data,
+          captured_dt: getCurrentIsoTime(),
+        },
+      });
+    } catch (error) {
+      console.warn(
+        `반응 지표 스냅샷 기록 실패: news_se=${mainNewsId}`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * 반응 지표 스냅샷 조회
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @returns {Promise<Array<Object>>} captured_dt 오름차순 (추이 그래프용)
+   */
+  async getMetricSnapshots(mainNewsId) {
+    return this.prisma.news_metric_snapshot.findMany({
+      where: { news_se: mainNewsId },
+      orderBy: { captured_dt: 'asc' },
+    });
+  }
+
+  /**
+   * 기사 이미지 저장 (기존 이미지 교체)
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Array<{url: string, alt?: string, caption?: string, width?: number, height?: number}>} [images] - 본문 순서대로의 이미지
+   * @returns {Promise<number>} 저장된 이미지 수 (images 미지정 시 기존 이미지 유지, 0)
+   * @description 교체는 트랜잭션으로 처리하고, 저장 실패는 경고만 남깁니다(기존 이미지 유지, 0).
+   */
+  async saveNewsImages(mainNewsId, images) {
+    if (!Array.isArray(images)) return 0;
+    const rows = images
+      .filter(image => image && image.url && image.url.length <= 1000)
+      .map((image, index) => ({
+        news_se: mainNewsId,
+        image_lk: image.url,
+        alt_ct: image.alt ? image.alt.slice(0, 500) : null,
+        caption_ct: image.caption || null,
+        width_va: image.width || null,
+        height_va: image.height || null,
+        order_va: index,
+      }));
+
+    try {
+      await this.prisma.$transaction([
+        this.prisma.news_image.deleteMany({ where: { news_se: mainNewsId } }),
+        this.prisma.news_image.createMany({ data: rows }),
+      ]);
+      return rows.length;
+    } catch (error) {
+      console.warn(`이미지 저장 실패: news_se=${mainNewsId}`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * 기사 이미지 조회
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @returns {Promise<Array<Object>>} order_va 순 이미지
+   */
+  async getNewsImages(mainNewsId) {
+    return this.prisma.news_image.findMany({
+      where: { news_se: mainNewsId },
+      orderBy: { order_va: 'asc' },
+    });
+  }
+
+  /**
+   * 미러링 결과를 기사 이미지/대표 이미지에 연결
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Array<{url: string, hash: string|null}>} results - ImageMirror#mirrorAll 결과
+   * @returns {Promise<number>} 연결된 이미지 URL 수
+   * @description 원본 URL이 같은 news_image.media_hash_cd와 news_main.image_hash_cd를 기록합니다.
+   */
+  async linkMirroredImages(mainNewsId, results) {
+    const mirrored = results.filter(result => result.hash);
+    if (!mirrored.length) return 0;
+
+    const main = await this.prisma.news_main.findUnique({
+      where: { news_se: mainNewsId },
+      select: { image_lk: true },
+    });
+    const lead = main && mirrored.find(result => result.url === main.image_lk);
+
+    await this.prisma.$transaction([
+      ...mirrored.map(result =>
+        this.prisma.news_image.updateMany({
+          where: { news_se: mainNewsId, image_lk: result.url },
+          data: { media_hash_cd: result.hash },
+        })
+      ),
+      ...(lead
+        ? [
+            this.prisma.news_main.updateMany({
+              where: { news_se: mainNewsId },
+              data: { image_hash_cd: lead.hash },
+            }),
+          ]
+        : []),
+    ]);
+    return mirrored.length;
+  }
+
   /**
    * 뉴스 목록 조회
+   * @description options.collapse가 'cluster'이면 유사 기사 묶음마다 대표 기사 하나만 반환하고,
+   * 대표 기사에 묶음 기사 수(cluster_article_cnt)를 붙입니다. options.tag는 대소문자/공백/별칭을 무시하고
+   * 정규화한 태그로 거르며, 없는 태그면 빈 목록을 반환합니다. options.category는 별칭(예: 생활/문화)을 대표 카테고리로 바꿔 거릅니다.
    */
   async getNews(options = {}) {
-    const { page = 1, limit = 20, category, startDate, endDate } = options;
+    const {
+      page = 1,
+      limit = 20,
+      category,
+      tag,
+      startDate,
+      endDate,
+      collapse,
+    } = options;
 
     const skip = (page - 1) * limit;
 
@@ -103,7 +728,8 @@ class NewsService {
       const where = {};
 
       if (category) {
-        where.category_nm = category;
+        where.category_nm =
+          this.categoryService.canonicalize(category) || category;
       }
 
       if (startDate || endDate) {
@@ -112,31 +738,44 @@ class NewsService {
         if (endDate) where.published_dt.lte = new Date(endDate);
       }
 
-      const [news, total] = await Promise.all([
-        this.prisma.news_main.findMany({
-          where,
-          include: {
-            news_detail: {
-              select: {
-                author_nm: true,
-                source_nm: true,
-                view_va: true,
-                like_va: true,
-                comment_va: true,
-              },
+      if (collapse === 'cluster') {
+        where.OR = [{ cluster_se: null }, { cluster_rep_yn: true }];
+      }
+
+      let news = [];
+      let total = 0;
+      if (tag) {
+        const found = await this.tagService.findTag(tag);
+        if (found) {
+          ({ news, total } = await this.getTaggedNewsPage(found.id, {
+            category: where.category_nm,
+            startDate: where.published_dt && where.published_dt.gte,
+            endDate: where.published_dt && where.published_dt.lte,
+            collapse: collapse === 'cluster',
+            skip,
+            take: limit,
+          }));
+        }
+      } else {
+        [news, total] = await Promise.all([
+          this.prisma.news_main.findMany({
+            where,
+            orderBy: {
+              published_dt: 'desc',
             },
-          },
-          orderBy: {
-            published_dt: 'desc',
-          },
-          skip,
-          take: limit,
-        }),
-        this.prisma.news_main.count({ where }),
-      ]);
+            skip,
+            take: limit,
+          }),
+          this.prisma.news_main.count({ where }),
+        ]);
+      }
 
+      const withDetail = await this.attachDetailSummaries(news);
       return {
-        data: news,
+        data:
+          collapse === 'cluster'
+            ? await this.attachClusterCounts(withDetail)
+            : withDetail,
         pagination: {
           page,
           limit,
@@ -151,45 +790,187 @@ class NewsService {
   }
 
   /**
-   * 뉴스 상세 조회
+   * 태그가 달린 기사 한 페이지 조회 (getNews의 tag 필터)
+   * @param {number} tagId - tag_se
+   * @param {Object} filters
+   * @param {string} [filters.category] - 대표 카테고리명
+   * @param {Date} [filters.startDate] - 게시 시각 하한
+   * @param {Date} [filters.endDate] - 게시 시각 상한
+   * @param {boolean} [filters.collapse] - 묶음 대표 기사만
+   * @param {number} filters.skip
+   * @param {number} filters.take
+   * @returns {Promise<{news: Array<Object>, total: number}>} 게시 시각 역순 news_main 레코드와 전체 건수
+   * @description FK/relation이 없으므로 news_tag_map JOIN은 raw query로 DB에서 처리하고,
+   * 해당 페이지의 news_se만 다시 조회합니다. (태그 기사 전체를 IN 목록으로 만들지 않음)
+   */
+  async getTaggedNewsPage(tagId, filters) {
+    const category = filters.category || null;
+    const startDate = filters.startDate || null;
+    const endDate = filters.endDate || null;
+    const collapse = filters.collapse ? 1 : 0;
+
+    const [rows, counted] = await Promise.all([
+      this.prisma.$queryRaw`
+        SELECT m.news_se FROM news_main m
+        JOIN news_tag_map t ON t.news_se = m.news_se
+        WHERE t.tag_se = ${tagId}
+          AND (${category} IS NULL OR m.category_nm = ${category})
+          AND (${startDate} IS NULL OR m.published_dt >= ${startDate})
+          AND (${endDate} IS NULL OR m.published_dt <= ${endDate})
+          AND (${collapse} = 0 OR m.cluster_se IS NULL OR m.cluster_rep_yn = 1)
+        ORDER BY m.published_dt DESC, m.news_se DESC
+        LIMIT ${filters.take} OFFSET ${filters.skip}
+      `,
+      this.prisma.$queryRaw`
+        SELECT COUNT(*) AS cnt FROM news_main m
+        JOIN news_tag_map t ON t.news_se = m.news_se
+        WHERE t.tag_se = ${tagId}
+          AND (${category} IS NULL OR m.category_nm = ${category})
+          AND (${startDate} IS NULL OR m.published_dt >= ${startDate})
+          AND (${endDate} IS NULL OR m.published_dt <= ${endDate})
+          AND (${collapse} = 0 OR m.cluster_se IS NULL OR m.cluster_rep_yn = 1)
+      `,
+    ]);
+
+    const ids = rows.map(row => row.news_se);
+    const found = ids.length
+      ? await this.prisma.news_main.findMany({
+          where: { news_se: { in: ids } },
+        })
+      : [];
+    const rowById = new Map(found.map(row => [row.news_se, row]));
+    return {
+      news: ids.filter(id => rowById.has(id)).map(id => rowById.get(id)),
+      total: Number(counted[0].cnt),
+    };
+  }
+
+  /**
+   * 목록 기사에 상세 요약(기자/출처/반응 지표) 추가
+   * @param {Array<Object>} news - news_main 레코드 배열
+   * @returns {Promise<Array<Object>>} news_detail 포함 (상세가 아직 없는 기사는 null)
+   * @description FK/relation이 없으므로 include 대신 news_se 목록으로 한 번 더 조회해 합칩니다.
+   */
+  async attachDetailSummaries(news) {
+    const ids = news.map(item => item.news_se);
+    const details = ids.length
+      ? await this.prisma.news_detail.findMany({
+          where: { news_se: { in: ids } },
+          select: {
+            news_se: true,
+            author_nm: true,
+            source_nm: true,
+            view_va: true,
+            like_va: true,
+            comment_va: true,
+          },
+        })
+      : [];
+    const detailById = new Map(
+      details.map(({ news_se: id, ...detail }) => [id, detail])
+    );
+    return news.map(item => ({
+      ...item,
+      news_detail: detailById.get(item.news_se) || null,
+    }));
+  }
+
+  /**
+   * 묶음 대표 기사에 묶음 기사 수 추가
+   * @param {Array<Object>} news - news_main 레코드 배열
+   * @returns {Promise<Array<Object>>} cluster_article_cnt 포함 (묶이지 않은 기사는 1)
+   */
+  async attachClusterCounts(news) {
+    const clusterIds = [
+      ...new Set(news.map(item => item.cluster_se).filter(Boolean)),
+    ];
+    const clusters = clusterIds.length
+      ? await this.prisma.news_cluster.findMany({
+          where: { cluster_se: { in: clusterIds } },
+          select: { cluster_se: true, article_cnt: true },
+        })
+      : [];
+    const countById = new Map(
+      clusters.map(cluster => [cluster.cluster_se, cluster.article_cnt])
+    );
+    return news.map(item => ({
+      ...item,
+      cluster_article_cnt: countById.get(item.cluster_se) || 1,
+    }));
+  }
+
+  /**
+   * 뉴스 상세 조회 (news_detail 본문, news_image 이미지, 반응 지표 스냅샷, 본문 키워드 포함)
    */
   async getNewsDetail(id) {
     try {
+      const newsId = parseInt(id);
       const news = await this.prisma.news_main.findUnique({
-        where: { news_se: parseInt(id) },
-        include: {
-          news_detail: true,
-        },
+        where: { news_se: newsId },
       });
 
       if (!news) {
         throw new Error('뉴스를 찾을 수 없습니다.');
       }
 
-      return news;
+      // FK/relation이 없으므로 상세/이미지/지표 추이는 news_se로 따로 조회
+      const [detail, images, metrics, keywords] = await Promise.all([
+        this.prisma.news_detail.findUnique({ where: { news_se: newsId } }),
+        this.getNewsImages(newsId),
+        this.getMetricSnapshots(newsId),
+        this.keywordService.getKeywords(newsId),
+      ]);
+      return { ...news, news_detail: detail, images, metrics, keywords };
     } catch (error) {
       console.error('뉴스 상세 조회 에러:', error);
       throw error;
     }
   }
 
+  /**
+   * 메인 뉴스 단건 조회
+   * @param {number} id - news_se
+   * @returns {Promise<Object|null>} 없으면 null
+   */
+  async getMainNewsById(id) {
+    try {
+      return await this.prisma.news_main.findUnique({
+        where: { news_se: parseInt(id) },
+      });
+    } catch (error) {
+      console.error('메인 뉴스 조회 에러:', error);
+      throw error;
+    }
+  }
+
   /**
    * 기존 URL 목록 조회 (중복 체크용)
+   * @param {Array<string>} urls - 원본 URL
+   * @param {Object} [options] - 정규화 옵션 (stripParams: 사이트별 추가 제거 파라미터)
+   * @returns {Promise<Array<string>>} 이미 저장된 기사에 해당하는 입력 URL
+   * @description 정규 URL 해시(url_hash_cd)로 비교하고, 원본 URL(url_lk)이 같은 경우도 저장된 기사로 봅니다.
+   * 상세 단계에서 rel=canonical로 정규 URL이 바뀐 기사나 해시 백필 전 기사를 목록 URL 그대로 찾기 위함입니다.
    */
-  async getExistingUrls(urls) {
+  async getExistingUrls(urls, options = {}) {
     try {
+      const hashes = urls.map(url =>
+        hashUrl(canonicalizeUrl(url, options) || url)
+      );
       const existingNews = await this.prisma.news_main.findMany({
         where: {
-          url_lk: {
-            in: urls,
-          },
+          OR: [{ url_hash_cd: { in: hashes } }, { url_lk: { in: urls } }],
         },
         select: {
           url_lk: true,
+          url_hash_cd: true,
         },
       });
 
-      return existingNews.map(news => news.url_lk);
+      const knownHashes = new Set(existingNews.map(news => news.url_hash_cd));
+      const knownUrls = new Set(existingNews.map(news => news.url_lk));
+      return urls.filter(
+        (url, i) => knownHashes.has(hashes[i]) || knownUrls.has(url)
+      );
     } catch (error) {
       console.error('기존 URL 조회 에러:', error);
       return [];
@@ -198,11 +979,15 @@ class NewsService {
 
   /**
    * 크롤링 로그 생성
+   * @param {string} status - 상태 코드
+   * @param {string|null} message - 메시지
+   * @param {string|null} crawlerName - 로그를 남기는 크롤러 이름
    */
-  async createCrawlLog(status = 'started', message = null) {
+  async createCrawlLog(status = 'started', message = null, crawlerName = null) {
     try {
       const log = await this.prisma.news_crawl_log.create({
         data: {
+          crawler_nm: crawlerName,
           status_cd: status,
           message_ct: message,
         },
@@ -218,7 +1003,13 @@ class NewsService {
   /**
    * 크롤링 로그 업데이트
    */
-  async updateCrawlLog(logId, status, message = null, itemCount = null) {
+  async updateCrawlLog(
+    logId,
+    status,
+    message = null,
+    itemCount = null,
+    stats = null
+  ) {
     try {
       const endedAt = new Date();
       const log = await this.prisma.news_crawl_log.findUnique({
@@ -235,6 +1026,7 @@ class NewsService {
           item_va: itemCount,
           end_dt: endedAt,
           duration_va: duration,
+          stats_ct: stats ? JSON.stringify(stats) : null,
         },
       });
     } catch (error) {
@@ -242,19 +1034,66 @@ class NewsService {
     }
   }
 
+  /**
+   * 목록 URL의 HTTP 검증자(ETag / Last-Modified) 조회
+   * @param {string} url - 목록 페이지 URL
+   * @returns {Promise<{etag: string|null, lastModified: string|null}|null>} 저장된 값이 없으면 null
+   */
+  async getHttpValidators(url) {
+    try {
+      const cached = await this.prisma.crawl_http_cache.findUnique({
+        where: { url_lk: url },
+      });
+      if (!cached) return null;
+      return { etag: cached.etag_cd, lastModified: cached.last_modified_ct };
+    } catch (error) {
+      console.error('HTTP 검증자 조회 에러:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 목록 URL의 HTTP 검증자 저장 (없으면 생성)
+   * @param {string} url - 목록 페이지 URL
+   * @param {{etag: string|null, lastModified: string|null}} validators
+   */
+  async saveHttpValidators(url, validators) {
+    try {
+      const data = {
+        etag_cd: validators.etag || null,
+        last_modified_ct: validators.lastModified || null,
+        checked_dt: new Date(),
+      };
+      await this.prisma.crawl_http_cache.upsert({
+        where: { url_lk: url },
+        update: data,
+        create: { url_lk: url, ...data },
+      });
+    } catch (error) {
+      console.error('HTTP 검증자 저장 에러:', error);
+    }
+  }
+
   /**
    * 크롤링 로그 조회
+   * @param {number} limit - 최대 조회 수
+   * @param {string|null} crawlerName - 특정 크롤러 로그만 조회 (선택)
    */
-  async getCrawlLogs(limit = 50) {
+  async getCrawlLogs(limit = 50, crawlerName = null) {
     try {
       const logs = await this.prisma.news_crawl_log.findMany({
+        where: crawlerName ? { crawler_nm: crawlerName } : {},
         orderBy: {
           start_dt: 'desc',
         },
         take: limit,
       });
 
-      return logs;
+      // 실행 통계(JSON 문자열)를 객체로 변환
+      return logs.map(log => ({
+        ...log,
+        stats_ct: parseJsonOrNull(log.stats_ct),
+      }));
     } catch (error) {
       console.error('크롤링 로그 조회 에러:', error);
       throw error;
@@ -266,42 +1105,71 @@ class NewsService {
    */
   async getNewsStats() {
     try {
-      const [totalNews, todayNews, categoryStats, recentCrawls] =
-        await Promise.all([
-          // 전체 뉴스 수
-          this.prisma.news_main.count(),
-
-          // 오늘 크롤링된 뉴스 수
-          this.prisma.news_main.count({
-            where: {
-              crawled_dt: {
-                gte: new Date(new Date().setHours(0, 0, 0, 0)),
-              },
-            },
-          }),
+      const [
+        totalNews,
+        todayNews,
+        categoryStats,
+        recentCrawls,
+        sourceNewsStats,
+        sourceCrawlStats,
+      ] = await Promise.all([
+        // 전체 뉴스 수
+        this.prisma.news_main.count(),
 
-          // 카테고리별 통계
-          this.prisma.news_main.groupBy({
-            by: ['category_nm'],
-            _count: {
-              news_se: true,
+        // 오늘 크롤링된 뉴스 수
+        this.prisma.news_main.count({
+          where: {
+            crawled_dt: {
+              gte: new Date(new Date().setHours(0, 0, 0, 0)),
             },
-          }),
+          },
+        }),
 
-          // 최근 크롤링 상태
-          this.prisma.news_crawl_log.findMany({
-            orderBy: {
-              start_dt: 'desc',
-            },
-            take: 5,
-          }),
-        ]);
+        // 카테고리별 통계
+        this.prisma.news_main.groupBy({
+          by: ['category_nm'],
+          _count: {
+            news_se: true,
+          },
+        }),
+
+        // 최근 크롤링 상태
+        this.prisma.news_crawl_log.findMany({
+          orderBy: {
+            start_dt: 'desc',
+          },
+          take: 5,
+        }),
+
+        // 소스(크롤러)별 뉴스 수
+        this.prisma.news_main.groupBy({
+          by: ['crawler_nm'],
+          _count: {
+            news_se: true,
+          },
+        }),
+
+        // 소스(크롤러)별 크롤링 결과 집계
+        this.prisma.news_crawl_log.groupBy({
+          by: ['crawler_nm', 'status_cd'],
+          _count: {
+            crawl_log_se: true,
+          },
+          _sum: {
+            item_va: true,
+          },
+          _max: {
+            start_dt: true,
+          },
+        }),
+      ]);
 
       return {
         totalNews,
         todayNews,
         categoryStats,
         recentCrawls,
+        sourceStats: this.buildSourceStats(sourceNewsStats, sourceCrawlStats),
       };
     } catch (error) {
       console.error('뉴스 통계 조회 에러:', error);
@@ -309,6 +1177,46 @@ class NewsService {
     }
   }
 
+  /**
+   * 소스별 통계 병합
+   * @param {Array} newsStats - news_main crawler_nm groupBy 결과
+   * @param {Array} crawlStats - news_crawl_log crawler_nm/status_cd groupBy 결과
+   * @returns {Array<Object>} 소스별 뉴스 수 및 상태별 크롤링 집계
+   */
+  buildSourceStats(newsStats, crawlStats) {
+    const bySource = new Map();
+    const ensure = name => {
+      const key = name || 'unknown';
+      if (!bySource.has(key)) {
+        bySource.set(key, {
+          source: key,
+          newsCount: 0,
+          crawls: {},
+          lastCrawlAt: null,
+        });
+      }
+      return bySource.get(key);
+    };
+
+    newsStats.forEach(row => {
+      ensure(row.crawler_nm).newsCount = row._count.news_se;
+    });
+
+    crawlStats.forEach(row => {
+      const stat = ensure(row.crawler_nm);
+      stat.crawls[row.status_cd] = {
+        count: row._count.crawl_log_se,
+        itemCount: row._sum.item_va || 0,
+      };
+      const last = row._max.start_dt;
+      if (last && (!stat.lastCrawlAt || last > stat.lastCrawlAt)) {
+        stat.lastCrawlAt = last;
+      }
+    });
+
+    return Array.from(bySource.values());
+  }
+
   /**
    * 오래된 뉴스 삭제 (데이터 정리용)
    */
@@ -336,15 +1244,17 @@ class NewsService {
   /**
    * 상세 미존재 메인 뉴스 조회 (url_lk 기반 상세 크롤링 대상)
    * @param {number} limit - 최대 조회 수
+   * @param {string|null} crawlerName - 특정 크롤러가 수집한 뉴스만 조회 (선택)
    * @returns {Promise<Array>} news_main 레코드 배열
    */
-  async getMainNewsWithoutDetail(limit = 20) {
+  async getMainNewsWithoutDetail(limit = 20, crawlerName = null) {
     try {
       // 효율적 조회를 위해 LEFT JOIN 사용 (raw query)
       const rows = await this.prisma.$queryRaw`
         SELECT m.* FROM news_main m
         LEFT JOIN news_detail d ON m.news_se = d.news_se
         WHERE d.news_se IS NULL
+          AND (${crawlerName} IS NULL OR m.crawler_nm = ${crawlerName})
         ORDER BY m.published_dt DESC
         LIMIT ${limit}
       `;
@@ -357,3 +1267,4 @@ class NewsService {
 }
 
 module.exports = NewsService;
+module.exports.isExtractionFailed = isExtractionFailed;
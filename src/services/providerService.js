@@ -0,0 +1,367 @@
+/**
+ * @fileoverview 제공처(언론사) 서비스 클래스
+ * @description news_provider에 제공처 대표 이름/별칭/홈페이지 도메인/유형을 관리하고,
+ * 크롤러가 찾았지만 등록되지 않은 제공처 이름을 news_provider_candidate에 검토 대상으로 기록합니다.
+ */
+
+/**
+ * 제공처 유형 (wire: 통신사, broadcaster: 방송사, daily: 일간지, online: 인터넷 매체)
+ * @type {Array<string>}
+ */
+const PROVIDER_TYPES = ['wire', 'broadcaster', 'daily', 'online'];
+
+/**
+ * 후보 상태 (pending: 검토 대기, ignored: 제공처 아님으로 제외, registered: 제공처로 등록됨)
+ * @type {Object<string, string>}
+ */
+const CANDIDATE_STATUS = {
+  PENDING: 'pending',
+  IGNORED: 'ignored',
+  REGISTERED: 'registered',
+};
+
+/**
+ * 제공처 입력 에러 생성
+ * @param {string} message
+ * @param {string} code - INVALID_PROVIDER | PROVIDER_CONFLICT | PROVIDER_NOT_FOUND
+ * @returns {Error}
+ */
+function providerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 이름 비교 키 (대소문자/공백 무시)
+ * @param {string} name
+ * @returns {string}
+ */
+function nameKey(name) {
+  return String(name || '')
+    .replace(/\s+/g, '')
+    .toLowerCase();
+}
+
+/**
+ * 도메인 정규화 (스킴/경로/www. 제거, 소문자)
+ * @param {string|null} domain - 예: "https://www.yna.co.kr/", "yna.co.kr"
+ * @returns {string|null}
+ */
+function normalizeDomain(domain) {
+  if (!domain) return null;
+  const host = String(domain)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/:?#].*$/, '')
+    .replace(/^www\./, '');
+  return host || null;
+}
+
+/**
+ * DB 레코드 → 제공처 항목
+ * @param {Object} row - news_provider 레코드
+ * @returns {{id: number, name: string, aliases: Array<string>, domain: string|null, type: string, active: boolean}}
+ */
+function toProvider(row) {
+  let aliases = [];
+  try {
+    aliases = row.alias_ct ? JSON.parse(row.alias_ct) : [];
+  } catch (_) {
+    aliases = [];
+  }
+  return {
+    id: row.provider_se,
+    name: row.provider_nm,
+    aliases,
+    domain: row.domain_nm,
+    type: row.provider_type_cd,
+    active: row.use_yn,
+  };
+}
+
+/**
+ * 제공처 서비스 클래스
+ * @class ProviderService
+ */
+class ProviderService {
+  /**
+   * ProviderService 생성자
+   * @constructor
+   * @param {Object} prisma - Prisma 클라이언트 인스턴스
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * 제공처 목록 조회
+   * @async
+   * @param {Object} [options]
+   * @param {boolean} [options.activeOnly=false] - 사용 중(use_yn)인 제공처만
+   * @returns {Promise<Array<Object>>} 제공처 항목 (이름순)
+   */
+  async listProviders(options = {}) {
+    const rows = await this.prisma.news_provider.findMany({
+      where: options.activeOnly ? { use_yn: true } : {},
+      orderBy: { provider_nm: 'asc' },
+    });
+    return rows.map(toProvider);
+  }
+
+  /**
+   * 제공처 입력 검증/정규화
+   * @param {Object} input - { name, aliases, domain, type, active }
+   * @param {Object} [current] - 수정 시 기존 항목 (미지정 필드는 기존 값 유지)
+   * @returns {{name: string, aliases: Array<string>, domain: string|null, type: string, active: boolean}}
+   * @throws {Error} code = 'INVALID_PROVIDER'
+   */
+  normalizeInput(input, current = null) {
+    const name = String(
+      input.name !== undefined ? input.name : current ? current.name : ''
+    ).trim();
+    if (!name || name.length > 100) {
+      throw providerError(
+        '제공처 이름은 1~100자여야 합니다.',
+        'INVALID_PROVIDER'
+      );
+    }
+
+    const rawAliases =
+      input.aliases !== undefined
+        ? input.aliases
+        : current
+          ? current.aliases
+          : [];
+    if (
+      !Array.isArray(rawAliases) ||
+      rawAliases.some(alias => typeof alias !== 'string')
+    ) {
+      throw providerError(
+        '별칭(aliases)은 문자열 배열이어야 합니다.',
+        'INVALID_PROVIDER'
+      );
+    }
+    const aliases = [
+      ...new Set(rawAliases.map(alias => alias.trim()).filter(Boolean)),
+    ].filter(alias => nameKey(alias) !== nameKey(name));
+
+    const type =
+      input.type !== undefined ? input.type : current ? current.type : null;
+    if (!PROVIDER_TYPES.includes(type)) {
+      throw providerError(
+        `제공처 유형(type)은 ${PROVIDER_TYPES.join(' | ')} 중 하나여야 합니다.`,
+        'INVALID_PROVIDER'
+      );
+    }
+
+    return {
+      name,
+      aliases,
+      domain: normalizeDomain(
+        input.domain !== undefined ? input.domain : current && current.domain
+      ),
+      type,
+      active:
+        input.active !== undefined
+          ? input.active !== false
+          : current
+            ? current.active
+            : true,
+    };
+  }
+
+  /**
+   * 다른 제공처와 이름/별칭 중복 검사
+   * @async
+   * @param {Object} provider - normalizeInput 결과
+   * @param {number|null} exceptId - 수정 대상 ID (자기 자신 제외)
+   * @throws {Error} code = 'PROVIDER_CONFLICT'
+   */
+  async assertNoConflict(provider, exceptId = null) {
+    const keys = new Set([provider.name, ...provider.aliases].map(nameKey));
+    const others = (await this.listProviders()).filter(
+      other => other.id !== exceptId
+    );
+    const conflict = others.find(other =>
+      [other.name, ...other.aliases].some(name => keys.has(nameKey(name)))
+    );
+    if (conflict) {
+      throw providerError(
+        `이미 등록된 제공처와 이름/별칭이 겹칩니다: ${conflict.name}`,
+        'PROVIDER_CONFLICT'
+      );
+    }
+  }
+
+  /**
+   * 제공처 등록
+   * @async
+   * @param {Object} input - { name, aliases?, domain?, type, active? }
+   * @returns {Promise<Object>} 등록된 제공처 항목
+   * @throws {Error} code = 'INVALID_PROVIDER' | 'PROVIDER_CONFLICT'
+   * @description 이름/별칭과 같은 검토 대기 후보는 registered 상태로 바꿉니다.
+   */
+  async createProvider(input) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const provider = this.normalizeInput(input || {});
+    await this.assertNoConflict(provider);
+
+    const row = await this.prisma.news_provider.create({
+      data: {
+        provider_nm: provider.name,
+        alias_ct: JSON.stringify(provider.aliases),
+        domain_nm: provider.domain,
+        provider_type_cd: provider.type,
+        use_yn: provider.active,
+        reg_dt: getCurrentIsoTime(),
+        updated_dt: getCurrentIsoTime(),
+      },
+    });
+    await this.resolveCandidates([provider.name, ...provider.aliases]);
+    return toProvider(row);
+  }
+
+  /**
+   * 제공처 수정 (별칭 추가, 도메인/유형 변경, 사용 중지 등)
+   * @async
+   * @param {number} id - provider_se
+   * @param {Object} input - 바꿀 필드만 (name, aliases, domain, type, active)
+   * @returns {Promise<Object>} 수정된 제공처 항목
+   * @throws {Error} code = 'PROVIDER_NOT_FOUND' | 'INVALID_PROVIDER' | 'PROVIDER_CONFLICT'
+   */
+  async updateProvider(id, input) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const row = await this.prisma.news_provider.findUnique({
+      where: { provider_se: id },
+    });
+    if (!row) {
+      throw providerError('제공처를 찾을 수 없습니다.', 'PROVIDER_NOT_FOUND');
+    }
+
+    const provider = this.normalizeInput(input || {}, toProvider(row));
+    await this.assertNoConflict(provider, id);
+
+    const updated = await this.prisma.news_provider.update({
+      where: { provider_se: id },
+      data: {
+        provider_nm: provider.name,
+        alias_ct: JSON.stringify(provider.aliases),
+        domain_nm: provider.domain,
+        provider_type_cd: provider.type,
+        use_yn: provider.active,
+        updated_dt: getCurrentIsoTime(),
+      },
+    });
+    await this.resolveCandidates([provider.name, ...provider.aliases]);
+    return toProvider(updated);
+  }
+
+  /**
+   * 기본 제공처 목록 등록 (테이블이 비어 있을 때 1회)
+   * @async
+   * @param {Array<Object>} providers - config/providers.json 항목
+   * @returns {Promise<number>} 등록된 수
+   */
+  async seedProviders(providers) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const data = providers.map(input => {
+      const provider = this.normalizeInput(input);
+      return {
+        provider_nm: provider.name,
+        alias_ct: JSON.stringify(provider.aliases),
+        domain_nm: provider.domain,
+        provider_type_cd: provider.type,
+        use_yn: provider.active,
+        reg_dt: getCurrentIsoTime(),
+        updated_dt: getCurrentIsoTime(),
+      };
+    });
+    const result = await this.prisma.news_provider.createMany({
+      data,
+      skipDuplicates: true,
+    });
+    return result.count;
+  }
+
+  /**
+   * 미등록 제공처 후보 기록 (같은 이름이면 발견 횟수 누적)
+   * @async
+   * @param {string} name - 본문/제목에서 찾은 제공처 이름
+   * @param {Object} [context]
+   * @param {string} [context.crawlerName] - 발견한 크롤러
+   * @param {string} [context.url] - 발견한 기사 URL (검토용 예시)
+   * @returns {Promise<Object>} 후보 레코드
+   */
+  async recordCandidate(name, context = {}) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    const candidateName = String(name).trim().slice(0, 100);
+    const sample = {
+      crawler_nm: context.crawlerName || null,
+      sample_url_lk: context.url ? context.url.slice(0, 1000) : null,
+      last_seen_dt: getCurrentIsoTime(),
+    };
+    return this.prisma.news_provider_candidate.upsert({
+      where: { candidate_nm: candidateName },
+      update: { ...sample, seen_cnt: { increment: 1 } },
+      create: {
+        candidate_nm: candidateName,
+        ...sample,
+        first_seen_dt: getCurrentIsoTime(),
+      },
+    });
+  }
+
+  /**
+   * 제공처 후보 목록 조회
+   * @async
+   * @param {Object} [options]
+   * @param {string} [options.status='pending'] - pending | ignored | registered
+   * @param {number} [options.limit=100]
+   * @returns {Promise<Array<Object>>} 발견 횟수 내림차순
+   */
+  async listCandidates(options = {}) {
+    return this.prisma.news_provider_candidate.findMany({
+      where: { status_cd: options.status || CANDIDATE_STATUS.PENDING },
+      orderBy: [{ seen_cnt: 'desc' }, { last_seen_dt: 'desc' }],
+      take: options.limit || 100,
+    });
+  }
+
+  /**
+   * 제공처 후보 제외 처리 (제공처가 아닌 이름)
+   * @async
+   * @param {number} id - candidate_se
+   * @returns {Promise<boolean>} 처리 여부 (없으면 false)
+   */
+  async ignoreCandidate(id) {
+    const result = await this.prisma.news_provider_candidate.updateMany({
+      where: { candidate_se: id },
+      data: { status_cd: CANDIDATE_STATUS.IGNORED },
+    });
+    return result.count > 0;
+  }
+
+  /**
+   * 등록된 이름/별칭과 같은 후보를 registered 상태로 변경
+   * @async
+   * @param {Array<string>} names - 제공처 이름과 별칭
+   * @returns {Promise<void>}
+   */
+  async resolveCandidates(names) {
+    await this.prisma.news_provider_candidate.updateMany({
+      where: {
+        candidate_nm: { in: names },
+        status_cd: CANDIDATE_STATUS.PENDING,
+      },
+      data: { status_cd: CANDIDATE_STATUS.REGISTERED },
+    });
+  }
+}
+
+module.exports = ProviderService;
+module.exports.PROVIDER_TYPES = PROVIDER_TYPES;
+module.exports.CANDIDATE_STATUS = CANDIDATE_STATUS;
+module.exports.normalizeDomain = normalizeDomain;
+module.exports.nameKey = nameKey;
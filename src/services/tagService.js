@@ -0,0 +1,270 @@
+/**
+ * @fileoverview 태그 서비스 클래스
+ * @description 기사 태그를 정규화해 news_tag에 기록하고 news_tag_map으로 기사와 다대다로 연결합니다.
+ * 대소문자/공백/전각 문자 차이는 같은 태그로 보고(tag_key_cd), config/tag-aliases.json
+ * (또는 TAG_ALIASES_FILE)의 별칭은 대표 태그로 합칩니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 기본 태그 별칭 목록 파일 경로
+ * @type {string}
+ */
+const DEFAULT_TAG_ALIASES_FILE = path.join(
+  __dirname,
+  '..',
+  '..',
+  'config',
+  'tag-aliases.json'
+);
+
+/**
+ * 태그 출처 (page: 페이지 태그 영역, meta: keywords 메타, feed: 피드 카테고리)
+ * 기존 tags_ct에서 옮긴 태그는 출처를 알 수 없어 NULL입니다.
+ * @type {Object<string, string>}
+ */
+const TAG_SOURCES = {
+  PAGE: 'page',
+  META: 'meta',
+  FEED: 'feed',
+};
+
+/**
+ * 태그 최대 길이
+ * @type {number}
+ */
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * 표시용 태그 정리 (# 접두어 제거, 전각 → 반각, 공백 정리)
+ * @param {string} raw
+ * @returns {string} 사용할 수 없는 태그면 빈 문자열
+ */
+function cleanTagName(raw) {
+  const name = String(raw || '')
+    .normalize('NFKC')
+    .replace(/^#+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return name.length <= MAX_TAG_LENGTH ? name : '';
+}
+
+/**
+ * 태그 비교 키 (대소문자/공백 무시)
+ * @param {string} name - cleanTagName 결과
+ * @returns {string}
+ */
+function tagKey(name) {
+  return cleanTagName(name).replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * DB 레코드 → 태그 항목
+ * @param {Object} row - news_tag 레코드
+ * @param {number} [articleCount]
+ * @returns {{id: number, name: string, articleCount: number|undefined}}
+ */
+function toTag(row, articleCount) {
+  return { id: row.tag_se, name: row.tag_nm, articleCount };
+}
+
+/**
+ * 태그 서비스 클래스
+ * @class TagService
+ */
+class TagService {
+  /**
+   * TagService 생성자
+   * @constructor
+   * @param {Object} prisma - Prisma 클라이언트 인스턴스
+   * @param {Object} [options]
+   * @param {string} [options.aliasesFile] - 태그 별칭 목록 파일
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+
+    /**
+     * 별칭 키 → 대표 태그 이름
+     * @type {Map<string, string>}
+     */
+    this.aliases = TagService.loadAliases(
+      options.aliasesFile ||
+        process.env.TAG_ALIASES_FILE ||
+        DEFAULT_TAG_ALIASES_FILE
+    );
+  }
+
+  /**
+   * 태그 별칭 목록 파일 로드
+   * @param {string} filePath - { "대표 태그": ["별칭", ...] } 형식 JSON
+   * @returns {Map<string, string>} 별칭/대표 태그 키 → 대표 태그 이름
+   * @throws {Error} 형식이 맞지 않는 경우
+   */
+  static loadAliases(filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error(`태그 별칭 목록은 객체여야 합니다: ${filePath}`);
+    }
+
+    const aliases = new Map();
+    Object.entries(raw).forEach(([canonical, list]) => {
+      if (!Array.isArray(list)) {
+        throw new Error(
+          `태그 별칭은 배열이어야 합니다: ${canonical} (${filePath})`
+        );
+      }
+      const name = cleanTagName(canonical);
+      [name, ...list].forEach(alias => aliases.set(tagKey(alias), name));
+    });
+    return aliases;
+  }
+
+  /**
+   * 태그 정규화 (별칭은 대표 태그로)
+   * @param {string} raw - 페이지/메타/피드에서 읽은 태그
+   * @returns {{key: string, name: string}|null} 빈 태그/너무 긴 태그는 null
+   */
+  normalize(raw) {
+    const name = cleanTagName(raw);
+    if (!name) return null;
+    const canonical = this.aliases.get(tagKey(name)) || name;
+    return { key: tagKey(canonical), name: canonical };
+  }
+
+  /**
+   * 태그 레코드 등록 (이미 있으면 기존 레코드)
+   * @async
+   * @param {{key: string, name: string}} tag - normalize 결과
+   * @returns {Promise<Object>} news_tag 레코드
+   * @description 표시 이름은 처음 등록된 표기를 유지합니다.
+   */
+  async upsertTag(tag) {
+    const { getCurrentIsoTime } = require('../utils/commonUtils');
+    try {
+      return await this.prisma.news_tag.upsert({
+        where: { tag_key_cd: tag.key },
+        update: {},
+        create: {
+          tag_key_cd: tag.key,
+          tag_nm: tag.name,
+          reg_dt: getCurrentIsoTime(),
+        },
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      return this.prisma.news_tag.findUnique({
+        where: { tag_key_cd: tag.key },
+      });
+    }
+  }
+
+  /**
+   * 기사 태그 연결 교체
+   * @async
+   * @param {number} mainNewsId - 메인 뉴스 ID
+   * @param {Array<{name: string, source: string|null}>} tagList - 출처별 태그 (앞쪽 우선)
+   * @returns {Promise<number>} 연결된 태그 수
+   * @description 정규화 후 같은 태그는 먼저 나온 출처로 한 번만 연결합니다.
+   */
+  async linkArticleTags(mainNewsId, tagList) {
+    const unique = new Map();
+    (tagList || []).forEach(item => {
+      const tag = this.normalize(item.name);
+      if (tag && !unique.has(tag.key)) {
+        unique.set(tag.key, { ...tag, source: item.source || null });
+      }
+    });
+
+    const links = [];
+    for (const tag of unique.values()) {
+      const row = await this.upsertTag(tag);
+      links.push({
+        news_se: mainNewsId,
+        tag_se: row.tag_se,
+        tag_src_cd: tag.source,
+      });
+    }
+
+    await this.prisma.$transaction([
+      this.prisma.news_tag_map.deleteMany({ where: { news_se: mainNewsId } }),
+      this.prisma.news_tag_map.createMany({
+        data: links,
+        skipDuplicates: true,
+      }),
+    ]);
+    return links.length;
+  }
+
+  /**
+   * 태그 이름으로 조회 (대소문자/공백/별칭 무시)
+   * @async
+   * @param {string} name
+   * @returns {Promise<Object|null>} 태그 항목
+   */
+  async findTag(name) {
+    const tag = this.normalize(name);
+    if (!tag) return null;
+    const row = await this.prisma.news_tag.findUnique({
+      where: { tag_key_cd: tag.key },
+    });
+    return row ? toTag(row) : null;
+  }
+
+  /**
+   * 태그 목록 조회 (기사 수 내림차순)
+   * @async
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=50]
+   * @param {string} [options.name] - 이름 부분 일치
+   * @returns {Promise<{data: Array<Object>, pagination: Object}>} 기사가 연결된 태그만
+   */
+  async getTags(options = {}) {
+    const { page = 1, limit = 50, name } = options;
+    const where = {};
+    if (name) {
+      const matched = await this.prisma.news_tag.findMany({
+        where: { tag_nm: { contains: cleanTagName(name) } },
+        select: { tag_se: true },
+      });
+      where.tag_se = { in: matched.map(row => row.tag_se) };
+    }
+
+    const [counts, grouped] = await Promise.all([
+      this.prisma.news_tag_map.groupBy({
+        by: ['tag_se'],
+        where,
+        _count: { news_se: true },
+        orderBy: [{ _count: { news_se: 'desc' } }, { tag_se: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      this.prisma.news_tag_map.groupBy({ by: ['tag_se'], where }),
+    ]);
+    const rows = counts.length
+      ? await this.prisma.news_tag.findMany({
+          where: { tag_se: { in: counts.map(row => row.tag_se) } },
+        })
+      : [];
+    const rowById = new Map(rows.map(row => [row.tag_se, row]));
+    const total = grouped.length;
+
+    return {
+      data: counts
+        .filter(count => rowById.has(count.tag_se))
+        .map(count => toTag(rowById.get(count.tag_se), count._count.news_se)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = TagService;
+module.exports.TAG_SOURCES = TAG_SOURCES;
+module.exports.tagKey = tagKey;
@@ -10,4 +10,17 @@ function getCurrentIsoTime(day = 0) {
   return new Date(nowUtc.getTime() + addHours * 60 * 60 * 1000);
 }
 
-module.exports = { getCurrentIsoTime };
+/**
+ * 실제 시각(Date)을 getCurrentIsoTime()과 같은 KST 보정 기준으로 변환
+ * 피드/메타데이터에서 파싱한 정확한 시각을 저장 기준에 맞출 때 사용합니다.
+ * @param {Date|string|number} value 변환할 시각
+ * @returns {Date|null} 유효하지 않으면 null
+ */
+function toKstStoredTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(date.getTime() + 9 * 60 * 60 * 1000);
+}
+
+module.exports = { getCurrentIsoTime, toKstStoredTime };
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview 한국어 키워드용 토크나이저
+ * @description 형태소 분석기 없이 기사 본문에서 명사 위주의 토큰을 뽑습니다.
+ * 어절 끝의 조사를 떼고("정부는" → "정부"), "발표했다"처럼 명사+하다/되다 꼴은 명사만 남기며,
+ * 그 밖의 서술어 어미로 끝나는 어절과 불용어, 한 글자 토큰, 숫자는 버립니다.
+ */
+
+/**
+ * 어절 끝 조사 (긴 표기 우선)
+ * @type {Array<string>}
+ */
+const PARTICLES = [
+  '으로부터',
+  '에서부터',
+  '으로서는',
+  '으로써',
+  '으로서',
+  '에게서',
+  '이라고',
+  '이라는',
+  '이라며',
+  '에서는',
+  '에서도',
+  '에게는',
+  '으로는',
+  '으로도',
+  '에서의',
+  '까지는',
+  '부터는',
+  '라고',
+  '라는',
+  '라며',
+  '에서',
+  '에게',
+  '한테',
+  '께서',
+  '으로',
+  '처럼',
+  '보다',
+  '마다',
+  '조차',
+  '까지',
+  '부터',
+  '이나',
+  '이며',
+  '이고',
+  '과의',
+  '와의',
+  '에는',
+  '에도',
+  '로는',
+  '로서',
+  '로써',
+  '들이',
+  '들은',
+  '들을',
+  '들의',
+  '은',
+  '는',
+  '이',
+  '가',
+  '을',
+  '를',
+  '에',
+  '의',
+  '도',
+  '만',
+  '와',
+  '과',
+  '로',
+  '들',
+];
+
+/**
+ * 명사 뒤에 붙는 하다/되다/시키다 활용과 서술격 조사 (어절이 이것으로 끝나면 앞부분을 명사로 봄)
+ * @type {RegExp}
+ */
+const LIGHT_VERB_PATTERN = new RegExp(
+  [
+    // 발표하겠다, 발견되었다, 전망이었다, 주시하겠다고
+    '(?:하|되|시키|이)(?:겠다|였다|었다)(?:고|며|는)?',
+    // 발표했다, 투자한다고, 논의된다며, 전망이다
+    '(?:한다|했다|된다|됐다|시킨다|시켰다|이다)(?:고|며|는|면서)?',
+    // 발표하는, 확대될, 지원해
+    '(?:하는|하고|하며|하면|하기|하여|해야|했던|했고|했으며|되는|되고|되며|되면|시키는|입니다|할|한|해|될|된)',
+  ]
+    .map(source => `${source}$`)
+    .join('|')
+);
+
+/**
+ * 서술어 어미 (명사+하다 꼴이 아닌 동사/형용사 어절은 버림)
+ * @type {RegExp}
+ */
+const PREDICATE_ENDING_PATTERN =
+  /(겠다|니다|는데|지만|면서|어서|아서|으며|다며|다고|다는|려고|도록)$/;
+
+/**
+ * 과거 시제 서술어 확인 ("올랐다", "밝혔다"처럼 'ㅆ' 받침 뒤에 '다')
+ * @param {string} word - 한글 어절
+ * @returns {boolean}
+ */
+function isPastPredicate(word) {
+  if (word.length < 2 || !word.endsWith('다')) return false;
+  const code = word.charCodeAt(word.length - 2) - 0xac00;
+  // 종성 인덱스 20 = ㅆ
+  return code >= 0 && code % 28 === 20;
+}
+
+/**
+ * 토큰 최대 길이
+ * @type {number}
+ */
+const MAX_TOKEN_LENGTH = 30;
+
+/**
+ * 한글 어절에서 조사/활용 어미 떼기
+ * @param {string} word - 한글 어절
+ * @returns {string|null} 명사 후보, 서술어로 보이면 null
+ */
+function stemHangul(word) {
+  const lightVerb = word.match(LIGHT_VERB_PATTERN);
+  if (lightVerb) {
+    const stem = word.slice(0, -lightVerb[0].length);
+    return stem.length >= 2 ? stem : null;
+  }
+  if (PREDICATE_ENDING_PATTERN.test(word) || isPastPredicate(word)) {
+    return null;
+  }
+
+  for (const particle of PARTICLES) {
+    if (word.endsWith(particle) && word.length - particle.length >= 2) {
+      return word.slice(0, -particle.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * 텍스트 토큰화
+ * @param {string} text - 본문/제목
+ * @param {Set<string>} [stopwords] - 소문자 불용어
+ * @returns {Array<string>} 등장 순서대로의 토큰 (중복 포함, 영문은 소문자)
+ */
+function tokenize(text, stopwords = new Set()) {
+  const words = String(text || '')
+    .normalize('NFKC')
+    .match(
+      /[가-힣]+|[A-Za-z][A-Za-z0-9]*(?:[-.][A-Za-z0-9]+)*|[0-9]+[가-힣A-Za-z]*/g
+    );
+  if (!words) return [];
+
+  const tokens = [];
+  words.forEach(word => {
+    // "10조원" 같은 수량 표현은 키워드로 쓰지 않음
+    if (/^[0-9]/.test(word)) return;
+    const token = /^[가-힣]/.test(word) ? stemHangul(word) : word.toLowerCase();
+    if (
+      token &&
+      token.length >= 2 &&
+      token.length <= MAX_TOKEN_LENGTH &&
+      !stopwords.has(token)
+    ) {
+      tokens.push(token);
+    }
+  });
+  return tokens;
+}
+
+module.exports = {
+  tokenize,
+  stemHangul,
+};
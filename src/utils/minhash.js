@@ -0,0 +1,131 @@
+/**
+ * @fileoverview 본문 MinHash 지문
+ * @description 본문을 문자 4-gram 집합으로 보고 128개 해시의 최솟값(MinHash 서명)을 구합니다.
+ * 두 서명에서 값이 같은 자리의 비율은 n-gram 집합의 자카드 유사도 추정치입니다.
+ * 서명을 4개씩 32개 밴드로 나눈 밴드 키(LSH)가 하나라도 같은 기사만 후보로 비교하므로,
+ * 유사도 0.5 이상인 기사는 대부분(≈97%) 후보에 오르고 0.2 미만인 기사는 거의 오르지 않습니다.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 문자 n-gram 길이 (한국어는 조사가 붙어 단어보다 문자 단위가 안정적)
+ * @type {number}
+ */
+const SHINGLE_SIZE = 4;
+
+/**
+ * 서명 길이 (해시 함수 수)
+ * @type {number}
+ */
+const SIGNATURE_SIZE = 128;
+
+/**
+ * LSH 밴드 수 (밴드당 SIGNATURE_SIZE / BAND_COUNT 개 값)
+ * @type {number}
+ */
+const BAND_COUNT = 32;
+
+/**
+ * 비교용 정규화 (문자/숫자만 남기고 소문자화)
+ * @param {string|null} text
+ * @returns {string}
+ */
+function normalizeForFingerprint(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * 문자 n-gram 집합
+ * @param {string|null} text - 기사 본문
+ * @returns {Set<string>}
+ */
+function shingle(text) {
+  const chars = Array.from(normalizeForFingerprint(text));
+  const grams = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= chars.length; i++) {
+    grams.add(chars.slice(i, i + SHINGLE_SIZE).join(''));
+  }
+  return grams;
+}
+
+/**
+ * 본문 MinHash 서명 계산
+ * @param {string|null} text - 기사 본문
+ * @returns {{signature: Array<number>, shingleCount: number}|null} n-gram이 없으면 null
+ * @description i번째 해시는 n-gram의 MD5에서 얻은 두 32비트 값 h1, h2로 h1 + i·h2 (mod 2^32)입니다.
+ */
+function computeMinHash(text) {
+  const grams = shingle(text);
+  if (!grams.size) return null;
+
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  grams.forEach(gram => {
+    const digest = crypto.createHash('md5').update(gram).digest();
+    const h1 = digest.readUInt32BE(0);
+    const h2 = digest.readUInt32BE(4) | 1;
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const value = (h1 + Math.imul(i, h2)) >>> 0;
+      if (value < signature[i]) signature[i] = value;
+    }
+  });
+  return { signature, shingleCount: grams.size };
+}
+
+/**
+ * 서명 직렬화 (news_fingerprint.signature_ct, 값당 8자리 hex)
+ * @param {Array<number>} signature
+ * @returns {string}
+ */
+function serializeSignature(signature) {
+  return signature.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * 서명 역직렬화
+ * @param {string} serialized - serializeSignature 결과
+ * @returns {Array<number>}
+ */
+function parseSignature(serialized) {
+  return serialized.match(/.{8}/g).map(hex => parseInt(hex, 16));
+}
+
+/**
+ * 두 서명의 자카드 유사도 추정
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} 0~1
+ */
+function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / SIGNATURE_SIZE;
+}
+
+/**
+ * LSH 밴드 키 (news_fingerprint_band.band_key_cd)
+ * @param {Array<number>} signature
+ * @returns {Array<string>} 밴드 순서대로 16자리 hex (밴드 번호 포함 해시라 밴드끼리 겹치지 않음)
+ */
+function bandKeys(signature) {
+  const rows = SIGNATURE_SIZE / BAND_COUNT;
+  return Array.from({ length: BAND_COUNT }, (_, band) =>
+    crypto
+      .createHash('md5')
+      .update(`${band}:${signature.slice(band * rows, (band + 1) * rows)}`)
+      .digest('hex')
+      .slice(0, 16)
+  );
+}
+
+module.exports = {
+  computeMinHash,
+  serializeSignature,
+  parseSignature,
+  estimateSimilarity,
+  bandKeys,
+};
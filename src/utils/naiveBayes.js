@@ -0,0 +1,179 @@
+/**
+ * @fileoverview 다항 나이브 베이즈 분류기
+ * @description 문서별 단어 빈도로 카테고리별 단어 분포를 학습하고, 새 문서의 카테고리별 사후 확률을 계산합니다.
+ * 긴 기사일수록 확률이 0/1로 쏠리는 것을 줄이기 위해 단어 빈도는 1 + ln(tf)로 눌러 씁니다.
+ * 모델은 JSON으로 저장할 수 있도록 원시 빈도만 담고, 로그 확률은 불러올 때 계산합니다.
+ */
+
+/**
+ * 라플라스 평활 계수
+ * @type {number}
+ */
+const SMOOTHING = 1;
+
+/**
+ * 단어 빈도 완화 (1 + ln(tf))
+ * @param {number} count
+ * @returns {number}
+ */
+function dampen(count) {
+  return count > 0 ? 1 + Math.log(count) : 0;
+}
+
+/**
+ * 모델 학습
+ * @param {Array<{label: string, counts: Map<string, number>}>} documents - 정답 카테고리와 단어 빈도
+ * @param {Object} [options]
+ * @param {number} [options.minDocuments=2] - 이보다 적은 문서에 나온 단어는 버림
+ * @param {number} [options.maxVocabulary=30000] - 문서 빈도 상위 단어만 사용
+ * @returns {{labels: Array<string>, documentCounts: Array<number>, vocabulary: Object<string, Array<number>>}}
+ * 카테고리 목록, 카테고리별 문서 수, 단어 → 카테고리별 (완화한) 빈도
+ */
+function trainNaiveBayes(documents, options = {}) {
+  const { minDocuments = 2, maxVocabulary = 30000 } = options;
+  const labels = [...new Set(documents.map(doc => doc.label))].sort();
+  const labelIndex = new Map(labels.map((label, index) => [label, index]));
+
+  const documentFrequency = new Map();
+  documents.forEach(doc =>
+    doc.counts.forEach((_, term) =>
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+    )
+  );
+  const terms = new Set(
+    [...documentFrequency.entries()]
+      .filter(([, df]) => df >= minDocuments)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, maxVocabulary)
+      .map(([term]) => term)
+  );
+
+  const documentCounts = labels.map(() => 0);
+  const vocabulary = {};
+  documents.forEach(doc => {
+    const index = labelIndex.get(doc.label);
+    documentCounts[index]++;
+    doc.counts.forEach((count, term) => {
+      if (!terms.has(term)) return;
+      if (!vocabulary[term]) vocabulary[term] = labels.map(() => 0);
+      vocabulary[term][index] += dampen(count);
+    });
+  });
+  Object.values(vocabulary).forEach(row =>
+    row.forEach((value, index) => {
+      row[index] = Math.round(value * 1000) / 1000;
+    })
+  );
+
+  return { labels, documentCounts, vocabulary };
+}
+
+/**
+ * 저장된 모델을 예측용으로 준비 (로그 확률 계산)
+ * @param {{labels: Array<string>, documentCounts: Array<number>, vocabulary: Object<string, Array<number>>}} model
+ * @returns {{labels: Array<string>, logPriors: Array<number>, logLikelihoods: Map<string, Array<number>>}}
+ */
+function compileModel(model) {
+  const { labels, documentCounts, vocabulary } = model;
+  const totalDocuments = documentCounts.reduce((sum, count) => sum + count, 0);
+  const vocabularySize = Object.keys(vocabulary).length;
+  const totals = labels.map((_, index) =>
+    Object.values(vocabulary).reduce((sum, row) => sum + row[index], 0)
+  );
+  const denominators = totals.map(total => total + SMOOTHING * vocabularySize);
+
+  const logLikelihoods = new Map();
+  Object.entries(vocabulary).forEach(([term, row]) => {
+    logLikelihoods.set(
+      term,
+      row.map((value, index) =>
+        Math.log((value + SMOOTHING) / denominators[index])
+      )
+    );
+  });
+
+  return {
+    labels,
+    logPriors: documentCounts.map(count => Math.log(count / totalDocuments)),
+    logLikelihoods,
+  };
+}
+
+/**
+ * 카테고리별 사후 확률 계산
+ * @param {Object} compiled - compileModel 결과
+ * @param {Map<string, number>} counts - 문서 단어 빈도
+ * @returns {Array<{label: string, probability: number}>} 확률 내림차순 (어휘에 없는 단어는 무시), 아는 단어가 없으면 빈 배열
+ */
+function predictNaiveBayes(compiled, counts) {
+  const scores = [...compiled.logPriors];
+  let known = 0;
+  counts.forEach((count, term) => {
+    const row = compiled.logLikelihoods.get(term);
+    if (!row) return;
+    known++;
+    const weight = dampen(count);
+    row.forEach((logLikelihood, index) => {
+      scores[index] += weight * logLikelihood;
+    });
+  });
+  if (!known) return [];
+
+  // log-sum-exp로 정규화
+  const max = Math.max(...scores);
+  const exps = scores.map(score => Math.exp(score - max));
+  const sum = exps.reduce((total, value) => total + value, 0);
+  return compiled.labels
+    .map((label, index) => ({ label, probability: exps[index] / sum }))
+    .sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * 카테고리별 평가 지표
+ * @param {Array<{actual: string, predicted: string|null}>} results - 평가 문서별 정답/예측
+ * @param {Array<string>} labels - 카테고리 목록
+ * @returns {{accuracy: number, macroF1: number, total: number, categories: Object<string, Object>}}
+ * 카테고리별 precision/recall/f1/support (macroF1은 평가 기사가 있는 카테고리 평균)
+ */
+function evaluateClassifier(results, labels) {
+  const round = value => Math.round(value * 10000) / 10000;
+  const categories = {};
+  labels.forEach(label => {
+    const truePositive = results.filter(
+      r => r.actual === label && r.predicted === label
+    ).length;
+    const predicted = results.filter(r => r.predicted === label).length;
+    const support = results.filter(r => r.actual === label).length;
+    const precision = predicted ? truePositive / predicted : 0;
+    const recall = support ? truePositive / support : 0;
+    const f1 =
+      precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    categories[label] = {
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(f1),
+      support,
+    };
+  });
+
+  const correct = results.filter(r => r.actual === r.predicted).length;
+  // 평가 기사가 없는 카테고리는 macro 평균에서 제외
+  const f1s = Object.values(categories)
+    .filter(metric => metric.support)
+    .map(metric => metric.f1);
+  return {
+    accuracy: results.length ? round(correct / results.length) : 0,
+    macroF1: f1s.length
+      ? round(f1s.reduce((sum, f1) => sum + f1, 0) / f1s.length)
+      : 0,
+    total: results.length,
+    categories,
+  };
+}
+
+module.exports = {
+  trainNaiveBayes,
+  compileModel,
+  predictNaiveBayes,
+  evaluateClassifier,
+};
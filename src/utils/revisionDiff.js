@@ -0,0 +1,68 @@
+/**
+ * @fileoverview 기사 버전 비교 유틸리티
+ * @description 재수집한 제목/본문이 저장된 버전과 다른지 해시로 판정하고, 변경 내용을 diff로 만듭니다.
+ */
+
+const crypto = require('crypto');
+const { diffWordsWithSpace, createPatch, FILE_HEADERS_ONLY } = require('diff');
+
+/**
+ * 비교용 정규화 (공백/NBSP 차이는 변경으로 보지 않음)
+ * @param {string|null} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * 제목+본문 버전 해시 (SHA-256 hex)
+ * @param {string|null} title - 제목
+ * @param {string|null} content - 본문
+ * @returns {string}
+ */
+function hashRevision(title, content) {
+  return crypto
+    .createHash('sha256')
+    .update(`${normalizeText(title)}\n\n${normalizeText(content)}`)
+    .digest('hex');
+}
+
+/**
+ * 제목 단어 단위 diff
+ * @param {string|null} before - 이전 제목
+ * @param {string|null} after - 새 제목
+ * @returns {string|null} JSON 배열 `[[op, text], ...]` (op: -1 삭제, 0 유지, 1 추가), 변경 없으면 null
+ */
+function diffTitle(before, after) {
+  const a = normalizeText(before);
+  const b = normalizeText(after);
+  if (a === b) return null;
+  const parts = diffWordsWithSpace(a, b).map(part => [
+    part.added ? 1 : part.removed ? -1 : 0,
+    part.value,
+  ]);
+  return JSON.stringify(parts);
+}
+
+/**
+ * 본문 줄(문단) 단위 unified diff
+ * @param {string|null} before - 이전 본문
+ * @param {string|null} after - 새 본문
+ * @returns {string|null} unified diff 텍스트, 변경 없으면 null
+ */
+function diffContent(before, after) {
+  const a = normalizeText(before);
+  const b = normalizeText(after);
+  if (a === b) return null;
+  return createPatch('content', `${a}\n`, `${b}\n`, '', '', {
+    context: 1,
+    headerOptions: FILE_HEADERS_ONLY,
+  });
+}
+
+module.exports = { hashRevision, diffTitle, diffContent, normalizeText };
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview 기사 URL 정규화
+ * @description 같은 기사가 쿼리스트링/프래그먼트/끝 슬래시/http 스킴 차이로 중복 저장되지 않도록
+ * 비교용 정규 URL과 그 해시(news_main.url_hash_cd, 실제 유니크 키)를 만듭니다.
+ * 요청에는 원본 URL(url_lk)을 그대로 사용합니다.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 제거할 추적 파라미터 (소문자)
+ * @type {Set<string>}
+ */
+const TRACKING_PARAMS = new Set([
+  'fbclid',
+  'gclid',
+  'gclsrc',
+  'dclid',
+  'msclkid',
+  'yclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_gl',
+  'ref_src',
+  'cmpid',
+  'ncid',
+  'ocid',
+  's_cid',
+]);
+
+/**
+ * 제거할 추적 파라미터 접두사 (utm_source, pk_campaign 등)
+ * @type {Array<string>}
+ */
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hmb_'];
+
+/**
+ * 추적 파라미터 여부
+ * @param {string} key - 쿼리 파라미터 이름
+ * @param {Set<string>} extra - 사이트별 추가 제거 파라미터 (소문자)
+ * @returns {boolean}
+ */
+function isTrackingParam(key, extra) {
+  const lower = key.toLowerCase();
+  return (
+    TRACKING_PARAMS.has(lower) ||
+    extra.has(lower) ||
+    TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix))
+  );
+}
+
+/**
+ * 경로의 불필요한 퍼센트 인코딩 복원 (영숫자와 - . _ ~) 및 나머지 대문자화
+ * @param {string} pathname
+ * @returns {string}
+ */
+function normalizePercentEncoding(pathname) {
+  return pathname.replace(/%([0-9a-f]{2})/gi, (_, hex) => {
+    const char = String.fromCharCode(parseInt(hex, 16));
+    return /[A-Za-z0-9\-._~]/.test(char) ? char : `%${hex.toUpperCase()}`;
+  });
+}
+
+/**
+ * 기사 URL 정규화
+ * @param {string} url - 원본 URL (상대 경로면 options.base 기준)
+ * @param {Object} [options]
+ * @param {string} [options.base] - 상대 URL 기준
+ * @param {Array<string>} [options.stripParams] - 사이트별 추가 제거 쿼리 파라미터
+ * @returns {string|null} 정규 URL, http(s) URL이 아니면 null
+ * @description https 스킴, 소문자 호스트(www. 제거), 기본 포트/인증 정보/프래그먼트 제거,
+ * 중복·끝 슬래시 제거, 추적 파라미터 제거 후 파라미터 이름순 정렬. 여러 번 적용해도 결과가 같습니다.
+ */
+function canonicalizeUrl(url, options = {}) {
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim(), options.base);
+  } catch (_) {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.replace(/^www\./, '').replace(/\.$/, '');
+  if (parsed.port === '80' || parsed.port === '443') parsed.port = '';
+  parsed.username = '';
+  parsed.password = '';
+  parsed.hash = '';
+
+  let pathname = normalizePercentEncoding(
+    parsed.pathname.replace(/\/{2,}/g, '/')
+  );
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '');
+  parsed.pathname = pathname;
+
+  const extra = new Set(
+    (options.stripParams || []).map(key => key.toLowerCase())
+  );
+  const params = new URLSearchParams(
+    [...parsed.searchParams].filter(([key]) => !isTrackingParam(key, extra))
+  );
+  params.sort();
+  parsed.search = params.toString();
+
+  return parsed.toString();
+}
+
+/**
+ * 정규 URL 해시 (SHA-256 hex, news_main.url_hash_cd)
+ * @param {string} canonicalUrl - canonicalizeUrl 결과
+ * @returns {string}
+ */
+function hashUrl(canonicalUrl) {
+  return crypto.createHash('sha256').update(canonicalUrl).digest('hex');
+}
+
+/**
+ * 상세 페이지 `<link rel="canonical">` 해석
+ * @param {Function} $ - cheerio 루트
+ * @param {string} pageUrl - 페이지 URL (상대 경로 기준, 호스트 비교 대상)
+ * @param {Object} [options] - canonicalizeUrl 옵션 (stripParams)
+ * @returns {string|null} 정규화된 canonical URL
+ * @description 다른 호스트를 가리키거나(신디케이션 원문) 루트 경로인(잘못된 설정) canonical은 무시합니다.
+ */
+function resolveCanonicalLink($, pageUrl, options = {}) {
+  const href = $('link[rel~="canonical"]').first().attr('href');
+  const canonical = canonicalizeUrl(href, { ...options, base: pageUrl });
+  const page = canonicalizeUrl(pageUrl, options);
+  if (!canonical || !page) return null;
+
+  const canonicalParsed = new URL(canonical);
+  if (canonicalParsed.host !== new URL(page).host) return null;
+  if (canonicalParsed.pathname === '/' && !canonicalParsed.search) return null;
+  return canonical;
+}
+
+module.exports = {
+  canonicalizeUrl,
+  hashUrl,
+  resolveCanonicalLink,
+  TRACKING_PARAMS,
+};
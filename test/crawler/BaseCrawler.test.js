@@ -0,0 +1,156 @@
+/**
+ * @fileoverview BaseCrawler 목록 검증자 테스트
+ * @description 목록 페이지 검증자(ETag/Last-Modified)를 실행별로 보관하고,
+ * 목록의 메인 저장이 모두 성공한 경우에만 저장하는지 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const BaseCrawler = require('../../src/crawler/BaseCrawler');
+const { JOB_TYPES } = require('../../src/services/crawlJobService');
+
+/**
+ * 메인 저장/검증자 저장만 기록하는 뉴스 서비스 대역
+ * @param {Set<string>} [failingUrls] - 메인 저장이 실패할 기사 URL
+ * @returns {Object}
+ */
+function createNewsService(failingUrls = new Set()) {
+  return {
+    savedValidators: [],
+    getHttpValidators: async () => null,
+    saveHttpValidators: async function (url, validators) {
+      this.savedValidators.push({ url, ...validators });
+    },
+    getExistingUrls: async () => [],
+    saveMainNews: async article => {
+      if (failingUrls.has(article.url)) throw new Error('DB 연결 끊김');
+      return { news_se: article.url.length };
+    },
+  };
+}
+
+/**
+ * 카테고리마다 고정 기사를 돌려주는 테스트 크롤러
+ * @extends BaseCrawler
+ */
+class ListingCrawler extends BaseCrawler {
+  /**
+   * @param {Object} newsService
+   * @param {Object<string, Array<string>>} listings - 목록 URL → 기사 URL 배열
+   */
+  constructor(newsService, listings) {
+    super(newsService, { name: 'ListingCrawler' });
+    this.robotsPolicy = null;
+    this.listings = listings;
+    this.categories = Object.keys(listings).map(url => ({
+      url,
+      category: '정치',
+    }));
+    this.failingListings = new Set();
+    this.crawlAndSaveDetailNews = async () => {};
+  }
+
+  async fetchPage(url) {
+    await new Promise(resolve => setImmediate(resolve));
+    return { status: 200, headers: { etag: `"${url}"` }, data: '' };
+  }
+
+  async crawlCategoryNews(categoryUrl, categoryName) {
+    await this.fetchListingPage(categoryUrl);
+    if (this.failingListings.has(categoryUrl)) {
+      throw new Error('2페이지 요청 실패');
+    }
+    return this.listings[categoryUrl].map(url => ({
+      title: '테스트 기사 제목',
+      url,
+      category: categoryName,
+    }));
+  }
+}
+
+const LIST_A = 'https://news.example.com/section/a';
+const LIST_B = 'https://news.example.com/section/b';
+
+test('메인 저장이 모두 성공한 목록의 검증자만 저장한다', async () => {
+  const newsService = createNewsService(
+    new Set(['https://news.example.com/b/2'])
+  );
+  const crawler = new ListingCrawler(newsService, {
+    [LIST_A]: ['https://news.example.com/a/1'],
+    [LIST_B]: ['https://news.example.com/b/1', 'https://news.example.com/b/2'],
+  });
+
+  const itemCount = await crawler.runListing(async () =>
+    crawler.saveArticles(await crawler.collectArticles())
+  );
+
+  assert.equal(itemCount, 2);
+  assert.deepEqual(newsService.savedValidators, [
+    { url: LIST_A, etag: `"${LIST_A}"`, lastModified: null },
+  ]);
+});
+
+test('수집 중 실패한 카테고리 목록의 검증자는 저장하지 않는다', async () => {
+  const newsService = createNewsService();
+  const crawler = new ListingCrawler(newsService, {
+    [LIST_A]: ['https://news.example.com/a/1'],
+    [LIST_B]: ['https://news.example.com/b/1'],
+  });
+  crawler.failingListings.add(LIST_B);
+
+  await crawler.runListing(async () =>
+    crawler.saveArticles(await crawler.collectArticles())
+  );
+
+  assert.deepEqual(
+    newsService.savedValidators.map(v => v.url),
+    [LIST_A]
+  );
+});
+
+test('실행이 실패하면 그 실행의 검증자는 저장하지 않는다', async () => {
+  const newsService = createNewsService();
+  const crawler = new ListingCrawler(newsService, {
+    [LIST_A]: ['https://news.example.com/a/1'],
+  });
+
+  await assert.rejects(
+    crawler.runListing(async () => {
+      await crawler.collectArticles();
+      throw new Error('크롤링 로그 갱신 실패');
+    }),
+    /크롤링 로그 갱신 실패/
+  );
+  assert.deepEqual(newsService.savedValidators, []);
+});
+
+test('동시에 진행되는 crawlNews 실행과 목록 작업은 검증자를 공유하지 않는다', async () => {
+  const newsService = createNewsService(
+    new Set(['https://news.example.com/a/1'])
+  );
+  const crawler = new ListingCrawler(newsService, {
+    [LIST_A]: ['https://news.example.com/a/1'],
+    [LIST_B]: ['https://news.example.com/b/1'],
+  });
+  crawler.categories = [{ url: LIST_A, category: '정치' }];
+
+  const [collected, job] = await Promise.all([
+    crawler.runListing(async () =>
+      crawler.saveArticles(await crawler.collectArticles())
+    ),
+    crawler.runJob({
+      job_type_cd: JOB_TYPES.LIST,
+      url_lk: LIST_B,
+      payload_ct: JSON.stringify({ category: '경제' }),
+    }),
+  ]);
+
+  assert.equal(collected, 0);
+  assert.deepEqual(job, { itemCount: 1 });
+  // 목록 작업은 자기 목록만 저장하고, crawlNews 쪽 실패 목록(A)은 어느 실행에서도 저장되지 않음
+  assert.deepEqual(
+    newsService.savedValidators.map(v => v.url),
+    [LIST_B]
+  );
+});
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview RequestScheduler 테스트
+ * @description 가짜 타이머로 호스트별 토큰 버킷(버스트/충전/Crawl-delay/보류)과 전역 동시 요청 상한을 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RequestScheduler = require('../../src/crawler/RequestScheduler');
+
+/**
+ * 대기 중인 then 콜백 실행
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * 바깥에서 끝낼 수 있는 작업
+ * @returns {{promise: Promise<void>, resolve: Function}}
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+/**
+ * 시작된 요청 URL을 기록하며 예약
+ * @param {RequestScheduler} scheduler
+ * @param {Array<string>} urls
+ * @param {Object} [options] - schedule 옵션
+ * @returns {{started: Array<string>, done: Promise<Array>}}
+ */
+function scheduleAll(scheduler, urls, options) {
+  const started = [];
+  const done = Promise.all(
+    urls.map(url =>
+      scheduler.schedule(
+        url,
+        async () => {
+          started.push(url);
+          return url;
+        },
+        options
+      )
+    )
+  );
+  return { started, done };
+}
+
+test('같은 호스트는 버스트만큼 바로 실행하고 이후 간격마다 하나씩', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const scheduler = new RequestScheduler({
+    maxConcurrent: 10,
+    hostIntervalMs: 1000,
+    hostBurst: 2,
+  });
+  const urls = [1, 2, 3, 4].map(n => `https://a.example.com/${n}`);
+  const { started, done } = scheduleAll(scheduler, urls);
+
+  await flush();
+  assert.equal(started.length, 2);
+  assert.equal(scheduler.getStatus().queued, 2);
+
+  t.mock.timers.tick(999);
+  await flush();
+  assert.equal(started.length, 2);
+
+  t.mock.timers.tick(1);
+  await flush();
+  assert.equal(started.length, 3);
+
+  t.mock.timers.tick(1000);
+  await flush();
+  assert.deepEqual(started, urls);
+  assert.deepEqual(await done, urls);
+});
+
+test('호스트 한도에 걸린 요청은 건너뛰고 다른 호스트 요청을 먼저 실행', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const scheduler = new RequestScheduler({
+    maxConcurrent: 10,
+    hostIntervalMs: 1000,
+    hostBurst: 1,
+  });
+  const { started } = scheduleAll(scheduler, [
+    'https://a.example.com/1',
+    'https://a.example.com/2',
+    'https://b.example.com/1',
+  ]);
+
+  await flush();
+  assert.deepEqual(started, [
+    'https://a.example.com/1',
+    'https://b.example.com/1',
+  ]);
+  t.mock.timers.tick(1000);
+  await flush();
+  assert.equal(started.length, 3);
+});
+
+test('동시 schedule() 호출에도 전역 동시 요청 상한 유지', async () => {
+  const scheduler = new RequestScheduler({
+    maxConcurrent: 3,
+    hostIntervalMs: 1,
+    hostBurst: 100,
+  });
+  const gates = [];
+  let active = 0;
+  let peak = 0;
+
+  const results = Promise.all(
+    Array.from({ length: 12 }, (_, i) =>
+      scheduler.schedule(`https://host${i % 4}.example.com/${i}`, async () => {
+        active++;
+        peak = Math.max(peak, active);
+        const gate = deferred();
+        gates.push(gate);
+        await gate.promise;
+        active--;
+        return i;
+      })
+    )
+  );
+
+  while (gates.length < 12) {
+    await flush();
+    assert.ok(scheduler.getStatus().active <= 3);
+    const open = gates.filter(gate => !gate.done);
+    assert.ok(open.length <= 3);
+    open.forEach(gate => {
+      gate.done = true;
+      gate.resolve();
+    });
+  }
+  gates.forEach(gate => gate.resolve());
+
+  assert.deepEqual(
+    await results,
+    Array.from({ length: 12 }, (_, i) => i)
+  );
+  assert.equal(peak, 3);
+  assert.deepEqual(scheduler.getStatus(), {
+    active: 0,
+    queued: 0,
+    maxConcurrent: 3,
+  });
+});
+
+test('Crawl-delay가 기본 간격보다 길면 버스트 없이 그 간격으로', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const scheduler = new RequestScheduler({
+    maxConcurrent: 10,
+    hostIntervalMs: 100,
+    hostBurst: 3,
+  });
+  const { started } = scheduleAll(
+    scheduler,
+    ['https://slow.example.com/1', 'https://slow.example.com/2'],
+    { minIntervalMs: 5000 }
+  );
+
+  await flush();
+  assert.equal(started.length, 1);
+  t.mock.timers.tick(4999);
+  await flush();
+  assert.equal(started.length, 1);
+  t.mock.timers.tick(1);
+  await flush();
+  assert.equal(started.length, 2);
+});
+
+test('deferHost: Retry-After 동안 호스트 요청 보류', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const scheduler = new RequestScheduler({
+    maxConcurrent: 10,
+    hostIntervalMs: 1000,
+    hostBurst: 2,
+  });
+  await scheduler.schedule('https://a.example.com/1', async () => null);
+  scheduler.deferHost('https://a.example.com/1', 10000);
+
+  const { started } = scheduleAll(scheduler, ['https://a.example.com/2']);
+  await flush();
+  assert.equal(started.length, 0);
+
+  t.mock.timers.tick(9999);
+  await flush();
+  assert.equal(started.length, 0);
+  t.mock.timers.tick(1);
+  await flush();
+  assert.equal(started.length, 1);
+});
+
+test('작업 실패는 호출부로 전달하고 슬롯을 반환', async () => {
+  const scheduler = new RequestScheduler({
+    maxConcurrent: 1,
+    hostIntervalMs: 1,
+    hostBurst: 10,
+  });
+  const failed = scheduler.schedule('https://a.example.com/1', async () => {
+    throw new Error('boom');
+  });
+  const next = scheduler.schedule('https://a.example.com/2', async () => 'ok');
+
+  await assert.rejects(failed, /boom/);
+  assert.equal(await next, 'ok');
+  assert.equal(scheduler.getStatus().active, 0);
+});
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview RetryPolicy 테스트
+ * @description 실패 유형 분류(재시도/영구), Retry-After 두 형식 해석, 백오프/지터와 최대 지연 초과 시 포기를 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RetryPolicy = require('../../src/crawler/RetryPolicy');
+const {
+  ERROR_TYPES,
+  classifyError,
+  parseRetryAfter,
+} = require('../../src/crawler/RetryPolicy');
+
+/**
+ * axios 형태의 HTTP 에러
+ * @param {number} status
+ * @param {Object} [headers]
+ * @returns {Error}
+ */
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+/**
+ * 네트워크 에러
+ * @param {string} code
+ * @param {string} [message]
+ * @returns {Error}
+ */
+function networkError(code, message = code) {
+  const error = new Error(message);
+  if (code) error.code = code;
+  return error;
+}
+
+test('classifyError: 상태 코드/에러 코드별 유형', () => {
+  assert.equal(classifyError(httpError(429)), ERROR_TYPES.RATE_LIMITED);
+  assert.equal(classifyError(httpError(503)), ERROR_TYPES.SERVER_ERROR);
+  assert.equal(classifyError(httpError(404)), ERROR_TYPES.CLIENT_ERROR);
+  assert.equal(classifyError(httpError(403)), ERROR_TYPES.CLIENT_ERROR);
+  assert.equal(
+    classifyError(networkError('ECONNABORTED')),
+    ERROR_TYPES.TIMEOUT
+  );
+  assert.equal(classifyError(networkError('ETIMEDOUT')), ERROR_TYPES.TIMEOUT);
+  assert.equal(
+    classifyError(networkError('ECONNRESET')),
+    ERROR_TYPES.CONNECTION_RESET
+  );
+  assert.equal(
+    classifyError(networkError(null, 'socket hang up')),
+    ERROR_TYPES.CONNECTION_RESET
+  );
+  assert.equal(
+    classifyError(networkError('ROBOTS_DISALLOWED')),
+    ERROR_TYPES.ROBOTS_DISALLOWED
+  );
+  assert.equal(classifyError(new Error('parse')), ERROR_TYPES.UNKNOWN);
+  assert.equal(classifyError(null), ERROR_TYPES.UNKNOWN);
+});
+
+test('getRetryDelay: 영구 실패와 마지막 시도는 재시도하지 않음', () => {
+  const policy = new RetryPolicy({ maxAttempts: 3 });
+
+  assert.equal(policy.getRetryDelay(1, httpError(404)), null);
+  assert.equal(
+    policy.getRetryDelay(1, networkError('ROBOTS_DISALLOWED')),
+    null
+  );
+  assert.equal(policy.getRetryDelay(1, new Error('parse')), null);
+  assert.equal(policy.getRetryDelay(3, httpError(503)), null);
+  assert.notEqual(policy.getRetryDelay(2, httpError(503)), null);
+});
+
+test('getRetryDelay: 지수 백오프, 절반 고정 + 절반 지터, 최대 지연 제한', t => {
+  const policy = new RetryPolicy({
+    maxAttempts: 10,
+    baseDelayMs: 1000,
+    maxDelayMs: 5000,
+  });
+  const random = t.mock.method(Math, 'random', () => 0);
+
+  assert.equal(policy.getRetryDelay(1, httpError(500)), 500);
+  assert.equal(policy.getRetryDelay(2, httpError(500)), 1000);
+  assert.equal(policy.getRetryDelay(3, networkError('ECONNRESET')), 2000);
+  assert.equal(policy.getRetryDelay(5, httpError(500)), 2500);
+
+  random.mock.mockImplementation(() => 0.999999);
+  assert.equal(policy.getRetryDelay(1, httpError(500)), 1000);
+  assert.equal(policy.getRetryDelay(5, httpError(500)), 5000);
+});
+
+test('parseRetryAfter: 초 단위 숫자와 HTTP 날짜', t => {
+  t.mock.timers.enable({
+    apis: ['Date'],
+    now: Date.parse('2025-09-10T03:00:00Z'),
+  });
+
+  assert.equal(
+    parseRetryAfter(httpError(429, { 'retry-after': '120' })),
+    120000
+  );
+  assert.equal(parseRetryAfter(httpError(503, { 'retry-after': '0' })), 0);
+  assert.equal(
+    parseRetryAfter(
+      httpError(503, { 'retry-after': 'Wed, 10 Sep 2025 03:00:30 GMT' })
+    ),
+    30000
+  );
+  // 이미 지난 날짜는 바로 재시도
+  assert.equal(
+    parseRetryAfter(
+      httpError(503, { 'retry-after': 'Wed, 10 Sep 2025 02:00:00 GMT' })
+    ),
+    0
+  );
+  assert.equal(
+    parseRetryAfter(httpError(429, { 'retry-after': 'soon' })),
+    null
+  );
+  assert.equal(parseRetryAfter(httpError(429)), null);
+  assert.equal(parseRetryAfter(networkError('ECONNRESET')), null);
+});
+
+test('getRetryDelay: Retry-After 우선, FETCH_RETRY_MAX_MS를 넘으면 포기', t => {
+  t.mock.method(Math, 'random', () => 0.5);
+  const previous = process.env.FETCH_RETRY_MAX_MS;
+  process.env.FETCH_RETRY_MAX_MS = '60000';
+  t.after(() => {
+    if (previous === undefined) delete process.env.FETCH_RETRY_MAX_MS;
+    else process.env.FETCH_RETRY_MAX_MS = previous;
+  });
+  const policy = new RetryPolicy({ maxAttempts: 3 });
+
+  assert.equal(policy.maxDelayMs, 60000);
+  assert.equal(
+    policy.getRetryDelay(1, httpError(429, { 'retry-after': '60' })),
+    60000
+  );
+  assert.equal(
+    policy.getRetryDelay(1, httpError(429, { 'retry-after': '61' })),
+    null
+  );
+  // Retry-After가 있어도 영구 실패는 재시도하지 않음
+  assert.equal(
+    policy.getRetryDelay(1, httpError(404, { 'retry-after': '1' })),
+    null
+  );
+});
+
+test('execute: 일시적 실패 후 성공하면 시도 횟수와 실패 유형 기록', async () => {
+  const policy = new RetryPolicy({
+    maxAttempts: 3,
+    baseDelayMs: 1,
+    maxDelayMs: 1,
+  });
+  const retries = [];
+  const outcome = await policy.execute(
+    async attempt => {
+      if (attempt === 1) throw httpError(503);
+      if (attempt === 2) throw networkError('ETIMEDOUT');
+      return 'ok';
+    },
+    { onRetry: ({ attempt, errorType }) => retries.push([attempt, errorType]) }
+  );
+
+  assert.deepEqual(outcome, {
+    result: 'ok',
+    attempts: 3,
+    errorTypes: [ERROR_TYPES.SERVER_ERROR, ERROR_TYPES.TIMEOUT],
+  });
+  assert.deepEqual(retries, [
+    [1, ERROR_TYPES.SERVER_ERROR],
+    [2, ERROR_TYPES.TIMEOUT],
+  ]);
+});
+
+test('execute: 영구 실패는 바로 던지고 유형/시도 횟수 표시', async () => {
+  const policy = new RetryPolicy({ maxAttempts: 3, baseDelayMs: 1 });
+  let calls = 0;
+
+  await assert.rejects(
+    policy.execute(async () => {
+      calls++;
+      throw httpError(404);
+    }),
+    error =>
+      error.errorType === ERROR_TYPES.CLIENT_ERROR &&
+      error.attempts === 1 &&
+      error.errorTypes.length === 1
+  );
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview RobotsPolicy 테스트
+ * @description robots.txt 파싱/그룹 선택/경로 판정(RFC 9309)과 응답 상태별 처리, 동시 조회 공유를 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RobotsPolicy = require('../../src/crawler/RobotsPolicy');
+const {
+  parseRobotsTxt,
+  selectGroup,
+  isPathAllowed,
+} = require('../../src/crawler/RobotsPolicy');
+
+/**
+ * 경로 허용 여부만 반환
+ * @param {string} robotsTxt
+ * @param {string} pathWithQuery
+ * @param {string} [agent='newscrawlerbot']
+ * @returns {boolean}
+ */
+function allowed(robotsTxt, pathWithQuery, agent = 'newscrawlerbot') {
+  const group = selectGroup(parseRobotsTxt(robotsTxt), agent);
+  return isPathAllowed(group, pathWithQuery).allowed;
+}
+
+/**
+ * 고정 응답을 돌려주는 robots.txt 요청 대역
+ * @param {number} status
+ * @param {string} [data]
+ * @returns {{get: Function, calls: Array<string>}}
+ */
+function httpClient(status, data = '') {
+  const calls = [];
+  return {
+    calls,
+    get: async url => {
+      calls.push(url);
+      await new Promise(resolve => setImmediate(resolve));
+      return { status, data };
+    },
+  };
+}
+
+test('parseRobotsTxt: 연속 User-agent 줄은 한 그룹, 주석/빈 Disallow 무시', () => {
+  const groups = parseRobotsTxt(
+    [
+      '# 주석',
+      'User-agent: NewsCrawlerBot',
+      'User-agent: OtherBot # 같은 그룹',
+      'Disallow: /private/',
+      'Disallow:',
+      'Crawl-delay: 2.5',
+      '',
+      'User-agent: *',
+      'Allow: /',
+      'Crawl-delay: abc',
+      'Sitemap: https://example.com/sitemap.xml',
+    ].join('\r\n')
+  );
+
+  assert.deepEqual(groups, [
+    {
+      agents: ['newscrawlerbot', 'otherbot'],
+      rules: [{ allow: false, path: '/private/' }],
+      crawlDelay: 2.5,
+    },
+    {
+      agents: ['*'],
+      rules: [{ allow: true, path: '/' }],
+      crawlDelay: null,
+    },
+  ]);
+});
+
+test('parseRobotsTxt: 규칙 뒤의 User-agent는 새 그룹, 그룹 밖 규칙은 버림', () => {
+  const groups = parseRobotsTxt(
+    'Disallow: /orphan\nUser-agent: a\nDisallow: /x\nUser-agent: b\nDisallow: /y'
+  );
+  assert.deepEqual(
+    groups.map(group => [group.agents, group.rules.map(rule => rule.path)]),
+    [
+      [['a'], ['/x']],
+      [['b'], ['/y']],
+    ]
+  );
+});
+
+test('selectGroup: 제품 토큰 완전 일치(대소문자 무시)만, 없으면 * 그룹', () => {
+  const robots = [
+    'User-agent: bot',
+    'Disallow: /bot-only',
+    '',
+    'User-agent: *',
+    'Disallow: /all',
+  ].join('\n');
+
+  // 부분 문자열(bot ⊂ newscrawlerbot)은 일치로 보지 않음
+  assert.equal(allowed(robots, '/bot-only'), true);
+  assert.equal(allowed(robots, '/all'), false);
+  assert.equal(allowed(robots, '/bot-only', 'bot'), false);
+  assert.equal(allowed(robots, '/all', 'bot'), true);
+
+  assert.equal(allowed('User-agent: NewsCrawlerBot\nDisallow: /', '/a'), false);
+  assert.equal(
+    selectGroup(parseRobotsTxt('User-agent: a\nDisallow: /'), 'b'),
+    null
+  );
+});
+
+test('selectGroup: 같은 에이전트의 여러 그룹은 병합, Crawl-delay는 뒤의 값', () => {
+  const group = selectGroup(
+    parseRobotsTxt(
+      'User-agent: newscrawlerbot\nDisallow: /a\nCrawl-delay: 1\n\nUser-agent: *\nDisallow: /\n\nUser-agent: newscrawlerbot\nDisallow: /b\nCrawl-delay: 3'
+    ),
+    'newscrawlerbot'
+  );
+  assert.deepEqual(
+    group.rules.map(rule => rule.path),
+    ['/a', '/b']
+  );
+  assert.equal(group.crawlDelay, 3);
+});
+
+test('isPathAllowed: * 와일드카드와 $ 끝 고정', () => {
+  const robots =
+    'User-agent: *\nDisallow: /*.pdf$\nDisallow: /search*q=\nDisallow: /tmp';
+
+  assert.equal(allowed(robots, '/files/report.pdf'), false);
+  assert.equal(allowed(robots, '/files/report.pdf?download=1'), true);
+  assert.equal(allowed(robots, '/search?page=2&q=news'), false);
+  assert.equal(allowed(robots, '/search?page=2'), true);
+  // 접두사 일치
+  assert.equal(allowed(robots, '/tmp/a'), false);
+  assert.equal(allowed(robots, '/tmpfile'), false);
+  assert.equal(allowed(robots, '/news/tmp'), true);
+  // 정규식 특수 문자는 문자 그대로
+  assert.equal(allowed('User-agent: *\nDisallow: /a.b', '/axb'), true);
+});
+
+test('isPathAllowed: 가장 긴 규칙 우선, 길이가 같으면 Allow 우선', () => {
+  const robots =
+    'User-agent: *\nDisallow: /news/\nAllow: /news/public/\nDisallow: /same\nAllow: /same';
+
+  assert.deepEqual(
+    isPathAllowed(
+      selectGroup(parseRobotsTxt(robots), 'newscrawlerbot'),
+      '/news/public/1'
+    ),
+    { allowed: true, rule: 'Allow: /news/public/' }
+  );
+  assert.equal(allowed(robots, '/news/private/1'), false);
+  assert.equal(allowed(robots, '/same'), true);
+  assert.deepEqual(isPathAllowed(null, '/any'), { allowed: true, rule: null });
+});
+
+test('check: Crawl-delay를 ms로 반환하고 규칙 표시', async () => {
+  const policy = new RobotsPolicy({
+    httpClient: httpClient(
+      200,
+      'User-agent: NewsCrawlerBot\nDisallow: /private\nCrawl-delay: 1.5'
+    ),
+    userAgent: 'NewsCrawlerBot/1.0 (+https://example.com/bot)',
+  });
+
+  assert.deepEqual(await policy.check('https://example.com/news/1'), {
+    allowed: true,
+    rule: null,
+    crawlDelayMs: 1500,
+  });
+  assert.deepEqual(await policy.check('https://example.com/private/1'), {
+    allowed: false,
+    rule: 'Disallow: /private',
+    crawlDelayMs: 1500,
+  });
+});
+
+test('check: 404는 전체 허용, 429/5xx/요청 실패는 전체 비허용', async () => {
+  const verdict = async client => {
+    const policy = new RobotsPolicy({ httpClient: client, userAgent: 'Bot' });
+    return (await policy.check('https://example.com/a')).allowed;
+  };
+
+  assert.equal(await verdict(httpClient(404)), true);
+  assert.equal(await verdict(httpClient(403)), true);
+  assert.equal(await verdict(httpClient(429)), false);
+  assert.equal(await verdict(httpClient(503)), false);
+  assert.equal(
+    await verdict({
+      get: async () => {
+        throw new Error('ECONNRESET');
+      },
+    }),
+    false
+  );
+});
+
+test('check: 같은 호스트 동시 조회는 robots.txt 요청 하나를 공유', async () => {
+  const client = httpClient(200, 'User-agent: *\nDisallow: /x');
+  const policy = new RobotsPolicy({ httpClient: client, userAgent: 'Bot' });
+
+  await Promise.all([
+    policy.check('https://a.example.com/1'),
+    policy.check('https://a.example.com/2'),
+    policy.check('https://b.example.com/1'),
+  ]);
+  await policy.check('https://a.example.com/3');
+
+  assert.deepEqual(client.calls.sort(), [
+    'https://a.example.com/robots.txt',
+    'https://b.example.com/robots.txt',
+  ]);
+});
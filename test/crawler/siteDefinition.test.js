@@ -0,0 +1,211 @@
+/**
+ * @fileoverview siteDefinition 테스트
+ * @description 스키마 위반마다 필드 경로가 담긴 에러를 내는지, 기본값 적용과 디렉터리 로드를 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  validateSiteDefinition,
+  loadSiteDefinition,
+  loadSiteDefinitions,
+} = require('../../src/crawler/siteDefinition');
+
+/**
+ * 최소 유효 사이트 정의
+ * @param {Object} [overrides] - 최상위 항목 덮어쓰기
+ * @returns {Object}
+ */
+function definition(overrides = {}) {
+  return {
+    name: 'ExampleCrawler',
+    baseUrl: 'https://news.example.com',
+    categories: [
+      { url: 'https://news.example.com/politics', category: '정치' },
+    ],
+    list: { itemSelector: '.news-item a' },
+    detail: { bodySelectors: ['.article-body'] },
+    ...overrides,
+  };
+}
+
+/**
+ * 검증 에러 목록
+ * @param {Object} value - 사이트 정의
+ * @returns {Array<string>}
+ */
+function errorsOf(value) {
+  try {
+    validateSiteDefinition(value, 'example.json');
+  } catch (error) {
+    assert.equal(error.code, 'INVALID_SITE_DEFINITION');
+    assert.match(error.message, /example\.json/);
+    return error.errors;
+  }
+  assert.fail('검증 에러가 나야 합니다.');
+}
+
+test('유효한 정의는 기본값을 채워 반환', () => {
+  const site = validateSiteDefinition(definition());
+
+  assert.equal(site.enabled, true);
+  assert.equal(site.schedule, null);
+  assert.equal(site.list.maxItems, 40);
+  assert.deepEqual(site.list.dateAttributes, ['title', 'datetime']);
+  assert.equal(site.list.fallback, null);
+  assert.deepEqual(site.pagination, {
+    nextSelector: null,
+    pageParam: null,
+    maxPages: null,
+    maxAgeHours: null,
+  });
+  assert.deepEqual(site.detail.metricSelectors, {
+    view: null,
+    like: null,
+    comment: null,
+  });
+  assert.deepEqual(site.providers.names, []);
+});
+
+test('기본값 배열/객체는 정의마다 따로 복제', () => {
+  const a = validateSiteDefinition(definition());
+  const b = validateSiteDefinition(definition());
+  a.detail.removeSelectors.push('.ad');
+  assert.deepEqual(b.detail.removeSelectors, []);
+});
+
+test('필수 항목 누락', () => {
+  const { name: _, ...noName } = definition();
+  assert.deepEqual(errorsOf(noName), ['name: 필수 항목입니다.']);
+  assert.deepEqual(errorsOf(definition({ detail: {} })), [
+    'detail.bodySelectors: 필수 항목입니다.',
+  ]);
+});
+
+test('타입 위반마다 필드 경로 표시', () => {
+  const errors = errorsOf(
+    definition({
+      enabled: 'yes',
+      schedule: '  ',
+      list: { itemSelector: '.item', maxItems: -1, minTitleLength: '5' },
+    })
+  );
+  assert.deepEqual(errors, [
+    'enabled: true 또는 false여야 합니다.',
+    'schedule: 비어 있지 않은 문자열이어야 합니다.',
+    'list.minTitleLength: 0 이상의 숫자여야 합니다.',
+    'list.maxItems: 0 이상의 숫자여야 합니다.',
+  ]);
+});
+
+test('URL/선택자/정규식/enum 검사', () => {
+  const errors = errorsOf(
+    definition({
+      baseUrl: 'ftp://news.example.com',
+      list: {
+        itemSelector: 'a[',
+        urlPattern: '(unclosed',
+        dateScope: 'page',
+      },
+    })
+  );
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /^baseUrl: http\(s\) 절대 URL이어야 합니다\./);
+  assert.match(
+    errors[1],
+    /^list\.itemSelector: 잘못된 CSS 선택자입니다\. \(a\[\)/
+  );
+  assert.match(errors[2], /^list\.urlPattern: 잘못된 정규식입니다\./);
+  assert.equal(errors[3], 'list.dateScope: item | parent 중 하나여야 합니다.');
+});
+
+test('배열 항목 경로와 최소 개수', () => {
+  assert.deepEqual(errorsOf(definition({ categories: [] })), [
+    'categories: 최소 1개 항목이 필요합니다.',
+  ]);
+  assert.deepEqual(
+    errorsOf(
+      definition({
+        categories: [
+          { url: 'https://news.example.com/a', category: '정치' },
+          { url: '/relative', category: '경제' },
+        ],
+      })
+    ),
+    ['categories[1].url: http(s) 절대 URL이어야 합니다. (/relative)']
+  );
+  assert.deepEqual(
+    errorsOf(definition({ detail: { bodySelectors: ['.body', 3] } })),
+    ['detail.bodySelectors[1]: CSS 선택자 문자열이어야 합니다.']
+  );
+});
+
+test('알 수 없는 항목, null 불가 항목, 객체/배열 타입', () => {
+  assert.deepEqual(errorsOf(definition({ lists: {} })), [
+    'lists: 알 수 없는 항목입니다.',
+  ]);
+  assert.deepEqual(errorsOf(definition({ baseUrl: null })), [
+    'baseUrl: null을 허용하지 않습니다.',
+  ]);
+  assert.deepEqual(errorsOf(definition({ list: ['.item'] })), [
+    'list: 객체여야 합니다.',
+  ]);
+  assert.deepEqual(
+    errorsOf(definition({ detail: { bodySelectors: '.body' } })),
+    ['detail.bodySelectors: 배열이어야 합니다.']
+  );
+  assert.deepEqual(
+    errorsOf(definition({ list: { itemSelector: '.a', fallback: {} } })),
+    ['list.fallback.itemSelector: 필수 항목입니다.']
+  );
+});
+
+test('loadSiteDefinition: 읽을 수 없는 파일도 같은 에러 코드', () => {
+  assert.throws(
+    () => loadSiteDefinition(path.join(os.tmpdir(), 'missing-site.json')),
+    error =>
+      error.code === 'INVALID_SITE_DEFINITION' &&
+      /사이트 정의 파일을 읽을 수 없습니다/.test(error.message)
+  );
+});
+
+test('loadSiteDefinitions: 모든 파일의 에러와 이름 중복을 한 번에 보고', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-definitions-'));
+  try {
+    const write = (file, value) =>
+      fs.writeFileSync(path.join(dir, file), JSON.stringify(value));
+    write('a.json', definition());
+    write('b.json', definition());
+    write('c.json', definition({ baseUrl: 'not a url' }));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    assert.throws(
+      () => loadSiteDefinitions(dir),
+      error => {
+        assert.equal(error.code, 'INVALID_SITE_DEFINITION');
+        assert.deepEqual(error.errors, [
+          'baseUrl: http(s) 절대 URL이어야 합니다. (not a url)',
+          'name: 중복된 이름입니다. (ExampleCrawler)',
+        ]);
+        return true;
+      }
+    );
+
+    fs.unlinkSync(path.join(dir, 'b.json'));
+    fs.unlinkSync(path.join(dir, 'c.json'));
+    assert.deepEqual(
+      loadSiteDefinitions(dir).map(site => site.name),
+      ['ExampleCrawler']
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('config/sites의 정의는 모두 유효', () => {
+  assert.ok(loadSiteDefinitions().length > 0);
+});
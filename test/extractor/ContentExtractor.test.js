@@ -0,0 +1,187 @@
+/**
+ * @fileoverview ContentExtractor 테스트
+ * @description HTML 문자열만으로 본문 문단/소제목/리드/이미지/신뢰도 추출을 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ContentExtractor = require('../../src/extractor/ContentExtractor');
+const { extractContent } = require('../../src/extractor/ContentExtractor');
+
+const PARAGRAPHS = [
+  '정부가 내년부터 지역 거점 병원의 응급 의료 인력을 단계적으로 늘리기로 했다.',
+  '보건복지부는 10일 이런 내용을 담은 응급의료 개선 계획을 발표하고 예산 확보에 나서겠다고 밝혔다.',
+  '계획에 따르면 권역 응급의료센터의 전문의 배치 기준이 강화되고 야간 당직 수당도 인상된다.',
+  '의료계는 인력 확충 방향에는 공감하면서도 실제 채용 여건이 뒷받침돼야 한다는 입장이다.',
+];
+
+/**
+ * 기사 페이지 HTML 생성
+ * @param {Object} [options]
+ * @param {string} [options.head] - head 추가 마크업
+ * @param {string} [options.body] - 본문 컨테이너 내부 마크업
+ * @returns {string}
+ */
+function articlePage({ head = '', body } = {}) {
+  const content =
+    body ?? PARAGRAPHS.map(paragraph => `<p>${paragraph}</p>`).join('\n');
+  return `<!DOCTYPE html>
+<html>
+  <head><title>기사</title>${head}</head>
+  <body>
+    <nav><a href="/">홈</a> <a href="/politics">정치</a> <a href="/economy">경제</a></nav>
+    <div class="wrap">
+      <article class="article-view">
+        <h1>응급의료 인력 확충 계획 발표</h1>
+        <div class="article-body">
+${content}
+        </div>
+      </article>
+      <aside class="related">
+        <a href="/a/1">관련 기사 제목이 충분히 길게 적혀 있는 첫 번째 링크입니다</a>
+        <a href="/a/2">관련 기사 제목이 충분히 길게 적혀 있는 두 번째 링크입니다</a>
+      </aside>
+    </div>
+    <footer><p>Copyright 예시일보. All rights reserved. 무단 전재 및 재배포 금지.</p></footer>
+  </body>
+</html>`;
+}
+
+test('본문 컨테이너의 문단을 순서대로 추출', () => {
+  const result = new ContentExtractor().extract(articlePage());
+
+  assert.equal(result.method, 'container');
+  assert.deepEqual(result.paragraphs, PARAGRAPHS);
+  assert.equal(result.content, PARAGRAPHS.join('\n\n'));
+});
+
+test('<br><br>로 나눈 문단과 링크 위주 문단 처리', () => {
+  const body = `${PARAGRAPHS.join('<br><br>')}
+          <div class="more"><a href="/a/3">다른 기사 제목이 길게 이어지는 추천 링크 문단입니다</a></div>`;
+  const result = new ContentExtractor().extract(articlePage({ body }));
+
+  assert.deepEqual(result.paragraphs, PARAGRAPHS);
+});
+
+test('소제목은 문단과 분리하고 h1 제목은 제외', () => {
+  const body = `<p>${PARAGRAPHS[0]}</p>
+          <h2>전문의 배치 기준 강화</h2>
+          <p>${PARAGRAPHS[1]}</p>
+          <h3>야간 당직 수당 인상</h3>
+          <p>${PARAGRAPHS[2]}</p>`;
+  const result = new ContentExtractor().extract(articlePage({ body }));
+
+  assert.deepEqual(result.headings, [
+    '전문의 배치 기준 강화',
+    '야간 당직 수당 인상',
+  ]);
+  assert.deepEqual(result.paragraphs, PARAGRAPHS.slice(0, 3));
+});
+
+test('리드는 첫 문단, 본문이 없으면 og:description', () => {
+  const withBody = new ContentExtractor().extract(articlePage());
+  assert.equal(withBody.lead, PARAGRAPHS[0]);
+
+  const description = '응급의료 인력을 단계적으로 늘리는 계획이 발표됐다.';
+  const empty = new ContentExtractor().extract(
+    articlePage({
+      head: `<meta property="og:description" content="${description}" />`,
+      body: '',
+    })
+  );
+  assert.equal(empty.method, 'none');
+  assert.deepEqual(empty.paragraphs, []);
+  assert.equal(empty.lead, description);
+  assert.equal(empty.content, description);
+});
+
+test('이미지: 절대 URL, 캡션/크기, data: URI 제외, 개수 제한', () => {
+  const body = `<figure>
+            <img src="/images/er.jpg" alt="응급실" width="640" height="360px" />
+            <figcaption>응급실 앞 구급차</figcaption>
+          </figure>
+          <img data-src="https://cdn.example.com/b.jpg" src="data:image/gif;base64,R0lGOD" />
+          <img src="data:image/png;base64,iVBOR" />
+          <img src="/images/er.jpg" />
+          <img src="/images/c.jpg" />
+${PARAGRAPHS.map(paragraph => `<p>${paragraph}</p>`).join('\n')}`;
+  const result = new ContentExtractor({
+    baseUrl: 'https://news.example.com/article/1',
+    imageLimit: 2,
+  }).extract(articlePage({ body }));
+
+  assert.deepEqual(result.images, [
+    {
+      url: 'https://news.example.com/images/er.jpg',
+      alt: '응급실',
+      caption: '응급실 앞 구급차',
+      width: 640,
+      height: 360,
+    },
+    {
+      url: 'https://cdn.example.com/b.jpg',
+      alt: '',
+      caption: '',
+      width: null,
+      height: null,
+    },
+  ]);
+  assert.equal(result.leadImageUrl, 'https://news.example.com/images/er.jpg');
+  assert.ok(!result.paragraphs.includes('응급실 앞 구급차'));
+});
+
+test('og:image가 있으면 대표 이미지로 우선 사용', () => {
+  const result = new ContentExtractor({
+    baseUrl: 'https://news.example.com/article/1',
+  }).extract(
+    articlePage({ head: '<meta property="og:image" content="/og/main.jpg" />' })
+  );
+
+  assert.deepEqual(result.images, []);
+  assert.equal(result.leadImageUrl, 'https://news.example.com/og/main.jpg');
+});
+
+test('제거 선택자와 문단 키워드 필터', () => {
+  const body = `${PARAGRAPHS.map(paragraph => `<p>${paragraph}</p>`).join('\n')}
+          <div class="ad-box"><p>이 자리에 들어가는 광고 문구는 본문으로 추출되면 안 됩니다.</p></div>
+          <p>저작권자 예시일보 무단 전재 및 재배포 금지, AI 학습 이용 금지</p>`;
+  const result = new ContentExtractor({
+    removeSelectors: ['.ad-box'],
+    removeParagraphKeywords: ['무단 전재'],
+  }).extract(articlePage({ body }));
+
+  assert.deepEqual(result.paragraphs, PARAGRAPHS);
+});
+
+test('신뢰도: 본문이 길수록 높고, 대체 추출은 낮고, 실패는 0', () => {
+  const extractor = new ContentExtractor();
+  const full = extractor.extract(articlePage());
+  const short = extractor.extract(
+    articlePage({ body: `<p>${PARAGRAPHS[0]}</p><p>${PARAGRAPHS[1]}</p>` })
+  );
+  const none = extractor.extract('<html><body><nav>메뉴</nav></body></html>');
+
+  assert.ok(full.confidence > 0 && full.confidence <= 1);
+  assert.ok(full.confidence > short.confidence);
+  assert.equal(none.method, 'none');
+  assert.equal(none.confidence, 0);
+
+  // 컨테이너 문단이 짧으면 페이지 전체의 긴 <p>로 대체하고 신뢰도를 절반으로 낮춤
+  const fallback = extractor.getConfidence(PARAGRAPHS, null, null, 'fallback');
+  const container = extractor.getConfidence(
+    PARAGRAPHS,
+    null,
+    null,
+    'container'
+  );
+  assert.equal(fallback, Math.round((container / 2) * 100) / 100);
+});
+
+test('extractContent는 옵션을 그대로 전달', () => {
+  const html = articlePage();
+  assert.deepEqual(
+    extractContent(html, { minParagraphLength: 50 }),
+    new ContentExtractor({ minParagraphLength: 50 }).extract(html)
+  );
+});
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview bylineExtractor 테스트
+ * @description 바이라인 해석(복수 기자/직함/이메일/loose 모드), 본문 리드·끝부분 탐색 범위,
+ * 본문 맨 앞 통신사식 바이라인("홍길동 기자 =") 제거를 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseBylines,
+  parseContentBylines,
+  stripLeadByline,
+  formatByline,
+} = require('../../src/extractor/bylineExtractor');
+
+/**
+ * 기자 객체 생성
+ * @param {string} name
+ * @param {string|null} [role='기자']
+ * @param {string|null} [email=null]
+ * @returns {{name: string, role: string|null, email: string|null}}
+ */
+function author(name, role = '기자', email = null) {
+  return { name, role, email };
+}
+
+test('parseBylines는 가운뎃점/쉼표로 이어진 여러 이름에 직함을 붙인다', () => {
+  assert.deepEqual(parseBylines('홍길동·김철수 기자'), [
+    author('홍길동'),
+    author('김철수'),
+  ]);
+  assert.deepEqual(parseBylines('이영희, 박민수 기자'), [
+    author('이영희'),
+    author('박민수'),
+  ]);
+});
+
+test('parseBylines는 긴 직함(특파원/논설위원 등)을 구분한다', () => {
+  assert.deepEqual(parseBylines('(워싱턴=연합뉴스) 정다은 특파원 ='), [
+    author('정다은', '특파원'),
+  ]);
+  assert.deepEqual(parseBylines('김민준 객원논설위원'), [
+    author('김민준', '객원논설위원'),
+  ]);
+  assert.deepEqual(parseBylines('홍길동 기자, 최수진 논설위원'), [
+    author('홍길동'),
+    author('최수진', '논설위원'),
+  ]);
+});
+
+test('parseBylines는 뒤따르는 이메일을 마지막 기자 것으로 본다', () => {
+  assert.deepEqual(parseBylines('홍길동 기자 hong@example.com'), [
+    author('홍길동', '기자', 'hong@example.com'),
+  ]);
+  assert.deepEqual(parseBylines('홍길동·김철수 기자(kim@news.co.kr)'), [
+    author('홍길동'),
+    author('김철수', '기자', 'kim@news.co.kr'),
+  ]);
+});
+
+test('parseBylines는 매체명/설명어를 이름으로 보지 않고 같은 이름은 한 번만 돌려준다', () => {
+  assert.deepEqual(parseBylines('연합뉴스 기자'), []);
+  assert.deepEqual(parseBylines('사진 기자'), []);
+  assert.deepEqual(parseBylines('홍길동 기자 … 홍길동 기자 hong@example.com'), [
+    author('홍길동', '기자', 'hong@example.com'),
+  ]);
+});
+
+test('parseBylines는 전/현으로 끝나는 이름(박지현, 김승현)을 버리지 않는다', () => {
+  assert.deepEqual(parseBylines('박지현 기자'), [author('박지현')]);
+  assert.deepEqual(parseBylines('김승현·오세전 기자'), [
+    author('김승현'),
+    author('오세전'),
+  ]);
+});
+
+test('parseBylines loose 모드는 직함 없는 작성자 필드를 이름 목록으로 해석한다', () => {
+  assert.deepEqual(parseBylines('홍길동, 김철수', { loose: true }), [
+    author('홍길동', null),
+    author('김철수', null),
+  ]);
+  assert.deepEqual(parseBylines('홍길동 (hong@example.com)', { loose: true }), [
+    author('홍길동', null, 'hong@example.com'),
+  ]);
+  assert.deepEqual(parseBylines('John Smith', { loose: true }), [
+    author('John Smith', null),
+  ]);
+  // 기본 모드에서는 직함이 있어야 함
+  assert.deepEqual(parseBylines('홍길동, 김철수'), []);
+  // 이름이 아닌 조각이 섞이면 해석하지 않음
+  assert.deepEqual(
+    parseBylines('홍길동 입력 2024.09.10 14:30', { loose: true }),
+    []
+  );
+});
+
+test('parseContentBylines는 본문 앞 200자와 뒤 300자만 본다', () => {
+  const middle = '가'.repeat(400);
+  const content = `(서울=연합뉴스) 박지현 기자 = 리드 문장. ${middle} (인용) 김철수 기자 kim@example.com 보도. ${middle} 끝 문장. 최수진 기자 choi@example.com`;
+
+  assert.deepEqual(parseContentBylines(content), [
+    author('박지현'),
+    author('최수진', '기자', 'choi@example.com'),
+  ]);
+});
+
+test('parseContentBylines는 짧은 본문 전체를 본다', () => {
+  assert.deepEqual(parseContentBylines('짧은 본문입니다. 정리 김철수 기자'), [
+    author('김철수'),
+  ]);
+  // 직함 뒤에 조사가 붙으면 바이라인이 아님
+  assert.deepEqual(parseContentBylines('김철수 기자가 정리했다.'), []);
+  assert.deepEqual(parseContentBylines(''), []);
+});
+
+test('formatByline은 직함을 붙여 쉼표로 잇고 기자가 없으면 null', () => {
+  assert.equal(
+    formatByline([
+      author('홍길동'),
+      author('정다은', '특파원'),
+      author('John Smith', null),
+    ]),
+    '홍길동 기자, 정다은 특파원, John Smith'
+  );
+  assert.equal(formatByline([]), null);
+});
+
+test('stripLeadByline은 위치=통신사 표기 뒤에 남은 바이라인을 제거한다', () => {
+  assert.equal(
+    stripLeadByline('박지현 기자 = 국내 연구진이 신소재를 개발했다.'),
+    '국내 연구진이 신소재를 개발했다.'
+  );
+  assert.equal(
+    stripLeadByline('정다은 특파원 = 유엔총회 논의가 본격화했다.'),
+    '유엔총회 논의가 본격화했다.'
+  );
+  assert.equal(
+    stripLeadByline('김철수·이영희 기자 = 기준금리가 동결됐다.'),
+    '기준금리가 동결됐다.'
+  );
+  assert.equal(
+    stripLeadByline('홍길동 기자(hong@example.com) = 수출이 늘었다.'),
+    '수출이 늘었다.'
+  );
+});
+
+test('stripLeadByline은 바이라인이 아닌 리드는 그대로 둔다', () => {
+  // "=" 없는 본문 첫 문장, 이름이 아닌 단어(사진), 본문 중간의 바이라인
+  [
+    '박지현 기자가 현장을 취재했다.',
+    '사진 기자 = 현장 모습.',
+    '국내 연구진이 개발했다. 박지현 기자 = 추가 취재',
+    '',
+  ].forEach(text => assert.equal(stripLeadByline(text), text));
+});
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview entityExtractor 테스트
+ * @description 사전 별칭 매칭(긴 표기 우선, 단어 중간 별칭 무시)과 "OO 대표"/"OO당"/"OO광역시" 패턴 규칙,
+ * 일반 명사 과매칭 제외를 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ENTITY_TYPES,
+  ENTITY_SOURCES,
+  compileGazetteer,
+  extractEntities,
+} = require('../../src/extractor/entityExtractor');
+
+const GAZETTEER = compileGazetteer([
+  {
+    type: ENTITY_TYPES.ORGANIZATION,
+    name: '더불어민주당',
+    aliases: ['민주당'],
+  },
+  { type: ENTITY_TYPES.ORGANIZATION, name: '한국은행', aliases: ['한은'] },
+  { type: ENTITY_TYPES.ORGANIZATION, name: '국회', aliases: [] },
+  { type: ENTITY_TYPES.ORGANIZATION, name: 'LG', aliases: [] },
+  {
+    type: ENTITY_TYPES.PERSON,
+    name: '도널드 트럼프',
+    aliases: ['트럼프', 'Donald Trump'],
+  },
+]);
+
+/**
+ * 추출 결과를 [유형, 이름, 횟수, 출처]로 간추림
+ * @param {string} text
+ * @returns {Array<[string, string, number, string]>}
+ */
+function extract(text) {
+  return extractEntities(text, GAZETTEER).map(entity => [
+    entity.type,
+    entity.name,
+    entity.count,
+    entity.source,
+  ]);
+}
+
+/**
+ * 추출된 이름 목록
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function names(text) {
+  return extractEntities(text, GAZETTEER).map(entity => entity.name);
+}
+
+test('사전 별칭은 대표 이름으로 묶고 긴 표기를 먼저 찾는다', () => {
+  assert.deepEqual(
+    extract(
+      '더불어민주당과 민주당 지도부가 도널드  트럼프 대통령, 트럼프 측과 만났다.'
+    ),
+    [
+      [ENTITY_TYPES.ORGANIZATION, '더불어민주당', 2, ENTITY_SOURCES.GAZETTEER],
+      [ENTITY_TYPES.PERSON, '도널드 트럼프', 2, ENTITY_SOURCES.GAZETTEER],
+    ]
+  );
+  assert.deepEqual(extract('donald trump said'), [
+    [ENTITY_TYPES.PERSON, '도널드 트럼프', 1, ENTITY_SOURCES.GAZETTEER],
+  ]);
+});
+
+test('사전 별칭이 다른 단어의 일부이면 찾지 않는다', () => {
+  // 뒤에 조사만 붙은 경우는 허용
+  assert.deepEqual(names('한은이 금리를 동결했다. 국회에서는'), [
+    '국회',
+    '한국은행',
+  ]);
+  assert.deepEqual(names('국회의원 선거, 한은행 지점'), []);
+  assert.deepEqual(names('LGBT 단체와 LG가 협약'), ['LG']);
+});
+
+test('"OO 대표" 패턴은 성씨로 시작하는 이름을 인물로 찾는다', () => {
+  assert.deepEqual(
+    extract('홍길동 대표는 김철수 의원과 남궁민 위원장을 만났다.'),
+    [
+      [ENTITY_TYPES.PERSON, '김철수', 1, ENTITY_SOURCES.PATTERN],
+      [ENTITY_TYPES.PERSON, '남궁민', 1, ENTITY_SOURCES.PATTERN],
+      [ENTITY_TYPES.PERSON, '홍길동', 1, ENTITY_SOURCES.PATTERN],
+    ]
+  );
+});
+
+test('"OO 대표" 패턴은 성씨로 시작하는 일반 명사/기관 이름을 인물로 보지 않는다', () => {
+  [
+    '이번 대표 선출',
+    '한국 대표팀',
+    '정부 대표단',
+    '이날 회장',
+    '경기 지사',
+    '노조 위원장',
+    '정책 위원장',
+    '부의장 후보',
+    '서울대 총장',
+    '서울시 대변인',
+    '국세청 청장',
+    '국방부 장관',
+    '김 대표와 이 의원',
+  ].forEach(text =>
+    assert.deepEqual(
+      extract(text).filter(([type]) => type === ENTITY_TYPES.PERSON),
+      [],
+      text
+    )
+  );
+  // 인물은 아니지만 정당 이름은 기관으로 찾음
+  assert.deepEqual(extract('정의당 대표가'), [
+    [ENTITY_TYPES.ORGANIZATION, '정의당', 1, ENTITY_SOURCES.PATTERN],
+  ]);
+});
+
+test('"OO당" 패턴은 정당 이름만 찾고 "당"으로 끝나는 일반 명사는 제외한다', () => {
+  assert.deepEqual(extract('새미래당은 조국혁신당과의 연대를 논의했다.'), [
+    [ENTITY_TYPES.ORGANIZATION, '새미래당', 1, ENTITY_SOURCES.PATTERN],
+    [ENTITY_TYPES.ORGANIZATION, '조국혁신당', 1, ENTITY_SOURCES.PATTERN],
+  ]);
+  assert.deepEqual(
+    names('정당 대표들이 식당에서 만났고 여당과 야당, 당 지도부도'),
+    []
+  );
+});
+
+test('사전에서 찾은 구간은 패턴 규칙으로 다시 세지 않는다', () => {
+  // "더불어민주당"이 "OO당" 패턴에도 맞지만 사전 결과 하나만 남음
+  assert.deepEqual(extract('더불어민주당은'), [
+    [ENTITY_TYPES.ORGANIZATION, '더불어민주당', 1, ENTITY_SOURCES.GAZETTEER],
+  ]);
+});
+
+test('"OO광역시" 패턴은 광역 지자체를 지역으로 찾는다', () => {
+  assert.deepEqual(extract('부산광역시에서 제주특별자치도까지'), [
+    [ENTITY_TYPES.LOCATION, '부산광역시', 1, ENTITY_SOURCES.PATTERN],
+    [ENTITY_TYPES.LOCATION, '제주특별자치도', 1, ENTITY_SOURCES.PATTERN],
+  ]);
+});
+
+test('빈 텍스트와 빈 사전', () => {
+  assert.deepEqual(extractEntities('', GAZETTEER), []);
+  assert.deepEqual(extractEntities(null, compileGazetteer([])), []);
+  assert.deepEqual(
+    extractEntities('한은 총재', compileGazetteer([])).map(
+      entity => entity.name
+    ),
+    []
+  );
+});
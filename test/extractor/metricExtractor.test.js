@@ -0,0 +1,53 @@
+/**
+ * @fileoverview metricExtractor 테스트
+ * @description 표시용 수치 문자열 해석(parseCount)의 단위 접미사, 천 단위 구분, 날짜 숫자 건너뛰기를 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCount } = require('../../src/extractor/metricExtractor');
+
+test('parseCount는 천 단위 구분 쉼표를 무시한다', () => {
+  assert.equal(parseCount('1,234'), 1234);
+  assert.equal(parseCount('조회 12,345,678'), 12345678);
+  assert.equal(parseCount('댓글 56개'), 56);
+});
+
+test('parseCount는 한글 단위 접미사(천/만/억)를 곱한다', () => {
+  assert.equal(parseCount('3천'), 3000);
+  assert.equal(parseCount('조회수 1.2만'), 12000);
+  assert.equal(parseCount('2.5 만'), 25000);
+  assert.equal(parseCount('1억'), 100000000);
+});
+
+test('parseCount는 영문 단위 접미사(k/m/b)를 대소문자 구분 없이 곱한다', () => {
+  assert.equal(parseCount('3.4K'), 3400);
+  assert.equal(parseCount('12k views'), 12000);
+  assert.equal(parseCount('1.5M'), 1500000);
+  assert.equal(parseCount('2b'), 2000000000);
+  // 단어의 첫 글자는 단위로 보지 않음
+  assert.equal(parseCount('7 min read'), 7);
+  assert.equal(parseCount('42 bookmarks'), 42);
+});
+
+test('parseCount는 날짜/시각 숫자를 건너뛰고 지표 수치를 읽는다', () => {
+  assert.equal(parseCount('2024년 조회 1,234'), 1234);
+  assert.equal(parseCount('9월 10일 댓글 8'), 8);
+  assert.equal(parseCount('2024.09.10 조회 15'), 15);
+  assert.equal(parseCount('입력 2024-09-10 14:30 조회 77'), 77);
+  assert.equal(parseCount('3시간 전 · 좋아요 9'), 9);
+  // 날짜 단위 뒤에 다른 글자가 이어지면 단위가 아님 (시청)
+  assert.equal(parseCount('5 시청'), 5);
+});
+
+test('parseCount는 숫자 입력을 반올림하고 잘못된 값은 null로 돌려준다', () => {
+  assert.equal(parseCount(56), 56);
+  assert.equal(parseCount(3.6), 4);
+  assert.equal(parseCount(-1), null);
+  assert.equal(parseCount(NaN), null);
+  assert.equal(parseCount(''), null);
+  assert.equal(parseCount('조회수 없음'), null);
+  assert.equal(parseCount('2024년 9월'), null);
+  assert.equal(parseCount(null), null);
+});
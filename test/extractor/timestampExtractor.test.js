@@ -0,0 +1,170 @@
+/**
+ * @fileoverview timestampExtractor 테스트
+ * @description 메타데이터 날짜 해석과 JSON-LD → 메타 태그 → <time> 우선순위를 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+
+const {
+  TIMESTAMP_SOURCES,
+  extractTimestamps,
+  parseMetaDate,
+} = require('../../src/extractor/timestampExtractor');
+
+/**
+ * head/body 마크업으로 페이지 HTML 생성
+ * @param {string} head
+ * @param {string} [body]
+ * @returns {string}
+ */
+function page(head, body = '') {
+  return `<html><head>${head}</head><body>${body}</body></html>`;
+}
+
+/**
+ * JSON-LD script 태그 생성
+ * @param {Object|string} data
+ * @returns {string}
+ */
+function jsonLd(data) {
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  return `<script type="application/ld+json">${text}</script>`;
+}
+
+test('parseMetaDate: 시간대가 없으면 KST로 간주', () => {
+  assert.equal(
+    parseMetaDate('2025-08-12 10:30:00').toISOString(),
+    '2025-08-12T01:30:00.000Z'
+  );
+  assert.equal(
+    parseMetaDate('2025.8.2 9:05').toISOString(),
+    '2025-08-02T00:05:00.000Z'
+  );
+  assert.equal(
+    parseMetaDate('2025-08-12').toISOString(),
+    '2025-08-11T15:00:00.000Z'
+  );
+});
+
+test('parseMetaDate: 명시된 시간대와 소수 초 유지', () => {
+  assert.equal(
+    parseMetaDate('2025-08-12T10:30:00Z').toISOString(),
+    '2025-08-12T10:30:00.000Z'
+  );
+  assert.equal(
+    parseMetaDate('2025-08-12T10:30:00.250+0900').toISOString(),
+    '2025-08-12T01:30:00.250Z'
+  );
+  assert.equal(
+    parseMetaDate('Tue, 12 Aug 2025 01:30:00 GMT').toISOString(),
+    '2025-08-12T01:30:00.000Z'
+  );
+});
+
+test('parseMetaDate: 해석할 수 없는 값은 null', () => {
+  assert.equal(parseMetaDate(''), null);
+  assert.equal(parseMetaDate('   '), null);
+  assert.equal(parseMetaDate(null), null);
+  assert.equal(parseMetaDate(20250812), null);
+  assert.equal(parseMetaDate('3시간 전'), null);
+});
+
+test('JSON-LD 기사 노드가 메타 태그보다 우선', () => {
+  const result = extractTimestamps(
+    page(
+      jsonLd({
+        '@context': 'https://schema.org',
+        '@type': 'NewsArticle',
+        datePublished: '2025-08-12T10:30:00+09:00',
+        dateModified: '2025-08-12T11:00:00+09:00',
+      }) +
+        '<meta property="article:published_time" content="2025-08-01T00:00:00Z" />'
+    )
+  );
+
+  assert.deepEqual(result, {
+    publishedAt: new Date('2025-08-12T01:30:00.000Z'),
+    publishedSource: TIMESTAMP_SOURCES.JSON_LD,
+    modifiedAt: new Date('2025-08-12T02:00:00.000Z'),
+    modifiedSource: TIMESTAMP_SOURCES.JSON_LD,
+  });
+});
+
+test('JSON-LD @graph/mainEntity 안의 기사 노드만 사용', () => {
+  const result = extractTimestamps(
+    page(
+      jsonLd({
+        '@graph': [
+          {
+            '@type': 'WebPage',
+            datePublished: '2020-01-01T00:00:00Z',
+            mainEntity: {
+              '@type': ['ReportageNews'],
+              datePublished: '2025-08-12T01:30:00Z',
+            },
+          },
+        ],
+      })
+    )
+  );
+
+  assert.equal(result.publishedAt.toISOString(), '2025-08-12T01:30:00.000Z');
+  assert.equal(result.publishedSource, TIMESTAMP_SOURCES.JSON_LD);
+  assert.equal(result.modifiedAt, null);
+  assert.equal(result.modifiedSource, null);
+});
+
+test('깨진 JSON-LD는 무시하고 다음 출처 사용', () => {
+  const result = extractTimestamps(
+    page(
+      jsonLd('{"@type": "NewsArticle", "datePublished": ') +
+        '<meta property="article:published_time" content="2025-08-12T10:30:00+09:00" />' +
+        '<meta property="og:updated_time" content="2025-08-13 09:00" />'
+    )
+  );
+
+  assert.equal(result.publishedAt.toISOString(), '2025-08-12T01:30:00.000Z');
+  assert.equal(result.publishedSource, TIMESTAMP_SOURCES.META);
+  assert.equal(result.modifiedAt.toISOString(), '2025-08-13T00:00:00.000Z');
+  assert.equal(result.modifiedSource, TIMESTAMP_SOURCES.META);
+});
+
+test('게시/수정 시각은 필드별로 출처를 따로 고름', () => {
+  const result = extractTimestamps(
+    page(
+      '<meta property="article:modified_time" content="2025-08-13T00:00:00Z" />',
+      '<time datetime="2025-08-12T01:30:00Z">8월 12일</time>'
+    )
+  );
+
+  assert.equal(result.publishedSource, TIMESTAMP_SOURCES.TIME);
+  assert.equal(result.modifiedSource, TIMESTAMP_SOURCES.META);
+});
+
+test('<time>: itemprop/pubdate 요소를 첫 <time>보다 우선', () => {
+  const result = extractTimestamps(
+    page(
+      '',
+      `<time datetime="2025-08-20T00:00:00Z">관련 기사</time>
+       <time pubdate datetime="2025-08-12T01:30:00Z">입력</time>
+       <time itemprop="dateModified" datetime="2025-08-12T03:00:00Z">수정</time>`
+    )
+  );
+
+  assert.equal(result.publishedAt.toISOString(), '2025-08-12T01:30:00.000Z');
+  assert.equal(result.modifiedAt.toISOString(), '2025-08-12T03:00:00.000Z');
+  assert.equal(result.modifiedSource, TIMESTAMP_SOURCES.TIME);
+});
+
+test('cheerio 루트도 입력으로 받고, 시각이 없으면 모두 null', () => {
+  const $ = cheerio.load(page('<title>시각 없음</title>'));
+  assert.deepEqual(extractTimestamps($), {
+    publishedAt: null,
+    publishedSource: null,
+    modifiedAt: null,
+    modifiedSource: null,
+  });
+  assert.equal(extractTimestamps('').publishedAt, null);
+});
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview AuthorService 기자별 기사 조회 테스트
+ * @description 요청 인자를 기록하는 Prisma 대역으로 getAuthorNews가 news_author_map JOIN으로
+ * DB에서 페이지를 자르고 직함을 붙이는지 검증합니다. (실제 DB 검증은 별도)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AuthorService = require('../../src/services/authorService');
+
+/**
+ * 조회 결과를 돌려주고 호출 인자를 기록하는 Prisma 대역
+ * @param {Object} rows - author / links / total / news_main
+ * @returns {{prisma: Object, calls: Array<[string, Object]>}}
+ */
+function createPrisma(rows) {
+  const calls = [];
+  return {
+    calls,
+    prisma: {
+      news_author: {
+        findUnique: async () => rows.author || null,
+      },
+      news_main: {
+        findMany: async args => {
+          calls.push(['news_main', args]);
+          return rows.news_main || [];
+        },
+      },
+      $queryRaw: async (strings, ...values) => {
+        const sql = strings.join('?');
+        calls.push(['$queryRaw', { sql, values }]);
+        return sql.includes('COUNT(*)')
+          ? [{ cnt: BigInt(rows.total || 0) }]
+          : rows.links || [];
+      },
+    },
+  };
+}
+
+const AUTHOR = {
+  author_se: 9,
+  author_nm: '박지현',
+  source_nm: '연합뉴스',
+  email_ct: null,
+  role_nm: '기자',
+};
+
+test('getAuthorNews: news_author_map JOIN으로 페이지를 자르고 JOIN 순서를 유지', async () => {
+  const { prisma, calls } = createPrisma({
+    author: AUTHOR,
+    links: [
+      { news_se: 30, role_nm: '특파원' },
+      { news_se: 12, role_nm: null },
+    ],
+    total: 45,
+    news_main: [
+      { news_se: 12, title_ct: '이전 기사' },
+      { news_se: 30, title_ct: '최신 기사' },
+    ],
+  });
+
+  const result = await new AuthorService(prisma).getAuthorNews(9, {
+    page: 3,
+    limit: 2,
+  });
+
+  const raw = calls.filter(([name]) => name === '$queryRaw');
+  assert.equal(raw.length, 2);
+  raw.forEach(([, { sql, values }]) => {
+    assert.match(sql, /JOIN news_author_map a ON a\.news_se = m\.news_se/);
+    assert.equal(values[0], 9);
+  });
+  assert.match(raw[0][1].sql, /ORDER BY m\.published_dt DESC/);
+  assert.deepEqual(raw[0][1].values.slice(-2), [2, 4]);
+
+  const [, mainArgs] = calls.find(([name]) => name === 'news_main');
+  assert.deepEqual(mainArgs.where, { news_se: { in: [30, 12] } });
+
+  assert.deepEqual(
+    result.data.map(item => [item.news_se, item.role_nm]),
+    [
+      [30, '특파원'],
+      [12, null],
+    ]
+  );
+  assert.equal(result.author.articleCount, 45);
+  assert.deepEqual(result.pagination, {
+    page: 3,
+    limit: 2,
+    total: 45,
+    totalPages: 23,
+  });
+});
+
+test('getAuthorNews: 연결 기사가 없으면 news_main을 조회하지 않음', async () => {
+  const { prisma, calls } = createPrisma({ author: AUTHOR });
+
+  const result = await new AuthorService(prisma).getAuthorNews(9);
+
+  assert.deepEqual(result.data, []);
+  assert.equal(result.pagination.total, 0);
+  assert.ok(!calls.some(([name]) => name === 'news_main'));
+});
+
+test('getAuthorNews: 없는 기자는 null', async () => {
+  const { prisma, calls } = createPrisma({});
+
+  assert.equal(await new AuthorService(prisma).getAuthorNews(404), null);
+  assert.deepEqual(calls, []);
+});
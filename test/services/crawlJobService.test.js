@@ -0,0 +1,134 @@
+/**
+ * @fileoverview CrawlJobService 테스트
+ * @description 요청 인자를 기록하는 Prisma 대역으로 작업 등록의 중복 처리와 활성 플래그, 끝난 작업 정리를 검증합니다.
+ * (active_yn 유니크 키 자체는 실제 DB에서 검증)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CrawlJobService = require('../../src/services/crawlJobService');
+const { JOB_TYPES, JOB_STATUS } = require('../../src/services/crawlJobService');
+const { hashUrl } = require('../../src/utils/urlCanonicalizer');
+
+/**
+ * crawl_job 호출을 기록하는 Prisma 대역
+ * @param {Object} [options]
+ * @param {Error} [options.createError] - create가 던질 에러
+ * @returns {{prisma: Object, calls: Array<[string, Object]>}}
+ */
+function createPrisma(options = {}) {
+  const calls = [];
+  const record = (name, result) => async args => {
+    calls.push([name, args]);
+    if (name === 'create' && options.createError) throw options.createError;
+    return typeof result === 'function' ? result(args) : result;
+  };
+  return {
+    calls,
+    prisma: {
+      crawl_job: {
+        create: record('create', ({ data }) => ({ job_se: 1, ...data })),
+        update: record('update', {}),
+        updateMany: record('updateMany', { count: 0 }),
+        deleteMany: record('deleteMany', { count: 3 }),
+        fields: { max_attempt_va: 'max_attempt_va' },
+      },
+    },
+  };
+}
+
+const URL = 'https://news.example.com/article/1';
+
+test('작업을 URL 해시와 함께 등록하고 기존 대기 작업을 먼저 조회하지 않는다', async () => {
+  const { prisma, calls } = createPrisma();
+  const service = new CrawlJobService(prisma);
+
+  const job = await service.enqueue({
+    type: JOB_TYPES.DETAIL,
+    crawlerName: 'NamuNewsCrawler',
+    url: URL,
+    newsId: 10,
+    payload: { feedItem: { title: '제목' } },
+  });
+
+  assert.deepEqual(
+    calls.map(([name]) => name),
+    ['create']
+  );
+  assert.equal(job.url_hash_cd, hashUrl(URL));
+  assert.equal(job.payload_ct, '{"feedItem":{"title":"제목"}}');
+  assert.equal(job.status_cd, JOB_STATUS.PENDING);
+});
+
+test('같은 작업이 이미 대기/실행 중이면(P2002) null을 반환한다', async () => {
+  const duplicate = Object.assign(new Error('Unique constraint failed'), {
+    code: 'P2002',
+  });
+  const { prisma } = createPrisma({ createError: duplicate });
+  const service = new CrawlJobService(prisma);
+
+  const job = await service.enqueue({
+    type: JOB_TYPES.LIST,
+    crawlerName: 'NaverNewsCrawler',
+    url: URL,
+  });
+
+  assert.equal(job, null);
+});
+
+test('P2002 외 등록 에러는 그대로 전파한다', async t => {
+  t.mock.method(console, 'error', () => {});
+  const { prisma } = createPrisma({ createError: new Error('연결 끊김') });
+  const service = new CrawlJobService(prisma);
+
+  await assert.rejects(
+    service.enqueue({ type: JOB_TYPES.LIST, crawlerName: 'A', url: URL }),
+    /연결 끊김/
+  );
+});
+
+test('완료/실패 확정 작업은 활성 플래그를 비우고 재시도 대기 작업은 유지한다', async () => {
+  const { prisma, calls } = createPrisma();
+  const service = new CrawlJobService(prisma);
+  const job = {
+    job_se: 5,
+    attempt_va: 1,
+    max_attempt_va: 3,
+    next_run_dt: new Date(0),
+  };
+
+  await service.completeJob(5);
+  await service.failJob(job, new Error('timeout'), 60000);
+  await service.failJob(job, new Error('404'), null);
+  await service.failExhaustedLeases(new Date());
+
+  const updates = calls
+    .filter(([name]) => name === 'update' || name === 'updateMany')
+    .map(([, args]) => [args.data.status_cd, args.data.active_yn]);
+  assert.deepEqual(updates, [
+    [JOB_STATUS.DONE, null],
+    [JOB_STATUS.PENDING, true],
+    [JOB_STATUS.FAILED, null],
+    [JOB_STATUS.FAILED, null],
+  ]);
+});
+
+test('보관 기간이 지난 완료/실패 작업만 삭제한다', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 8, 10) });
+  t.mock.method(console, 'log', () => {});
+  const { prisma, calls } = createPrisma();
+  const service = new CrawlJobService(prisma);
+
+  const count = await service.cleanupFinishedJobs(7);
+
+  assert.equal(count, 3);
+  const [[, args]] = calls;
+  assert.deepEqual(args.where.status_cd, {
+    in: [JOB_STATUS.DONE, JOB_STATUS.FAILED],
+  });
+  assert.equal(
+    args.where.updated_dt.lt.toISOString(),
+    '2025-09-03T00:00:00.000Z'
+  );
+});
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview EntityService 개체 타임라인 테스트
+ * @description 요청 인자를 기록하는 Prisma 대역으로 getTimeline이 news_entity_mention JOIN으로
+ * DB에서 정렬/페이지를 자르고 기사별 언급 횟수를 붙이는지 검증합니다. (실제 DB 검증은 별도)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const EntityService = require('../../src/services/entityService');
+
+/**
+ * 조회 결과를 돌려주고 호출 인자를 기록하는 Prisma 대역
+ * @param {Object} rows - entity / mentions / total / mentionSum / news_main
+ * @returns {{prisma: Object, calls: Array<[string, Object]>}}
+ */
+function createPrisma(rows) {
+  const calls = [];
+  return {
+    calls,
+    prisma: {
+      news_entity: {
+        findUnique: async () => rows.entity || null,
+      },
+      news_main: {
+        findMany: async args => {
+          calls.push(['news_main', args]);
+          return rows.news_main || [];
+        },
+      },
+      $queryRaw: async (strings, ...values) => {
+        const sql = strings.join('?');
+        calls.push(['$queryRaw', { sql, values }]);
+        return sql.includes('COUNT(*)')
+          ? [
+              {
+                cnt: BigInt(rows.total || 0),
+                mention_sum: BigInt(rows.mentionSum || 0),
+              },
+            ]
+          : rows.mentions || [];
+      },
+    },
+  };
+}
+
+const ENTITY = {
+  entity_se: 7,
+  entity_type_cd: 'organization',
+  entity_nm: '한국은행',
+};
+
+test('getTimeline: news_entity_mention JOIN으로 페이지를 자르고 JOIN 순서를 유지', async () => {
+  const { prisma, calls } = createPrisma({
+    entity: ENTITY,
+    mentions: [
+      { news_se: 30, mention_cnt: 4 },
+      { news_se: 12, mention_cnt: 1 },
+    ],
+    total: 45,
+    mentionSum: 90,
+    news_main: [
+      { news_se: 12, title_ct: '이전 기사' },
+      { news_se: 30, title_ct: '최신 기사' },
+    ],
+  });
+
+  const result = await new EntityService(prisma).getTimeline(7, {
+    page: 3,
+    limit: 2,
+    order: 'desc',
+  });
+
+  const raw = calls.filter(([name]) => name === '$queryRaw');
+  assert.equal(raw.length, 2);
+  raw.forEach(([, { sql, values }]) => {
+    assert.match(sql, /JOIN news_entity_mention e ON e\.news_se = m\.news_se/);
+    assert.equal(values[0], 7);
+  });
+  assert.match(raw[0][1].sql, /ORDER BY m\.published_dt DESC/);
+  assert.deepEqual(raw[0][1].values.slice(-2), [2, 4]);
+
+  const [, mainArgs] = calls.find(([name]) => name === 'news_main');
+  assert.deepEqual(mainArgs.where, { news_se: { in: [30, 12] } });
+
+  assert.deepEqual(
+    result.data.map(item => [item.news_se, item.title_ct, item.mention_cnt]),
+    [
+      [30, '최신 기사', 4],
+      [12, '이전 기사', 1],
+    ]
+  );
+  assert.deepEqual(result.entity, {
+    id: 7,
+    type: 'organization',
+    name: '한국은행',
+    articleCount: 45,
+    mentionCount: 90,
+  });
+  assert.deepEqual(result.pagination, {
+    page: 3,
+    limit: 2,
+    total: 45,
+    totalPages: 23,
+  });
+});
+
+test('getTimeline: 기본 정렬은 오래된 순', async () => {
+  const { prisma, calls } = createPrisma({ entity: ENTITY });
+
+  await new EntityService(prisma).getTimeline(7);
+
+  const [[, { sql, values }]] = calls;
+  assert.match(sql, /ORDER BY m\.published_dt ASC/);
+  assert.deepEqual(values.slice(-2), [20, 0]);
+});
+
+test('getTimeline: 언급 기사가 없으면 news_main을 조회하지 않음', async () => {
+  const { prisma, calls } = createPrisma({ entity: ENTITY });
+
+  const result = await new EntityService(prisma).getTimeline(7);
+
+  assert.deepEqual(result.data, []);
+  assert.equal(result.entity.articleCount, 0);
+  assert.equal(result.entity.mentionCount, 0);
+  assert.equal(result.pagination.total, 0);
+  assert.ok(!calls.some(([name]) => name === 'news_main'));
+});
+
+test('getTimeline: 없는 개체는 null', async () => {
+  const { prisma, calls } = createPrisma({});
+
+  assert.equal(await new EntityService(prisma).getTimeline(404), null);
+  assert.deepEqual(calls, []);
+});
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview NewsService 조회/재수집 저장 테스트
+ * @description 요청 인자를 기록하는 Prisma 대역으로 getNews/getNewsForRevisionCheck의 쿼리 모양과 결과 병합,
+ * upsertNewsDetail의 본문 추출 실패 시 기존 값 유지를 검증합니다.
+ * 스키마에 relation이 없으므로 news_main 조회에 include가 없어야 합니다. (실제 DB 검증은 별도)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const NewsService = require('../../src/services/newsService');
+
+/**
+ * 조회 결과를 돌려주고 호출 인자를 기록하는 Prisma 대역
+ * @param {Object} rows - 모델별 findMany 결과
+ * @returns {{prisma: Object, calls: Array<[string, Object]>}}
+ */
+function createPrisma(rows) {
+  const calls = [];
+  const model = name => ({
+    findMany: async args => {
+      calls.push([name, args]);
+      return rows[name] || [];
+    },
+    count: async () => (rows[name] || []).length,
+  });
+  return {
+    calls,
+    prisma: {
+      news_main: model('news_main'),
+      news_detail: model('news_detail'),
+      news_cluster: model('news_cluster'),
+      news_tag: {
+        findUnique: async ({ where }) =>
+          (rows.news_tag || []).find(
+            row => row.tag_key_cd === where.tag_key_cd
+          ) || null,
+      },
+      $queryRaw: async (strings, ...values) => {
+        const sql = strings.join('?');
+        calls.push(['$queryRaw', { sql, values }]);
+        return sql.includes('COUNT(*)')
+          ? [{ cnt: BigInt(rows.taggedTotal || 0) }]
+          : rows.tagged || [];
+      },
+    },
+  };
+}
+
+const MAIN_ROWS = [
+  { news_se: 1, cluster_se: 7, cluster_rep_yn: true },
+  { news_se: 2, cluster_se: null, cluster_rep_yn: false },
+];
+
+const DETAIL_ROW = {
+  news_se: 1,
+  author_nm: '홍길동 기자',
+  source_nm: '연합뉴스',
+  view_va: 3,
+  like_va: null,
+  comment_va: 1,
+};
+
+test('getNews: 상세 요약은 news_se 목록으로 따로 조회해 병합', async () => {
+  const { prisma, calls } = createPrisma({
+    news_main: MAIN_ROWS,
+    news_detail: [DETAIL_ROW],
+  });
+  const { data, pagination } = await new NewsService(prisma).getNews();
+
+  const [, mainArgs] = calls.find(([name]) => name === 'news_main');
+  assert.equal(mainArgs.include, undefined);
+
+  const [, detailArgs] = calls.find(([name]) => name === 'news_detail');
+  assert.deepEqual(detailArgs.where, { news_se: { in: [1, 2] } });
+
+  const { news_se: _, ...summary } = DETAIL_ROW;
+  assert.deepEqual(data[0].news_detail, summary);
+  assert.equal(data[1].news_detail, null);
+  assert.equal(data[0].cluster_article_cnt, undefined);
+  assert.deepEqual(pagination, { page: 1, limit: 20, total: 2, totalPages: 1 });
+});
+
+test('getNews: collapse=cluster는 대표 기사만 거르고 묶음 기사 수 추가', async () => {
+  const { prisma, calls } = createPrisma({
+    news_main: MAIN_ROWS,
+    news_detail: [DETAIL_ROW],
+    news_cluster: [{ cluster_se: 7, article_cnt: 4 }],
+  });
+  const { data } = await new NewsService(prisma).getNews({
+    collapse: 'cluster',
+  });
+
+  const [, mainArgs] = calls.find(([name]) => name === 'news_main');
+  assert.deepEqual(mainArgs.where.OR, [
+    { cluster_se: null },
+    { cluster_rep_yn: true },
+  ]);
+
+  const [, clusterArgs] = calls.find(([name]) => name === 'news_cluster');
+  assert.deepEqual(clusterArgs.where, { cluster_se: { in: [7] } });
+
+  assert.equal(data[0].cluster_article_cnt, 4);
+  assert.equal(data[1].cluster_article_cnt, 1);
+  assert.equal(data[0].news_detail.source_nm, '연합뉴스');
+});
+
+test('getNews: 빈 페이지는 상세/묶음을 조회하지 않음', async () => {
+  const { prisma, calls } = createPrisma({});
+  const { data } = await new NewsService(prisma).getNews({
+    collapse: 'cluster',
+  });
+
+  assert.deepEqual(data, []);
+  assert.deepEqual(
+    calls.map(([name]) => name),
+    ['news_main']
+  );
+});
+
+test('getNews: 태그 필터는 news_tag_map JOIN으로 DB에서 페이지를 자름', async () => {
+  const { prisma, calls } = createPrisma({
+    news_tag: [{ tag_se: 5, tag_key_cd: '반도체', tag_nm: '반도체' }],
+    tagged: [{ news_se: 2 }, { news_se: 1 }],
+    taggedTotal: 41,
+    news_main: MAIN_ROWS,
+  });
+  const { data, pagination } = await new NewsService(prisma).getNews({
+    tag: ' 반도체 ',
+    page: 3,
+    limit: 2,
+    collapse: 'cluster',
+  });
+
+  const raw = calls.filter(([name]) => name === '$queryRaw');
+  assert.equal(raw.length, 2);
+  raw.forEach(([, { sql, values }]) => {
+    assert.match(sql, /JOIN news_tag_map t ON t\.news_se = m\.news_se/);
+    assert.equal(values[0], 5);
+  });
+  assert.deepEqual(raw[0][1].values.slice(-2), [2, 4]);
+
+  // 페이지의 news_se만 다시 조회하고 JOIN 결과 순서(게시 시각 역순)를 유지
+  const [, mainArgs] = calls.find(([name]) => name === 'news_main');
+  assert.deepEqual(mainArgs.where, { news_se: { in: [2, 1] } });
+  assert.deepEqual(
+    data.map(item => item.news_se),
+    [2, 1]
+  );
+  assert.deepEqual(pagination, {
+    page: 3,
+    limit: 2,
+    total: 41,
+    totalPages: 21,
+  });
+});
+
+test('getNews: 없는 태그는 빈 목록', async () => {
+  const { prisma, calls } = createPrisma({ news_main: MAIN_ROWS });
+  const { data, pagination } = await new NewsService(prisma).getNews({
+    tag: '없는태그',
+  });
+
+  assert.deepEqual(data, []);
+  assert.equal(pagination.total, 0);
+  assert.deepEqual(calls, []);
+});
+
+test('getNewsForRevisionCheck: news_detail JOIN과 정렬/LIMIT을 한 쿼리로 처리', async () => {
+  const rows = [{ news_se: 3, url_lk: 'https://news.example.com/3' }];
+  const calls = [];
+  const prisma = {
+    $queryRaw: async (strings, ...values) => {
+      calls.push({ sql: strings.join('?'), values });
+      return rows;
+    },
+  };
+
+  const result = await new NewsService(prisma).getNewsForRevisionCheck(
+    48,
+    50,
+    'NamuNewsCrawler'
+  );
+
+  assert.deepEqual(result, rows);
+  assert.equal(calls.length, 1);
+  const [{ sql, values }] = calls;
+  assert.match(sql, /JOIN news_detail d ON d\.news_se = m\.news_se/);
+  assert.match(sql, /ORDER BY d\.updated_dt ASC/);
+  assert.equal(values[0], 'NamuNewsCrawler');
+  assert.ok(values[1] instanceof Date);
+  assert.equal(values[2], 50);
+});
+
+/**
+ * upsertNewsDetail용 NewsService (Prisma 대역 + 후속 저장 단계 호출 기록)
+ * @param {import('node:test').TestContext} t
+ * @param {Object} previous - 저장된 news_detail
+ * @returns {{service: NewsService, upserts: Array<Object>, steps: Array<string>}}
+ */
+function createDetailService(t, previous) {
+  const upserts = [];
+  const steps = [];
+  const prisma = {
+    news_detail: {
+      findUnique: async () => previous,
+      upsert: async args => {
+        upserts.push(args);
+        return { ...previous, ...args.update };
+      },
+    },
+  };
+  const service = new NewsService(prisma);
+  [
+    'trackRevision',
+    'applyDetailMetadata',
+    'applyCanonicalUrl',
+    'assignStoryCluster',
+    'linkAuthors',
+    'extractKeywords',
+    'linkEntities',
+    'classifyCategory',
+    'linkTags',
+    'saveNewsImages',
+    'recordMetricSnapshot',
+  ].forEach(name =>
+    t.mock.method(service, name, async () => {
+      steps.push(name);
+    })
+  );
+  t.mock.method(console, 'log', () => {});
+  return { service, upserts, steps };
+}
+
+const PREVIOUS_DETAIL = {
+  news_se: 1,
+  title_ct: '기존 제목',
+  content_ct: '기존 본문',
+  author_nm: '홍길동 기자',
+  source_nm: '연합뉴스',
+  tags_ct: '반도체',
+  view_va: 120,
+};
+
+test('upsertNewsDetail: 본문 추출에 실패하면 저장된 값과 태그/이미지/지표를 그대로 둠', async t => {
+  const { service, upserts, steps } = createDetailService(t, PREVIOUS_DETAIL);
+
+  await service.upsertNewsDetail(1, {
+    title: null,
+    content: '뉴스 상세 내용을 추출할 수 없습니다. URL: https://x',
+    author: null,
+    source: null,
+    tags: '',
+    images: [],
+    viewCount: null,
+  });
+
+  assert.deepEqual(Object.keys(upserts[0].update), ['updated_dt']);
+  assert.deepEqual(steps, ['applyDetailMetadata', 'applyCanonicalUrl']);
+});
+
+test('upsertNewsDetail: 본문을 추출하면 상세 필드와 후속 저장을 모두 갱신', async t => {
+  const { service, upserts, steps } = createDetailService(t, PREVIOUS_DETAIL);
+
+  await service.upsertNewsDetail(1, {
+    title: '새 제목',
+    content: '새 본문',
+    author: '김철수 기자',
+    source: '연합뉴스',
+    tags: '반도체,수출',
+    viewCount: 130,
+  });
+
+  const { update } = upserts[0];
+  assert.equal(update.author_nm, '김철수 기자');
+  assert.equal(update.tags_ct, '반도체,수출');
+  assert.equal(update.view_va, 130);
+  assert.equal(update.like_va, null);
+  assert.ok(steps.includes('linkTags'));
+  assert.ok(steps.includes('saveNewsImages'));
+  assert.ok(steps.includes('recordMetricSnapshot'));
+});
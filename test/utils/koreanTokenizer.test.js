@@ -0,0 +1,57 @@
+/**
+ * @fileoverview koreanTokenizer 테스트
+ * @description 조사/활용 어미 떼기, 서술어 제외, 숫자/한 글자/불용어 필터를 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { tokenize, stemHangul } = require('../../src/utils/koreanTokenizer');
+
+test('stemHangul: 어절 끝 조사 제거 (긴 조사 우선)', () => {
+  assert.equal(stemHangul('정부는'), '정부');
+  assert.equal(stemHangul('서울시에서'), '서울시');
+  assert.equal(stemHangul('국회에서부터'), '국회');
+  assert.equal(stemHangul('대통령의'), '대통령');
+  // 조사를 떼면 한 글자만 남는 어절은 그대로
+  assert.equal(stemHangul('차는'), '차는');
+});
+
+test('stemHangul: 명사+하다/되다/이다 꼴은 명사만 남김', () => {
+  assert.equal(stemHangul('발표했다'), '발표');
+  assert.equal(stemHangul('발견되었다'), '발견');
+  assert.equal(stemHangul('투자한다고'), '투자');
+  assert.equal(stemHangul('전망이다'), '전망');
+  assert.equal(stemHangul('지원해'), '지원');
+  assert.equal(stemHangul('확대될'), '확대');
+});
+
+test('stemHangul: 그 밖의 서술어 어절은 null', () => {
+  assert.equal(stemHangul('올랐다'), null);
+  assert.equal(stemHangul('밝혔습니다'), null);
+  assert.equal(stemHangul('먹었는데'), null);
+  assert.equal(stemHangul('가겠다'), null);
+  assert.equal(stemHangul('해야'), null);
+});
+
+test('tokenize: 등장 순서/중복 유지, 영문 소문자, 숫자 표현 제외', () => {
+  assert.deepEqual(
+    tokenize(
+      '정부는 10일 반도체 산업에 10조원을 투자한다고 발표했다. AI 반도체와 HBM3E 기술이 올랐다.'
+    ),
+    ['정부', '반도체', '산업', '투자', '발표', 'ai', '반도체', 'hbm3e', '기술']
+  );
+});
+
+test('tokenize: 불용어와 한 글자 토큰 제외, 전각 문자 정규화', () => {
+  assert.deepEqual(
+    tokenize('핵심이다 그 Ｇｏｏｇｌｅ 차 x 서비스', new Set(['핵심'])),
+    ['google', '서비스']
+  );
+});
+
+test('tokenize: 빈 입력은 빈 배열', () => {
+  assert.deepEqual(tokenize(''), []);
+  assert.deepEqual(tokenize(null), []);
+  assert.deepEqual(tokenize('2025 10.5% ...'), []);
+});
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview minhash 테스트
+ * @description 서명 계산/직렬화, 유사도 추정, LSH 밴드 키가 비슷한 본문만 후보로 묶는지 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  computeMinHash,
+  serializeSignature,
+  parseSignature,
+  estimateSimilarity,
+  bandKeys,
+} = require('../../src/utils/minhash');
+
+const ORIGINAL =
+  '서울시는 10일 내년도 대중교통 요금 조정안을 발표하고 시민 의견 수렴에 들어간다고 밝혔다. 조정안에 따르면 지하철 기본요금은 150원 오른다.';
+const EDITED = ORIGINAL.replace('150원', '200원');
+const UNRELATED =
+  '정부가 반도체 산업 지원을 위한 세제 혜택을 확대하기로 했다. 기획재정부는 관련 법 개정안을 다음 달 국회에 제출할 계획이다.';
+
+/**
+ * 같은 자리 밴드 키 수
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @returns {number}
+ */
+function sharedBands(a, b) {
+  return a.filter((key, i) => key === b[i]).length;
+}
+
+test('computeMinHash: 128개 32비트 값, 문장부호/대소문자 무시', () => {
+  const { signature, shingleCount } = computeMinHash(ORIGINAL);
+
+  assert.equal(signature.length, 128);
+  assert.ok(signature.every(value => value >= 0 && value <= 0xffffffff));
+  assert.ok(shingleCount > 0);
+  assert.deepEqual(
+    computeMinHash(`  ${ORIGINAL.replace(/[.,]/g, ' ')}!! `).signature,
+    signature
+  );
+  assert.deepEqual(
+    computeMinHash('Seoul METRO fare').signature,
+    computeMinHash('seoul metro fare').signature
+  );
+});
+
+test('computeMinHash: 4글자 미만이거나 문자가 없으면 null', () => {
+  assert.equal(computeMinHash('abc'), null);
+  assert.equal(computeMinHash('!!! ... ???'), null);
+  assert.equal(computeMinHash(''), null);
+  assert.equal(computeMinHash(null), null);
+});
+
+test('serializeSignature/parseSignature 왕복', () => {
+  const { signature } = computeMinHash(ORIGINAL);
+  const serialized = serializeSignature(signature);
+
+  assert.equal(serialized.length, 128 * 8);
+  assert.match(serialized, /^[0-9a-f]+$/);
+  assert.deepEqual(parseSignature(serialized), signature);
+});
+
+test('estimateSimilarity: 같은 본문 1, 일부 수정본은 높고, 다른 기사는 낮음', () => {
+  const original = computeMinHash(ORIGINAL).signature;
+  const edited = computeMinHash(EDITED).signature;
+  const unrelated = computeMinHash(UNRELATED).signature;
+
+  assert.equal(estimateSimilarity(original, original), 1);
+  assert.ok(estimateSimilarity(original, edited) >= 0.6);
+  assert.ok(estimateSimilarity(original, unrelated) < 0.1);
+});
+
+test('bandKeys: 32개 밴드, 비슷한 본문만 밴드 키 공유', () => {
+  const original = bandKeys(computeMinHash(ORIGINAL).signature);
+  const edited = bandKeys(computeMinHash(EDITED).signature);
+  const unrelated = bandKeys(computeMinHash(UNRELATED).signature);
+
+  assert.equal(original.length, 32);
+  assert.ok(original.every(key => /^[0-9a-f]{16}$/.test(key)));
+  assert.ok(sharedBands(original, edited) > 0);
+  assert.equal(sharedBands(original, unrelated), 0);
+});
+
+test('bandKeys: 같은 값이라도 밴드 번호가 다르면 다른 키', () => {
+  const keys = bandKeys(new Array(128).fill(7));
+  assert.equal(new Set(keys).size, 32);
+});
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview naiveBayes 테스트
+ * @description 어휘 선택/빈도 완화 학습, JSON 왕복 후 예측, 평가 지표 계산을 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  trainNaiveBayes,
+  compileModel,
+  predictNaiveBayes,
+  evaluateClassifier,
+} = require('../../src/utils/naiveBayes');
+
+/**
+ * 단어 빈도 Map 생성
+ * @param {Object<string, number>} object - 단어 → 빈도
+ * @returns {Map<string, number>}
+ */
+function counts(object) {
+  return new Map(Object.entries(object));
+}
+
+const DOCUMENTS = [
+  { label: '경제', counts: counts({ 금리: 3, 환율: 1, 시장: 1 }) },
+  { label: '경제', counts: counts({ 금리: 1, 주가: 2, 시장: 1 }) },
+  { label: '경제', counts: counts({ 환율: 2, 주가: 1, 수출: 1 }) },
+  { label: '정치', counts: counts({ 국회: 2, 여당: 1, 시장: 1 }) },
+  { label: '정치', counts: counts({ 국회: 1, 야당: 2, 여당: 1 }) },
+  { label: '정치', counts: counts({ 야당: 1, 선거: 1, 국회: 1 }) },
+];
+
+test('trainNaiveBayes: 문서 수가 적은 단어 제외, 빈도는 1 + ln(tf)', () => {
+  const model = trainNaiveBayes(DOCUMENTS);
+
+  assert.deepEqual(model.labels, ['경제', '정치']);
+  assert.deepEqual(model.documentCounts, [3, 3]);
+  // 한 문서에만 나온 단어(수출, 선거)는 버림
+  assert.equal(model.vocabulary['수출'], undefined);
+  assert.equal(model.vocabulary['선거'], undefined);
+  // 금리: 1 + ln 3 ≈ 2.099 과 1 + ln 1 = 1
+  assert.deepEqual(model.vocabulary['금리'], [3.099, 0]);
+  assert.deepEqual(model.vocabulary['시장'], [2, 1]);
+});
+
+test('trainNaiveBayes: maxVocabulary는 문서 빈도 상위 단어만', () => {
+  const model = trainNaiveBayes(DOCUMENTS, { maxVocabulary: 2 });
+  // 문서 빈도 3: 국회, 시장 (동률이면 이름순)
+  assert.deepEqual(Object.keys(model.vocabulary).sort(), ['국회', '시장']);
+});
+
+test('predictNaiveBayes: JSON 왕복한 모델로 확률 내림차순 예측', () => {
+  const model = JSON.parse(JSON.stringify(trainNaiveBayes(DOCUMENTS)));
+  const compiled = compileModel(model);
+
+  const economy = predictNaiveBayes(compiled, counts({ 금리: 2, 주가: 1 }));
+  assert.equal(economy[0].label, '경제');
+  assert.ok(economy[0].probability > 0.8);
+  assert.ok(
+    Math.abs(economy.reduce((sum, r) => sum + r.probability, 0) - 1) < 1e-9
+  );
+
+  const politics = predictNaiveBayes(
+    compiled,
+    counts({ 국회: 1, 야당: 1, 모르는단어: 5 })
+  );
+  assert.equal(politics[0].label, '정치');
+});
+
+test('predictNaiveBayes: 아는 단어가 없으면 빈 배열', () => {
+  const compiled = compileModel(trainNaiveBayes(DOCUMENTS));
+  assert.deepEqual(predictNaiveBayes(compiled, counts({ 날씨: 3 })), []);
+  assert.deepEqual(predictNaiveBayes(compiled, new Map()), []);
+});
+
+test('compileModel: 사전 확률은 카테고리 문서 비율', () => {
+  const compiled = compileModel({
+    labels: ['경제', '정치'],
+    documentCounts: [3, 1],
+    vocabulary: { 금리: [1, 0] },
+  });
+  assert.deepEqual(compiled.logPriors, [Math.log(0.75), Math.log(0.25)]);
+  assert.deepEqual(compiled.logLikelihoods.get('금리'), [
+    Math.log(2 / 2),
+    Math.log(1 / 1),
+  ]);
+});
+
+test('evaluateClassifier: 정확도, 카테고리별 지표, 평가 기사가 있는 카테고리만 macro F1', () => {
+  const result = evaluateClassifier(
+    [
+      { actual: '경제', predicted: '경제' },
+      { actual: '경제', predicted: '정치' },
+      { actual: '정치', predicted: '정치' },
+      { actual: '정치', predicted: null },
+    ],
+    ['경제', '정치', '문화']
+  );
+
+  assert.equal(result.total, 4);
+  assert.equal(result.accuracy, 0.5);
+  assert.deepEqual(result.categories['경제'], {
+    precision: 1,
+    recall: 0.5,
+    f1: 0.6667,
+    support: 2,
+  });
+  assert.deepEqual(result.categories['정치'], {
+    precision: 0.5,
+    recall: 0.5,
+    f1: 0.5,
+    support: 2,
+  });
+  assert.equal(result.categories['문화'].support, 0);
+  assert.equal(result.macroF1, 0.5834);
+
+  assert.equal(evaluateClassifier([], ['경제']).accuracy, 0);
+});
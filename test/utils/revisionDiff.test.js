@@ -0,0 +1,83 @@
+/**
+ * @fileoverview revisionDiff 테스트
+ * @description 버전 해시의 공백 무시, 제목 단어 diff, 본문 줄 단위 unified diff를 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  hashRevision,
+  diffTitle,
+  diffContent,
+  normalizeText,
+} = require('../../src/utils/revisionDiff');
+
+test('normalizeText: NBSP/연속 공백/줄 앞뒤 공백 정리', () => {
+  assert.equal(
+    normalizeText('  첫 문단   끝 \n\t 둘째 문단 \n'),
+    '첫 문단 끝\n둘째 문단'
+  );
+  assert.equal(normalizeText(null), '');
+});
+
+test('hashRevision: 공백 차이는 같은 버전, 내용 차이는 다른 버전', () => {
+  const hash = hashRevision('정부, 예산안 발표', '첫 문단\n둘째 문단');
+
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(
+    hashRevision(' 정부, 예산안  발표 ', '첫 문단 \n  둘째 문단\n'),
+    hash
+  );
+  assert.notEqual(hashRevision('정부, 예산안 발표', '첫 문단'), hash);
+  // 제목과 본문 경계가 바뀌면 다른 버전
+  assert.notEqual(
+    hashRevision('정부', '예산안'),
+    hashRevision('정부 예산안', '')
+  );
+});
+
+test('diffTitle: 단어 단위 [op, text] JSON, 변경 없으면 null', () => {
+  assert.deepEqual(
+    JSON.parse(diffTitle('정부, 예산안 발표', '정부, 수정 예산안 발표')),
+    [
+      [0, '정부, '],
+      [1, '수정 '],
+      [0, '예산안 발표'],
+    ]
+  );
+  assert.deepEqual(JSON.parse(diffTitle('속보 지진 발생', '지진 발생')), [
+    [-1, '속보 '],
+    [0, '지진 발생'],
+  ]);
+  assert.equal(diffTitle('정부 발표', ' 정부 발표 '), null);
+});
+
+test('diffContent: 바뀐 줄과 앞뒤 한 줄만 포함한 unified diff', () => {
+  const patch = diffContent(
+    '첫 문단\n둘째 문단\n셋째 문단\n넷째 문단',
+    '첫 문단\n둘째 문단 수정\n셋째 문단\n넷째 문단'
+  );
+
+  assert.equal(
+    patch,
+    [
+      '--- content\t',
+      '+++ content\t',
+      '@@ -1,3 +1,3 @@',
+      ' 첫 문단',
+      '-둘째 문단',
+      '+둘째 문단 수정',
+      ' 셋째 문단',
+      '',
+    ].join('\n')
+  );
+});
+
+test('diffContent: 문단 추가 표시, 공백만 다르면 null', () => {
+  const patch = diffContent('첫 문단', '첫 문단\n추가된 정정 문단');
+  assert.ok(patch.includes('+추가된 정정 문단\n'));
+  assert.ok(!patch.includes('-첫 문단'));
+
+  assert.equal(diffContent('첫 문단\n둘째', ' 첫 문단 \n\n둘째 '), null);
+});
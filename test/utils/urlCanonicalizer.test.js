@@ -0,0 +1,117 @@
+/**
+ * @fileoverview urlCanonicalizer 테스트
+ * @description 정규 URL 규칙(스킴/호스트/경로/추적 파라미터), 멱등성, canonical 링크 해석을 검증합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+
+const {
+  canonicalizeUrl,
+  hashUrl,
+  resolveCanonicalLink,
+} = require('../../src/utils/urlCanonicalizer');
+
+test('스킴/호스트/포트/인증 정보/프래그먼트 정규화', () => {
+  assert.equal(
+    canonicalizeUrl('http://user:pw@WWW.Example.COM.:80/news/1#comments'),
+    'https://example.com/news/1'
+  );
+  assert.equal(
+    canonicalizeUrl('https://example.com:443/news/1'),
+    'https://example.com/news/1'
+  );
+  assert.equal(
+    canonicalizeUrl('https://example.com:8080/news/1'),
+    'https://example.com:8080/news/1'
+  );
+});
+
+test('경로: 중복/끝 슬래시, 불필요한 퍼센트 인코딩', () => {
+  assert.equal(
+    canonicalizeUrl('https://example.com//news///2025/'),
+    'https://example.com/news/2025'
+  );
+  assert.equal(canonicalizeUrl('https://example.com/'), 'https://example.com/');
+  assert.equal(
+    canonicalizeUrl('https://example.com/%61rticle/%e2%82%ac'),
+    'https://example.com/article/%E2%82%AC'
+  );
+});
+
+test('추적 파라미터 제거 후 이름순 정렬', () => {
+  assert.equal(
+    canonicalizeUrl(
+      'https://example.com/view?sid=105&utm_source=x&UTM_Medium=y&fbclid=1&aid=7&pk_campaign=z'
+    ),
+    'https://example.com/view?aid=7&sid=105'
+  );
+  assert.equal(
+    canonicalizeUrl('https://example.com/view?aid=7&from=main', {
+      stripParams: ['FROM'],
+    }),
+    'https://example.com/view?aid=7'
+  );
+  assert.equal(
+    canonicalizeUrl('https://example.com/view?utm_source=x'),
+    'https://example.com/view'
+  );
+});
+
+test('상대 URL은 base 기준, http(s)가 아니거나 잘못된 URL은 null', () => {
+  assert.equal(
+    canonicalizeUrl('../article/3?ref_src=tw', {
+      base: 'https://www.example.com/news/list/',
+    }),
+    'https://example.com/news/article/3'
+  );
+  assert.equal(canonicalizeUrl('javascript:void(0)'), null);
+  assert.equal(canonicalizeUrl('mailto:desk@example.com'), null);
+  assert.equal(canonicalizeUrl('/relative/only'), null);
+  assert.equal(canonicalizeUrl(''), null);
+  assert.equal(canonicalizeUrl(null), null);
+});
+
+test('여러 번 적용해도 결과가 같음', () => {
+  const urls = [
+    'http://WWW.example.com//a/%7euser/?b=2&a=1&utm_term=x#top',
+    'https://example.com/%EA%B8%B0%EC%82%AC?q=%ED%95%9C',
+    'https://n.news.naver.com/mnews/article/001/0015600001?sid=105',
+  ];
+  urls.forEach(url => {
+    const once = canonicalizeUrl(url);
+    assert.equal(canonicalizeUrl(once), once);
+  });
+});
+
+test('hashUrl: 정규 URL의 SHA-256 hex', () => {
+  const hash = hashUrl('https://example.com/news/1');
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(
+    hashUrl(canonicalizeUrl('http://www.example.com/news/1/?utm_source=x')),
+    hash
+  );
+});
+
+test('resolveCanonicalLink: 같은 호스트의 기사 canonical만 사용', () => {
+  const pageUrl = 'https://www.example.com/news/1?utm_source=feed';
+  const resolve = href =>
+    resolveCanonicalLink(
+      cheerio.load(`<head><link rel="canonical" href="${href}" /></head>`),
+      pageUrl
+    );
+
+  assert.equal(resolve('/news/1/'), 'https://example.com/news/1');
+  assert.equal(
+    resolve('http://example.com/news/1?page=1'),
+    'https://example.com/news/1?page=1'
+  );
+  // 다른 호스트(신디케이션 원문)와 루트 경로(잘못된 설정)는 무시
+  assert.equal(resolve('https://origin.example.org/news/1'), null);
+  assert.equal(resolve('https://example.com/'), null);
+  assert.equal(
+    resolveCanonicalLink(cheerio.load('<head></head>'), pageUrl),
+    null
+  );
+});